@@ -0,0 +1,287 @@
+/**
+ * Zen Website - Production Build
+ *
+ * Everything the page loads is served from this site; nothing comes from a
+ * CDN at runtime. The build prepares those files, then writes a deployable
+ * copy of the site:
+ *
+ *   assets/vendor/       GSAP, ScrollTrigger and Lenis, copied from
+ *                        node_modules (pinned in package.json); the pages
+ *                        carry their SRI hashes (render-locales.mjs)
+ *   assets/css/site.css  Tailwind compiled ahead of time (tailwind.config.mjs)
+ *                        with styles.css merged in, minified
+ *   assets/fonts/        Inter, Circulo and Space Mono subset to FONT_RANGES
+ *                        as woff2, declared in fonts.css
+ *   index.html, en/, es/ rendered by render-locales.mjs
+ *   privacidade/ etc.,   the policies, rendered from content/legal/ by
+ *   legal/               render-legal.mjs (the PDFs are a separate step)
+ *   sw.js                the service worker's precache list and version
+ *
+ * Those are committed, because GitHub Pages serves the repo as-is and the
+ * repo root is also the development site. Then:
+ *
+ *   dist/js/main-<hash>.js, .js.map    js/main.js and its imports, bundled
+ *   dist/js/offline-page-<hash>.js     the same for offline.html
+ *   dist/js/rights-page-<hash>.js      and for the rights-request pages
+ *                                      (privacidade/, privacidade/protocolo/)
+ *   dist/index.html, en/, es/, ...     the pages, pointing at the bundles
+ *   dist/sw.js                         precaching all three bundles
+ *   dist/locales, assets, ...          copied (font sources left out)
+ *
+ * The bundle stays in dist/js/ so js/i18n.js still finds ../locales/ next to
+ * it. validate.mjs rebuilds the bundle and the stylesheet in memory and fails
+ * when a committed file is out of date.
+ *
+ * Run: node build.mjs
+ */
+
+import * as esbuild from 'esbuild';
+import postcss from 'postcss';
+import tailwindcss from 'tailwindcss';
+import subsetFont from 'subset-font';
+import { readFileSync, writeFileSync, mkdirSync, rmSync, cpSync, copyFileSync, existsSync, readdirSync } from 'fs';
+import { createHash } from 'crypto';
+import { join, dirname, relative, extname } from 'path';
+import { fileURLToPath } from 'url';
+import tailwindConfig from './tailwind.config.mjs';
+import { writeAll } from './render-locales.mjs';
+import { writeLegal, RIGHTS_ENTRY } from './render-legal.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const DIST = join(__dirname, 'dist');
+export const ENTRY = 'js/main.js';
+export const OFFLINE_ENTRY = 'js/offline-page.js';
+export const OFFLINE_PAGE = 'offline.html';
+// Browsers with native modules, optional chaining and Unicode regex escapes
+const TARGET = ['es2020'];
+const STATIC = ['assets', 'locales', 'legal', 'privacidade', 'retencao-dados', 'reporte-incidentes', 'manifest.webmanifest', 'CNAME'];
+
+// <script type="module" src="js/main.js">, also as ../js/main.js and /js/main.js
+const entryScript = (entry) => new RegExp(`<script type="module" src="((?:\\.\\./)*|/)${entry.replace(/\./g, '\\.')}"></script>`);
+
+// ============================================================
+// VENDORED SCRIPTS
+// ============================================================
+
+export const VENDOR_DIR = 'assets/vendor';
+
+/** Classic scripts the page loads, by package path. Globals: gsap, ScrollTrigger, Lenis. */
+export const VENDOR_SCRIPTS = [
+  { from: 'gsap/dist/gsap.min.js', file: 'gsap.min.js' },
+  { from: 'gsap/dist/ScrollTrigger.min.js', file: 'ScrollTrigger.min.js' },
+  { from: '@studio-freight/lenis/dist/lenis.min.js', file: 'lenis.min.js' },
+];
+
+// By file path: the packages' "exports" don't list their browser builds
+export const vendorSource = ({ from }) => join(__dirname, 'node_modules', from);
+
+export function vendorScripts() {
+  mkdirSync(join(__dirname, VENDOR_DIR), { recursive: true });
+  for (const script of VENDOR_SCRIPTS) {
+    copyFileSync(vendorSource(script), join(__dirname, VENDOR_DIR, script.file));
+    console.log(`  vendored ${script.from} -> ${VENDOR_DIR}/${script.file}`);
+  }
+}
+
+// ============================================================
+// STYLESHEET
+// ============================================================
+
+export const STYLESHEET = 'assets/css/site.css';
+
+/**
+ * Tailwind's layers with styles.css between components and utilities, the
+ * order the runtime compiler used to inject them in. Resolves with the
+ * minified CSS.
+ */
+export async function compileCss() {
+  const styles = readFileSync(join(__dirname, 'styles.css'), 'utf-8');
+  const input = `@tailwind base;\n@tailwind components;\n${styles}\n@tailwind utilities;\n`;
+  const config = { ...tailwindConfig, content: tailwindConfig.content.map(glob => join(__dirname, glob)) };
+  const { css } = await postcss([tailwindcss(config)]).process(input, { from: join(__dirname, 'styles.css') });
+  const { code } = await esbuild.transform(css, { loader: 'css', minify: true });
+  return code;
+}
+
+// ============================================================
+// FONTS
+// ============================================================
+
+export const FONT_DIR = 'assets/fonts';
+
+// Latin with the accents pt/es need, typographic punctuation, € and the
+// arrows and check mark the copy uses. Emoji fall back to the system font.
+export const FONT_RANGES = [
+  [0x20, 0x7e], [0xa0, 0x17f], [0x2010, 0x2027], [0x2030, 0x203a],
+  [0x20ac, 0x20ac], [0x2190, 0x2193], [0x2713, 0x2713],
+];
+
+export const FONTS = [
+  { family: 'Inter', weight: '100 900', from: '@fontsource-variable/inter/files/inter-latin-wght-normal.woff2', file: 'inter-latin.woff2' },
+  { family: 'Circulo', weight: 300, from: 'assets/fonts/Circulo-Light.otf', file: 'circulo-light.woff2' },
+  { family: 'Circulo', weight: 400, from: 'assets/fonts/Circulo-Regular.otf', file: 'circulo-regular.woff2' },
+  { family: 'Space Mono', weight: 400, from: 'assets/fonts/SpaceMono-Regular.ttf', file: 'space-mono-regular.woff2' },
+  { family: 'Space Mono', weight: 700, from: 'assets/fonts/SpaceMono-Bold.ttf', file: 'space-mono-bold.woff2' },
+];
+
+// Font sources are only build inputs; the pages load the woff2 subsets
+const shipped = (path) => !['.otf', '.ttf'].includes(extname(path));
+
+export const inFontRanges = (codePoint) => FONT_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end);
+
+export const fontSource = ({ from }) => join(__dirname, from.startsWith('assets/') ? '' : 'node_modules', from);
+const hex = (codePoint) => codePoint.toString(16).toUpperCase();
+
+export function fontFaceCss() {
+  const unicodeRange = FONT_RANGES.map(([start, end]) => (start === end ? `U+${hex(start)}` : `U+${hex(start)}-${hex(end)}`)).join(', ');
+  return [
+    `/* Generated by build.mjs from ${FONT_DIR}/ and @fontsource-variable/inter. Do not edit. */`,
+    ...FONTS.map(font => [
+      '@font-face {',
+      `  font-family: '${font.family}';`,
+      '  font-style: normal;',
+      `  font-weight: ${font.weight};`,
+      '  font-display: swap;',
+      `  src: url('${font.file}') format('woff2');`,
+      `  unicode-range: ${unicodeRange};`,
+      '}',
+    ].join('\n')),
+  ].join('\n\n') + '\n';
+}
+
+export async function subsetFonts() {
+  const text = String.fromCodePoint(...FONT_RANGES.flatMap(([start, end]) =>
+    Array.from({ length: end - start + 1 }, (_, i) => start + i)));
+  for (const font of FONTS) {
+    const woff2 = await subsetFont(readFileSync(fontSource(font)), text, { targetFormat: 'woff2' });
+    writeFileSync(join(__dirname, FONT_DIR, font.file), woff2);
+    console.log(`  subset ${font.family} ${font.weight} -> ${FONT_DIR}/${font.file} (${(woff2.length / 1024).toFixed(1)} KB)`);
+  }
+  writeFileSync(join(__dirname, FONT_DIR, 'fonts.css'), fontFaceCss());
+}
+
+// ============================================================
+// BUNDLE
+// ============================================================
+
+/**
+ * Bundles `entry` (ENTRY by default) with esbuild. With `write: false`
+ * nothing touches the disk and the result is returned in memory
+ * (validate.mjs does this). Resolves with { file, map, bytes }, paths
+ * relative to dist/.
+ */
+export async function bundleModules({ entry = ENTRY, write = true } = {}) {
+  const result = await esbuild.build({
+    entryPoints: [join(__dirname, entry)],
+    bundle: true,
+    minify: true,
+    format: 'esm',
+    target: TARGET,
+    sourcemap: 'linked',
+    entryNames: '[name]-[hash]',
+    outdir: join(DIST, 'js'),
+    write,
+    metafile: true,
+    logLevel: 'silent',
+  });
+  const [file, output] = Object.entries(result.metafile.outputs).find(([path]) => path.endsWith('.js'));
+  const toDist = (path) => relative(DIST, join(__dirname, path)).split('\\').join('/');
+  return { file: toDist(file), map: toDist(`${file}.map`), bytes: output.bytes };
+}
+
+/** A rendered page with its module `entry` pointed at the bundle. */
+export function productionHtml(html, bundleFile, entry = ENTRY) {
+  const script = entryScript(entry);
+  if (!script.test(html)) throw new Error(`No <script type="module" src="${entry}"> to replace`);
+  return html.replace(script, (match, prefix) => `<script type="module" src="${prefix}${bundleFile}"></script>`);
+}
+
+// ============================================================
+// SERVICE WORKER
+// ============================================================
+
+export const SERVICE_WORKER = 'sw.js';
+// The pages (by URL, as the browser requests them) and their files
+const PRECACHE_PAGES = { './': 'index.html', 'en/': 'en/index.html', 'es/': 'es/index.html', [OFFLINE_PAGE]: OFFLINE_PAGE };
+const PRECACHE_DIRS = ['assets/css', FONT_DIR, VENDOR_DIR, 'assets/logos', 'assets/bank-logos', 'assets/stickers', 'locales', 'assets/data'];
+const PRECACHE_FILES = ['assets/wa-doodle.png', 'manifest.webmanifest'];
+const PRECACHE_REGION = /(\/\/ generated:precache\n)[\s\S]*?(\/\/ \/generated:precache)/;
+
+/**
+ * What the service worker precaches from the site in `root`, as
+ * [url, file] pairs: the pages, the offline page and what they load.
+ * `scripts` defaults to the js/ module sources; dist/ passes its bundles.
+ */
+export function precacheEntries({ root = __dirname, scripts } = {}) {
+  const files = [
+    ...PRECACHE_DIRS.flatMap(dir => readdirSync(join(root, dir)).sort().map(file => `${dir}/${file}`)).filter(shipped),
+    ...PRECACHE_FILES,
+    ...(scripts || readdirSync(join(root, 'js')).filter(file => file.endsWith('.js')).sort().map(file => `js/${file}`)),
+  ];
+  return [...Object.entries(PRECACHE_PAGES), ...files.map(file => [file, file])];
+}
+
+/**
+ * sw.js with its generated:precache region written for the site in `root`.
+ * VERSION is a hash of every precached file, so any change installs a new
+ * worker and with it a fresh cache.
+ */
+export function renderServiceWorker({ root = __dirname, scripts } = {}) {
+  const entries = precacheEntries({ root, scripts });
+  const hash = createHash('sha256');
+  entries.forEach(([url, file]) => hash.update(`${url}\0`).update(readFileSync(join(root, file))));
+  const region = [
+    `const VERSION = '${hash.digest('hex').slice(0, 12)}';`,
+    'const PRECACHE = [',
+    ...entries.map(([url]) => `  '${url}',`),
+    '];',
+  ].join('\n');
+  const source = readFileSync(join(__dirname, SERVICE_WORKER), 'utf-8');
+  if (!PRECACHE_REGION.test(source)) throw new Error(`No generated:precache region in ${SERVICE_WORKER}`);
+  return source.replace(PRECACHE_REGION, (match, open, close) => `${open}${region}\n${close}`);
+}
+
+export async function build() {
+  vendorScripts();
+  mkdirSync(dirname(join(__dirname, STYLESHEET)), { recursive: true });
+  const css = await compileCss();
+  writeFileSync(join(__dirname, STYLESHEET), css);
+  console.log(`  compiled tailwind.config.mjs + styles.css -> ${STYLESHEET} (${(css.length / 1024).toFixed(1)} KB)`);
+  await subsetFonts();
+  // After the vendored scripts, whose SRI hashes the pages carry
+  const pages = writeAll();
+  const legalPages = writeLegal();
+  // After everything it precaches
+  writeFileSync(join(__dirname, SERVICE_WORKER), renderServiceWorker());
+  console.log(`  wrote ${SERVICE_WORKER}`);
+
+  rmSync(DIST, { recursive: true, force: true });
+  const bundle = await bundleModules();
+  console.log(`  bundled ${ENTRY} -> dist/${bundle.file} (${(bundle.bytes / 1024).toFixed(1)} KB, map: dist/${bundle.map})`);
+  const offlineBundle = await bundleModules({ entry: OFFLINE_ENTRY });
+  console.log(`  bundled ${OFFLINE_ENTRY} -> dist/${offlineBundle.file} (${(offlineBundle.bytes / 1024).toFixed(1)} KB)`);
+  const rightsBundle = await bundleModules({ entry: RIGHTS_ENTRY });
+  console.log(`  bundled ${RIGHTS_ENTRY} -> dist/${rightsBundle.file} (${(rightsBundle.bytes / 1024).toFixed(1)} KB)`);
+
+  for (const entry of STATIC.filter(entry => existsSync(join(__dirname, entry)))) {
+    cpSync(join(__dirname, entry), join(DIST, entry), { recursive: true, filter: shipped });
+  }
+  const offlinePage = { file: OFFLINE_PAGE, html: readFileSync(join(__dirname, OFFLINE_PAGE), 'utf-8'), entry: OFFLINE_ENTRY, bundle: offlineBundle };
+  const rightsPages = legalPages.filter(page => page.entry === RIGHTS_ENTRY).map(page => ({ ...page, bundle: rightsBundle }));
+  for (const { file, html, entry = ENTRY, bundle: pageBundle = bundle } of [...pages, offlinePage, ...rightsPages]) {
+    mkdirSync(dirname(join(DIST, file)), { recursive: true });
+    writeFileSync(join(DIST, file), productionHtml(html, pageBundle.file, entry));
+    console.log(`  wrote dist/${file}`);
+  }
+  writeFileSync(join(DIST, SERVICE_WORKER), renderServiceWorker({ root: DIST, scripts: [bundle, offlineBundle, rightsBundle].map(({ file }) => file) }));
+  console.log(`  wrote dist/${SERVICE_WORKER}`);
+  return bundle;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  build().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
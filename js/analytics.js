@@ -0,0 +1,220 @@
+/**
+ * Zen Website - Analytics
+ *
+ * A small first-party event layer. Every event is declared in EVENTS with the
+ * properties it carries, and anything that doesn't match is dropped, so no
+ * phone number or free text can end up in a report by accident.
+ *
+ *   track('faq_opened', { faq_id: 'seguranca' })
+ *
+ * Events are batched (BATCH_SIZE, or every FLUSH_MS) and posted to the
+ * endpoint in <meta name="zen:analytics-endpoint"> (default /api/events,
+ * served by server/events.mjs). Nothing is sent until the visitor accepts the
+ * analytics category (js/consent.js): until they choose, events wait in
+ * memory; if they decline, the waiting events are thrown away.
+ *
+ * Tests pass memorySink() instead of the network sink.
+ */
+
+import { LOCALES, DEFAULT_LANG, langFromTag } from './i18n.js';
+import { getConsent } from './consent.js';
+
+export const ANALYTICS_ENDPOINT = '/api/events';
+export const BATCH_SIZE = 10;
+export const FLUSH_MS = 5000;
+const MAX_WAITING = 50;
+
+const LANGS = Object.keys(LOCALES);
+
+/**
+ * The event catalog. Each property is a type name ('string', 'number') or
+ * the list of values it may take.
+ */
+export const EVENTS = {
+  signup_submitted: { form_id: ['hero-form', 'bottom-cta-form'], lang: LANGS },
+  cta_clicked: { cta_id: 'string' },
+  agent_tab_viewed: { tab: 'number', agent: 'string' },
+  faq_opened: { faq_id: 'string' },
+  lang_switched: { from: LANGS, to: LANGS },
+  section_viewed: { section: 'string' },
+  chat_conversation_completed: { conversation: 'number', lang: LANGS },
+  whatsapp_clicked: { placement: 'string' },
+  whatsapp_qr_shown: { placement: 'string' },
+};
+
+/** Problems with an event, as strings; empty when it matches the catalog. */
+export function validateEvent(name, props = {}) {
+  const spec = EVENTS[name];
+  if (!spec) return [`unknown event "${name}"`];
+  const problems = [];
+  Object.entries(spec).forEach(([key, type]) => {
+    const value = props[key];
+    if (Array.isArray(type) ? !type.includes(value) : typeof value !== type || value === '') {
+      problems.push(`${name}.${key}: expected ${Array.isArray(type) ? type.join(' | ') : type}, got ${JSON.stringify(value)}`);
+    }
+  });
+  Object.keys(props).filter(key => !(key in spec)).forEach(key => problems.push(`${name}.${key}: not in the catalog`));
+  return problems;
+}
+
+// ============================================================
+// SINKS
+// ============================================================
+
+/** Posts each batch to `endpoint`; uses sendBeacon so it survives page unload. */
+export function beaconSink(endpoint) {
+  return async (events) => {
+    const body = JSON.stringify({ events });
+    if (navigator.sendBeacon?.(endpoint, new Blob([body], { type: 'application/json' }))) return;
+    await fetch(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body, keepalive: true });
+  };
+}
+
+/** Keeps batches in memory (`sink.batches`) instead of sending them. */
+export function memorySink() {
+  const sink = async (events) => { sink.batches.push(events); };
+  sink.batches = [];
+  return sink;
+}
+
+// ============================================================
+// QUEUE
+// ============================================================
+
+function pageLang() {
+  return langFromTag(document.documentElement.lang) || DEFAULT_LANG;
+}
+
+/**
+ * Returns { track(name, props), flush(), pending, destroy() }. `track` returns
+ * false when the event was rejected by the catalog or by the consent choice.
+ */
+export function createAnalytics({ endpoint, sink, batchSize = BATCH_SIZE, flushMs = FLUSH_MS, now = () => new Date() } = {}) {
+  endpoint ||= document.querySelector('meta[name="zen:analytics-endpoint"]')?.content || ANALYTICS_ENDPOINT;
+  sink ||= beaconSink(endpoint);
+
+  let queue = [];
+  let timer = null;
+  let consent = getConsent();
+  const allowed = () => consent?.categories.analytics === true;
+  const declined = () => !!consent && !allowed();
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (!allowed() || !queue.length) return;
+    const batch = queue.splice(0, queue.length);
+    Promise.resolve(sink(batch)).catch(err => console.warn('[analytics] could not send events:', err.message));
+  }
+
+  function schedule() {
+    if (!allowed()) return;
+    if (queue.length >= batchSize) flush();
+    else if (!timer) timer = setTimeout(flush, flushMs);
+  }
+
+  function track(name, props = {}) {
+    const problems = validateEvent(name, props);
+    if (problems.length) {
+      console.warn('[analytics] dropped event:', problems.join('; '));
+      return false;
+    }
+    if (declined()) return false;
+    queue.push({ name, props, at: now().toISOString(), page: location.pathname, lang: pageLang() });
+    if (queue.length > MAX_WAITING) queue = queue.slice(-MAX_WAITING);
+    schedule();
+    return true;
+  }
+
+  const onConsentChange = (e) => {
+    consent = e.detail;
+    if (allowed()) flush();
+    else queue = [];
+  };
+  // Last chance to send what's queued before the page goes away
+  const onHide = () => { if (document.visibilityState === 'hidden') flush(); };
+
+  document.addEventListener('zen:consentchange', onConsentChange);
+  document.addEventListener('visibilitychange', onHide);
+  window.addEventListener('pagehide', flush);
+
+  return {
+    track,
+    flush,
+    get pending() {
+      return queue.length;
+    },
+    destroy() {
+      clearTimeout(timer);
+      document.removeEventListener('zen:consentchange', onConsentChange);
+      document.removeEventListener('visibilitychange', onHide);
+      window.removeEventListener('pagehide', flush);
+    },
+  };
+}
+
+// ============================================================
+// PAGE INSTRUMENTATION
+// ============================================================
+
+/**
+ * Listens for the page-level events: signups (`zen:signup` from
+ * js/signup.js), FAQ answers (`zen:faqopen` from js/faq.js), WhatsApp links
+ * and QR codes (a[data-wa-link], `zen:waqrshow` from js/wa-direct.js),
+ * [data-cta] clicks, language changes and sections scrolled into view.
+ */
+export function instrumentPage(analytics, root = document) {
+  root.addEventListener('zen:signup', (e) => {
+    analytics.track('signup_submitted', { form_id: e.detail.formId, lang: pageLang() });
+  });
+  root.addEventListener('zen:faqopen', (e) => {
+    analytics.track('faq_opened', { faq_id: e.detail.id.replace(/^faq-/, '') });
+  });
+  root.addEventListener('zen:waqrshow', (e) => {
+    analytics.track('whatsapp_qr_shown', { placement: e.detail.placement });
+  });
+  root.addEventListener('click', (e) => {
+    const cta = e.target.closest?.('[data-cta]');
+    if (cta) analytics.track('cta_clicked', { cta_id: cta.dataset.cta });
+    const waLink = e.target.closest?.('a[data-wa-link]');
+    if (waLink) analytics.track('whatsapp_clicked', { placement: waLink.dataset.waLink });
+    // The flags navigate to another page; the pagehide flush sends this
+    const flag = e.target.closest?.('.lang-btn');
+    if (flag && flag.dataset.lang !== pageLang()) analytics.track('lang_switched', { from: pageLang(), to: flag.dataset.lang });
+  });
+
+  // switchLang() changes the language in place
+  let lang = pageLang();
+  root.addEventListener('zen:langchange', (e) => {
+    if (e.detail.lang !== lang) analytics.track('lang_switched', { from: lang, to: e.detail.lang });
+    lang = e.detail.lang;
+  });
+
+  // A section counts as viewed once it reaches the middle of the viewport
+  if (typeof IntersectionObserver === 'function') {
+    const seen = new Set();
+    const observer = new IntersectionObserver(entries => {
+      entries.filter(entry => entry.isIntersecting && !seen.has(entry.target.id)).forEach(entry => {
+        seen.add(entry.target.id);
+        observer.unobserve(entry.target);
+        analytics.track('section_viewed', { section: entry.target.id });
+      });
+    }, { rootMargin: '0px 0px -50% 0px' });
+    root.querySelectorAll('section[id]').forEach(section => observer.observe(section));
+  }
+}
+
+/** Agent tabs the visitor picked; automatic rotation isn't a view. */
+export function instrumentTabCarousel(analytics, carousel) {
+  carousel.addEventListener('select', (e) => {
+    if (e.detail.source === 'auto') return;
+    const agent = carousel.tabs[e.detail.index].dataset.agent || String(e.detail.index);
+    analytics.track('agent_tab_viewed', { tab: e.detail.index, agent });
+  });
+}
+
+export function instrumentChatPlayer(analytics, player) {
+  player.addEventListener('conversationend', (e) => {
+    analytics.track('chat_conversation_completed', { conversation: e.detail.conversation, lang: pageLang() });
+  });
+}
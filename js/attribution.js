@@ -0,0 +1,144 @@
+/**
+ * Zen Website - Campaign Attribution
+ *
+ * Reads the campaign a visitor arrived from (utm_*, ref and ad click ids) off
+ * the landing URL. Campaign measurement is the marketing category of
+ * js/consent.js, so until the visitor accepts it the campaign only lives in
+ * this page and nothing uses it. With consent it's kept in sessionStorage, so
+ * it survives the language redirect and in-page navigation but not the end
+ * of the session, and a later landing with new parameters wins. Accepting
+ * marketing on the landing page still keeps that landing's campaign;
+ * withdrawing it clears what was kept.
+ *
+ * It travels in two places:
+ *
+ *   signups     js/signup.js sends signupAttribution() with the form, and
+ *               server/signup.mjs stores it next to the number
+ *   WhatsApp    a[data-wa-link="<where it sits>"] is pointed at the number in
+ *               js/site-config.js with an opening message ending in a
+ *               referral code, so the bot can tie the chat to the campaign:
+ *
+ *                 Oi! Vim pelo site e quero conhecer o Zen.
+ *
+ *                 ref:instagram.social.lancamento
+ *
+ * The code is `ref` when the link has one, otherwise source.medium.campaign,
+ * otherwise "site" (also without marketing consent); REF_PATTERN is what
+ * the bot should match.
+ */
+
+import { t } from './i18n.js';
+import { hasConsent } from './consent.js';
+import { SITE_CONFIG } from './site-config.js';
+
+export const ATTRIBUTION_KEY = 'zenAttribution';
+export const CAMPAIGN_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'ref'];
+export const CLICK_ID_PARAMS = ['gclid', 'fbclid', 'ttclid'];
+export const MAX_PARAM_LENGTH = 100;
+export const REF_PATTERN = /\bref:([a-z0-9._-]{1,60})\b/;
+const DIRECT_CODE = 'site';
+
+// This page's campaign: kept until marketing consent, and when sessionStorage is unavailable
+let current = null;
+
+/** The known parameters in `search`, trimmed and capped; null when there are none. */
+export function parseAttribution(search) {
+  const query = new URLSearchParams(search);
+  const params = {};
+  [...CAMPAIGN_PARAMS, ...CLICK_ID_PARAMS].forEach(name => {
+    const value = (query.get(name) || '').trim().slice(0, MAX_PARAM_LENGTH);
+    if (value) params[name] = value;
+  });
+  return Object.keys(params).length ? params : null;
+}
+
+/** The { params, landing, at } for this session, or null (always null without marketing consent). */
+export function getAttribution() {
+  if (!hasConsent('marketing')) return null;
+  try {
+    return JSON.parse(sessionStorage.getItem(ATTRIBUTION_KEY)) || current;
+  } catch {
+    return current;
+  }
+}
+
+function storeAttribution(attribution) {
+  try {
+    if (attribution) sessionStorage.setItem(ATTRIBUTION_KEY, JSON.stringify(attribution));
+    else sessionStorage.removeItem(ATTRIBUTION_KEY);
+  } catch {
+    // Storage disabled: this page still knows the campaign
+  }
+}
+
+/**
+ * Reads the campaign in the current URL, if any, and stores it when the
+ * visitor accepted marketing. Returns getAttribution().
+ */
+export function captureAttribution({ search = location.search, now = () => new Date() } = {}) {
+  const params = parseAttribution(search);
+  if (params) {
+    current = { params, landing: location.pathname, at: now().toISOString() };
+    if (hasConsent('marketing')) storeAttribution(current);
+  }
+  return getAttribution();
+}
+
+/** What a signup carries: the session's campaign, with marketing consent only. */
+export function signupAttribution(attribution = getAttribution()) {
+  if (!attribution?.params || !hasConsent('marketing')) return undefined;
+  const params = Object.fromEntries(Object.entries(attribution.params).filter(([name]) => [...CAMPAIGN_PARAMS, ...CLICK_ID_PARAMS].includes(name)));
+  return Object.keys(params).length ? params : undefined;
+}
+
+const slug = (value) => String(value).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase()
+  .replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+
+/** The code put in the WhatsApp message for `params` (see REF_PATTERN). */
+export function referralCode(params) {
+  const parts = params?.ref ? [params.ref] : [params?.utm_source, params?.utm_medium, params?.utm_campaign];
+  const code = parts.filter(Boolean).map(slug).filter(Boolean).join('.').slice(0, 60).replace(/[.-]+$/, '');
+  return code || DIRECT_CODE;
+}
+
+/** wa.me link to `number` (digits, with country code) opening with `message`. */
+export function whatsAppUrl(number, message) {
+  const url = `https://wa.me/${String(number).replace(/\D/g, '')}`;
+  // %20 rather than URLSearchParams' "+", which WhatsApp shows literally
+  return message ? `${url}?text=${encodeURIComponent(message)}` : url;
+}
+
+export function openingMessage(code) {
+  return `${t('whatsapp.message')}\n\nref:${code}`;
+}
+
+/** The wa.me link to our number, opening with the session's referral code. */
+export function trackedWhatsAppUrl(attribution = getAttribution()) {
+  return whatsAppUrl(SITE_CONFIG.contact.whatsapp, openingMessage(referralCode(attribution?.params)));
+}
+
+/** Points every a[data-wa-link] at trackedWhatsAppUrl(). */
+export function tagWhatsAppLinks(root = document, attribution = getAttribution()) {
+  const url = trackedWhatsAppUrl(attribution);
+  root.querySelectorAll('a[data-wa-link]').forEach(link => { link.href = url; });
+}
+
+/**
+ * Captures the landing campaign and re-tags the WhatsApp links whenever
+ * switchLang re-renders them (faq.sub) or the marketing choice changes. The
+ * first tagging needs the catalog for the message, so main.js does it once
+ * initI18n() resolves.
+ */
+export function initAttribution(root = document) {
+  const attribution = captureAttribution();
+  document.addEventListener('zen:langchange', () => tagWhatsAppLinks(root));
+  document.addEventListener('zen:consentchange', (e) => {
+    if (e.detail.categories.marketing) {
+      if (current) storeAttribution(current);
+    } else {
+      storeAttribution(null);
+    }
+    tagWhatsAppLinks(root);
+  });
+  return attribution;
+}
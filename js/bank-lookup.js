@@ -0,0 +1,114 @@
+/**
+ * Zen Website - Bank Lookup
+ *
+ * "Does Zen work with my bank?" under the logo strip. Markup (see
+ * index.html):
+ *
+ *   [data-bank-lookup]          hidden until this module runs;
+ *                               data-waitlist-form names the signup form
+ *     input[data-bank-lookup-input]
+ *     [data-bank-lookup-result] what was found, announced politely
+ *
+ * A bank in js/banks.js gets a yes and the Open Finance data Zen reads
+ * from it. Anything else gets a friendly "not yet" and a button that takes
+ * the visitor to the waitlist form with the bank noted on it: js/signup.js
+ * sends it along as `bankRequest`, so the team knows which banks people
+ * are asking for. The button also dispatches `zen:bankrequest` with
+ * { bank }.
+ */
+
+import { t } from './i18n.js';
+import { BANKS, searchBanks, normalizeBankName } from './banks.js';
+
+export const MAX_SHOWN = 3;
+export const MAX_BANK_REQUEST = 60;
+
+const CHIP_CLASS = 'text-[10px] font-bold uppercase tracking-wide bg-emerald-50 text-emerald-700 px-3 py-1 rounded-full';
+const CATEGORY_LABEL = {
+  accounts: () => t('banks.category.accounts'),
+  'credit-cards': () => t('banks.category.creditCards'),
+  'credit-operations': () => t('banks.category.creditOperations'),
+  investments: () => t('banks.category.investments'),
+};
+
+/** Wires one [data-bank-lookup]. Returns { lookup(query), destroy() }, also kept as `el.bankLookup`. */
+export function initBankLookup(el, { banks = BANKS } = {}) {
+  const input = el.querySelector('[data-bank-lookup-input]');
+  const result = el.querySelector('[data-bank-lookup-result]');
+  const form = document.getElementById(el.dataset.waitlistForm);
+
+  function found(matches) {
+    const [best, ...others] = matches.slice(0, MAX_SHOWN);
+    const title = document.createElement('p');
+    title.className = 'font-semibold text-aizen-charcoal';
+    title.textContent = t('banks.lookup.found', { bank: best.name });
+    const chips = document.createElement('div');
+    chips.className = 'flex flex-wrap justify-center gap-2 mt-3';
+    chips.setAttribute('aria-label', t('banks.lookup.categories'));
+    chips.append(...best.categories.map(category => {
+      const chip = document.createElement('span');
+      chip.className = CHIP_CLASS;
+      chip.textContent = CATEGORY_LABEL[category]();
+      return chip;
+    }));
+    const nodes = [title, chips];
+    if (others.length) {
+      const also = document.createElement('p');
+      also.className = 'text-xs text-aizen-charcoal/50 mt-3';
+      also.textContent = t('banks.lookup.also', { banks: others.map(bank => bank.name).join(', ') });
+      nodes.push(also);
+    }
+    return nodes;
+  }
+
+  function missing(query) {
+    const bank = query.trim().replace(/\s+/g, ' ').slice(0, MAX_BANK_REQUEST);
+    const message = document.createElement('p');
+    message.className = 'text-aizen-charcoal/70';
+    message.textContent = t('banks.lookup.missing', { bank });
+    const nodes = [message];
+    if (form) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'mt-3 font-semibold text-aizen-blue underline underline-offset-2 hover:text-blue-700';
+      button.textContent = t('banks.lookup.notify');
+      button.addEventListener('click', () => requestBank(bank));
+      nodes.push(button);
+    }
+    return nodes;
+  }
+
+  // The waitlist hook: note the bank on the form, then take the visitor there
+  function requestBank(bank) {
+    form.dataset.bankRequest = bank;
+    el.dispatchEvent(new CustomEvent('zen:bankrequest', { bubbles: true, detail: { bank } }));
+    form.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    form.querySelector('input[type="tel"]')?.focus({ preventScroll: true });
+  }
+
+  function lookup(query) {
+    const matches = searchBanks(query, banks);
+    const searched = normalizeBankName(query).replace(/ /g, '').length >= 2;
+    el.dataset.state = !searched ? 'idle' : matches.length ? 'found' : 'missing';
+    result.replaceChildren(...(!searched ? [] : matches.length ? found(matches) : missing(query)));
+    return matches;
+  }
+
+  const onInput = () => lookup(input.value);
+  input.addEventListener('input', onInput);
+  document.addEventListener('zen:langchange', onInput);
+  el.hidden = false;
+
+  el.bankLookup = {
+    lookup,
+    destroy() {
+      input.removeEventListener('input', onInput);
+      document.removeEventListener('zen:langchange', onInput);
+    },
+  };
+  return el.bankLookup;
+}
+
+export function mountBankLookups(root = document) {
+  return [...root.querySelectorAll('[data-bank-lookup]')].map(el => el.bankLookup || initBankLookup(el));
+}
@@ -0,0 +1,111 @@
+/**
+ * Zen Website - Bank Registry
+ *
+ * The institutions Zen connects to through Open Finance, in one place:
+ *
+ *   marquee       render-locales.mjs writes the logo strip under the hero
+ *                 (the generated:bank-marquee region) from BANKS
+ *   lookup        js/bank-lookup.js answers "does Zen work with my bank?"
+ *                 with searchBanks()
+ *   validate.mjs  checks every entry, its logo and the strip against BANKS,
+ *                 and test/banks.test.mjs the search
+ *
+ * Adding a bank is one entry here (and its logo in assets/bank-logos/),
+ * then `npm run build`. `categories` are the Open Finance data Zen reads
+ * from that institution; their labels are `banks.category.*` in the
+ * catalogs.
+ */
+
+export const BANK_CATEGORIES = ['accounts', 'credit-cards', 'credit-operations', 'investments'];
+export const LOGO_DIR = 'assets/bank-logos';
+const EVERYTHING = BANK_CATEGORIES;
+const BANKING = ['accounts', 'credit-cards', 'credit-operations'];
+
+/**
+ * @typedef {object} Bank
+ * @property {string} id           also the logo's file name
+ * @property {string} name         as the bank writes it
+ * @property {string[]} aliases    other names people type: short names, old names, sub-brands
+ * @property {string[]} categories from BANK_CATEGORIES
+ */
+
+/** @type {Bank[]} In marquee order. */
+export const BANKS = [
+  { id: 'nubank', name: 'Nubank', aliases: ['Nu', 'Nu Pagamentos', 'Roxinho'], categories: EVERYTHING },
+  { id: 'itau', name: 'Itaú', aliases: ['Itaú Unibanco', 'Banco Itaú', 'Iti', 'Personnalité'], categories: EVERYTHING },
+  { id: 'bradesco', name: 'Bradesco', aliases: ['Banco Bradesco', 'Next', 'Bradesco Prime'], categories: EVERYTHING },
+  { id: 'santander', name: 'Santander', aliases: ['Banco Santander'], categories: EVERYTHING },
+  { id: 'banco-do-brasil', name: 'Banco do Brasil', aliases: ['BB'], categories: EVERYTHING },
+  { id: 'inter', name: 'Inter', aliases: ['Banco Inter', 'Intermedium'], categories: EVERYTHING },
+  { id: 'c6-bank', name: 'C6 Bank', aliases: ['C6'], categories: EVERYTHING },
+  { id: 'mercado-pago', name: 'Mercado Pago', aliases: ['Mercado Livre'], categories: BANKING },
+  { id: 'btg-pactual', name: 'BTG Pactual', aliases: ['BTG', 'Banco BTG'], categories: EVERYTHING },
+  { id: 'caixa', name: 'Caixa', aliases: ['Caixa Econômica Federal', 'CEF', 'Caixa Tem'], categories: EVERYTHING },
+  { id: 'picpay', name: 'PicPay', aliases: ['Pic Pay'], categories: BANKING },
+  { id: 'neon', name: 'Neon', aliases: ['Banco Neon'], categories: BANKING },
+];
+
+export const logoPath = (bank) => `${LOGO_DIR}/${bank.id}.svg`;
+
+// ============================================================
+// SEARCH
+// ============================================================
+
+/** Lower case, no accents, words split on anything that isn't a letter or digit: "Itaú Unibanco" -> "itau unibanco". */
+export function normalizeBankName(text) {
+  return String(text ?? '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// How well `query` (normalized) fits one of a bank's names: 3 exact, 2 the
+// start of the name, 1 the start of a later word, 0 not at all. Spaces are
+// optional, so "mercadopago" and "pic pay" find their banks.
+function nameScore(query, name) {
+  const compact = (text) => text.replace(/ /g, '');
+  if (name === query || compact(name) === compact(query)) return 3;
+  if (name.startsWith(query) || compact(name).startsWith(compact(query))) return 2;
+  return name.split(' ').slice(1).some(word => word.startsWith(query)) ? 1 : 0;
+}
+
+/**
+ * The banks `query` may refer to, best match first, ignoring case and
+ * accents ("itau" finds Itaú). Queries shorter than two characters
+ * (after normalizing) match nothing.
+ */
+export function searchBanks(query, banks = BANKS) {
+  const q = normalizeBankName(query);
+  if (q.replace(/ /g, '').length < 2) return [];
+  return banks
+    .map((bank, order) => ({ bank, order, score: Math.max(...[bank.name, ...bank.aliases].map(name => nameScore(q, normalizeBankName(name)))) }))
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .map(match => match.bank);
+}
+
+// ============================================================
+// MARQUEE
+// ============================================================
+
+const escapeAttr = (text) => text.replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+
+const LOGO_CLASS = 'h-8 md:h-10 w-20 md:w-28 object-contain opacity-70';
+const GROUP_CLASS = 'flex min-w-full shrink-0 items-center justify-around animate-marquee gap-12 md:gap-20 px-8';
+
+/**
+ * The logo strip: two identical groups scrolling side by side, the second
+ * hidden from assistive technology so each bank is announced once.
+ */
+export function bankMarqueeHtml(banks = BANKS, indent = '') {
+  const logos = banks.map(bank => `  <img src="${logoPath(bank)}" alt="${escapeAttr(bank.name)}" class="${LOGO_CLASS}">`);
+  return [
+    '<!-- Carousel Group 1 -->',
+    `<div class="${GROUP_CLASS}">`,
+    ...logos,
+    '</div>',
+    '',
+    '<!-- Carousel Group 2 (Duplicate for seamless loop) -->',
+    `<div class="${GROUP_CLASS}" aria-hidden="true">`,
+    ...logos,
+    '</div>',
+  ].map(line => (line ? indent + line : line)).join('\n');
+}
@@ -0,0 +1,420 @@
+/**
+ * Zen Website - WhatsApp Chat Player
+ *
+ * Plays scripted WhatsApp conversations inside a phone mockup. A script is
+ * JSON: one conversation is { messages: [...] } and a player can take a
+ * list of them, which it plays in order (looping if asked).
+ *
+ *   { "sender": "user", "text": "Oi", "time": "10:30" }
+ *   { "sender": "zen", "text": "Total: *R$ 400*\nAté _amanhã_", "time": "10:30" }
+ *   { "sender": "zen", "sticker": "assets/stickers/x.png" }
+ *   { "type": "typing", "sender": "zen", "typing": 1500 }
+ *   { "type": "read" }                                   blue ticks on sent messages
+ *   { "sender": "zen", "text": "...", "quote": { "sender": "user", "text": "..." } }
+ *   { "sender": "zen", "text": "...", "buttons": ["Sim", "Não"] }
+ *   { "sender": "zen", "text": "...", "list": { "button": "Ver opções", "items": [{ "title": "...", "description": "..." }] } }
+ *
+ * Text uses WhatsApp formatting (js/wa-format.js) and is never parsed as
+ * HTML. Timing defaults live in DEFAULT_TIMING; any message can override them with
+ * `delay` (extra wait before it), `typing` (indicator shown before it, ms)
+ * and `hold` (wait after it before the next one). Asset paths in scripts
+ * are relative to the site root.
+ *
+ * Markup: <div data-chat-player data-chat-key="chat.conversations" data-chat-loop>
+ * plays a locale catalog entry and follows language switches;
+ * data-chat-src="path/to/script.json" plays a standalone file. The element
+ * gets its player as `el.chatPlayer` (play, pause, seek, next, prev, and
+ * events: play, pause, seek, conversationstart, typing, message, read,
+ * conversationend, ended).
+ */
+
+import { catalogValue, t } from './i18n.js';
+import { renderFormatted } from './wa-format.js';
+
+export const DEFAULT_TIMING = {
+  start: 300, // before the first message
+  user: 1400, // after a visitor message
+  sticker: 1200, // after a sticker
+  typing: 1800, // typing indicator before a Zen text message
+  zen: 1400, // after a Zen message
+  end: 4000, // after the last message, before the next conversation
+};
+
+export const MESSAGE_TYPES = ['text', 'sticker', 'typing', 'read', 'buttons', 'list'];
+
+const SITE_ROOT = new URL('../', import.meta.url);
+
+/** The message's type: explicit `type`, otherwise inferred from its content. */
+export function messageType(msg) {
+  if (msg.type) return MESSAGE_TYPES.includes(msg.type) ? msg.type : null;
+  if (msg.sticker) return 'sticker';
+  if (msg.list) return 'list';
+  if (msg.buttons) return 'buttons';
+  if (typeof msg.text === 'string') return 'text';
+  return null;
+}
+
+/**
+ * Turns a conversation into timed steps. Pure, so validate.mjs can check the
+ * catalogs with it. Returns { steps: [{ at, kind, index, until? }], duration }.
+ */
+export function compileConversation(conversation, timing = DEFAULT_TIMING) {
+  const steps = [];
+  let t = timing.start;
+
+  conversation.messages.forEach((msg, index) => {
+    const type = messageType(msg);
+    if (!type) throw new Error(`Message ${index} has no recognizable content`);
+    t += msg.delay ?? 0;
+
+    if (type === 'read') {
+      steps.push({ at: t, kind: 'read', index });
+      t += msg.hold ?? 0;
+      return;
+    }
+    if (type === 'typing') {
+      const length = msg.typing ?? timing.typing;
+      steps.push({ at: t, kind: 'typing', index, until: t + length });
+      t += length + (msg.hold ?? 0);
+      return;
+    }
+
+    const typing = msg.typing ?? (msg.sender === 'zen' && type !== 'sticker' ? timing.typing : 0);
+    if (typing > 0) {
+      steps.push({ at: t, kind: 'typing', index, until: t + typing });
+      t += typing;
+    }
+    steps.push({ at: t, kind: 'message', index });
+    t += msg.hold ?? (msg.sender === 'user' ? timing.user : type === 'sticker' ? timing.sticker : timing.zen);
+  });
+
+  return { steps, duration: t + timing.end };
+}
+
+// ============================================================
+// RENDERING
+// ============================================================
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function renderQuote(quote, names) {
+  const box = el('div', 'border-l-4 border-aizen-blue/60 bg-black/5 rounded px-2 py-1 mb-1.5 text-[12px]');
+  const text = el('p', 'text-slate-500 line-clamp-2');
+  text.appendChild(renderFormatted(quote.text || ''));
+  box.append(
+    el('p', 'font-semibold text-aizen-blue', quote.name ?? names[quote.sender] ?? (quote.sender === 'user' ? t('chat.you') : '')),
+    text,
+  );
+  return box;
+}
+
+function renderMeta(msg) {
+  const meta = el('span', 'text-[10px] text-slate-400 float-right mt-1 ml-2', msg.time || '');
+  if (msg.sender === 'user') {
+    const ticks = el('span', 'ml-1 tracking-tighter', '✓✓');
+    ticks.dataset.ticks = msg.status === 'read' ? 'read' : 'delivered';
+    if (msg.status === 'read') ticks.classList.add('text-sky-500');
+    meta.appendChild(ticks);
+  }
+  return meta;
+}
+
+function renderMessage(msg, type, names) {
+  const isUser = msg.sender === 'user';
+
+  if (type === 'sticker') {
+    const bubble = el('div', `sticker-bubble max-w-[55%] mt-0.5 ${isUser ? 'self-end ml-auto' : 'self-start'}`);
+    const img = el('img', 'w-full rounded-lg');
+    img.src = new URL(msg.sticker, SITE_ROOT).href;
+    img.alt = msg.alt || 'Sticker';
+    bubble.append(img, renderMeta(msg));
+    return bubble;
+  }
+
+  const bubble = el('div', isUser
+    ? 'wa-msg-user self-end max-w-[85%] ml-auto mt-2 p-2.5 rounded-lg rounded-tr-none text-sm shadow-sm'
+    : 'wa-msg-zen max-w-[85%] mt-2 p-2.5 rounded-lg rounded-tl-none text-sm shadow-sm');
+
+  if (msg.quote) bubble.appendChild(renderQuote(msg.quote, names));
+
+  const body = el('p', 'text-slate-800');
+  body.appendChild(renderFormatted(msg.text || ''));
+  bubble.append(body, renderMeta(msg));
+
+  if (type === 'buttons' || type === 'list') {
+    const actions = el('div', 'clear-both mt-2 -mx-2.5 -mb-2.5 border-t border-slate-100 divide-y divide-slate-100');
+    const labels = type === 'buttons' ? msg.buttons : [`☰ ${msg.list.button}`];
+    labels.forEach(label => actions.appendChild(el('div', 'text-center py-2 text-[13px] font-medium text-sky-600', label)));
+    bubble.appendChild(actions);
+
+    if (type === 'list') {
+      const items = el('ul', 'mt-1 -mx-2.5 -mb-2.5 px-2.5 pb-2 border-t border-slate-100 text-[12px]');
+      (msg.list.items || []).forEach(item => {
+        const row = el('li', 'py-1.5 border-b border-slate-100 last:border-0');
+        row.appendChild(el('p', 'text-slate-800 font-medium', item.title));
+        if (item.description) row.appendChild(el('p', 'text-slate-400', item.description));
+        items.appendChild(row);
+      });
+      bubble.appendChild(items);
+    }
+  }
+  return bubble;
+}
+
+function renderTyping(sender) {
+  const bubble = el('div', `${sender === 'user' ? 'wa-msg-user self-end ml-auto rounded-tr-none' : 'wa-msg-zen rounded-tl-none'} max-w-[60px] mt-2 p-2.5 rounded-lg text-sm shadow-sm`);
+  bubble.dataset.typing = '';
+  const dots = el('div', 'flex gap-1 items-center');
+  [0, 150, 300].forEach(delay => {
+    const dot = el('span', 'w-2 h-2 bg-slate-400 rounded-full animate-bounce');
+    dot.style.animationDelay = `${delay}ms`;
+    dots.appendChild(dot);
+  });
+  bubble.appendChild(dots);
+  return bubble;
+}
+
+// ============================================================
+// PLAYER
+// ============================================================
+
+export class ChatPlayer extends EventTarget {
+  /**
+   * @param {HTMLElement} container  element the bubbles are appended to
+   * @param {object} [options]
+   * @param {object[]} [options.conversations]  script(s) to load
+   * @param {boolean} [options.loop]            restart after the last conversation
+   * @param {object} [options.timing]           overrides for DEFAULT_TIMING
+   * @param {object} [options.names]            quote labels per sender
+   * @param {HTMLElement} [options.scroller]    element kept scrolled to the bottom
+   */
+  constructor(container, { conversations = [], loop = false, timing = {}, names = {}, scroller = container.parentElement } = {}) {
+    super();
+    this.container = container;
+    this.scroller = scroller;
+    this.loop = loop;
+    this.timing = { ...DEFAULT_TIMING, ...timing };
+    this.names = { zen: 'Zen', ...names };
+    this.playing = false;
+    this._timer = null;
+    this.load(conversations);
+  }
+
+  /** Replaces the script and rewinds to the first conversation. Keeps playing if it was. */
+  load(conversations) {
+    const list = Array.isArray(conversations) ? conversations : conversations ? [conversations] : [];
+    this.conversations = list.map(conv => ({ ...conv, ...compileConversation(conv, this.timing) }));
+    this._select(0);
+  }
+
+  get conversationIndex() {
+    return this._index;
+  }
+
+  get duration() {
+    return this._current?.duration ?? 0;
+  }
+
+  /** Milliseconds into the current conversation. */
+  get position() {
+    return this.playing ? performance.now() - this._startedAt : this._position;
+  }
+
+  play() {
+    if (this.playing || !this._current) return;
+    this.playing = true;
+    this._startedAt = performance.now() - this._position;
+    this._emit('play');
+    this._schedule();
+  }
+
+  pause() {
+    if (!this.playing) return;
+    this._position = this.position;
+    this.playing = false;
+    clearTimeout(this._timer);
+    this._emit('pause');
+  }
+
+  /** Jumps to `ms` into the current conversation, rendering everything before it at once. */
+  seek(ms) {
+    clearTimeout(this._timer);
+    const target = Math.max(0, Math.min(ms, this.duration));
+    this._reset();
+    this._advance(target, false);
+    this._position = target;
+    this._startedAt = performance.now() - target;
+    this._emit('seek', { position: target });
+    if (this.playing) this._schedule();
+  }
+
+  next() {
+    const last = this.conversations.length - 1;
+    this._select(this._index < last ? this._index + 1 : this.loop ? 0 : last);
+  }
+
+  prev() {
+    const last = this.conversations.length - 1;
+    this._select(this._index > 0 ? this._index - 1 : this.loop ? last : 0);
+  }
+
+  destroy() {
+    this.pause();
+    this.container.replaceChildren();
+    this.conversations = [];
+    this._current = null;
+  }
+
+  _select(index) {
+    this._index = index;
+    this._current = this.conversations[index] || null;
+    this.seek(0);
+    if (this._current) this._emit('conversationstart', { conversation: index });
+  }
+
+  _reset() {
+    this.container.replaceChildren();
+    this._nextStep = 0;
+    this._typing = null;
+    this._sent = [];
+  }
+
+  _emit(type, detail = {}) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  _scroll() {
+    if (this.scroller) this.scroller.scrollTop = this.scroller.scrollHeight;
+  }
+
+  _append(node, animate) {
+    if (animate) {
+      node.classList.add('opacity-0', 'translate-y-2', 'transition-all', 'duration-300');
+      requestAnimationFrame(() => {
+        node.style.opacity = '1';
+        node.style.transform = 'translateY(0)';
+      });
+    }
+    this.container.appendChild(node);
+    this._scroll();
+  }
+
+  _markRead() {
+    this._sent.forEach(ticks => {
+      ticks.dataset.ticks = 'read';
+      ticks.classList.add('text-sky-500');
+    });
+  }
+
+  // Applies every step due at or before `position`
+  _advance(position, animate) {
+    const { steps, messages } = this._current || { steps: [] };
+
+    if (this._typing && this._typing.until <= position) {
+      this._typing.node.remove();
+      this._typing = null;
+    }
+
+    while (this._nextStep < steps.length && steps[this._nextStep].at <= position) {
+      const step = steps[this._nextStep++];
+      const msg = messages[step.index];
+
+      if (this._typing && step.kind !== 'read') {
+        this._typing.node.remove();
+        this._typing = null;
+      }
+
+      if (step.kind === 'typing') {
+        if (step.until > position) {
+          this._typing = { node: renderTyping(msg.sender), until: step.until };
+          this._append(this._typing.node, false);
+        }
+        this._emit('typing', { index: step.index, message: msg });
+      } else if (step.kind === 'read') {
+        this._markRead();
+        this._emit('read', { index: step.index });
+      } else {
+        const node = renderMessage(msg, messageType(msg), this.names);
+        const ticks = node.querySelector('[data-ticks="delivered"]');
+        if (ticks) this._sent.push(ticks);
+        this._append(node, animate);
+        this._emit('message', { index: step.index, message: msg, conversation: this._index });
+      }
+    }
+  }
+
+  _schedule() {
+    clearTimeout(this._timer);
+    if (!this.playing || !this._current) return;
+
+    const position = this.position;
+    const { steps, duration } = this._current;
+    const candidates = [duration];
+    if (this._nextStep < steps.length) candidates.push(steps[this._nextStep].at);
+    if (this._typing) candidates.push(this._typing.until);
+    const wait = Math.max(0, Math.min(...candidates) - position);
+
+    this._timer = setTimeout(() => this._tick(), wait);
+  }
+
+  _tick() {
+    const position = this.position;
+    this._advance(position, true);
+
+    if (position < this.duration) {
+      this._schedule();
+      return;
+    }
+
+    this._emit('conversationend', { conversation: this._index });
+    if (this._index < this.conversations.length - 1 || this.loop) {
+      this.next();
+    } else {
+      this.pause();
+      this._position = this.duration;
+      this._emit('ended');
+    }
+  }
+}
+
+// ============================================================
+// MOUNTING
+// ============================================================
+
+async function fetchScript(src) {
+  const res = await fetch(new URL(src, document.baseURI));
+  if (!res.ok) throw new Error(`HTTP ${res.status} loading ${src}`);
+  return res.json();
+}
+
+/** Starts a ChatPlayer on every [data-chat-player] element under `root`. */
+export function mountChatPlayers(root = document) {
+  return [...root.querySelectorAll('[data-chat-player]')].map(container => {
+    if (container.chatPlayer) return container.chatPlayer;
+
+    const player = new ChatPlayer(container, { loop: container.hasAttribute('data-chat-loop') });
+    container.chatPlayer = player;
+    const autoplay = !container.hasAttribute('data-chat-paused');
+    const { chatKey, chatSrc } = container.dataset;
+
+    if (chatKey) {
+      const loadFromCatalog = () => player.load(catalogValue(chatKey) || []);
+      loadFromCatalog();
+      document.addEventListener('zen:langchange', loadFromCatalog);
+      if (autoplay) player.play();
+    } else if (chatSrc) {
+      fetchScript(chatSrc).then(script => {
+        player.load(script);
+        if (autoplay) player.play();
+      }).catch(err => {
+        console.warn('[chat] could not load script:', err.message);
+      });
+    }
+    return player;
+  });
+}
@@ -0,0 +1,103 @@
+/**
+ * Zen Website - Consent Manager
+ *
+ * The LGPD consent UI on top of js/consent.js. Markup (see index.html):
+ *
+ *   [data-consent-banner]     shown until the visitor makes a choice
+ *     [data-consent-accept]   everything
+ *     [data-consent-reject]   strictly necessary only
+ *   [data-consent-open]       opens the dialog (banner and footer)
+ *   [data-consent-dialog]     <dialog> with one checkbox per category
+ *
+ * Scripts outside the strictly necessary category stay inert until their
+ * category is accepted. They are written as
+ *
+ *   <script type="text/plain" data-consent-category="marketing" data-src="...">
+ *
+ * and activateScripts() swaps in a real <script> once consent exists. Every
+ * third-party script must declare its category; validate.mjs checks this.
+ * Withdrawing consent stops js/analytics.js at once; a script that already
+ * ran is gone on the next page view.
+ */
+
+import { CATEGORIES, getConsent, hasConsent, saveConsent } from './consent.js';
+
+const OPTIONAL = CATEGORIES.filter(c => c !== 'essential');
+
+/** Runs the blocked scripts whose category the visitor has accepted. */
+export function activateScripts(root = document) {
+  root.querySelectorAll('script[type="text/plain"][data-consent-category]').forEach(blocked => {
+    if (!hasConsent(blocked.dataset.consentCategory)) return;
+    const script = document.createElement('script');
+    [...blocked.attributes]
+      .filter(attr => !['type', 'data-src'].includes(attr.name))
+      .forEach(attr => script.setAttribute(attr.name, attr.value));
+    if (blocked.dataset.src) script.src = blocked.dataset.src;
+    else script.textContent = blocked.textContent;
+    blocked.replaceWith(script);
+  });
+}
+
+/**
+ * Wires up the banner, the dialog and every [data-consent-open] control.
+ * Returns { open(), close(), destroy() }, also kept on the dialog element as
+ * `consentManager`.
+ */
+export function initConsentManager(root = document) {
+  const banner = root.querySelector('[data-consent-banner]');
+  const dialog = root.querySelector('[data-consent-dialog]');
+  if (!banner || !dialog) return null;
+  const boxes = [...dialog.querySelectorAll('input[name="consent-category"]')];
+
+  function choose(categories) {
+    saveConsent(categories);
+    banner.hidden = true;
+    if (dialog.open) dialog.close();
+  }
+  const all = () => Object.fromEntries(OPTIONAL.map(c => [c, true]));
+
+  function open() {
+    // Unchosen categories start unticked: consent has to be an action
+    const current = getConsent();
+    boxes.forEach(box => {
+      box.checked = box.value === 'essential' || current?.categories[box.value] === true;
+    });
+    if (!dialog.open) dialog.showModal();
+  }
+
+  function close() {
+    if (dialog.open) dialog.close();
+  }
+
+  const onClick = (e) => {
+    if (e.target.closest('[data-consent-accept]')) choose(all());
+    else if (e.target.closest('[data-consent-reject]')) choose({});
+    else if (e.target.closest('[data-consent-open]')) open();
+  };
+  // The dialog's buttons submit with value save/accept; Esc and the close
+  // button leave the current choice (or the banner) as it was
+  const onClose = () => {
+    if (dialog.returnValue === 'accept') choose(all());
+    else if (dialog.returnValue === 'save') choose(Object.fromEntries(boxes.map(box => [box.value, box.checked])));
+    dialog.returnValue = '';
+  };
+  const onConsentChange = () => activateScripts(root);
+
+  root.addEventListener('click', onClick);
+  dialog.addEventListener('close', onClose);
+  document.addEventListener('zen:consentchange', onConsentChange);
+
+  banner.hidden = !!getConsent();
+  activateScripts(root);
+
+  dialog.consentManager = {
+    open,
+    close,
+    destroy() {
+      root.removeEventListener('click', onClick);
+      dialog.removeEventListener('close', onClose);
+      document.removeEventListener('zen:consentchange', onConsentChange);
+    },
+  };
+  return dialog.consentManager;
+}
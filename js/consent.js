@@ -0,0 +1,51 @@
+/**
+ * Zen Website - Consent Store
+ *
+ * Remembers what the visitor agreed to under the LGPD, per category:
+ *
+ *   essential   always on; the site doesn't work without it
+ *   analytics   usage events (js/analytics.js), described under "Cookies e
+ *               Tecnologias Similares" in the privacy policy (content/legal/privacidade/)
+ *   marketing   campaign and ad measurement: the landing's utm_*, ref and
+ *               click ids (js/attribution.js)
+ *
+ * The choice is stored in localStorage as { version, at, categories }.
+ * A choice saved under an older CONSENT_VERSION counts as no choice, so the
+ * visitor is asked again when what we ask for changes. Every change is
+ * announced with a `zen:consentchange` event on document. The banner and
+ * preferences dialog that ask for it are in js/consent-manager.js.
+ */
+
+export const CONSENT_KEY = 'zenConsent';
+export const CONSENT_VERSION = 1;
+export const CATEGORIES = ['essential', 'analytics', 'marketing'];
+
+/** The stored choice for the current version, or null if the visitor hasn't chosen. */
+export function getConsent() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CONSENT_KEY));
+    return stored?.version === CONSENT_VERSION && stored.categories ? stored : null;
+  } catch {
+    return null; // storage disabled or an unreadable entry: ask again
+  }
+}
+
+export function hasConsent(category) {
+  return category === 'essential' || getConsent()?.categories[category] === true;
+}
+
+/** Saves a choice such as { analytics: true } and announces it. */
+export function saveConsent(categories, { now = () => new Date() } = {}) {
+  const consent = {
+    version: CONSENT_VERSION,
+    at: now().toISOString(),
+    categories: Object.fromEntries(CATEGORIES.map(c => [c, c === 'essential' || categories[c] === true])),
+  };
+  try {
+    localStorage.setItem(CONSENT_KEY, JSON.stringify(consent));
+  } catch {
+    // Not stored: the choice still applies to this page view
+  }
+  document.dispatchEvent(new CustomEvent('zen:consentchange', { detail: consent }));
+  return consent;
+}
@@ -0,0 +1,133 @@
+/**
+ * Zen Website - CPF
+ *
+ * Masking and check-digit validation for the CPF input of the rights-request
+ * form (js/rights-request.js). Like js/phone.js, the pure helpers
+ * (formatCpf, validateCpf, isValidCpf) have no DOM access, so
+ * server/rights.mjs imports this same file to check what it receives.
+ *
+ * A CPF is 9 digits followed by two check digits, each a weighted sum of
+ * the digits before it mod 11. Numbers made of one repeated digit pass that
+ * test but are never issued, so they're refused too.
+ */
+
+import { t } from './i18n.js';
+import { caretAfterDigits } from './phone.js';
+
+const CPF_LENGTH = 11;
+
+export const cpfDigits = (value) => String(value || '').replace(/\D/g, '');
+
+/** Applies the 000.000.000-00 mask to whatever has been typed so far. */
+export function formatCpf(value) {
+  const d = cpfDigits(value).slice(0, CPF_LENGTH);
+  if (d.length <= 3) return d;
+  if (d.length <= 6) return `${d.slice(0, 3)}.${d.slice(3)}`;
+  if (d.length <= 9) return `${d.slice(0, 3)}.${d.slice(3, 6)}.${d.slice(6)}`;
+  return `${d.slice(0, 3)}.${d.slice(3, 6)}.${d.slice(6, 9)}-${d.slice(9)}`;
+}
+
+// The check digit for `digits`: weights count down to 2 from digits.length + 1
+function checkDigit(digits) {
+  const sum = [...digits].reduce((total, digit, i) => total + Number(digit) * (digits.length + 1 - i), 0);
+  const rest = sum % 11;
+  return rest < 2 ? 0 : 11 - rest;
+}
+
+/**
+ * Returns { valid, error, digits }. `error` is a code translated by the
+ * `cpf.error.<code>` catalog keys, and `digits` (the 11 digits, no mask) is
+ * only set when the CPF is valid.
+ */
+export function validateCpf(value) {
+  const d = cpfDigits(value);
+  let error = null;
+
+  if (!d) error = 'required';
+  else if (d.length < CPF_LENGTH) error = 'incomplete';
+  else if (d.length > CPF_LENGTH) error = 'too_long';
+  else if (/^(\d)\1+$/.test(d)) error = 'invalid';
+  else if (checkDigit(d.slice(0, 9)) !== Number(d[9]) || checkDigit(d.slice(0, 10)) !== Number(d[10])) error = 'invalid';
+
+  return { valid: !error, error, digits: error ? null : d };
+}
+
+/** True for 11 digits, no mask, with valid check digits (used server-side). */
+export function isValidCpf(value) {
+  return /^\d{11}$/.test(value) && validateCpf(value).valid;
+}
+
+// ============================================================
+// DOM BINDING
+// ============================================================
+
+/**
+ * Masks `input` while typing and renders validation errors inline, right
+ * after `anchor` (defaults to the input). Errors re-render in the new
+ * language on `zen:langchange`.
+ *
+ * Returns { validate() -> { valid, error, digits }, destroy() }.
+ */
+export function attachCpfInput(input, { anchor = input } = {}) {
+  const errorEl = document.createElement('p');
+  errorEl.id = `${input.id || 'cpf'}-error`;
+  errorEl.className = 'text-[12px] font-medium text-red-500 -mt-3 mb-4 pl-1';
+  errorEl.setAttribute('role', 'alert');
+  errorEl.hidden = true;
+  anchor.insertAdjacentElement('afterend', errorEl);
+
+  let shownError = null;
+
+  function render() {
+    errorEl.hidden = !shownError;
+    errorEl.dataset.cpfError = shownError || '';
+    errorEl.textContent = shownError ? t(`cpf.error.${shownError}`) : '';
+    if (shownError) {
+      input.setAttribute('aria-invalid', 'true');
+      input.setAttribute('aria-describedby', errorEl.id);
+    } else {
+      input.removeAttribute('aria-invalid');
+      input.removeAttribute('aria-describedby');
+    }
+  }
+
+  function validate() {
+    const result = validateCpf(input.value);
+    shownError = result.error;
+    render();
+    return result;
+  }
+
+  const onInput = () => {
+    const caret = input.selectionStart ?? input.value.length;
+    const digitsBeforeCaret = input.value.slice(0, caret).replace(/\D/g, '').length;
+    const masked = formatCpf(input.value);
+    input.value = masked;
+    if (document.activeElement === input) {
+      const pos = caretAfterDigits(masked, digitsBeforeCaret);
+      input.setSelectionRange(pos, pos);
+    }
+    // Once an error is showing, keep it in sync as the visitor fixes it
+    if (shownError) {
+      shownError = validateCpf(masked).error;
+      render();
+    }
+  };
+  const onBlur = () => {
+    if (input.value) validate();
+  };
+
+  input.addEventListener('input', onInput);
+  input.addEventListener('blur', onBlur);
+  document.addEventListener('zen:langchange', render);
+
+  return {
+    validate,
+    destroy() {
+      input.removeEventListener('input', onInput);
+      input.removeEventListener('blur', onBlur);
+      document.removeEventListener('zen:langchange', render);
+      errorEl.remove();
+    },
+  };
+}
@@ -0,0 +1,123 @@
+/**
+ * Zen Website - FAQ Search
+ *
+ * Filters the FAQ accordion as the visitor types and highlights what
+ * matched with <mark>. Matching ignores case and accents ("seguranca" finds
+ * "segurança"), and every word of the query has to appear in the question
+ * or its answer. findMatches() has no DOM access, so
+ * test/faq-search.test.mjs tests it.
+ */
+
+import { t } from './i18n.js';
+
+const MARK_CLASS = 'bg-amber-100 text-inherit rounded-sm';
+
+// One folded character per source character, so match offsets map back
+const fold = (ch) => ch.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+export function queryTerms(query) {
+  return [...new Set(fold(String(query || '')).split(/\s+/).filter(Boolean))];
+}
+
+/**
+ * [start, end) ranges of `text` matching any of `terms` (from queryTerms),
+ * sorted and merged.
+ */
+export function findMatches(text, terms) {
+  const chars = [...text];
+  const starts = [];
+  let folded = '';
+  chars.forEach((ch, i) => {
+    const f = fold(ch);
+    for (let k = 0; k < f.length; k++) starts.push(i);
+    folded += f;
+  });
+  starts.push(chars.length);
+
+  const ranges = [];
+  terms.forEach(term => {
+    for (let at = folded.indexOf(term); at !== -1; at = folded.indexOf(term, at + 1)) {
+      ranges.push([starts[at], starts[at + term.length]]);
+    }
+  });
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  ranges.forEach(([start, end]) => {
+    const last = merged.at(-1);
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  });
+  // Back to UTF-16 offsets for slicing
+  const offsets = [0];
+  chars.forEach(ch => offsets.push(offsets.at(-1) + ch.length));
+  return merged.map(([start, end]) => [offsets[start], offsets[end]]);
+}
+
+function highlight(el, terms) {
+  const text = el.textContent;
+  const ranges = terms.length ? findMatches(text, terms) : [];
+  const doc = el.ownerDocument;
+  const nodes = [];
+  let pos = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > pos) nodes.push(doc.createTextNode(text.slice(pos, start)));
+    const mark = doc.createElement('mark');
+    mark.className = MARK_CLASS;
+    mark.textContent = text.slice(start, end);
+    nodes.push(mark);
+    pos = end;
+  });
+  if (pos < text.length) nodes.push(doc.createTextNode(text.slice(pos)));
+  el.replaceChildren(...nodes);
+}
+
+/**
+ * Wires the [data-faq-search] input to the accordion returned by
+ * initFaqAccordion(). Returns { filter(query) -> visible count, destroy() }.
+ */
+export function initFaqSearch(accordion, root = document) {
+  const input = root.querySelector('[data-faq-search]');
+  if (!input || !accordion) return null;
+  const box = root.querySelector('[data-faq-search-box]');
+  const status = root.querySelector('[data-faq-search-status]');
+
+  function filter(query) {
+    const terms = queryTerms(query);
+    let visible = 0;
+    accordion.items.forEach(item => {
+      const question = item.querySelector('[data-faq-question]');
+      const answer = item.querySelector('[data-faq-answer]');
+      const haystack = fold(`${question.textContent}\n${answer.textContent}`);
+      const match = terms.every(term => haystack.includes(term));
+      item.hidden = !match;
+      highlight(question, match ? terms : []);
+      highlight(answer, match ? terms : []);
+      if (match) visible++;
+    });
+
+    if (status) {
+      if (!terms.length) status.textContent = '';
+      else if (!visible) status.textContent = t('faq.search.none');
+      else status.textContent = t('faq.search.results', { count: visible, total: accordion.items.length });
+    }
+    accordion.refresh();
+    return visible;
+  }
+
+  const onInput = () => filter(input.value);
+  // switchLang rewrites the texts without marks; filter the new ones
+  const onLangChange = () => filter(input.value);
+
+  input.addEventListener('input', onInput);
+  document.addEventListener('zen:langchange', onLangChange);
+  if (box) box.hidden = false;
+
+  return {
+    filter,
+    destroy() {
+      input.removeEventListener('input', onInput);
+      document.removeEventListener('zen:langchange', onLangChange);
+    },
+  };
+}
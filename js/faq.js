@@ -0,0 +1,230 @@
+/**
+ * Zen Website - FAQ Accordion
+ *
+ * Disclosure widget for the FAQ in #faq. Each `.faq-item` carries a permanent
+ * id (faq-seguranca, faq-gratuito, ...) that support can link to:
+ *
+ *   https://aizen.io/#faq-seguranca      opens that answer and scrolls to it
+ *
+ * Opening a question puts its id in the URL (replaceState, so Back still
+ * leaves the page), and closing it takes the id out again. The language
+ * flags carry the hash along, so the same answer is open on /en/ and /es/.
+ *
+ * One answer is open at a time, except after "expand all". Answers animate
+ * through max-height, which is recalculated when switchLang swaps in text of
+ * a different length and when the viewport is resized.
+ *
+ * The questions live in one place per language, the `faq.items` array of each
+ * catalog. render-locales.mjs writes them into every page with
+ * faqItemsHtml(), along with a FAQPage JSON-LD block from faqJsonLd(), and
+ * switchLang swaps the text in place by item id.
+ *
+ * Opening an answer dispatches a bubbling `zen:faqopen` ({ id }) from the item.
+ */
+
+import { catalogValue } from './i18n.js';
+
+export const FAQ_KEY = 'faq.items';
+const ITEM = '.faq-item';
+
+// ============================================================
+// RENDERING (shared with render-locales.mjs)
+// ============================================================
+
+export const faqElementId = (item) => `faq-${item.id}`;
+
+const escapeHtml = (str) => String(str).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+
+const CHEVRON = '<svg class="faq-chevron w-5 h-5 text-slate-400 transition-transform duration-300 motion-reduce:transition-none shrink-0 ml-4" aria-hidden="true" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2"><path d="M19 9l-7 7-7-7"/></svg>';
+
+/** Accordion markup for `items`, one .faq-item each, indented to sit in index.html. */
+export function faqItemsHtml(items, indent = '') {
+  return items.map(item => {
+    const id = faqElementId(item);
+    return [
+      `<div class="faq-item bg-white rounded-2xl overflow-hidden shadow-sm scroll-mt-32" id="${id}">`,
+      '  <h3>',
+      `    <button type="button" class="faq-question w-full px-8 py-6 flex justify-between items-center text-left hover:bg-slate-50 transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-inset focus-visible:ring-aizen-blue" id="${id}-question" aria-expanded="false" aria-controls="${id}-answer">`,
+      `      <span class="font-semibold text-slate-900" data-faq-question>${escapeHtml(item.question)}</span>`,
+      `      ${CHEVRON}`,
+      '    </button>',
+      '  </h3>',
+      `  <div class="faq-answer max-h-0 overflow-hidden transition-all duration-300 motion-reduce:transition-none" id="${id}-answer" role="region" aria-labelledby="${id}-question" inert>`,
+      `    <p class="px-8 pt-2 pb-6 text-slate-500 text-[15px] leading-relaxed" data-faq-answer>${escapeHtml(item.answer)}</p>`,
+      '  </div>',
+      '</div>',
+    ].map(line => indent + line).join('\n');
+  }).join('\n\n');
+}
+
+/** schema.org FAQPage for `items`; `url` is the page the answers live on. */
+export function faqJsonLd(items, { lang, url }) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'FAQPage',
+    inLanguage: lang,
+    url,
+    mainEntity: items.map(item => ({
+      '@type': 'Question',
+      name: item.question,
+      url: `${url}#${faqElementId(item)}`,
+      acceptedAnswer: { '@type': 'Answer', text: item.answer },
+    })),
+  };
+}
+
+// ============================================================
+// ACCORDION
+// ============================================================
+
+function parts(item) {
+  const question = item.querySelector('.faq-question');
+  return {
+    question,
+    answer: item.ownerDocument.getElementById(question.getAttribute('aria-controls')),
+    chevron: item.querySelector('.faq-chevron'),
+  };
+}
+
+export function isOpen(item) {
+  return parts(item).question.getAttribute('aria-expanded') === 'true';
+}
+
+function setOpen(item, open) {
+  const { question, answer, chevron } = parts(item);
+  question.setAttribute('aria-expanded', String(open));
+  answer.inert = !open;
+  answer.style.maxHeight = open ? `${answer.scrollHeight}px` : '0px';
+  if (chevron) chevron.style.transform = open ? 'rotate(180deg)' : 'rotate(0deg)';
+}
+
+function setHash(id) {
+  const url = new URL(location.href);
+  url.hash = id ? `#${id}` : '';
+  history.replaceState(history.state, '', url.href);
+}
+
+/**
+ * Wires up the [data-faq] list and its [data-faq-toggle-all] button. The
+ * controller is also kept on the list element as `faqAccordion`:
+ * { items, open(id, { scroll }), close(id), expandAll(), collapseAll(), refresh(), destroy() }.
+ */
+export function initFaqAccordion(root = document) {
+  const list = root.querySelector('[data-faq]');
+  if (!list) return null;
+  const items = [...list.querySelectorAll(ITEM)];
+  const toggleAll = root.querySelector('[data-faq-toggle-all]');
+  const byId = (id) => items.find(item => item.id === id) || null;
+
+  function renderToggleAll() {
+    if (!toggleAll) return;
+    const allOpen = items.every(isOpen);
+    toggleAll.setAttribute('aria-expanded', String(allOpen));
+    const label = allOpen ? toggleAll.dataset.labelCollapse : toggleAll.dataset.labelExpand;
+    if (label) toggleAll.textContent = label;
+  }
+
+  function open(id, { scroll = false } = {}) {
+    const item = byId(id);
+    if (!item) return false;
+    items.forEach(other => { if (other !== item && isOpen(other)) setOpen(other, false); });
+    setOpen(item, true);
+    setHash(item.id);
+    renderToggleAll();
+    if (scroll) item.scrollIntoView({ block: 'start' });
+    item.dispatchEvent(new CustomEvent('zen:faqopen', { bubbles: true, detail: { id: item.id } }));
+    return true;
+  }
+
+  function close(id) {
+    const item = byId(id);
+    if (!item) return;
+    setOpen(item, false);
+    if (location.hash === `#${item.id}`) setHash(null);
+    renderToggleAll();
+  }
+
+  function expandAll() {
+    items.forEach(item => setOpen(item, true));
+    renderToggleAll();
+  }
+
+  function collapseAll() {
+    items.forEach(item => setOpen(item, false));
+    if (byId(location.hash.slice(1))) setHash(null);
+    renderToggleAll();
+  }
+
+  // New language: same items, new text
+  function updateText() {
+    const data = catalogValue(FAQ_KEY);
+    if (Array.isArray(data)) {
+      data.forEach(entry => {
+        const item = byId(faqElementId(entry));
+        if (!item) return;
+        item.querySelector('[data-faq-question]').textContent = entry.question;
+        item.querySelector('[data-faq-answer]').textContent = entry.answer;
+      });
+    }
+    refresh();
+  }
+
+  // Open answers keep their height in step with their text
+  function refresh() {
+    items.filter(isOpen).forEach(item => setOpen(item, true));
+    renderToggleAll();
+  }
+
+  function openFromHash() {
+    let id;
+    try {
+      id = decodeURIComponent(location.hash.slice(1));
+    } catch {
+      return; // A malformed hash (/#%) isn't a question
+    }
+    if (byId(id) && !isOpen(byId(id))) open(id, { scroll: true });
+  }
+
+  const onQuestionClick = (e) => {
+    const question = e.target.closest('.faq-question');
+    if (!question) return;
+    const item = question.closest(ITEM);
+    if (isOpen(item)) close(item.id);
+    else open(item.id);
+  };
+  const onToggleAll = () => (items.every(isOpen) ? collapseAll() : expandAll());
+  // In-page links (#faq-seguranca) are scrolled by the inline smooth-scroll
+  // handler, which cancels the navigation, so open the answer here
+  const onLinkClick = (e) => {
+    const link = e.target.closest?.('a[href^="#faq-"]');
+    if (link && byId(link.getAttribute('href').slice(1))) open(link.getAttribute('href').slice(1));
+  };
+
+  list.addEventListener('click', onQuestionClick);
+  toggleAll?.addEventListener('click', onToggleAll);
+  document.addEventListener('click', onLinkClick);
+  window.addEventListener('hashchange', openFromHash);
+  window.addEventListener('resize', refresh);
+  document.addEventListener('zen:langchange', updateText);
+
+  openFromHash();
+  renderToggleAll();
+
+  list.faqAccordion = {
+    items,
+    open,
+    close,
+    expandAll,
+    collapseAll,
+    refresh,
+    destroy() {
+      list.removeEventListener('click', onQuestionClick);
+      toggleAll?.removeEventListener('click', onToggleAll);
+      document.removeEventListener('click', onLinkClick);
+      window.removeEventListener('hashchange', openFromHash);
+      window.removeEventListener('resize', refresh);
+      document.removeEventListener('zen:langchange', updateText);
+    },
+  };
+  return list.faqAccordion;
+}
@@ -0,0 +1,234 @@
+/**
+ * Zen Website - Finance
+ *
+ * The loan math behind the simulators, with no DOM: amortization schedules,
+ * rate conversion, IOF and CET (Custo Efetivo Total), CSV export, and the
+ * page-language number reading and formatting the widgets share.
+ *
+ * Rates are percentages (2.3 means 2,3% a.m.) and amounts are reais,
+ * rounded to the cent row by row the way a bank statement shows them; the
+ * last installment absorbs the rounding so the balance ends at zero.
+ *
+ *   schedule('price', { principal: 10000, rate: 2.3, months: 24 })
+ *   loanCost({ principal: 10000, rate: 2.3, months: 24, fees: 500 })
+ *
+ * test/finance.test.mjs checks the results against worked examples.
+ */
+
+import { LOCALES, DEFAULT_LANG } from './i18n.js';
+
+export const SYSTEMS = ['price', 'sac'];
+
+// IOF on credit for individuals (Decreto 6.306/2007): a flat 0,38% on the
+// amount, plus 0,0082% a day on each repayment for up to a year. Installment
+// k is taken as due 30·k days after the loan is released.
+export const IOF_FLAT = 0.0038;
+export const IOF_DAILY = 0.000082;
+export const IOF_MAX_DAYS = 365;
+const DAYS_PER_MONTH = 30;
+
+const locale = (lang) => LOCALES[lang] || LOCALES[DEFAULT_LANG];
+export const roundCents = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// ============================================================
+// RATES
+// ============================================================
+
+/** The annual rate equivalent to a monthly one, compounded: 2% a.m. is 26,82% a.a. */
+export function annualRate(monthly) {
+  return ((1 + monthly / 100) ** 12 - 1) * 100;
+}
+
+/** The monthly rate equivalent to an annual one: 26,82% a.a. is 2% a.m. */
+export function monthlyRate(annual) {
+  return ((1 + annual / 100) ** (1 / 12) - 1) * 100;
+}
+
+// ============================================================
+// SCHEDULES
+// ============================================================
+
+function checkLoan({ principal, rate, months }) {
+  if (!(principal > 0) || !(rate >= 0) || !Number.isInteger(months) || months < 1) {
+    throw new RangeError(`Invalid loan: ${JSON.stringify({ principal, rate, months })}`);
+  }
+}
+
+/** The fixed installment (Price system) for `principal` over `months` at `rate` % a.m. */
+export function priceInstallment(principal, rate, months) {
+  const i = rate / 100;
+  return i === 0 ? principal / months : principal * i / (1 - (1 + i) ** -months);
+}
+
+/**
+ * Amortization table for `system` ('price': equal installments, 'sac':
+ * equal amortization). Rows are { month, installment, interest,
+ * amortization, balance }, the balance after that month's payment.
+ */
+export function schedule(system, { principal, rate, months }) {
+  if (!SYSTEMS.includes(system)) throw new RangeError(`Unknown amortization system: ${system}`);
+  checkLoan({ principal, rate, months });
+
+  const i = rate / 100;
+  const fixedInstallment = roundCents(priceInstallment(principal, rate, months));
+  const fixedAmortization = roundCents(principal / months);
+  const rows = [];
+  let balance = roundCents(principal);
+  for (let month = 1; month <= months; month++) {
+    const interest = roundCents(balance * i);
+    const last = month === months;
+    const amortization = last ? balance : system === 'price' ? roundCents(fixedInstallment - interest) : fixedAmortization;
+    balance = roundCents(balance - amortization);
+    rows.push({ month, installment: roundCents(interest + amortization), interest, amortization, balance });
+  }
+  return rows;
+}
+
+/** Sums a schedule: { installments, interest, amortization }. */
+export function totals(rows) {
+  return rows.reduce((sum, row) => ({
+    installments: roundCents(sum.installments + row.installment),
+    interest: roundCents(sum.interest + row.interest),
+    amortization: roundCents(sum.amortization + row.amortization),
+  }), { installments: 0, interest: 0, amortization: 0 });
+}
+
+// ============================================================
+// IOF AND CET
+// ============================================================
+
+/** IOF on a loan repaid by `rows`: the flat part on the principal plus the daily part on each amortization. */
+export function iof(rows) {
+  const principal = rows.reduce((sum, row) => sum + row.amortization, 0);
+  const daily = rows.reduce((sum, row) => sum + row.amortization * IOF_DAILY * Math.min(row.month * DAYS_PER_MONTH, IOF_MAX_DAYS), 0);
+  return roundCents(principal * IOF_FLAT + daily);
+}
+
+/**
+ * The monthly rate (%) at which `payments` (one a month, starting a month
+ * from now) are worth `received` today: the internal rate of return.
+ * Bisection, since payments are positive and the value falls as the rate rises.
+ */
+export function internalRate(received, payments) {
+  const presentValue = (rate) => payments.reduce((sum, payment, k) => sum + payment / (1 + rate) ** (k + 1), 0);
+  if (presentValue(0) <= received) return 0;
+  let low = 0;
+  let high = 1;
+  while (presentValue(high) > received) high *= 2;
+  for (let step = 0; step < 200 && high - low > 1e-12; step++) {
+    const mid = (low + high) / 2;
+    if (presentValue(mid) > received) low = mid;
+    else high = mid;
+  }
+  return ((low + high) / 2) * 100;
+}
+
+/**
+ * What a loan of `principal` really costs. IOF and `fees` (registration
+ * fee and the like, R$) are financed along with the principal, as banks
+ * usually do, so the installments are on the larger amount while the
+ * borrower receives `principal`; IOF is charged on the amount financed,
+ * which includes the IOF itself, so it's worked out until it settles.
+ * The CET is the rate that matches what's received to what's paid.
+ *
+ * Returns { system, financed, iof, fees, rows, totals, cet: { monthly, annual } }.
+ */
+export function loanCost({ principal, rate, months, system = 'price', fees = 0, withIof = true }) {
+  checkLoan({ principal, rate, months });
+  if (!(fees >= 0)) throw new RangeError(`Invalid fees: ${fees}`);
+
+  let tax = 0;
+  let rows = schedule(system, { principal: principal + fees, rate, months });
+  for (let round = 0; withIof && round < 20; round++) {
+    const next = iof(rows);
+    if (next === tax) break;
+    tax = next;
+    rows = schedule(system, { principal: roundCents(principal + fees + tax), rate, months });
+  }
+  const monthly = internalRate(principal, rows.map(row => row.installment));
+  return {
+    system,
+    financed: roundCents(principal + fees + tax),
+    iof: tax,
+    fees,
+    rows,
+    totals: totals(rows),
+    cet: { monthly, annual: annualRate(monthly) },
+  };
+}
+
+// ============================================================
+// CSV
+// ============================================================
+
+export const CSV_COLUMNS = ['month', 'installment', 'interest', 'amortization', 'balance'];
+
+const csvField = (value, delimiter) => (/["\r\n]/.test(value) || value.includes(delimiter) ? `"${value.replace(/"/g, '""')}"` : value);
+
+/**
+ * The schedule as CSV (RFC 4180, CRLF) with `headers` for CSV_COLUMNS.
+ * In languages that write decimals with a comma the delimiter is a
+ * semicolon, which is what spreadsheets in those locales expect.
+ */
+export function scheduleCsv(rows, { headers = CSV_COLUMNS, lang = DEFAULT_LANG } = {}) {
+  const decimal = decimalSeparator(lang);
+  const delimiter = decimal === ',' ? ';' : ',';
+  const amount = (value) => value.toFixed(2).replace('.', decimal);
+  const lines = [
+    headers.map(header => csvField(String(header), delimiter)).join(delimiter),
+    ...rows.map(row => CSV_COLUMNS.map(column => (column === 'month' ? String(row.month) : amount(row[column]))).join(delimiter)),
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// ============================================================
+// NUMBERS
+// ============================================================
+
+function decimalSeparator(lang) {
+  return new Intl.NumberFormat(locale(lang)).formatToParts(1.5).find(part => part.type === 'decimal').value;
+}
+
+/**
+ * Reads a number typed in `lang`: "1.234,56", "1234.56", "R$ 2.000",
+ * "3,9%". Where only one separator appears it's the decimal one unless it
+ * groups thousands ("1.200" in pt-BR), so "3.9" works in every language.
+ * Returns null for blank input and NaN for anything that isn't a number.
+ */
+export function parseDecimal(text, lang = DEFAULT_LANG) {
+  const raw = String(text ?? '').replace(/R\$|%|\s/g, '');
+  if (!raw) return null;
+  if (!/^\d[\d.,]*$/.test(raw) || /[.,]$/.test(raw)) return NaN;
+
+  const decimal = decimalSeparator(lang);
+  const group = decimal === ',' ? '.' : ',';
+  const lastComma = raw.lastIndexOf(',');
+  const lastDot = raw.lastIndexOf('.');
+  let separator = null;
+  if (lastComma >= 0 && lastDot >= 0) {
+    separator = lastComma > lastDot ? ',' : '.';
+  } else if (lastComma >= 0 || lastDot >= 0) {
+    const only = lastComma >= 0 ? ',' : '.';
+    const grouping = new RegExp(`^\\d{1,3}(\\${only}\\d{3})+$`);
+    separator = only === group && grouping.test(raw) ? null : only;
+  }
+
+  const [whole, fraction = ''] = separator ? [raw.slice(0, raw.lastIndexOf(separator)), raw.slice(raw.lastIndexOf(separator) + 1)] : [raw];
+  const wholeDigits = whole.replace(/[.,]/g, '');
+  if (/[.,]/.test(fraction) || (separator && whole.includes(separator))) return NaN;
+  return Number(`${wholeDigits || '0'}.${fraction || '0'}`);
+}
+
+/**
+ * R$ amounts in the page language: "R$ 1.200" (pt-BR), "R$1,200" (en),
+ * "1200 R$" (es); with `cents`, "R$ 1.200,00".
+ */
+export function formatBRL(value, lang = DEFAULT_LANG, { cents = false } = {}) {
+  const digits = cents ? 2 : 0;
+  return new Intl.NumberFormat(locale(lang), { style: 'currency', currency: 'BRL', currencyDisplay: 'narrowSymbol', minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value);
+}
+
+/** A rate in %: "14,5%" (pt-BR), "14.5%" (en). */
+export function formatRate(rate, lang = DEFAULT_LANG) {
+  return new Intl.NumberFormat(locale(lang), { style: 'percent', maximumFractionDigits: 2 }).format(rate / 100);
+}
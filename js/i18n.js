@@ -0,0 +1,149 @@
+/**
+ * Zen Website - Internationalization
+ *
+ * Key-based translations driven by attributes in the markup:
+ *
+ *   data-i18n="hero.h1a"                  sets textContent
+ *   data-i18n-html="sobre.h2"             sets innerHTML (catalog markup only)
+ *   data-i18n-attr="content:meta.title"   sets attributes, ";"-separated pairs
+ *
+ * Catalogs live in locales/<locale>.json as flat key -> string maps, plus
+ * `chat.conversations` for the hero phone mockup (see js/chat-player.js). index.html is the pt-BR
+ * source; render-locales.mjs applies the other catalogs at build time to
+ * produce /en/ and /es/, and the #lang-switcher links navigate between them.
+ * js/lang-policy.js picks which page a visitor should be on, and
+ * switchLang() still translates the current page in place. Company facts in
+ * catalogs are {{placeholders}} filled from js/site-config.js. validate.mjs
+ * checks that every key on the page exists in every catalog and that
+ * pt-BR.json matches the Portuguese markup.
+ */
+
+import { withSiteValues } from './site-config.js';
+
+export const LOCALES = { pt: 'pt-BR', en: 'en', es: 'es' };
+export const DEFAULT_LANG = 'pt';
+
+// Where each language's pre-rendered page lives, relative to the site root
+// (see render-locales.mjs)
+export const LOCALE_PATHS = { pt: '', en: 'en/', es: 'es/' };
+
+let currentLang = 'pt';
+let switchSeq = 0;
+let active = {};
+let fallback = {};
+const catalogs = new Map();
+
+export function getLang() {
+  return currentLang;
+}
+
+/** Maps a BCP 47 tag ('pt-BR', 'en-US', 'es') to a key of LOCALES, or null. */
+export function langFromTag(tag) {
+  const primary = String(tag || '').toLowerCase().split('-')[0];
+  return Object.keys(LOCALES).find(lang => lang === primary) || null;
+}
+
+export function loadCatalog(lang) {
+  if (!catalogs.has(lang)) {
+    const url = new URL(`../locales/${LOCALES[lang]}.json`, import.meta.url);
+    const request = fetch(url)
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status} loading ${url.pathname}`);
+        return res.json();
+      })
+      .then(catalog => withSiteValues(catalog))
+      .catch(err => {
+        catalogs.delete(lang);
+        throw err;
+      });
+    catalogs.set(lang, request);
+  }
+  return catalogs.get(lang);
+}
+
+/**
+ * Looks a key up in the active catalog, falling back to pt-BR and then to
+ * the key itself. `{name}` placeholders are filled from `vars`.
+ */
+export function t(key, vars) {
+  let value = active[key] ?? fallback[key] ?? key;
+  if (vars) value = value.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+  return value;
+}
+
+/** Raw catalog entry (e.g. the chat.conversations array), with pt-BR fallback. */
+export function catalogValue(key) {
+  return active[key] ?? fallback[key];
+}
+
+/** Parses "content:meta.title; aria-label:form.phone.label" into [attr, key] pairs. */
+export function parseAttrSpec(spec) {
+  return spec.split(';')
+    .map(pair => pair.split(':').map(part => part.trim()))
+    .filter(([attr, key]) => attr && key);
+}
+
+export function applyCatalog(root, catalog) {
+  root.querySelectorAll('[data-i18n]').forEach(el => {
+    const value = catalog[el.dataset.i18n];
+    if (typeof value === 'string') el.textContent = value;
+  });
+  root.querySelectorAll('[data-i18n-html]').forEach(el => {
+    const value = catalog[el.dataset.i18nHtml];
+    if (typeof value === 'string') el.innerHTML = value;
+  });
+  root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+    parseAttrSpec(el.dataset.i18nAttr).forEach(([attr, key]) => {
+      if (typeof catalog[key] === 'string') el.setAttribute(attr, catalog[key]);
+    });
+  });
+}
+
+function updateLangButtons(lang) {
+  document.querySelectorAll('.lang-btn').forEach(btn => {
+    btn.classList.toggle('active-lang', btn.dataset.lang === lang);
+    if (btn.dataset.lang === lang) btn.setAttribute('aria-current', 'true');
+    else btn.removeAttribute('aria-current');
+  });
+}
+
+/**
+ * Switches the page to `lang` (a key of LOCALES). Rapid calls are safe:
+ * only the most recent switch is applied once its catalog arrives.
+ */
+export function switchLang(lang) {
+  if (!LOCALES[lang]) lang = DEFAULT_LANG;
+  const seq = ++switchSeq;
+  currentLang = lang;
+  updateLangButtons(lang);
+
+  return loadCatalog(lang).then(catalog => {
+    if (seq !== switchSeq) return;
+    active = catalog;
+    applyCatalog(document, catalog);
+    document.documentElement.lang = LOCALES[lang];
+    document.dispatchEvent(new CustomEvent('zen:langchange', { detail: { lang } }));
+  }).catch(err => {
+    console.warn('[i18n] could not switch language:', err.message);
+  });
+}
+
+export function initI18n() {
+  // Pre-rendered pages declare their language; index.html is pt-BR
+  const lang = langFromTag(document.documentElement.lang) || DEFAULT_LANG;
+  currentLang = lang;
+
+  // Carry the section being read over to the other language's page
+  document.querySelectorAll('.lang-btn').forEach(link => {
+    link.addEventListener('click', () => { link.hash = location.hash; });
+  });
+  updateLangButtons(lang);
+
+  return Promise.all([loadCatalog(DEFAULT_LANG), loadCatalog(lang)]).then(([base, catalog]) => {
+    fallback = base;
+    if (currentLang !== lang) return; // switchLang() already took over
+    active = catalog;
+  }).catch(err => {
+    console.warn('[i18n] could not load catalogs:', err.message);
+  });
+}
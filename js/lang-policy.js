@@ -0,0 +1,141 @@
+/**
+ * Zen Website - Language Resolution
+ *
+ * Decides which language a visitor should see, checking in order:
+ *
+ *   1. ?lang=en              explicit override in the URL (shared links, ads)
+ *   2. saved choice          stored when the visitor picks a flag or answers
+ *                            the banner (localStorage 'zenLang')
+ *   3. navigator.languages   first supported browser language
+ *   4. pt-BR                 default
+ *
+ * An override or a saved choice sends the visitor straight to that
+ * language's page. A browser match only shows a banner offering to switch,
+ * so nobody is moved off the page they opened without being asked, and
+ * crawlers always get the page they requested. resolveLanguage() is pure
+ * and test/lang-policy.test.mjs checks the order above against it.
+ */
+
+import { LOCALES, LOCALE_PATHS, DEFAULT_LANG, langFromTag, loadCatalog } from './i18n.js';
+
+export const STORAGE_KEY = 'zenLang';
+
+/** Returns { lang, source } with source 'param' | 'saved' | 'browser' | 'default'. */
+export function resolveLanguage({ search = '', saved = null, languages = [] } = {}) {
+  const fromParam = langFromTag(new URLSearchParams(search).get('lang'));
+  if (fromParam) return { lang: fromParam, source: 'param' };
+
+  const fromSaved = langFromTag(saved);
+  if (fromSaved) return { lang: fromSaved, source: 'saved' };
+
+  for (const tag of languages) {
+    const fromBrowser = langFromTag(tag);
+    if (fromBrowser) return { lang: fromBrowser, source: 'browser' };
+  }
+
+  return { lang: DEFAULT_LANG, source: 'default' };
+}
+
+/** The language whose pages live under `pathname` ('/en/...'), or null for the pt-BR root. */
+export function langFromPath(pathname) {
+  const [segment] = String(pathname).split('/').filter(Boolean);
+  return Object.keys(LOCALE_PATHS).find(lang => LOCALE_PATHS[lang] && LOCALE_PATHS[lang] === `${segment}/`) || null;
+}
+
+export function getSavedLang() {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null; // storage disabled (private mode, embedded webviews)
+  }
+}
+
+export function saveLang(lang) {
+  try {
+    localStorage.setItem(STORAGE_KEY, lang);
+  } catch {
+    // Not remembering the choice is fine; the flags still work
+  }
+}
+
+// Same query and hash, on the given language's page
+function localeUrl(lang) {
+  const url = new URL(`../${LOCALE_PATHS[lang]}`, import.meta.url);
+  url.search = location.search;
+  url.hash = location.hash;
+  return url.href;
+}
+
+// ============================================================
+// SWITCH BANNER
+// ============================================================
+
+async function showBanner(lang, pageLang) {
+  const [offered, current] = await Promise.all([loadCatalog(lang), loadCatalog(pageLang)]);
+
+  const banner = document.createElement('div');
+  banner.id = 'lang-banner';
+  banner.setAttribute('role', 'region');
+  banner.setAttribute('aria-label', offered['lang.banner.label']);
+  banner.className = 'fixed bottom-4 left-4 right-4 sm:left-auto sm:max-w-sm z-[60] bg-white rounded-2xl border border-slate-200 shadow-xl p-4';
+
+  const message = document.createElement('p');
+  message.lang = LOCALES[lang];
+  message.className = 'text-sm text-slate-700 mb-3';
+  message.textContent = offered['lang.banner.message'];
+
+  const switchBtn = document.createElement('button');
+  switchBtn.type = 'button';
+  switchBtn.lang = LOCALES[lang];
+  switchBtn.dataset.langBanner = 'switch';
+  switchBtn.className = 'bg-aizen-blue text-white rounded-full py-2 px-4 text-[12px] font-semibold hover:bg-slate-900 transition-colors';
+  switchBtn.textContent = offered['lang.banner.switch'];
+  switchBtn.addEventListener('click', () => {
+    saveLang(lang);
+    location.assign(localeUrl(lang));
+  });
+
+  const stayBtn = document.createElement('button');
+  stayBtn.type = 'button';
+  stayBtn.dataset.langBanner = 'stay';
+  stayBtn.className = 'text-slate-500 rounded-full py-2 px-4 text-[12px] font-semibold hover:text-slate-900 transition-colors';
+  stayBtn.textContent = current['lang.banner.stay'];
+  stayBtn.addEventListener('click', () => {
+    saveLang(pageLang);
+    banner.remove();
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'flex flex-wrap gap-2';
+  actions.append(switchBtn, stayBtn);
+  banner.append(message, actions);
+  document.body.appendChild(banner);
+}
+
+/**
+ * Applies the policy to the current page. Returns the resolution so callers
+ * (and qa-browser.mjs) can see why a language was picked.
+ */
+export function initLangPolicy() {
+  const pageLang = langFromTag(document.documentElement.lang) || DEFAULT_LANG;
+  const resolved = resolveLanguage({
+    search: location.search,
+    saved: getSavedLang(),
+    languages: navigator.languages || [navigator.language],
+  });
+
+  document.querySelectorAll('.lang-btn').forEach(link => {
+    link.addEventListener('click', () => saveLang(link.dataset.lang));
+  });
+
+  if (resolved.lang !== pageLang) {
+    if (resolved.source === 'param' || resolved.source === 'saved') {
+      location.replace(localeUrl(resolved.lang));
+    } else if (resolved.source === 'browser') {
+      showBanner(resolved.lang, pageLang).catch(err => {
+        console.warn('[lang] could not show language banner:', err.message);
+      });
+    }
+  }
+  return resolved;
+}
@@ -0,0 +1,183 @@
+/**
+ * Zen Website - Loan Simulator
+ *
+ * The "simulate installments and compare rates" the Crédito and
+ * Financiamento cards promise, worked out with js/finance.js. Markup (see
+ * index.html):
+ *
+ *   [data-loan-open]          opens the simulator; data-amount, data-rate
+ *                             (% a.m.), data-months and data-system preset it
+ *   [data-loan-dialog]        <dialog> holding
+ *     form[data-loan-form]    amount, rate (+ ratePeriod: monthly/annual),
+ *                             months, system (price/sac), fees, iof
+ *     [data-loan-*]           summary outputs, the schedule's <tbody>
+ *                             ([data-loan-rows]) and the CSV button
+ *
+ * Results update as the visitor types. Numbers are read and shown in the
+ * page language; on `zen:langchange` the inputs are rewritten in the new
+ * language's format so "10.000" doesn't turn into ten.
+ */
+
+import { t, getLang, LOCALES, DEFAULT_LANG } from './i18n.js';
+import { loanCost, annualRate, monthlyRate, scheduleCsv, parseDecimal, formatBRL, formatRate, SYSTEMS } from './finance.js';
+
+export const LIMITS = { amount: [100, 10_000_000], rate: [0, 30], months: [1, 420], fees: [0, 1_000_000] };
+
+const locale = (lang) => LOCALES[lang] || LOCALES[DEFAULT_LANG];
+const formatInput = (value, lang) => new Intl.NumberFormat(locale(lang), { maximumFractionDigits: 2 }).format(value);
+
+/**
+ * Wires the dialog and every [data-loan-open] control. Returns
+ * { open(preset), close(), result(), csv(), destroy() }, also kept on the
+ * dialog element as `loanSimulator`.
+ */
+export function initLoanSimulator(root = document) {
+  const dialog = root.querySelector('[data-loan-dialog]');
+  if (!dialog) return null;
+  const form = dialog.querySelector('[data-loan-form]');
+  const field = (name) => form.elements.namedItem(name);
+  const out = (name) => dialog.querySelector(`[data-loan-${name}]`);
+  let inputLang = getLang();
+  let current = null;
+
+  // The loan in the form, or null (with the offending fields flagged) when it doesn't add up
+  function read() {
+    const number = (name) => {
+      const value = parseDecimal(field(name).value, inputLang);
+      const [min, max] = LIMITS[name];
+      const blankFees = name === 'fees' && value === null;
+      const valid = blankFees || (Number.isFinite(value) && value >= min && value <= max);
+      field(name).setAttribute('aria-invalid', valid ? 'false' : 'true');
+      return valid ? (value ?? 0) : null;
+    };
+    const amount = number('amount');
+    const typed = parseDecimal(field('rate').value, inputLang);
+    const annual = field('ratePeriod').value === 'annual';
+    const rate = Number.isFinite(typed) ? (annual ? monthlyRate(typed) : typed) : NaN;
+    const rateValid = rate >= LIMITS.rate[0] && rate <= LIMITS.rate[1];
+    field('rate').setAttribute('aria-invalid', rateValid ? 'false' : 'true');
+    const months = number('months');
+    const monthsValid = months !== null && Number.isInteger(months);
+    if (months !== null && !monthsValid) field('months').setAttribute('aria-invalid', 'true');
+    const fees = number('fees');
+    const system = SYSTEMS.find(value => value === form.querySelector('input[name="system"]:checked')?.value) || 'price';
+    if (amount === null || !rateValid || !monthsValid || fees === null) return null;
+    return { principal: amount, rate, months, system, fees, withIof: field('iof').checked };
+  }
+
+  function render() {
+    const lang = getLang();
+    const loan = read();
+    current = loan && loanCost(loan);
+    dialog.dataset.state = current ? 'result' : 'invalid';
+    out('error').hidden = !!current;
+    out('csv').disabled = !current;
+
+    const typed = parseDecimal(field('rate').value, inputLang);
+    const annual = field('ratePeriod').value === 'annual';
+    out('rate-equivalent').textContent = Number.isFinite(typed)
+      ? t(annual ? 'loan.rate.asMonthly' : 'loan.rate.asAnnual', { rate: formatRate(annual ? monthlyRate(typed) : annualRate(typed), lang) })
+      : '';
+    if (!current) {
+      out('rows').replaceChildren();
+      return null;
+    }
+
+    const money = (value) => formatBRL(value, lang, { cents: true });
+    const { rows } = current;
+    out('first').textContent = money(rows[0].installment);
+    out('last').textContent = money(rows[rows.length - 1].installment);
+    out('total').textContent = money(current.totals.installments);
+    out('interest').textContent = money(current.totals.interest);
+    out('iof').textContent = money(current.iof);
+    out('financed').textContent = money(current.financed);
+    out('cet').textContent = t('loan.cet.value', { monthly: formatRate(current.cet.monthly, lang), annual: formatRate(current.cet.annual, lang) });
+
+    out('rows').replaceChildren(...rows.map(row => {
+      const tr = document.createElement('tr');
+      [String(row.month), money(row.installment), money(row.interest), money(row.amortization), money(row.balance)].forEach((text, index) => {
+        const td = document.createElement('td');
+        td.className = index === 0 ? 'py-1.5 pr-3 text-slate-400' : 'py-1.5 pl-3 text-right tabular-nums';
+        td.textContent = text;
+        tr.append(td);
+      });
+      return tr;
+    }));
+    return current;
+  }
+
+  function csv() {
+    if (!current) return null;
+    const headers = [t('loan.col.month'), t('loan.col.installment'), t('loan.col.interest'), t('loan.col.amortization'), t('loan.col.balance')];
+    return scheduleCsv(current.rows, { headers, lang: getLang() });
+  }
+
+  function download() {
+    const text = csv();
+    if (!text) return;
+    // The byte order mark makes spreadsheet apps read the file as UTF-8
+    const url = URL.createObjectURL(new Blob([`\ufeff${text}`], { type: 'text/csv;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = t('loan.csv.file', { system: current.system, months: current.rows.length });
+    document.body.append(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  function open({ amount, rate, months, system } = {}) {
+    inputLang = getLang();
+    if (amount) field('amount').value = formatInput(Number(amount), inputLang);
+    if (rate) field('rate').value = formatInput(Number(rate), inputLang);
+    if (amount || rate) field('ratePeriod').value = 'monthly';
+    if (months) field('months').value = String(months);
+    if (SYSTEMS.includes(system)) form.querySelector(`input[name="system"][value="${system}"]`).checked = true;
+    render();
+    if (!dialog.open) dialog.showModal();
+  }
+
+  function close() {
+    if (dialog.open) dialog.close();
+  }
+
+  // Rewrites what's been typed in the new language's number format
+  function onLangChange() {
+    const lang = getLang();
+    ['amount', 'rate', 'fees'].forEach(name => {
+      const value = parseDecimal(field(name).value, inputLang);
+      if (Number.isFinite(value)) field(name).value = formatInput(value, lang);
+    });
+    inputLang = lang;
+    render();
+  }
+
+  const onClick = (e) => {
+    const opener = e.target.closest('[data-loan-open]');
+    if (opener) open(opener.dataset);
+    else if (e.target.closest('[data-loan-csv]')) download();
+  };
+  const onSubmit = (e) => {
+    e.preventDefault();
+    render();
+  };
+
+  root.addEventListener('click', onClick);
+  form.addEventListener('input', render);
+  form.addEventListener('submit', onSubmit);
+  document.addEventListener('zen:langchange', onLangChange);
+
+  dialog.loanSimulator = {
+    open,
+    close,
+    result: () => current,
+    csv,
+    destroy() {
+      root.removeEventListener('click', onClick);
+      form.removeEventListener('input', render);
+      form.removeEventListener('submit', onSubmit);
+      document.removeEventListener('zen:langchange', onLangChange);
+    },
+  };
+  return dialog.loanSimulator;
+}
@@ -0,0 +1,55 @@
+/**
+ * Zen Website - Module Entry Point
+ *
+ * Loaded by index.html as <script type="module">; build.mjs bundles it and
+ * everything it imports for production. Each feature lives in its own
+ * module under js/ and is initialized here.
+ */
+
+import { initI18n, switchLang } from './i18n.js';
+import { initMotion } from './motion.js';
+import { mountChatPlayers } from './chat-player.js';
+import { initLangPolicy } from './lang-policy.js';
+import { initSignupForms } from './signup.js';
+import { initWaitlistCounter } from './waitlist-counter.js';
+import { mountTabCarousels } from './tab-carousel.js';
+import { initFaqAccordion } from './faq.js';
+import { initFaqSearch } from './faq-search.js';
+import { initConsentManager } from './consent-manager.js';
+import { initAttribution, tagWhatsAppLinks } from './attribution.js';
+import { mountWhatsAppDirect } from './wa-direct.js';
+import { SITE_CONFIG } from './site-config.js';
+import { initOfflineSupport } from './offline.js';
+import { mountSavingsCalculators } from './savings-calculator.js';
+import { initLoanSimulator } from './loan-simulator.js';
+import { mountBankLookups } from './bank-lookup.js';
+import { createAnalytics, instrumentPage, instrumentTabCarousel, instrumentChatPlayer } from './analytics.js';
+
+// Global so qa-browser.mjs (and the console) can drive language switches
+window.switchLang = switchLang;
+
+initMotion();
+initConsentManager();
+// Before initLangPolicy, which may move the visitor to another language's page
+initAttribution();
+
+// Listens before anything else starts, so no event is missed
+const analytics = createAnalytics();
+instrumentPage(analytics);
+
+initLangPolicy();
+initSignupForms();
+initOfflineSupport();
+if (SITE_CONFIG.features.whatsappQr) mountWhatsAppDirect();
+if (SITE_CONFIG.features.waitlistCounter) initWaitlistCounter();
+mountTabCarousels().forEach(carousel => instrumentTabCarousel(analytics, carousel));
+initFaqSearch(initFaqAccordion());
+initLoanSimulator();
+
+// Chat mockups, the WhatsApp opening message, the calculator's results and the bank lookup's answers come from the catalog, so they wait for it
+initI18n().then(() => {
+  tagWhatsAppLinks();
+  mountChatPlayers().forEach(player => instrumentChatPlayer(analytics, player));
+  mountSavingsCalculators();
+  mountBankLookups();
+});
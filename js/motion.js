@@ -0,0 +1,71 @@
+/**
+ * Zen Website - Motion
+ *
+ * Smooth scrolling (Lenis), the hero entrance and the scroll reveals (GSAP).
+ * The libraries are deferred classic scripts in <head> (vendored by
+ * build.mjs) and are used through their globals, which exist by the time
+ * this module runs.
+ *
+ *   .hero-line        slides up on load
+ *   .hero-text        fades in after it (starts at opacity-0 in the markup)
+ *   .hero-card        fades and rises last
+ *   .reveal-trigger   rises into place when scrolled to
+ *
+ * In-page links (href="#section") scroll with Lenis, leaving room for the
+ * fixed nav.
+ */
+
+const NAV_OFFSET = -100;
+
+/** Starts Lenis and routes in-page links through it. Returns the Lenis instance. */
+export function initSmoothScroll(root = document) {
+  const lenis = new window.Lenis({
+    duration: 1.2,
+    easing: (t) => Math.min(1, 1.001 - Math.pow(2, -10 * t)),
+    orientation: 'vertical',
+    smoothWheel: true,
+  });
+
+  function raf(time) {
+    lenis.raf(time);
+    requestAnimationFrame(raf);
+  }
+  requestAnimationFrame(raf);
+
+  root.querySelectorAll('a[href^="#"]').forEach(anchor => {
+    anchor.addEventListener('click', (e) => {
+      const href = anchor.getAttribute('href');
+      e.preventDefault();
+      // href="#" (placeholder links) has no target to scroll to
+      const target = href.length > 1 && document.querySelector(href);
+      if (target) lenis.scrollTo(target, { offset: NAV_OFFSET });
+    });
+  });
+  return lenis;
+}
+
+export function initAnimations(root = document) {
+  const { gsap, ScrollTrigger } = window;
+  gsap.registerPlugin(ScrollTrigger);
+
+  gsap.timeline()
+    .from('.hero-line', { y: 100, opacity: 0, duration: 1, stagger: 0.15, ease: 'power3.out' })
+    .to('.hero-text', { opacity: 1, duration: 1, stagger: 0.1, ease: 'power2.out' }, '-=0.8')
+    .to('.hero-card', { opacity: 1, y: 0, duration: 1, stagger: 0.2, ease: 'power2.out' }, '-=0.8');
+
+  root.querySelectorAll('.reveal-trigger').forEach(el => {
+    gsap.from(el, {
+      scrollTrigger: { trigger: el, start: 'top 90%', toggleActions: 'play none none reverse' },
+      y: 40,
+      opacity: 0,
+      duration: 0.8,
+      ease: 'power3.out',
+    });
+  });
+}
+
+export function initMotion() {
+  const lenis = initSmoothScroll();
+  initAnimations();
+  return lenis;
+}
@@ -0,0 +1,26 @@
+/**
+ * Zen Website - Offline Page Entry Point
+ *
+ * Loaded by offline.html, which sw.js serves when a page that isn't cached
+ * is opened without a connection. The page is pt-BR; it switches to the
+ * language of the URL that was requested (/en/..., /es/...), otherwise to
+ * the one js/lang-policy.js resolves. Its signup form goes through the
+ * service worker's queue like the ones on the main page.
+ */
+
+import { initI18n, switchLang, getLang } from './i18n.js';
+import { resolveLanguage, getSavedLang, langFromPath } from './lang-policy.js';
+import { bindSignupForm } from './signup.js';
+import { initAttribution } from './attribution.js';
+import { initOfflineSupport } from './offline.js';
+
+initOfflineSupport();
+initAttribution();
+document.querySelectorAll('#offline-form').forEach(bindSignupForm);
+document.querySelector('[data-offline-retry]')?.addEventListener('click', () => location.reload());
+
+const lang = langFromPath(location.pathname)
+  || resolveLanguage({ search: location.search, saved: getSavedLang(), languages: navigator.languages }).lang;
+initI18n().then(() => {
+  if (lang !== getLang()) return switchLang(lang);
+});
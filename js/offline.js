@@ -0,0 +1,31 @@
+/**
+ * Zen Website - Offline Support
+ *
+ * Registers the service worker (sw.js at the site root, next to the pages it
+ * controls), which precaches the site and queues signups made without a
+ * connection. Browsers with Background Sync send the queue on their own; for
+ * the rest, every page asks the worker to send it when the connection comes
+ * back or the page opens online.
+ */
+
+export const SW_URL = new URL('../sw.js', import.meta.url);
+export const SW_SCOPE = new URL('../', import.meta.url);
+export const REPLAY_MESSAGE = { type: 'zen:replay-signups' };
+
+export function requestReplay() {
+  navigator.serviceWorker?.controller?.postMessage(REPLAY_MESSAGE);
+}
+
+/** Registers sw.js. Resolves with the registration, or null where service workers aren't available. */
+export function initOfflineSupport() {
+  if (!('serviceWorker' in navigator)) return Promise.resolve(null);
+
+  window.addEventListener('online', requestReplay);
+  navigator.serviceWorker.addEventListener('controllerchange', () => { if (navigator.onLine) requestReplay(); });
+  if (navigator.onLine) requestReplay();
+
+  return navigator.serviceWorker.register(SW_URL, { scope: SW_SCOPE.pathname }).catch(err => {
+    console.warn('[offline] service worker not registered:', err.message);
+    return null;
+  });
+}
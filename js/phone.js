@@ -0,0 +1,178 @@
+/**
+ * Zen Website - Brazilian Phone Numbers
+ *
+ * Masking, validation and E.164 normalization for the WhatsApp inputs in
+ * #hero-form and #bottom-cta-form. The pure helpers (formatPhone,
+ * validatePhone, toE164) have no DOM access, so server/signup.mjs imports
+ * this same file to validate what it receives.
+ *
+ * A valid number is a mobile: 2-digit DDD from the Anatel list followed by
+ * 9 digits starting with 9 (the "nono dígito").
+ */
+
+import { t } from './i18n.js';
+
+// Anatel area codes (DDD) in use
+export const DDD_CODES = new Set([
+  11, 12, 13, 14, 15, 16, 17, 18, 19,
+  21, 22, 24, 27, 28,
+  31, 32, 33, 34, 35, 37, 38,
+  41, 42, 43, 44, 45, 46, 47, 48, 49,
+  51, 53, 54, 55,
+  61, 62, 63, 64, 65, 66, 67, 68, 69,
+  71, 73, 74, 75, 77, 79,
+  81, 82, 83, 84, 85, 86, 87, 88, 89,
+  91, 92, 93, 94, 95, 96, 97, 98, 99,
+].map(String));
+
+const NATIONAL_LENGTH = 11;
+
+/**
+ * Digits of the national number: strips the +55 country code and the
+ * leading trunk 0 so pasted numbers ("+55 11 9...", "011 9...") still work.
+ * The country code is only told apart from DDD 55 once there are more digits
+ * than a national number holds, so "+55 11 9..." typed key by key reads as
+ * DDD 55 until the 12th digit.
+ */
+export function nationalDigits(value) {
+  let digits = String(value || '').replace(/\D/g, '');
+  if (digits.length > NATIONAL_LENGTH && digits.startsWith('55')) digits = digits.slice(2);
+  if (digits.startsWith('0')) digits = digits.replace(/^0+/, '');
+  return digits;
+}
+
+/** Applies the (11) 99999-0000 mask to whatever has been typed so far. */
+export function formatPhone(value) {
+  const d = nationalDigits(value).slice(0, NATIONAL_LENGTH);
+  if (!d) return '';
+  if (d.length <= 2) return `(${d}`;
+  if (d.length <= 7) return `(${d.slice(0, 2)}) ${d.slice(2)}`;
+  return `(${d.slice(0, 2)}) ${d.slice(2, 7)}-${d.slice(7)}`;
+}
+
+/**
+ * Returns { valid, error, e164 }. `error` is a code translated by the
+ * `phone.error.<code>` catalog keys, and
+ * `e164` is only set when the number is valid.
+ */
+export function validatePhone(value) {
+  const d = nationalDigits(value);
+  let error = null;
+
+  if (!d) error = 'required';
+  else if (d.length > 2 && !DDD_CODES.has(d.slice(0, 2))) error = 'invalid_ddd';
+  else if (d.length > 2 && d[2] !== '9') error = 'not_mobile';
+  else if (d.length < NATIONAL_LENGTH) error = 'incomplete';
+  else if (d.length > NATIONAL_LENGTH) error = 'too_long';
+
+  return { valid: !error, error, e164: error ? null : `+55${d}` };
+}
+
+export function toE164(value) {
+  return validatePhone(value).e164;
+}
+
+/** True for a string already in +55 DDD 9XXXXXXXX form (used server-side). */
+export function isBrazilianMobileE164(value) {
+  return /^\+55\d{11}$/.test(value) && validatePhone(value.slice(3)).valid;
+}
+
+// ============================================================
+// DOM BINDING
+// ============================================================
+
+// Places the caret after the same number of digits it followed before masking
+// (js/cpf.js masks the same way)
+export function caretAfterDigits(formatted, digitCount) {
+  if (digitCount === 0) return 0;
+  let seen = 0;
+  for (let i = 0; i < formatted.length; i++) {
+    if (/\d/.test(formatted[i]) && ++seen === digitCount) return i + 1;
+  }
+  return formatted.length;
+}
+
+/**
+ * Masks `input` while typing and renders validation errors inline, right
+ * after `anchor` (defaults to the input's form). Errors re-render in the new
+ * language on `zen:langchange`, which switchLang dispatches.
+ *
+ * Returns { validate() -> { valid, error, e164 }, clear(), destroy() }.
+ */
+export function attachPhoneInput(input, { anchor = input.form || input } = {}) {
+  const errorEl = document.createElement('p');
+  errorEl.id = `${input.form?.id || input.id || 'phone'}-phone-error`;
+  errorEl.className = 'text-[12px] font-medium text-red-500 -mt-3 mb-4 pl-1';
+  errorEl.setAttribute('role', 'alert');
+  errorEl.hidden = true;
+  anchor.insertAdjacentElement('afterend', errorEl);
+
+  let shownError = null;
+  let touched = false;
+
+  function render() {
+    errorEl.hidden = !shownError;
+    errorEl.dataset.phoneError = shownError || '';
+    errorEl.textContent = shownError ? t(`phone.error.${shownError}`) : '';
+    if (shownError) {
+      input.setAttribute('aria-invalid', 'true');
+      input.setAttribute('aria-describedby', errorEl.id);
+    } else {
+      input.removeAttribute('aria-invalid');
+      input.removeAttribute('aria-describedby');
+    }
+  }
+
+  function validate() {
+    const result = validatePhone(input.value);
+    touched = true;
+    shownError = result.error;
+    render();
+    return result;
+  }
+
+  input.addEventListener('input', (e) => {
+    const before = input.value;
+    const caret = input.selectionStart ?? before.length;
+    let digitsBeforeCaret = before.slice(0, caret).replace(/\D/g, '').length;
+    let digits = before.replace(/\D/g, '');
+
+    // Backspace over a mask character ("-", ")", " ") deletes the digit before it
+    if (e.inputType === 'deleteContentBackward' && formatPhone(digits) === input.dataset.lastMasked) {
+      digits = digits.slice(0, digitsBeforeCaret - 1) + digits.slice(digitsBeforeCaret);
+      digitsBeforeCaret = Math.max(0, digitsBeforeCaret - 1);
+    }
+
+    const masked = formatPhone(digits);
+    input.value = masked;
+    input.dataset.lastMasked = masked;
+    if (document.activeElement === input) {
+      const pos = caretAfterDigits(masked, digitsBeforeCaret);
+      input.setSelectionRange(pos, pos);
+    }
+
+    // Once an error is showing, keep it in sync as the visitor fixes it
+    if (touched && shownError) {
+      shownError = validatePhone(masked).error;
+      render();
+    }
+  });
+
+  input.addEventListener('blur', () => {
+    if (input.value) validate();
+  });
+
+  document.addEventListener('zen:langchange', render);
+
+  return {
+    validate,
+    clear() {
+      shownError = null;
+      render();
+    },
+    destroy() {
+      document.removeEventListener('zen:langchange', render);
+      errorEl.remove();
+    },
+  };
+}
@@ -0,0 +1,346 @@
+/**
+ * Zen Website - QR Code Encoder
+ *
+ * Turns a string into a QR code (ISO/IEC 18004) in the browser, so the
+ * "open in WhatsApp" panel (js/wa-direct.js) never sends the link to a
+ * third-party image service. Byte mode only, which covers any URL; the
+ * smallest version that fits is picked and the mask with the lowest penalty
+ * is applied, as the standard asks.
+ *
+ *   const qr = encodeQr('https://wa.me/5511999999999');
+ *   qr.size               modules per side (21 for version 1, +4 per version)
+ *   qr.modules[y][x]      true for dark
+ *   qrSvg(qr)             standalone <svg> markup with a quiet zone
+ *
+ * No DOM access, so test/qr.test.mjs can test it.
+ */
+
+// Error correction levels: recoverable share of the code, format bits
+export const ECC = {
+  L: { ordinal: 0, formatBits: 1 },
+  M: { ordinal: 1, formatBits: 0 },
+  Q: { ordinal: 2, formatBits: 3 },
+  H: { ordinal: 3, formatBits: 2 },
+};
+
+// Per level, indexed by version (1-40; index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+];
+const ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+];
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+const bit = (value, i) => ((value >>> i) & 1) !== 0;
+
+// ============================================================
+// CAPACITY
+// ============================================================
+
+function rawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const align = Math.floor(version / 7) + 2;
+    result -= (25 * align - 10) * align - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function dataCodewords(version, ecl) {
+  return Math.floor(rawDataModules(version) / 8)
+    - ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version] * ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+}
+
+function alignmentPositions(version) {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = version * 4 + 10; result.length < count; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+// ============================================================
+// REED-SOLOMON
+// ============================================================
+
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function rsRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  data.forEach(b => {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+  });
+  return result;
+}
+
+// Splits the data into blocks, adds each block's ECC and interleaves them
+function addEccAndInterleave(data, version, ecl) {
+  const blocks = ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+  const eccLen = ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version];
+  const raw = Math.floor(rawDataModules(version) / 8);
+  const shortBlocks = blocks - (raw % blocks);
+  const shortLen = Math.floor(raw / blocks);
+  const divisor = rsDivisor(eccLen);
+
+  const all = [];
+  for (let i = 0, k = 0; i < blocks; i++) {
+    const dat = data.slice(k, k + shortLen - eccLen + (i < shortBlocks ? 0 : 1));
+    k += dat.length;
+    const ecc = rsRemainder(dat, divisor);
+    if (i < shortBlocks) dat.push(0); // placeholder, skipped below
+    all.push(dat.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < all[0].length; i++) {
+    all.forEach((block, j) => {
+      if (i !== shortLen - eccLen || j >= shortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+// ============================================================
+// MATRIX
+// ============================================================
+
+function createMatrix(version) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with their separators
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  });
+
+  // Alignment patterns, except where they would overlap a finder
+  const positions = alignmentPositions(version);
+  const last = positions.length - 1;
+  positions.forEach((cy, i) => positions.forEach((cx, j) => {
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+
+  // Version information (7 and up)
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, bit(bits, i));
+      set(b, a, bit(bits, i));
+    }
+  }
+
+  return { size, modules, reserved, set };
+}
+
+function drawFormatBits(matrix, ecl, mask) {
+  const { size, set } = matrix;
+  const data = (ecl.formatBits << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+
+  for (let i = 0; i <= 5; i++) set(8, i, bit(bits, i));
+  set(8, 7, bit(bits, 6));
+  set(8, 8, bit(bits, 7));
+  set(7, 8, bit(bits, 8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(bits, i));
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(bits, i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(bits, i));
+  set(8, size - 8, true); // the dark module
+}
+
+// Places the codewords in the two-column zigzag, bottom right first
+function drawCodewords(matrix, codewords) {
+  const { size, modules, reserved } = matrix;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5; // skip the vertical timing pattern
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!reserved[y][x] && i < codewords.length * 8) {
+          modules[y][x] = bit(codewords[i >>> 3], 7 - (i & 7));
+          i++;
+        }
+      }
+    }
+  }
+}
+
+function applyMask(matrix, mask) {
+  const { size, modules, reserved } = matrix;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!reserved[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+}
+
+// The standard's penalty rules: long runs, 2x2 blocks, finder look-alikes, balance
+function penalty({ size, modules }) {
+  let score = 0;
+  const FINDER_LIKE = ['10111010000', '00001011101'];
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map(row => row[i]));
+  }
+  lines.forEach(line => {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) score += 3 + (run - 5);
+        run = 1;
+      }
+    }
+    const text = line.map(dark => (dark ? '1' : '0')).join('');
+    FINDER_LIKE.forEach(pattern => {
+      for (let at = text.indexOf(pattern); at !== -1; at = text.indexOf(pattern, at + 1)) score += 40;
+    });
+  });
+
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x < size - 1 && y < size - 1) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+  }
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return score;
+}
+
+// ============================================================
+// ENCODER
+// ============================================================
+
+/**
+ * Encodes `text` as UTF-8 bytes. Throws a RangeError when it doesn't fit in
+ * version 40 at the requested level.
+ */
+export function encodeQr(text, { ecl = 'M' } = {}) {
+  const level = ECC[ecl];
+  if (!level) throw new TypeError(`Unknown error correction level "${ecl}"`);
+  const bytes = [...new TextEncoder().encode(text)];
+
+  let version = 1;
+  const countBits = (v) => (v <= 9 ? 8 : 16);
+  while (4 + countBits(version) + bytes.length * 8 > dataCodewords(version, level) * 8) {
+    if (++version > 40) throw new RangeError(`Text too long for a QR code (${bytes.length} bytes)`);
+  }
+
+  // Mode indicator, length, data, terminator, then padding to capacity
+  const bits = [];
+  const push = (value, length) => { for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+  push(0b0100, 4);
+  push(bytes.length, countBits(version));
+  bytes.forEach(b => push(b, 8));
+  const capacity = dataCodewords(version, level) * 8;
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8);
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+  const codewords = addEccAndInterleave(data, version, level);
+
+  let best = null;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    const matrix = createMatrix(version);
+    drawFormatBits(matrix, level, 0); // reserve the format area before placing data
+    drawCodewords(matrix, codewords);
+    applyMask(matrix, mask);
+    drawFormatBits(matrix, level, mask);
+    const score = penalty(matrix);
+    if (!best || score < best.score) best = { score, mask, matrix };
+  }
+
+  return { version, ecl, mask: best.mask, size: best.matrix.size, modules: best.matrix.modules };
+}
+
+/** SVG markup for `qr`, dark modules in currentColor, with a `border`-module quiet zone. */
+export function qrSvg(qr, { border = 4, title = '' } = {}) {
+  const side = qr.size + border * 2;
+  let path = '';
+  qr.modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) path += `M${x + border} ${y + border}h1v1h-1z`;
+  }));
+  const label = title ? `<title>${title.replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]))}</title>` : '';
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${side} ${side}" shape-rendering="crispEdges" role="img">${label}`
+    + `<rect width="${side}" height="${side}" fill="#fff"/><path d="${path}" fill="currentColor"/></svg>`;
+}
@@ -0,0 +1,62 @@
+/**
+ * Zen Website - JSON Requests
+ *
+ * The POST both form modules send to their service: js/signup.js to
+ * server/signup.mjs, js/rights-request.js to server/rights.mjs. The services
+ * answer `{ ok: true, ... }` or `{ ok: false, error }`; anything else, a
+ * timeout or no network at all rejects with a RequestError, whose `retryable`
+ * flag tells the form whether to offer sending again.
+ */
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+export class RequestError extends Error {
+  constructor(message, { status = 0, retryable = true } = {}) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+/** A v4 UUID for a request the service dedupes on. */
+export function newRequestId() {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  // Fallback for older Safari: RFC 4122 v4 from getRandomValues
+  const b = crypto.getRandomValues(new Uint8Array(16));
+  b[6] = (b[6] & 0x0f) | 0x40;
+  b[8] = (b[8] & 0x3f) | 0x80;
+  const h = Array.from(b, x => x.toString(16).padStart(2, '0')).join('');
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(16, 20)}-${h.slice(20)}`;
+}
+
+/**
+ * POSTs `payload` as JSON. Resolves with the server's `{ ok: true, ... }`
+ * body, rejects with a RequestError: retryable on network errors, timeouts,
+ * 408, 429 and 5xx, not on other refusals (`status` says which).
+ */
+export async function postJson(endpoint, payload, { timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  let response;
+  try {
+    response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: controller.signal,
+    });
+  } catch (err) {
+    throw new RequestError(err.name === 'AbortError' ? 'Request timed out' : 'Network error');
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body?.ok) {
+    const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+    throw new RequestError(body?.error || `HTTP ${response.status}`, { status: response.status, retryable });
+  }
+  return body;
+}
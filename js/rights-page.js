@@ -0,0 +1,14 @@
+/**
+ * Zen Website - Rights Request Pages Entry Point
+ *
+ * Loaded by the privacy policy page, for its rights-request form, and by
+ * privacidade/protocolo/, where a request is followed by its protocol (both
+ * rendered by render-legal.mjs). The pages are pt-BR, like the policies;
+ * the catalog supplies the messages the forms show as they go.
+ */
+
+import { initI18n } from './i18n.js';
+import { mountRightsForms } from './rights-request.js';
+
+initI18n();
+mountRightsForms();
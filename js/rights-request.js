@@ -0,0 +1,367 @@
+/**
+ * Zen Website - Data Subject Rights Requests
+ *
+ * The LGPD (art. 18) rights a titular can exercise from the privacy page,
+ * and the two forms that go with them. Markup (rendered by render-legal.mjs):
+ *
+ *   form[data-rights-form]     privacidade/: the right, name, CPF, WhatsApp,
+ *                              optional e-mail and details, and the
+ *                              "I'm the data subject" box; posts to its
+ *                              `action` (server/rights.mjs)
+ *   form[data-rights-lookup]   privacidade/protocolo/: protocol and CPF;
+ *                              ?protocolo= fills the first
+ *
+ * Each stored request gets a protocol number and a response deadline:
+ * RESPONSE_DAYS calendar days from the day it was made, in São Paulo
+ * (LGPD art. 19, II). The pure helpers below have no DOM access, so
+ * server/rights.mjs imports this same file. CPF and WhatsApp are checked
+ * and masked by js/cpf.js and js/phone.js.
+ */
+
+import { t, getLang, LOCALES, DEFAULT_LANG } from './i18n.js';
+import { attachCpfInput } from './cpf.js';
+import { attachPhoneInput } from './phone.js';
+import { postJson, newRequestId } from './request.js';
+
+/** In the order the form lists them; labels are `rights.right.<right>` in the catalogs. */
+export const RIGHTS = ['access', 'correction', 'deletion', 'portability', 'consent-revocation'];
+/** Where a request stands; set by the privacy team in the store. Labels are `rights.status.<status>`. */
+export const REQUEST_STATUSES = ['received', 'in-progress', 'completed', 'denied'];
+const OPEN_STATUSES = ['received', 'in-progress'];
+
+export const RESPONSE_DAYS = 15;
+export const RIGHTS_TIME_ZONE = 'America/Sao_Paulo';
+export const MAX_NAME = 120;
+export const MAX_DETAILS = 2000;
+
+// Protocols are the request date and six characters that can't be misread (no 0/O, 1/I)
+export const PROTOCOL_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+export const PROTOCOL_PATTERN = /^\d{8}-[2-9A-HJ-NP-Z]{6}$/;
+
+/** "20261019 k7m3qx" -> "20261019-K7M3QX"; anything that still isn't a protocol comes back as typed. */
+export function normalizeProtocol(value) {
+  const compact = String(value || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+  return /^\d{8}[0-9A-Z]{6}$/.test(compact) ? `${compact.slice(0, 8)}-${compact.slice(8)}` : String(value || '').trim();
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SAO_PAULO_DATE = new Intl.DateTimeFormat('en-CA', { timeZone: RIGHTS_TIME_ZONE, year: 'numeric', month: '2-digit', day: '2-digit' });
+
+/** The calendar day `at` falls on in São Paulo, as YYYY-MM-DD. */
+export const requestDate = (at) => SAO_PAULO_DATE.format(new Date(at));
+
+/** The last day to answer a request made at `at`, as YYYY-MM-DD. */
+export function responseDeadline(at) {
+  return new Date(Date.parse(`${requestDate(at)}T00:00:00Z`) + RESPONSE_DAYS * DAY_MS).toISOString().slice(0, 10);
+}
+
+/** Whole days from today (in São Paulo) to `deadline`: 0 on the day itself, negative once it has passed. */
+export function daysLeft(deadline, now = new Date()) {
+  return Math.round((Date.parse(`${deadline}T00:00:00Z`) - Date.parse(`${requestDate(now)}T00:00:00Z`)) / DAY_MS);
+}
+
+/** A YYYY-MM-DD date, written out in `lang`. */
+export function formatRequestDate(isoDate, lang = getLang()) {
+  return new Intl.DateTimeFormat(LOCALES[lang] || LOCALES[DEFAULT_LANG], { dateStyle: 'long', timeZone: 'UTC' }).format(new Date(`${isoDate}T00:00:00Z`));
+}
+
+// ============================================================
+// DOM BINDING
+// ============================================================
+
+const ERROR_CLASS = 'text-[12px] font-medium text-red-500 -mt-3 mb-4 pl-1';
+
+// The line under a form: "sending", or an error with an optional retry
+function setState(form, state, { message, onRetry } = {}) {
+  const status = form.querySelector('[data-rights-status]');
+  const button = form.querySelector('button[type="submit"]');
+  form.dataset.state = state;
+  form.setAttribute('aria-busy', state === 'loading' ? 'true' : 'false');
+  button.disabled = state === 'loading';
+  status.replaceChildren();
+  status.hidden = state === 'idle';
+  status.classList.toggle('is-error', state === 'error' || state === 'invalid');
+  if (state === 'loading') {
+    status.textContent = t('form.loading');
+  } else if (message) {
+    const text = document.createElement('span');
+    text.textContent = message;
+    status.append(text);
+    if (onRetry) {
+      const retry = document.createElement('button');
+      retry.type = 'button';
+      retry.textContent = t('form.retry');
+      retry.addEventListener('click', onRetry);
+      status.append(' ', retry);
+    }
+  }
+}
+
+// Shows (key) or clears (null) the error under one of the plain fields
+function fieldError(el, key) {
+  const id = `${el.id}-error`;
+  let errorEl = document.getElementById(id);
+  if (!key) {
+    errorEl?.remove();
+    el.removeAttribute('aria-invalid');
+    el.removeAttribute('aria-describedby');
+    return;
+  }
+  if (!errorEl) {
+    errorEl = document.createElement('p');
+    errorEl.id = id;
+    errorEl.className = ERROR_CLASS;
+    errorEl.setAttribute('role', 'alert');
+    (el.closest('label') || el).insertAdjacentElement('afterend', errorEl);
+  }
+  errorEl.dataset.errorKey = key;
+  errorEl.textContent = t(key);
+  el.setAttribute('aria-invalid', 'true');
+  el.setAttribute('aria-describedby', id);
+}
+
+// Errors already showing follow the page language
+function retranslateErrors(form) {
+  form.querySelectorAll('[data-error-key]').forEach(el => { el.textContent = t(el.dataset.errorKey); });
+}
+
+function paragraph(text, className) {
+  const p = document.createElement('p');
+  if (className) p.className = className;
+  p.textContent = text;
+  return p;
+}
+
+/**
+ * Wires one form[data-rights-form]. A stored request replaces the form with
+ * its protocol, its deadline and a link to follow it (data-lookup-page),
+ * and dispatches a bubbling `zen:rightsrequest` ({ protocol, right,
+ * deadline }). Returns { destroy() }, also kept as `form.rightsRequest`.
+ */
+export function initRightsRequestForm(form) {
+  const endpoint = form.getAttribute('action');
+  const field = (name) => form.elements.namedItem(name);
+  const rightGroup = form.querySelector('[data-rights-right]');
+  const cpf = attachCpfInput(field('cpf'));
+  const phone = attachPhoneInput(field('whatsapp'), { anchor: field('whatsapp') });
+  // Kept across retries so the service can dedupe a request it already stored
+  let pending = null;
+  let pendingKey = null;
+
+  // The plain fields and what's wrong with each, if anything
+  const checks = {
+    right: () => (RIGHTS.includes(form.querySelector('input[name="right"]:checked')?.value) ? null : 'rights.error.right'),
+    name: () => (/^\S{2,}( \S+)+$/.test(field('name').value.trim().replace(/\s+/g, ' ')) ? null : 'rights.error.name'),
+    email: () => (field('email').validity.valid ? null : 'rights.error.email'),
+    holder: () => (field('holder').checked ? null : 'rights.error.holder'),
+  };
+  const fieldEl = (name) => (name === 'right' ? rightGroup : field(name));
+
+  // Every field checked and marked; null when something needs fixing (the first one gets the focus)
+  function read() {
+    const errors = Object.fromEntries(Object.entries(checks).map(([name, check]) => [name, check()]));
+    Object.entries(errors).forEach(([name, key]) => fieldError(fieldEl(name), key));
+    const cpfResult = cpf.validate();
+    const phoneResult = phone.validate();
+    const order = [
+      ['right', errors.right, form.querySelector('input[name="right"]')],
+      ['name', errors.name], ['cpf', cpfResult.error], ['whatsapp', phoneResult.error],
+      ['email', errors.email], ['holder', errors.holder],
+    ];
+    const first = order.find(([, error]) => error);
+    if (first) {
+      (first[2] || field(first[0])).focus();
+      return null;
+    }
+    const email = field('email').value.trim();
+    const details = field('details').value.trim();
+    return {
+      right: form.querySelector('input[name="right"]:checked').value,
+      name: field('name').value.trim().replace(/\s+/g, ' '),
+      cpf: cpfResult.digits,
+      whatsapp: phoneResult.e164,
+      ...(email && { email }),
+      ...(details && { details: details.slice(0, MAX_DETAILS) }),
+      lang: document.documentElement.lang || 'pt-BR',
+    };
+  }
+
+  function received({ protocol, deadline }) {
+    const result = document.createElement('div');
+    result.className = 'rights-result';
+    result.dataset.rightsResult = '';
+    result.tabIndex = -1;
+    const track = document.createElement('a');
+    track.href = `${form.dataset.lookupPage}?protocolo=${encodeURIComponent(protocol)}`;
+    track.textContent = t('rights.success.track');
+    result.append(
+      paragraph(t('rights.success.title'), 'rights-result-title'),
+      paragraph(t('rights.success.protocol', { protocol })),
+      paragraph(t('rights.success.deadline', { date: formatRequestDate(deadline), days: RESPONSE_DAYS })),
+      track,
+    );
+    form.rightsRequest.destroy();
+    form.replaceWith(result);
+    result.focus();
+    result.dispatchEvent(new CustomEvent('zen:rightsrequest', { bubbles: true, detail: { protocol, right: pending.right, deadline } }));
+  }
+
+  async function send() {
+    setState(form, 'loading');
+    try {
+      received(await postJson(endpoint, pending));
+    } catch (err) {
+      setState(form, err.retryable ? 'error' : 'invalid', {
+        message: t(err.retryable ? 'rights.error.send' : 'rights.error.invalid'),
+        onRetry: err.retryable ? send : null,
+      });
+    }
+  }
+
+  const onSubmit = (e) => {
+    e.preventDefault();
+    if (form.dataset.state === 'loading') return;
+    const request = read();
+    if (!request) {
+      setState(form, 'idle');
+      return;
+    }
+    // Sent again unchanged, it's the same request
+    const key = JSON.stringify(request);
+    if (key !== pendingKey) {
+      pending = { requestId: newRequestId(), ...request };
+      pendingKey = key;
+    }
+    send();
+  };
+  // A field that's showing an error stops as soon as it's fixed
+  const onChange = (e) => {
+    const name = e.target.name;
+    if (checks[name] && fieldEl(name).getAttribute('aria-invalid') === 'true') fieldError(fieldEl(name), checks[name]());
+  };
+  const onLangChange = () => retranslateErrors(form);
+
+  form.addEventListener('submit', onSubmit);
+  form.addEventListener('change', onChange);
+  document.addEventListener('zen:langchange', onLangChange);
+
+  form.rightsRequest = {
+    destroy() {
+      form.removeEventListener('submit', onSubmit);
+      form.removeEventListener('change', onChange);
+      document.removeEventListener('zen:langchange', onLangChange);
+      cpf.destroy();
+      phone.destroy();
+    },
+  };
+  return form.rightsRequest;
+}
+
+/**
+ * Wires one form[data-rights-lookup]: protocol and CPF in, the request's
+ * right, status, dates and days left out ([data-rights-lookup-result]).
+ * Returns { lookup(), destroy() }, also kept as `form.rightsLookup`.
+ */
+export function initRightsLookup(form, { search = location.search, now = () => new Date() } = {}) {
+  const endpoint = form.getAttribute('action');
+  const protocolInput = form.elements.namedItem('protocol');
+  const result = form.parentElement.querySelector('[data-rights-lookup-result]');
+  const cpf = attachCpfInput(form.elements.namedItem('cpf'));
+  let shown = null;
+
+  const preset = new URLSearchParams(search).get('protocolo');
+  if (preset) protocolInput.value = normalizeProtocol(preset);
+
+  function render() {
+    if (!shown) {
+      result.replaceChildren();
+      result.hidden = true;
+      return;
+    }
+    const { protocol, right, status, requestedAt, deadline } = shown;
+    const rows = [
+      [t('rights.lookup.protocol'), protocol],
+      [t('rights.lookup.right'), t(`rights.right.${right}`)],
+      [t('rights.lookup.status'), t(`rights.status.${status}`)],
+      [t('rights.lookup.requested'), formatRequestDate(requestDate(requestedAt))],
+      [t('rights.lookup.deadline'), formatRequestDate(deadline)],
+    ];
+    const list = document.createElement('dl');
+    rows.forEach(([label, value]) => {
+      const dt = document.createElement('dt');
+      dt.textContent = label;
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      list.append(dt, dd);
+    });
+    const nodes = [list];
+    if (OPEN_STATUSES.includes(status)) {
+      const days = daysLeft(deadline, now());
+      const key = days > 1 ? 'rights.lookup.daysLeft' : days === 1 ? 'rights.lookup.dayLeft' : days === 0 ? 'rights.lookup.dueToday' : 'rights.lookup.overdue';
+      nodes.push(paragraph(t(key, { days }), days < 0 ? 'rights-overdue' : 'rights-days'));
+    }
+    result.replaceChildren(...nodes);
+    result.hidden = false;
+  }
+
+  async function lookup() {
+    const protocol = normalizeProtocol(protocolInput.value);
+    protocolInput.value = protocol;
+    fieldError(protocolInput, PROTOCOL_PATTERN.test(protocol) ? null : 'rights.error.protocol');
+    const cpfResult = cpf.validate();
+    shown = null;
+    render();
+    if (!PROTOCOL_PATTERN.test(protocol)) {
+      protocolInput.focus();
+      return null;
+    }
+    if (!cpfResult.valid) {
+      form.elements.namedItem('cpf').focus();
+      return null;
+    }
+
+    setState(form, 'loading');
+    try {
+      shown = await postJson(endpoint, { protocol, cpf: cpfResult.digits });
+      setState(form, 'idle');
+      render();
+      return shown;
+    } catch (err) {
+      const notFound = err.status === 404;
+      setState(form, notFound ? 'invalid' : 'error', {
+        message: t(notFound ? 'rights.lookup.notFound' : 'rights.lookup.error'),
+        onRetry: notFound ? null : lookup,
+      });
+      return null;
+    }
+  }
+
+  const onSubmit = (e) => {
+    e.preventDefault();
+    if (form.dataset.state !== 'loading') lookup();
+  };
+  const onLangChange = () => {
+    retranslateErrors(form);
+    render();
+  };
+
+  form.addEventListener('submit', onSubmit);
+  document.addEventListener('zen:langchange', onLangChange);
+
+  form.rightsLookup = {
+    lookup,
+    destroy() {
+      form.removeEventListener('submit', onSubmit);
+      document.removeEventListener('zen:langchange', onLangChange);
+      cpf.destroy();
+    },
+  };
+  return form.rightsLookup;
+}
+
+export function mountRightsForms(root = document) {
+  return [
+    ...[...root.querySelectorAll('form[data-rights-form]')].map(form => form.rightsRequest || initRightsRequestForm(form)),
+    ...[...root.querySelectorAll('form[data-rights-lookup]')].map(form => form.rightsLookup || initRightsLookup(form)),
+  ];
+}
@@ -0,0 +1,189 @@
+/**
+ * Zen Website - Savings Calculator
+ *
+ * "Quanto o Zen economizaria pra você?" in #posicionamento. Visitors enter
+ * their debts and recurring fees; the estimate updates as they type:
+ *
+ *   [data-savings-calculator]
+ *     [data-debt="card"]                 one row per type in DEBT_TYPES
+ *       input[data-field="balance"]      outstanding balance, R$
+ *       input[data-field="rate"]         monthly rate, %; blank = market average
+ *     input[data-fees]                   fees, annual fees and insurance per month
+ *     [data-calc-monthly], [data-calc-breakdown]
+ *
+ * Each debt is priced against assets/data/reference-rates.json: card and
+ * overdraft balances renegotiated into an installment loan, personal and
+ * payroll loans moved to a cheaper bank (portability), both at the table's
+ * targetRate. The saving is the interest no longer paid in a month on
+ * today's balance, so it's shown per month: it shrinks as the debt is paid
+ * down, and the markup says so next to the result, along with it being an
+ * illustration. There's no reference for how much of a fee can be avoided,
+ * so fees are listed for review and left out of the estimate.
+ *
+ * Numbers are read and written in the page language (1.234,56 in pt-BR,
+ * 1,234.56 in en, see js/finance.js) and the result is redrawn on
+ * `zen:langchange`.
+ */
+
+import { t, getLang, LOCALES, DEFAULT_LANG } from './i18n.js';
+import { parseDecimal, formatBRL, formatRate, roundCents } from './finance.js';
+
+export const RATES_URL = new URL('../assets/data/reference-rates.json', import.meta.url);
+export const DEBT_TYPES = ['card', 'overdraft', 'personal', 'payroll'];
+export const STRATEGIES = ['portability', 'renegotiation'];
+export const MAX_BALANCE = 10_000_000;
+export const MAX_RATE = 50;
+
+const locale = (lang) => LOCALES[lang] || LOCALES[DEFAULT_LANG];
+
+// ============================================================
+// REFERENCE RATES
+// ============================================================
+
+/** The reference table from a parsed reference-rates.json; throws on anything else. */
+export function parseReferenceRates(body) {
+  const debts = body?.debts;
+  const valid = typeof body?.updated === 'string' && /^\d{4}-\d{2}$/.test(body.updated)
+    && DEBT_TYPES.every(type => {
+      const entry = debts?.[type];
+      return STRATEGIES.includes(entry?.strategy) && entry.typicalRate > 0 && entry.targetRate > 0 && entry.targetRate < entry.typicalRate;
+    });
+  if (!valid) throw new Error('Unexpected reference rates');
+  return body;
+}
+
+export async function loadReferenceRates(url = RATES_URL) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status} loading ${url.pathname || url}`);
+  return parseReferenceRates(await response.json());
+}
+
+// ============================================================
+// ESTIMATE
+// ============================================================
+
+/**
+ * Monthly savings for `debts` ([{ type, balance, rate }], rate in % a.m.,
+ * null for the market average). Debts already at or below the target rate
+ * save nothing, and a debt whose rate isn't a number from 0 to MAX_RATE is
+ * left out. `fees` (R$ per month) come back as they are, to review, and
+ * aren't part of `monthly`.
+ * Returns { items: [{ type, strategy, balance, rate, targetRate, monthly }], fees, monthly }.
+ */
+export function estimateSavings({ debts = [], fees = 0 } = {}, rates) {
+  const readable = (rate) => rate == null || (Number.isFinite(rate) && rate >= 0 && rate <= MAX_RATE);
+  const items = debts.filter(debt => debt.balance > 0 && readable(debt.rate)).map(({ type, balance, rate }) => {
+    const reference = rates.debts[type];
+    if (!reference) throw new RangeError(`Unknown debt type: ${type}`);
+    const current = rate ?? reference.typicalRate;
+    const targetRate = Math.min(current, reference.targetRate);
+    return { type, strategy: reference.strategy, balance, rate: current, targetRate, monthly: roundCents(balance * (current - targetRate) / 100) };
+  });
+  const monthly = roundCents(items.reduce((sum, item) => sum + item.monthly, 0));
+  return { items, fees: fees > 0 ? roundCents(fees) : 0, monthly };
+}
+
+// ============================================================
+// WIDGET
+// ============================================================
+
+/** Wires one [data-savings-calculator]. Resolves with { estimate, render, destroy }, also kept as `el.savingsCalculator`. */
+export async function initSavingsCalculator(el, { rates } = {}) {
+  const reference = rates || await loadReferenceRates();
+  const rows = DEBT_TYPES.map(type => {
+    const row = el.querySelector(`[data-debt="${type}"]`);
+    return {
+      type,
+      label: row.querySelector('[data-debt-label]'),
+      balance: row.querySelector('[data-field="balance"]'),
+      rate: row.querySelector('[data-field="rate"]'),
+    };
+  });
+  const fees = el.querySelector('[data-fees]');
+  const monthly = el.querySelector('[data-calc-monthly]');
+  const breakdown = el.querySelector('[data-calc-breakdown]');
+  const updated = el.querySelector('[data-calc-updated]');
+
+  // Blank is null; anything unreadable or out of range is flagged and comes
+  // back as NaN, which leaves its debt (or the fees) out of the estimate
+  function read(input, max) {
+    const value = parseDecimal(input.value, getLang());
+    const valid = value === null || (Number.isFinite(value) && value >= 0 && value <= max);
+    input.setAttribute('aria-invalid', valid ? 'false' : 'true');
+    return valid ? value : NaN;
+  }
+
+  function estimate() {
+    return estimateSavings({
+      debts: rows.map(row => ({ type: row.type, balance: read(row.balance, MAX_BALANCE) ?? 0, rate: read(row.rate, MAX_RATE) })),
+      fees: read(fees, MAX_BALANCE) ?? 0,
+    }, reference);
+  }
+
+  function line(text, value) {
+    const li = document.createElement('li');
+    li.className = 'flex justify-between gap-4';
+    const what = document.createElement('span');
+    what.textContent = text;
+    li.append(what);
+    if (value !== undefined) {
+      const amount = document.createElement('span');
+      amount.className = 'font-semibold text-aizen-charcoal whitespace-nowrap';
+      amount.textContent = t('calc.result.perMonth', { value });
+      li.append(amount);
+    }
+    return li;
+  }
+
+  function render() {
+    const lang = getLang();
+    const result = estimate();
+    rows.forEach(row => { row.rate.placeholder = formatRate(reference.debts[row.type].typicalRate, lang).replace(/\s?%/, ''); });
+    monthly.textContent = formatBRL(result.monthly, lang);
+
+    const lines = result.items.filter(item => item.monthly > 0).map(item => line(t('calc.result.item', {
+      debt: rows.find(row => row.type === item.type).label.textContent.trim(),
+      strategy: item.strategy === 'portability' ? t('calc.strategy.portability') : t('calc.strategy.renegotiation'),
+      from: formatRate(item.rate, lang),
+      to: formatRate(item.targetRate, lang),
+    }), formatBRL(item.monthly, lang)));
+    if (result.fees > 0) lines.push(line(t('calc.result.fees'), formatBRL(result.fees, lang)));
+    breakdown.replaceChildren(...(lines.length ? lines : [line(t('calc.result.empty'))]));
+
+    const [year, month] = reference.updated.split('-').map(Number);
+    const date = new Intl.DateTimeFormat(locale(lang), { month: 'long', year: 'numeric', timeZone: 'UTC' }).format(Date.UTC(year, month - 1, 1));
+    updated.textContent = t('calc.updated', { date });
+    el.dataset.state = result.monthly > 0 ? 'estimate' : 'empty';
+    return result;
+  }
+
+  const onSubmit = (e) => e.preventDefault();
+  el.addEventListener('input', render);
+  el.addEventListener('submit', onSubmit);
+  document.addEventListener('zen:langchange', render);
+  render();
+
+  el.savingsCalculator = {
+    estimate,
+    render,
+    destroy() {
+      el.removeEventListener('input', render);
+      el.removeEventListener('submit', onSubmit);
+      document.removeEventListener('zen:langchange', render);
+    },
+  };
+  return el.savingsCalculator;
+}
+
+/**
+ * Mounts every [data-savings-calculator]. Without the reference rates
+ * there's nothing to estimate, so the calculator's panel
+ * ([data-savings-panel], the heading included) is hidden instead.
+ */
+export function mountSavingsCalculators(root = document) {
+  return Promise.all([...root.querySelectorAll('[data-savings-calculator]')].map(el => el.savingsCalculator || initSavingsCalculator(el).catch(err => {
+    console.warn('[calculator] reference rates unavailable:', err.message);
+    (el.closest('[data-savings-panel]') || el).hidden = true;
+    return null;
+  })));
+}
@@ -0,0 +1,137 @@
+/**
+ * Zen Website - Waitlist Signup Forms
+ *
+ * Posts #hero-form and #bottom-cta-form to the signup service (the form's
+ * `action`, served by server/signup.mjs) and walks each form through its
+ * states: idle -> loading -> success | error. The success message is only
+ * shown once the server has acknowledged the signup; on failure the visitor
+ * gets an inline error with a retry button that resends the same request
+ * (js/request.js posts it). Numbers are checked and normalized to E.164 by
+ * js/phone.js before sending, along with the campaign the visitor came from
+ * (js/attribution.js) and, when the visitor got here from the bank lookup,
+ * the bank they asked for (`data-bank-request`, set by js/bank-lookup.js).
+ * A stored signup dispatches a bubbling `zen:signup` ({ formId }) from the form.
+ * Offline, the service worker (sw.js) answers `{ ok, queued: true }` and sends
+ * the signup later; the form then says so instead, and no `zen:signup` fires.
+ */
+
+import { t } from './i18n.js';
+import { attachPhoneInput } from './phone.js';
+import { signupAttribution } from './attribution.js';
+import { postJson, newRequestId } from './request.js';
+
+function successHTML({ queued = false } = {}) {
+  return `
+    <div class="text-center py-4">
+      <p class="text-lg font-semibold text-aizen-blue mb-2">${queued ? t('form.queued.title') : t('form.success.title')}</p>
+      <p class="text-sm text-slate-500">${queued ? t('form.queued.body') : t('form.success.body')}</p>
+    </div>
+  `;
+}
+
+function getStatusEl(form) {
+  let status = form.parentElement.querySelector(`[data-form-status="${form.id}"]`);
+  if (!status) {
+    status = document.createElement('div');
+    status.dataset.formStatus = form.id;
+    status.setAttribute('role', 'status');
+    status.setAttribute('aria-live', 'polite');
+    status.className = 'text-[12px] -mt-3 mb-4 pl-1 flex items-center gap-3';
+    status.hidden = true;
+    form.insertAdjacentElement('afterend', status);
+  }
+  return status;
+}
+
+function setState(form, state, { onRetry } = {}) {
+  const button = form.querySelector('button[type="submit"]');
+  const status = getStatusEl(form);
+
+  form.dataset.state = state;
+  form.setAttribute('aria-busy', state === 'loading' ? 'true' : 'false');
+  if (button) {
+    button.disabled = state === 'loading';
+    button.classList.toggle('opacity-60', state === 'loading');
+    button.classList.toggle('cursor-wait', state === 'loading');
+  }
+
+  status.replaceChildren();
+  status.hidden = state === 'idle';
+  status.classList.toggle('text-red-500', state === 'error' || state === 'invalid');
+  status.classList.toggle('text-slate-400', state === 'loading');
+
+  if (state === 'loading') {
+    status.textContent = t('form.loading');
+  } else if (state === 'error' || state === 'invalid') {
+    const msg = document.createElement('span');
+    msg.textContent = t(state === 'invalid' ? 'form.invalid' : 'form.error');
+    status.appendChild(msg);
+    if (state === 'error' && onRetry) {
+      const retry = document.createElement('button');
+      retry.type = 'button';
+      retry.className = 'font-semibold text-aizen-blue underline underline-offset-2 hover:text-blue-700';
+      retry.textContent = t('form.retry');
+      retry.addEventListener('click', onRetry);
+      status.appendChild(retry);
+    }
+  }
+}
+
+function consentTextFor(form) {
+  const el = document.getElementById(form.dataset.consent);
+  return el ? el.textContent.trim() : '';
+}
+
+export function bindSignupForm(form) {
+  const input = form.querySelector('input[type="tel"]');
+  const endpoint = form.getAttribute('action');
+  const phone = attachPhoneInput(input);
+  // Kept across retries so the server can dedupe a signup it already stored
+  let pending = null;
+
+  input.addEventListener('input', () => { pending = null; });
+
+  async function send() {
+    setState(form, 'loading');
+    try {
+      const { queued } = await postJson(endpoint, pending);
+      getStatusEl(form).remove();
+      phone.destroy();
+      form.innerHTML = successHTML({ queued });
+      form.dataset.state = queued ? 'queued' : 'success';
+      form.removeAttribute('aria-busy');
+      if (!queued) form.dispatchEvent(new CustomEvent('zen:signup', { bubbles: true, detail: { formId: form.id } }));
+    } catch (err) {
+      setState(form, err.retryable ? 'error' : 'invalid', { onRetry: send });
+    }
+  }
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (form.dataset.state === 'loading') return;
+
+    const { valid, e164 } = phone.validate();
+    if (!valid) {
+      setState(form, 'idle');
+      input.focus();
+      return;
+    }
+
+    if (!pending) {
+      pending = {
+        requestId: newRequestId(),
+        phone: e164,
+        consentText: consentTextFor(form),
+        lang: document.documentElement.lang || 'pt-BR',
+        formId: form.id,
+        attribution: signupAttribution(),
+        ...(form.dataset.bankRequest && { bankRequest: form.dataset.bankRequest }),
+      };
+    }
+    send();
+  });
+}
+
+export function initSignupForms() {
+  document.querySelectorAll('#hero-form, #bottom-cta-form').forEach(bindSignupForm);
+}
@@ -0,0 +1,95 @@
+/**
+ * Zen Website - Site Configuration
+ *
+ * Company facts, contacts and feature toggles in one place, so changing a
+ * phone number or adding a social profile is one edit here:
+ *
+ *   catalogs      "CNPJ {{company.cnpj}}" placeholders are filled when a
+ *                 catalog is loaded (js/i18n.js, render-locales.mjs)
+ *   markup        data-site="contact.email" sets an element's text and
+ *                 data-site-href="mailto:{{contact.email}}" its href;
+ *                 render-locales.mjs writes both into every page
+ *   scripts       import SITE_CONFIG
+ *
+ * validate.mjs checks the values against SiteConfigSchema (CNPJ check
+ * digits included), checks `domain` against CNAME, and fails when a page or
+ * catalog spells one out instead of using the placeholder. render-locales.mjs
+ * builds SITE_URL from `domain`, and render-legal.mjs fills the policies'
+ * placeholders from here too.
+ */
+
+/**
+ * @typedef {object} SiteConfig
+ * @property {string} domain
+ * @property {{ legalName: string, cnpj: string, address: { street: string, number: string, district: string, city: string, state: string, postalCode: string } }} company
+ * @property {{ email: string, support: string, dpo: string, whatsapp: string }} contact   support: the policies' contact; dpo: the data protection officer's; whatsapp: digits only, with country code
+ * @property {{ discord: string|null, tiktok: string|null, reddit: string|null }} social   null until the profile exists
+ * @property {{ waitlistCounter: boolean, whatsappQr: boolean }} features
+ */
+
+/** @type {SiteConfig} */
+export const SITE_CONFIG = {
+  domain: 'aizen.io',
+  company: {
+    legalName: 'AIZEN TECNOLOGIA LTDA',
+    cnpj: '63.740.359/0001-15',
+    address: {
+      street: 'Rua Henri Dunant',
+      number: '792',
+      district: 'Santo Amaro',
+      city: 'São Paulo',
+      state: 'SP',
+      postalCode: '04709-110',
+    },
+  },
+  contact: {
+    email: 'oi@aizen.io',
+    support: 'suporte@aizen.io',
+    dpo: 'dpo@aizen.io',
+    // Pre-launch placeholder
+    whatsapp: '5511999999999',
+  },
+  social: {
+    discord: null,
+    tiktok: null,
+    reddit: null,
+  },
+  features: {
+    // Badges with the live waitlist size (js/waitlist-counter.js); off, they stay hidden
+    waitlistCounter: true,
+    // QR code for desktop visitors (js/wa-direct.js); off, everyone gets the plain link
+    whatsappQr: true,
+  },
+};
+
+// Where a social profile doesn't exist yet, its footer icon links nowhere
+export const MISSING_URL = '#';
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+/** The value at a dotted `path` ("company.address.city"), or undefined. */
+export function siteValue(path, config = SITE_CONFIG) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), config);
+}
+
+/**
+ * Fills the {{path}} placeholders in `text`. Unknown paths are left in place
+ * for validate.mjs to report; a path set to null becomes MISSING_URL.
+ */
+export function fillSiteValues(text, config = SITE_CONFIG) {
+  return text.replace(PLACEHOLDER, (match, path) => {
+    const value = siteValue(path, config);
+    if (value === null) return MISSING_URL;
+    return typeof value === 'string' || typeof value === 'number' ? String(value) : match;
+  });
+}
+
+/** A catalog with every string, however deeply nested, passed through fillSiteValues(). */
+export function withSiteValues(catalog, config = SITE_CONFIG) {
+  if (typeof catalog === 'string') return fillSiteValues(catalog, config);
+  if (Array.isArray(catalog)) return catalog.map(item => withSiteValues(item, config));
+  if (catalog && typeof catalog === 'object') {
+    return Object.fromEntries(Object.entries(catalog).map(([key, value]) => [key, withSiteValues(value, config)]));
+  }
+  return catalog;
+}
@@ -0,0 +1,181 @@
+/**
+ * Zen Website - Tab Carousel
+ *
+ * The #sobre agent cards as a WAI-ARIA tabs widget that also rotates on its
+ * own. Markup (see index.html):
+ *
+ *   [data-tab-carousel]                 root; hovering or focusing it pauses
+ *     [role=tablist]
+ *       [role=tab][aria-controls]       one per card
+ *     [data-carousel-toggle]            pause/play button; labels come from
+ *                                       data-label-pause / data-label-play
+ *     [data-carousel-slides]
+ *       [role=tabpanel]                 the cards
+ *
+ * Keyboard follows the APG tabs pattern with automatic activation: the
+ * tablist is a single Tab stop (roving tabindex), Left/Right move between
+ * tabs and wrap, Home/End jump to the first/last. Rotation stops while the
+ * pointer or keyboard focus is inside the carousel, stays off after the
+ * visitor presses pause, and never starts by itself when the visitor asks
+ * for reduced motion.
+ *
+ * Events: select ({ index, source: 'user' | 'auto' | 'init' }), play, pause.
+ */
+
+export const DEFAULT_INTERVAL = 4000;
+
+const REDUCED_MOTION = '(prefers-reduced-motion: reduce)';
+
+export class TabCarousel extends EventTarget {
+  constructor(root, { interval = DEFAULT_INTERVAL, autoplay = true } = {}) {
+    super();
+    this.root = root;
+    this.interval = interval;
+    this.tabs = [...root.querySelectorAll('[role="tab"]')];
+    this.panels = this.tabs.map(tab => root.ownerDocument.getElementById(tab.getAttribute('aria-controls')));
+    this.toggle = root.querySelector('[data-carousel-toggle]');
+    this.slides = root.querySelector('[data-carousel-slides]');
+
+    this._index = -1;
+    this._timer = null;
+    this._hovered = false;
+    this._focused = false;
+    this._motion = window.matchMedia?.(REDUCED_MOTION);
+    this.playing = autoplay && !this._motion?.matches;
+
+    this._onKeydown = (e) => this._handleKey(e);
+    this._onClick = (e) => {
+      const tab = e.target.closest('[role="tab"]');
+      if (tab && this.tabs.includes(tab)) this.select(this.tabs.indexOf(tab));
+    };
+    this._onToggle = () => (this.playing ? this.pause() : this.play());
+    this._onEnter = () => { this._hovered = true; this._schedule(); };
+    this._onLeave = () => { this._hovered = false; this._schedule(); };
+    this._onFocusIn = () => { this._focused = true; this._schedule(); };
+    this._onFocusOut = (e) => {
+      if (root.contains(e.relatedTarget)) return;
+      this._focused = false;
+      this._schedule();
+    };
+    this._onMotionChange = () => { if (this._motion.matches) this.pause(); };
+    this._onLangChange = () => this._renderToggle();
+
+    const tablist = root.querySelector('[role="tablist"]');
+    tablist.addEventListener('keydown', this._onKeydown);
+    tablist.addEventListener('click', this._onClick);
+    this.toggle?.addEventListener('click', this._onToggle);
+    root.addEventListener('mouseenter', this._onEnter);
+    root.addEventListener('mouseleave', this._onLeave);
+    root.addEventListener('focusin', this._onFocusIn);
+    root.addEventListener('focusout', this._onFocusOut);
+    this._motion?.addEventListener?.('change', this._onMotionChange);
+    document.addEventListener('zen:langchange', this._onLangChange);
+
+    const selected = this.tabs.findIndex(tab => tab.getAttribute('aria-selected') === 'true');
+    this.select(Math.max(selected, 0), { source: 'init' });
+    this._renderToggle();
+  }
+
+  get index() {
+    return this._index;
+  }
+
+  /** Shows tab `index`; moves focus to it when `focus` is set (keyboard). */
+  select(index, { focus = false, source = 'user' } = {}) {
+    const count = this.tabs.length;
+    index = ((index % count) + count) % count;
+    const changed = index !== this._index;
+    this._index = index;
+
+    this.tabs.forEach((tab, i) => {
+      const active = i === index;
+      tab.setAttribute('aria-selected', String(active));
+      tab.tabIndex = active ? 0 : -1;
+
+      const panel = this.panels[i];
+      if (!panel) return;
+      panel.style.opacity = active ? '1' : '0';
+      panel.style.transform = active ? 'translateY(0)' : 'translateY(32px)';
+      panel.style.pointerEvents = active ? 'auto' : 'none';
+      panel.inert = !active;
+      if (active) panel.removeAttribute('aria-hidden');
+      else panel.setAttribute('aria-hidden', 'true');
+    });
+
+    if (focus) this.tabs[index].focus();
+    if (changed) this.dispatchEvent(new CustomEvent('select', { detail: { index, source } }));
+    this._schedule(); // a manual pick gets the full interval before moving on
+  }
+
+  play() {
+    if (this.playing) return;
+    this.playing = true;
+    this._renderToggle();
+    this._schedule();
+    this.dispatchEvent(new Event('play'));
+  }
+
+  pause() {
+    if (!this.playing) return;
+    this.playing = false;
+    this._renderToggle();
+    this._schedule();
+    this.dispatchEvent(new Event('pause'));
+  }
+
+  /** True while the cards are actually advancing on their own. */
+  get rotating() {
+    return this.playing && !this._hovered && !this._focused;
+  }
+
+  destroy() {
+    clearTimeout(this._timer);
+    const tablist = this.root.querySelector('[role="tablist"]');
+    tablist.removeEventListener('keydown', this._onKeydown);
+    tablist.removeEventListener('click', this._onClick);
+    this.toggle?.removeEventListener('click', this._onToggle);
+    this.root.removeEventListener('mouseenter', this._onEnter);
+    this.root.removeEventListener('mouseleave', this._onLeave);
+    this.root.removeEventListener('focusin', this._onFocusIn);
+    this.root.removeEventListener('focusout', this._onFocusOut);
+    this._motion?.removeEventListener?.('change', this._onMotionChange);
+    document.removeEventListener('zen:langchange', this._onLangChange);
+  }
+
+  _handleKey(e) {
+    const keys = {
+      ArrowRight: this._index + 1,
+      ArrowLeft: this._index - 1,
+      Home: 0,
+      End: this.tabs.length - 1,
+    };
+    if (!(e.key in keys)) return;
+    e.preventDefault();
+    this.select(keys[e.key], { focus: true });
+  }
+
+  _schedule() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (this.slides) this.slides.setAttribute('aria-live', this.rotating ? 'off' : 'polite');
+    if (!this.rotating) return;
+    this._timer = setTimeout(() => this.select(this._index + 1, { source: 'auto' }), this.interval);
+  }
+
+  _renderToggle() {
+    if (!this.toggle) return;
+    const label = this.playing ? this.toggle.dataset.labelPause : this.toggle.dataset.labelPlay;
+    if (label) this.toggle.setAttribute('aria-label', label);
+    this.toggle.dataset.state = this.playing ? 'playing' : 'paused';
+  }
+}
+
+/** Mounts every [data-tab-carousel]; the instance is kept on `el.tabCarousel`. */
+export function mountTabCarousels(root = document) {
+  return [...root.querySelectorAll('[data-tab-carousel]')].map(el => {
+    if (!el.tabCarousel) {
+      el.tabCarousel = new TabCarousel(el, { interval: Number(el.dataset.interval) || DEFAULT_INTERVAL });
+    }
+    return el.tabCarousel;
+  });
+}
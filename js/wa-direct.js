@@ -0,0 +1,93 @@
+/**
+ * Zen Website - Open in WhatsApp
+ *
+ * For visitors who'd rather start the chat themselves than wait for our
+ * message. Sits next to each signup form:
+ *
+ *   [data-wa-direct="<placement>"]
+ *     a[data-wa-link][data-wa-open]   phones: opens wa.me directly
+ *     [data-wa-qr-toggle]             desktop: shows the QR panel instead
+ *     [data-wa-qr-panel]
+ *       [data-wa-qr]                  QR code of the same link (js/qr.js)
+ *       a[data-wa-link]               WhatsApp Web, for those already on it
+ *
+ * Which control shows depends on the pointer: a coarse pointer means the
+ * visitor can open WhatsApp right here. The link is the tracked one from
+ * js/attribution.js (site number, greeting in the page language, referral
+ * code), and the QR is redrawn when the language changes. Showing the QR
+ * dispatches a bubbling `zen:waqrshow` ({ placement }) for js/analytics.js.
+ */
+
+import { encodeQr, qrSvg } from './qr.js';
+import { trackedWhatsAppUrl } from './attribution.js';
+
+export const DIRECT_QUERY = '(pointer: coarse)';
+
+/** Wires one [data-wa-direct] block. Returns { mode, open, close, destroy }, also kept as `el.waDirect`. */
+export function initWhatsAppDirect(el) {
+  const placement = el.dataset.waDirect;
+  const link = el.querySelector('[data-wa-open]');
+  const toggle = el.querySelector('[data-wa-qr-toggle]');
+  const panel = el.querySelector('[data-wa-qr-panel]');
+  const qr = el.querySelector('[data-wa-qr]');
+  const media = window.matchMedia?.(DIRECT_QUERY);
+
+  const isOpen = () => !panel.hidden;
+
+  function render() {
+    qr.innerHTML = qrSvg(encodeQr(trackedWhatsAppUrl()), { title: qr.dataset.label || '' });
+  }
+
+  function open() {
+    if (isOpen()) return;
+    render();
+    panel.hidden = false;
+    toggle.setAttribute('aria-expanded', 'true');
+    el.dispatchEvent(new CustomEvent('zen:waqrshow', { bubbles: true, detail: { placement } }));
+  }
+
+  function close() {
+    panel.hidden = true;
+    toggle.setAttribute('aria-expanded', 'false');
+  }
+
+  function applyMode() {
+    const direct = !media || media.matches;
+    link.hidden = !direct;
+    toggle.hidden = direct;
+    if (direct) close();
+  }
+
+  const onToggle = () => (isOpen() ? close() : open());
+  const onKeydown = (e) => {
+    if (e.key !== 'Escape' || !isOpen()) return;
+    close();
+    toggle.focus();
+  };
+  const onLangChange = () => { if (isOpen()) render(); };
+
+  toggle.addEventListener('click', onToggle);
+  el.addEventListener('keydown', onKeydown);
+  media?.addEventListener?.('change', applyMode);
+  document.addEventListener('zen:langchange', onLangChange);
+  applyMode();
+
+  el.waDirect = {
+    get mode() {
+      return toggle.hidden ? 'link' : 'qr';
+    },
+    open,
+    close,
+    destroy() {
+      toggle.removeEventListener('click', onToggle);
+      el.removeEventListener('keydown', onKeydown);
+      media?.removeEventListener?.('change', applyMode);
+      document.removeEventListener('zen:langchange', onLangChange);
+    },
+  };
+  return el.waDirect;
+}
+
+export function mountWhatsAppDirect(root = document) {
+  return [...root.querySelectorAll('[data-wa-direct]')].map(el => el.waDirect || initWhatsAppDirect(el));
+}
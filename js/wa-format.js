@@ -0,0 +1,119 @@
+/**
+ * Zen Website - WhatsApp Text Formatting
+ *
+ * Parses WhatsApp-style markup into DOM nodes, so chat scripts never need
+ * HTML and nothing in them is ever assigned to innerHTML:
+ *
+ *   *bold*   _italic_   ~strike~   `code`   ```monospace```   newline -> <br>
+ *
+ * Emoji are plain text and pass through untouched. Markers follow WhatsApp's
+ * rules: an opening marker sits at the start or after a space/punctuation
+ * and is followed by a non-space; the closing one mirrors that, on the same
+ * line. Anything else, including "<script>" or "onerror=", stays literal
+ * text. parseFormatting() has no DOM access, so test/wa-format.test.mjs
+ * tests it in Node.
+ */
+
+const MARKERS = { '*': 'bold', '_': 'italic', '~': 'strike', '`': 'code' };
+const TAGS = { bold: 'strong', italic: 'em', strike: 's' };
+const BOUNDARY = /[\s\p{P}\p{S}]/u;
+
+function canOpen(text, i) {
+  const next = text[i + 1];
+  return (i === 0 || BOUNDARY.test(text[i - 1])) && !!next && !/\s/.test(next) && next !== text[i];
+}
+
+function findClose(text, marker, from) {
+  for (let j = from; j < text.length; j++) {
+    if (text[j] === '\n') return -1;
+    if (text[j] === marker && !/\s/.test(text[j - 1]) && (j + 1 === text.length || BOUNDARY.test(text[j + 1]))) return j;
+  }
+  return -1;
+}
+
+/**
+ * Returns a tree of { type: 'text', text } | { type: 'br' } |
+ * { type: 'code', text } | { type: 'bold' | 'italic' | 'strike', children }.
+ */
+export function parseFormatting(input) {
+  const text = String(input ?? '');
+  const nodes = [];
+  let buffer = '';
+  const flush = () => {
+    if (buffer) nodes.push({ type: 'text', text: buffer });
+    buffer = '';
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    if (text.startsWith('```', i)) {
+      const end = text.indexOf('```', i + 3);
+      if (end > i + 3) {
+        flush();
+        nodes.push({ type: 'code', text: text.slice(i + 3, end) });
+        i = end + 3;
+        continue;
+      }
+    }
+
+    const ch = text[i];
+    if (ch === '\n') {
+      flush();
+      nodes.push({ type: 'br' });
+      i++;
+      continue;
+    }
+
+    const type = MARKERS[ch];
+    if (type && canOpen(text, i)) {
+      const close = findClose(text, ch, i + 2);
+      if (close !== -1) {
+        flush();
+        const inner = text.slice(i + 1, close);
+        nodes.push(type === 'code' ? { type, text: inner } : { type, children: parseFormatting(inner) });
+        i = close + 1;
+        continue;
+      }
+    }
+
+    buffer += ch;
+    i++;
+  }
+  flush();
+  return nodes;
+}
+
+/** The text a reader sees, without markers. */
+export function toPlainText(nodes) {
+  return nodes.map(node => {
+    if (node.type === 'br') return '\n';
+    if (node.children) return toPlainText(node.children);
+    return node.text;
+  }).join('');
+}
+
+function appendNodes(parent, nodes, doc) {
+  nodes.forEach(node => {
+    if (node.type === 'text') {
+      parent.appendChild(doc.createTextNode(node.text));
+    } else if (node.type === 'br') {
+      parent.appendChild(doc.createElement('br'));
+    } else if (node.type === 'code') {
+      const code = doc.createElement('code');
+      code.className = 'font-mono text-[13px]';
+      code.textContent = node.text;
+      parent.appendChild(code);
+    } else {
+      const el = doc.createElement(TAGS[node.type]);
+      appendNodes(el, node.children, doc);
+      parent.appendChild(el);
+    }
+  });
+}
+
+/** Formatted text as a DocumentFragment built only from fixed tags and text nodes. */
+export function renderFormatted(text, doc = document) {
+  const fragment = doc.createDocumentFragment();
+  appendNodes(fragment, parseFormatting(text), doc);
+  return fragment;
+}
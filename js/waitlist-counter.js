@@ -0,0 +1,137 @@
+/**
+ * Zen Website - Waitlist Counter
+ *
+ * Shows the real waitlist size next to the signup forms. The number comes
+ * from the stats service (GET /api/stats, see server/stats.mjs) and is kept
+ * in localStorage for a few minutes so repeat page views don't refetch it.
+ *
+ * When the service can't be reached the last known count is shown if it is
+ * less than a day old; otherwise the badges stay hidden. The page never
+ * shows a number it didn't get from the service, and never counts up past it.
+ *
+ * Counts are formatted for the page language with Intl.NumberFormat
+ * (2.143 in pt-BR, 2,143 in en) and re-rendered on `zen:langchange`.
+ */
+
+import { LOCALES, DEFAULT_LANG, langFromTag } from './i18n.js';
+
+export const STATS_ENDPOINT = '/api/stats';
+export const CACHE_KEY = 'zenWaitlistStats';
+export const FRESH_MS = 5 * 60 * 1000;
+export const STALE_MS = 24 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 5000;
+const COUNT_UP_MS = 1200;
+
+/** The waitlist size from a stats response body; throws on anything else. */
+export function parseStats(body) {
+  const count = body?.waitlist;
+  if (body?.ok !== true || !Number.isSafeInteger(count) || count < 0) {
+    throw new Error('Unexpected stats response');
+  }
+  return count;
+}
+
+export function formatCount(count, lang = DEFAULT_LANG) {
+  return new Intl.NumberFormat(LOCALES[lang] || LOCALES[DEFAULT_LANG]).format(count);
+}
+
+// ============================================================
+// CACHE
+// ============================================================
+
+function readCache() {
+  try {
+    const cached = JSON.parse(localStorage.getItem(CACHE_KEY));
+    return Number.isSafeInteger(cached?.count) && Number.isFinite(cached?.fetchedAt) ? cached : null;
+  } catch {
+    return null; // storage disabled or an old, unreadable entry
+  }
+}
+
+function writeCache(count, fetchedAt) {
+  try {
+    localStorage.setItem(CACHE_KEY, JSON.stringify({ count, fetchedAt }));
+  } catch {
+    // Without a cache the count is just fetched on every page view
+  }
+}
+
+async function fetchCount(endpoint, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(endpoint, { headers: { Accept: 'application/json' }, signal: controller.signal });
+    if (!response.ok) throw new Error(`Stats service answered ${response.status}`);
+    return parseStats(await response.json());
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Resolves with { count, source } where source is 'cache', 'network' or
+ * 'stale' (service down, last known count), or with null when there is no
+ * count worth showing.
+ */
+export async function loadWaitlistCount({ endpoint = STATS_ENDPOINT, timeoutMs = REQUEST_TIMEOUT_MS, now = Date.now } = {}) {
+  const cached = readCache();
+  if (cached && now() - cached.fetchedAt < FRESH_MS) return { count: cached.count, source: 'cache' };
+
+  try {
+    const count = await fetchCount(endpoint, timeoutMs);
+    writeCache(count, now());
+    return { count, source: 'network' };
+  } catch (err) {
+    console.warn('[waitlist] stats unavailable:', err.message);
+    if (cached && now() - cached.fetchedAt < STALE_MS) return { count: cached.count, source: 'stale' };
+    return null;
+  }
+}
+
+// ============================================================
+// BADGES
+// ============================================================
+
+function pageLang() {
+  return langFromTag(document.documentElement.lang) || DEFAULT_LANG;
+}
+
+function render(counters, count) {
+  const text = formatCount(count, pageLang());
+  counters.forEach(el => { el.textContent = text; });
+}
+
+// Eases up to the real count once, on first load; never beyond it
+function countUp(counters, count) {
+  const reduceMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+  if (reduceMotion || count === 0) {
+    render(counters, count);
+    return;
+  }
+  const start = performance.now();
+  const step = (time) => {
+    const progress = Math.min((time - start) / COUNT_UP_MS, 1);
+    render(counters, Math.round((1 - Math.pow(1 - progress, 3)) * count));
+    if (progress < 1) requestAnimationFrame(step);
+  };
+  requestAnimationFrame(step);
+}
+
+/**
+ * Fills every [data-waitlist-count] and reveals its [data-waitlist-badge]
+ * groups (hidden in the markup). Resolves with loadWaitlistCount()'s result.
+ */
+export async function initWaitlistCounter(options) {
+  const counters = document.querySelectorAll('[data-waitlist-count]');
+  if (!counters.length) return null;
+
+  const result = await loadWaitlistCount(options);
+  const badges = document.querySelectorAll('[data-waitlist-badge]');
+  badges.forEach(badge => { badge.hidden = !result; });
+  if (!result) return null;
+
+  counters.forEach(el => { el.dataset.waitlistSource = result.source; });
+  countUp(counters, result.count);
+  document.addEventListener('zen:langchange', () => render(counters, result.count));
+  return result;
+}
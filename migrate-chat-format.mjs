@@ -0,0 +1,80 @@
+/**
+ * Zen Website - Chat Script Converter
+ *
+ * Converts chat messages written as HTML (`html: "Oi <strong>Tiago</strong><br>..."`)
+ * into WhatsApp-formatted text (`text: "Oi *Tiago*\n..."`), which the
+ * ChatPlayer renders through js/wa-format.js without innerHTML. Tags other
+ * than <strong>/<b>, <em>/<i>, <s>/<del>/<strike>, <code> and <br> are
+ * dropped, keeping their text. A message is left untouched, and reported,
+ * when the formatted text would read differently from the HTML.
+ *
+ * Run: node migrate-chat-format.mjs            rewrite locales/*.json
+ *      node migrate-chat-format.mjs --check    report only, exit 1 if any html remains
+ */
+
+import * as cheerio from 'cheerio';
+import { readFileSync, writeFileSync, readdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { parseFormatting, toPlainText } from './js/wa-format.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CHAT_KEY = 'chat.conversations';
+
+const WRAPPERS = { strong: '*', b: '*', em: '_', i: '_', s: '~', del: '~', strike: '~', code: '`' };
+
+function convertNode($, node) {
+  if (node.type === 'text') return node.data;
+  if (node.type !== 'tag') return '';
+  const tag = node.name.toLowerCase();
+  if (tag === 'br') return '\n';
+  const inner = $(node).contents().toArray().map(child => convertNode($, child)).join('');
+  const marker = WRAPPERS[tag];
+  if (!marker || !inner.trim()) return inner;
+  // Markers must hug the text, so move surrounding spaces outside them
+  const [, lead, body, trail] = inner.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return `${lead}${marker}${body}${marker}${trail}`;
+}
+
+/** Returns { text, ok }: ok is false when the result would not read like the HTML. */
+export function htmlToWhatsApp(html) {
+  const $ = cheerio.load(`<div id="root">${html}</div>`, null, false);
+  const text = $('#root').contents().toArray().map(node => convertNode($, node)).join('');
+  const expected = cheerio.load(`<div>${html.replace(/<br\s*\/?>/gi, '\n')}</div>`, null, false)('div').text();
+  return { text, ok: toPlainText(parseFormatting(text)) === expected };
+}
+
+export function migrateCatalog(catalog) {
+  const report = { converted: 0, skipped: [] };
+  (catalog[CHAT_KEY] || []).forEach((conv, c) => {
+    conv.messages.forEach((msg, m) => {
+      if (typeof msg.html !== 'string') return;
+      const { text, ok } = htmlToWhatsApp(msg.html);
+      if (!ok) {
+        report.skipped.push(`conversation ${c}, message ${m}`);
+        return;
+      }
+      // Same key order, with `text` where `html` was
+      conv.messages[m] = Object.fromEntries(Object.entries(msg).map(([key, value]) => (key === 'html' ? ['text', text] : [key, value])));
+      report.converted++;
+    });
+  });
+  return report;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const checkOnly = process.argv.includes('--check');
+  let remaining = 0;
+
+  for (const file of readdirSync(join(__dirname, 'locales')).filter(f => f.endsWith('.json'))) {
+    const path = join(__dirname, 'locales', file);
+    const catalog = JSON.parse(readFileSync(path, 'utf-8'));
+    const { converted, skipped } = migrateCatalog(catalog);
+    remaining += checkOnly ? converted + skipped.length : skipped.length;
+
+    console.log(`  ${file}: ${converted} message(s) ${checkOnly ? 'to convert' : 'converted'}`);
+    skipped.forEach(where => console.log(`    ! ${where} left as html (formatting would change the text)`));
+    if (!checkOnly && converted) writeFileSync(path, `${JSON.stringify(catalog, null, 2)}\n`);
+  }
+  process.exit(remaining ? 1 : 0);
+}
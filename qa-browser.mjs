@@ -11,8 +11,17 @@
  */
 
 import { chromium } from 'playwright';
+import { readFileSync } from 'fs';
+import { createSignupServer } from './server/signup.mjs';
+import { createMemoryStore } from './server/stores.mjs';
+import { createStatsServer } from './server/stats.mjs';
+import { createEventsServer } from './server/events.mjs';
+import { createRightsServer } from './server/rights.mjs';
+import { CONSENT_KEY, CONSENT_VERSION } from './js/consent.js';
+import { SITE_CONFIG } from './js/site-config.js';
 
 const BASE_URL = process.argv[2] || 'http://localhost:8765';
+const SITE_ORIGIN = new URL(BASE_URL).origin;
 
 const VIEWPORTS = [
   { name: 'Mobile (iPhone 14)', width: 390, height: 844 },
@@ -21,10 +30,37 @@ const VIEWPORTS = [
   { name: 'Wide Desktop', width: 1920, height: 1080 },
 ];
 
+// A visitor who already chose "necessary only", so the consent banner
+// (js/consent-manager.js) doesn't cover what the tests click; the consent and
+// analytics sections start from a fresh storage instead
+const CHOSEN_NECESSARY = {
+  cookies: [],
+  origins: [{
+    origin: SITE_ORIGIN,
+    localStorage: [{
+      name: CONSENT_KEY,
+      value: JSON.stringify({ version: CONSENT_VERSION, at: '2026-01-01T00:00:00.000Z', categories: { essential: true, analytics: false, marketing: false } }),
+    }],
+  }],
+};
+
+// Brazilian visitor by default, so the language banner (js/lang-policy.js)
+// only appears in the tests that ask for another browser language
+const VISITOR = { locale: 'pt-BR', timezoneId: 'America/Sao_Paulo', storageState: CHOSEN_NECESSARY };
+const NEW_VISITOR = { ...VISITOR, storageState: undefined };
+
 const PAGES = [
   { name: 'Home', path: '/' },
+  { name: 'Home (English)', path: '/en/' },
+  { name: 'Home (Spanish)', path: '/es/' },
   { name: 'Privacy Policy', path: '/privacidade/' },
   { name: 'Privacy PDF', path: '/legal/politica-privacidade.html' },
+  { name: 'Data Retention Policy', path: '/retencao-dados/' },
+  { name: 'Incident Reporting Policy', path: '/reporte-incidentes/' },
+  { name: 'Incident Reporting Policy 1.0', path: '/legal/arquivo/politica-reporte-incidentes-1.0.html' },
+  { name: 'Incident Reporting Policy changes', path: '/legal/arquivo/politica-reporte-incidentes-alteracoes.html' },
+  { name: 'Rights request lookup', path: '/privacidade/protocolo/' },
+  { name: 'Offline page', path: '/offline.html' },
 ];
 
 let passed = 0;
@@ -48,6 +84,22 @@ function warn(label, detail) {
   if (detail) console.log(`    → ${detail}`);
 }
 
+// Everything the site needs is served by the site itself (build.mjs), so
+// every context runs with the rest of the network cut off: requests to any
+// other origin are aborted and recorded for section 13. The service worker
+// (sw.js) is blocked unless a section asks for it, so page.route() sees the
+// page's requests; section 14 tests it.
+const thirdPartyRequests = new Set();
+
+async function newContext(browser, options) {
+  const context = await browser.newContext({ serviceWorkers: 'block', ...options });
+  await context.route(url => url.origin !== SITE_ORIGIN, route => {
+    thirdPartyRequests.add(route.request().url());
+    return route.abort('internetdisconnected');
+  });
+  return context;
+}
+
 async function run() {
   console.log(`\n\x1b[1mBrowser QA - ${BASE_URL}\x1b[0m\n`);
 
@@ -60,7 +112,7 @@ async function run() {
   console.log('\x1b[1m1. Page Load\x1b[0m');
 
   for (const pg of PAGES) {
-    const context = await browser.newContext({ viewport: { width: 1280, height: 800 } });
+    const context = await newContext(browser, { ...VISITOR, viewport: { width: 1280, height: 800 } });
     const page = await context.newPage();
     const errors = [];
     page.on('pageerror', err => errors.push(err.message));
@@ -88,7 +140,7 @@ async function run() {
   console.log('\n\x1b[1m2. Responsive Layout\x1b[0m');
 
   for (const vp of VIEWPORTS) {
-    const context = await browser.newContext({ viewport: { width: vp.width, height: vp.height } });
+    const context = await newContext(browser, { ...VISITOR, viewport: { width: vp.width, height: vp.height } });
     const page = await context.newPage();
     await page.goto(`${BASE_URL}/`, { waitUntil: 'networkidle', timeout: 15000 });
 
@@ -150,7 +202,7 @@ async function run() {
 
   console.log('\n\x1b[1m3. Images\x1b[0m');
 
-  const imgContext = await browser.newContext({ viewport: { width: 1280, height: 800 } });
+  const imgContext = await newContext(browser, { ...VISITOR, viewport: { width: 1280, height: 800 } });
   const imgPage = await imgContext.newPage();
   await imgPage.goto(`${BASE_URL}/`, { waitUntil: 'networkidle', timeout: 15000 });
 
@@ -183,7 +235,7 @@ async function run() {
 
   console.log('\n\x1b[1m4. Language Switching\x1b[0m');
 
-  const langContext = await browser.newContext({ viewport: { width: 1280, height: 800 } });
+  const langContext = await newContext(browser, { ...VISITOR, viewport: { width: 1280, height: 800 } });
   const langPage = await langContext.newPage();
   await langPage.goto(`${BASE_URL}/`, { waitUntil: 'networkidle', timeout: 15000 });
 
@@ -192,6 +244,8 @@ async function run() {
   if (defaultLang === 'pt-BR') pass('Default language is pt-BR');
   else fail('Default language', `Expected pt-BR, got ${defaultLang}`);
 
+  const ptTitle = await langPage.evaluate(() => document.querySelector('meta[property="og:title"]')?.content);
+
   // Switch to EN
   await langPage.evaluate(() => switchLang('en'));
   await langPage.waitForTimeout(500);
@@ -199,9 +253,16 @@ async function run() {
     lang: document.documentElement.lang,
     title: document.title,
     h1: document.querySelector('#hero h1')?.textContent?.trim().substring(0, 30),
+    phoneLabel: document.querySelector('#hero-form input[type="tel"]')?.getAttribute('aria-label'),
+    ogTitle: document.querySelector('meta[property="og:title"]')?.content,
   }));
   if (enState.lang === 'en' && enState.h1?.includes('Your financial')) pass('Switch to English works');
   else fail('Switch to English', JSON.stringify(enState));
+  if (enState.title.includes('Your financial') && enState.phoneLabel === 'Your WhatsApp number' && enState.ogTitle !== ptTitle) {
+    pass('Title, meta and attributes (aria-label) translated');
+  } else {
+    fail('Title/attribute translation', JSON.stringify(enState));
+  }
 
   // Switch back to PT
   await langPage.evaluate(() => switchLang('pt'));
@@ -214,34 +275,125 @@ async function run() {
   if (ptState.lang === 'pt-BR' && ptState.h1?.includes('Sua vida')) pass('Switch back to Portuguese works');
   else fail('Switch back to Portuguese', JSON.stringify(ptState));
 
-  // Stress test: rapid switching
-  const stressErrors = await langPage.evaluate(async () => {
+  // Switch to ES
+  await langPage.evaluate(() => switchLang('es'));
+  await langPage.waitForTimeout(500);
+  const esState = await langPage.evaluate(() => ({
+    lang: document.documentElement.lang,
+    h1: document.querySelector('#hero h1')?.textContent?.trim().substring(0, 30),
+    active: document.querySelector('.lang-btn.active-lang')?.dataset.lang,
+  }));
+  if (esState.lang === 'es' && esState.h1?.includes('Tu vida') && esState.active === 'es') pass('Switch to Spanish works');
+  else fail('Switch to Spanish', JSON.stringify(esState));
+
+  // Stress test: rapid switching through every ordered pair of languages,
+  // then settle on each one and check nothing from another language remains
+  const LANG_H1 = { pt: 'Sua vida', en: 'Your financial', es: 'Tu vida' };
+  const stressErrors = await langPage.evaluate(async (h1s) => {
     const errors = [];
+    const langs = Object.keys(h1s);
+    const pairs = langs.flatMap(a => langs.filter(b => b !== a).map(b => [a, b]));
     try {
-      for (let i = 0; i < 10; i++) {
-        switchLang('en');
-        await new Promise(r => setTimeout(r, 100));
-        switchLang('pt');
-        await new Promise(r => setTimeout(r, 100));
+      for (let i = 0; i < 3; i++) {
+        for (const [from, to] of pairs) {
+          switchLang(from);
+          await new Promise(r => setTimeout(r, 100));
+          switchLang(to);
+          await new Promise(r => setTimeout(r, 100));
+        }
+      }
+      for (const lang of [...langs, ...[...langs].reverse()]) {
+        await switchLang(lang);
+        const h1 = document.querySelector('#hero h1')?.textContent || '';
+        const active = document.querySelector('.lang-btn.active-lang')?.dataset.lang;
+        if (!h1.includes(h1s[lang]) || active !== lang) {
+          errors.push(`switchLang('${lang}') left h1 "${h1.trim().substring(0, 30)}", active flag ${active}`);
+        }
       }
     } catch (e) {
       errors.push(e.message);
     }
     return errors;
-  });
+  }, LANG_H1);
 
-  if (stressErrors.length === 0) pass('Rapid language switching (10 cycles) - no errors');
+  if (stressErrors.length === 0) pass('Rapid language switching (pt/en/es, every order) - no errors');
   else stressErrors.forEach(e => fail('Stress test error', e));
 
+  // Pre-rendered /en/ page and the #lang-switcher links
+  await langPage.goto(`${BASE_URL}/en/`, { waitUntil: 'networkidle', timeout: 15000 });
+  const enPage = await langPage.evaluate(() => ({
+    lang: document.documentElement.lang,
+    h1: document.querySelector('#hero h1')?.textContent?.trim().substring(0, 30),
+    canonical: document.querySelector('link[rel="canonical"]')?.href,
+  }));
+  if (enPage.lang === 'en' && enPage.h1?.includes('Your financial') && enPage.canonical?.endsWith('/en/')) {
+    pass('/en/ is served pre-rendered in English');
+  } else {
+    fail('/en/ pre-rendered page', JSON.stringify(enPage));
+  }
+
+  await langPage.click('#lang-switcher [data-lang="es"]');
+  await langPage.waitForLoadState('networkidle');
+  const esPage = await langPage.evaluate(() => ({
+    path: location.pathname,
+    lang: document.documentElement.lang,
+    h1: document.querySelector('#hero h1')?.textContent?.trim().substring(0, 30),
+  }));
+  if (esPage.path.endsWith('/es/') && esPage.lang === 'es' && esPage.h1?.includes('Tu vida')) pass('Language switcher navigates to /es/');
+  else fail('Language switcher navigation', JSON.stringify(esPage));
+
+  await langPage.click('#lang-switcher [data-lang="pt"]');
+  await langPage.waitForLoadState('networkidle');
+  const rootPath = await langPage.evaluate(() => location.pathname);
+  if (rootPath === '/' || rootPath.endsWith('/')) pass('Language switcher navigates back to /');
+  else fail('Language switcher back to /', rootPath);
+
   await langContext.close();
 
+  // Language policy: browser language -> banner, saved choice -> redirect, ?lang= wins
+  const enVisitor = await newContext(browser, { locale: 'en-US', viewport: { width: 1280, height: 800 } });
+  const policyPage = await enVisitor.newPage();
+  await policyPage.goto(`${BASE_URL}/`, { waitUntil: 'networkidle', timeout: 15000 });
+  const bannerState = await policyPage.evaluate(() => ({
+    path: location.pathname,
+    lang: document.documentElement.lang,
+    banner: document.querySelector('#lang-banner [data-lang-banner="switch"]')?.textContent,
+  }));
+  if (bannerState.lang === 'pt-BR' && bannerState.banner === 'View in English') pass('English browser sees a banner offering English (no forced redirect)');
+  else fail('Language banner for English browser', JSON.stringify(bannerState));
+
+  await policyPage.click('#lang-banner [data-lang-banner="stay"]');
+  await policyPage.reload({ waitUntil: 'networkidle' });
+  const afterStay = await policyPage.evaluate(() => ({
+    saved: localStorage.getItem('zenLang'),
+    banner: !!document.getElementById('lang-banner'),
+  }));
+  if (afterStay.saved === 'pt' && !afterStay.banner) pass('"Stay" is remembered and the banner does not return');
+  else fail('Banner dismissal', JSON.stringify(afterStay));
+
+  await policyPage.evaluate(() => localStorage.removeItem('zenLang'));
+  await policyPage.reload({ waitUntil: 'networkidle' });
+  await policyPage.click('#lang-banner [data-lang-banner="switch"]');
+  await policyPage.waitForURL(/\/en\/$/, { timeout: 10000 }).catch(() => {});
+  await policyPage.goto(`${BASE_URL}/`, { waitUntil: 'networkidle', timeout: 15000 });
+  const savedState = await policyPage.evaluate(() => ({ path: location.pathname, lang: document.documentElement.lang }));
+  if (savedState.path.endsWith('/en/') && savedState.lang === 'en') pass('Saved choice redirects / to /en/ on the next visit');
+  else fail('Saved language redirect', JSON.stringify(savedState));
+
+  await policyPage.goto(`${BASE_URL}/en/?lang=pt`, { waitUntil: 'networkidle', timeout: 15000 });
+  const paramState = await policyPage.evaluate(() => ({ path: location.pathname, lang: document.documentElement.lang }));
+  if (!paramState.path.includes('/en/') && paramState.lang === 'pt-BR') pass('?lang=pt overrides the saved choice');
+  else fail('?lang= override', JSON.stringify(paramState));
+
+  await enVisitor.close();
+
   // ========================================================
   // 5. WHATSAPP CHAT ANIMATION
   // ========================================================
 
   console.log('\n\x1b[1m5. Chat Animation\x1b[0m');
 
-  const animContext = await browser.newContext({ viewport: { width: 1280, height: 800 } });
+  const animContext = await newContext(browser, { ...VISITOR, viewport: { width: 1280, height: 800 } });
   const animPage = await animContext.newPage();
   await animPage.goto(`${BASE_URL}/`, { waitUntil: 'networkidle', timeout: 15000 });
 
@@ -249,36 +401,162 @@ async function run() {
   await animPage.waitForTimeout(3000);
   const chatState = await animPage.evaluate(() => {
     const container = document.getElementById('chat-messages');
+    const player = container?.chatPlayer;
     return {
       messageCount: container?.children.length || 0,
-      hasTimeout: typeof chatTimeoutId !== 'undefined' && chatTimeoutId !== null,
-      trackingArray: typeof chatAnimationTimeouts !== 'undefined',
+      hasPlayer: !!player,
+      playing: player?.playing,
+      conversations: player?.conversations.length,
     };
   });
 
   if (chatState.messageCount > 0) pass(`Chat animation running (${chatState.messageCount} messages visible)`);
   else fail('Chat animation not running');
 
-  if (chatState.hasTimeout) pass('Chat cycle timeout is set');
-  else fail('Chat cycle timeout missing');
-
-  if (chatState.trackingArray) pass('Animation timeout tracking array exists');
-  else fail('Animation timeout tracking missing');
-
-  // Test restart clears timeouts
-  const restartCheck = await animPage.evaluate(async () => {
-    const beforeCount = chatAnimationTimeouts.length;
-    restartChat();
-    await new Promise(r => setTimeout(r, 100));
-    const afterRestart = chatAnimationTimeouts.length;
-    // After restart, should have new timeouts but old ones cleared
-    await new Promise(r => setTimeout(r, 2000));
-    const afterDelay = document.getElementById('chat-messages').children.length;
-    return { beforeCount, afterRestart, messagesAfterRestart: afterDelay };
+  if (chatState.hasPlayer && chatState.playing && chatState.conversations === 4) pass('Hero ChatPlayer playing 4 conversations');
+  else fail('Hero ChatPlayer state', JSON.stringify(chatState));
+
+  // Controls: pause holds the frame, seek renders instantly, next/prev move between conversations
+  const controls = await animPage.evaluate(async () => {
+    const container = document.getElementById('chat-messages');
+    const player = container.chatPlayer;
+    const events = [];
+    ['pause', 'play', 'seek', 'conversationstart', 'message'].forEach(type => {
+      player.addEventListener(type, () => events.push(type));
+    });
+
+    player.pause();
+    const frozen = container.children.length;
+    await new Promise(r => setTimeout(r, 2500));
+    const stillFrozen = container.children.length === frozen;
+
+    player.seek(player.duration);
+    const atEnd = container.children.length;
+    player.seek(0);
+    const atStart = container.children.length;
+
+    player.next();
+    const afterNext = player.conversationIndex;
+    player.prev();
+    const afterPrev = player.conversationIndex;
+    player.prev();
+    const wrapped = player.conversationIndex;
+
+    player.play();
+    await new Promise(r => setTimeout(r, 1000));
+    return { stillFrozen, atEnd, atStart, afterNext, afterPrev, wrapped, messagesAfterPlay: container.children.length, events };
+  });
+
+  if (controls.stillFrozen) pass('pause() stops the conversation');
+  else fail('pause() did not stop the conversation');
+
+  if (controls.atEnd > 0 && controls.atStart === 0) pass(`seek() renders instantly (${controls.atEnd} bubbles at the end, 0 at the start)`);
+  else fail('seek()', JSON.stringify(controls));
+
+  if (controls.afterNext === 1 && controls.afterPrev === 0 && controls.wrapped === 3) pass('next()/prev() move between conversations (looping)');
+  else fail('next()/prev()', JSON.stringify(controls));
+
+  if (controls.messagesAfterPlay > 0 && ['pause', 'seek', 'conversationstart', 'play', 'message'].every(e => controls.events.includes(e))) {
+    pass('Player resumes and emits pause/seek/conversationstart/play/message events');
+  } else {
+    fail('Player events', JSON.stringify(controls.events));
+  }
+
+  // Language switch reloads the script in the new language
+  await animPage.evaluate(() => switchLang('en'));
+  await animPage.waitForTimeout(2500);
+  const enChat = await animPage.evaluate(() => document.getElementById('chat-messages').textContent);
+  if (enChat.includes('Where is my money going')) pass('Chat follows switchLang');
+  else fail('Chat after switchLang', enChat.substring(0, 60));
+
+  // A second, independent instance with every message type and timing overrides
+  const second = await animPage.evaluate(async () => {
+    const { ChatPlayer } = await import(new URL('js/chat-player.js', document.baseURI).href);
+    const host = document.createElement('div');
+    host.innerHTML = '<div class="h-64 overflow-hidden"><div class="flex flex-col"></div></div>';
+    document.body.appendChild(host);
+    const container = host.querySelector('.flex');
+    const player = new ChatPlayer(container, {
+      timing: { start: 0, user: 50, sticker: 50, typing: 50, zen: 50, end: 50 },
+      conversations: {
+        messages: [
+          { sender: 'user', text: 'Oi', time: '10:00' },
+          { type: 'read' },
+          { sender: 'zen', text: 'Olá!', quote: { sender: 'user', text: 'Oi' }, typing: 100 },
+          { sender: 'zen', sticker: 'assets/stickers/zenpanda_sugoi_face.png' },
+          { sender: 'zen', text: 'Quer ajuda?', buttons: ['Sim', 'Não'] },
+          { sender: 'zen', text: 'Escolha', list: { button: 'Ver opções', items: [{ title: 'Crédito' }] } },
+          { type: 'typing', sender: 'zen', typing: 500, hold: 0 },
+        ],
+      },
+    });
+    let ended = false;
+    player.addEventListener('ended', () => { ended = true; });
+    player.play();
+    await new Promise(r => setTimeout(r, 600));
+    const result = {
+      heroPlaying: document.getElementById('chat-messages').chatPlayer.playing,
+      bubbles: container.children.length,
+      read: container.querySelector('[data-ticks]')?.dataset.ticks,
+      quote: container.textContent.includes('Oi'),
+      buttons: container.textContent.includes('Não'),
+      list: container.textContent.includes('Crédito'),
+      typing: !!container.querySelector('[data-typing]'),
+    };
+    await new Promise(r => setTimeout(r, 1000));
+    result.ended = ended;
+    result.typingGone = !container.querySelector('[data-typing]');
+    player.destroy();
+    host.remove();
+    return result;
   });
 
-  if (restartCheck.messagesAfterRestart > 0) pass('Chat restarts cleanly with new messages');
-  else fail('Chat restart produced no messages');
+  if (second.heroPlaying && second.bubbles >= 6 && second.read === 'read' && second.quote && second.buttons && second.list && second.typing) {
+    pass('Second ChatPlayer renders every message type alongside the hero');
+  } else {
+    fail('Second ChatPlayer instance', JSON.stringify(second));
+  }
+  if (second.ended && second.typingGone) pass('Player ends after the last message (no loop)');
+  else fail('Player end of script', JSON.stringify(second));
+
+  // Hostile script content is rendered as text: no elements, no handlers, nothing runs
+  const xss = await animPage.evaluate(async () => {
+    const { ChatPlayer } = await import(new URL('js/chat-player.js', document.baseURI).href);
+    window.__xss = 0;
+    const payloads = [
+      '<script>window.__xss++</script>',
+      '<img src=x onerror="window.__xss++">',
+      '*<b onclick="window.__xss++">bold</b>*',
+      '_<svg onload="window.__xss++">_',
+      '```<iframe srcdoc="<script>parent.__xss++</script>"></iframe>```',
+    ];
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const player = new ChatPlayer(container, {
+      conversations: {
+        messages: payloads.map(text => ({ sender: 'zen', text, quote: { sender: 'user', text }, buttons: [text] })),
+      },
+    });
+    player.seek(player.duration);
+    await new Promise(r => setTimeout(r, 500));
+    const allowed = new Set(['DIV', 'P', 'SPAN', 'BR', 'STRONG', 'EM', 'S', 'CODE']);
+    const result = {
+      executed: window.__xss,
+      foreign: [...container.querySelectorAll('*')].filter(el => !allowed.has(el.tagName)).map(el => el.tagName),
+      handlers: [...container.querySelectorAll('*')].filter(el => [...el.attributes].some(a => a.name.startsWith('on'))).length,
+      literal: container.textContent.includes('<script>window.__xss++</script>'),
+      bold: container.querySelectorAll('strong').length,
+    };
+    player.destroy();
+    container.remove();
+    return result;
+  });
+
+  if (xss.executed === 0 && xss.foreign.length === 0 && xss.handlers === 0 && xss.literal && xss.bold > 0) {
+    pass('Chat text is formatted safely (no script, no event handlers reach the DOM)');
+  } else {
+    fail('Chat formatting safety', JSON.stringify(xss));
+  }
 
   await animContext.close();
 
@@ -288,32 +566,211 @@ async function run() {
 
   console.log('\n\x1b[1m6. Interactive Elements\x1b[0m');
 
-  const interContext = await browser.newContext({ viewport: { width: 1280, height: 800 } });
+  const interContext = await newContext(browser, { ...VISITOR, viewport: { width: 1280, height: 800 } });
   const interPage = await interContext.newPage();
   await interPage.goto(`${BASE_URL}/`, { waitUntil: 'networkidle', timeout: 15000 });
 
-  // FAQ accordion
-  const faqWorks = await interPage.evaluate(async () => {
-    const firstFaq = document.querySelector('#faq .faq-item button');
-    if (!firstFaq) return false;
-    firstFaq.click();
-    await new Promise(r => setTimeout(r, 500));
-    const answer = firstFaq.closest('.faq-item')?.querySelector('.faq-answer, [class*="faq-answer"]');
-    return answer ? answer.offsetHeight > 0 || getComputedStyle(answer).maxHeight !== '0px' : false;
-  });
-  if (faqWorks) pass('FAQ accordion opens on click');
-  else warn('FAQ accordion may not be working (check manually)');
-
-  // Agent tabs switch cards
-  const tabsWork = await interPage.evaluate(async () => {
-    const tabs = document.querySelectorAll('.sobre-tab');
-    if (tabs.length < 2) return false;
-    tabs[1].click();
-    await new Promise(r => setTimeout(r, 300));
-    return true;
+  // FAQ accordion (js/faq.js)
+  const faqState = (page) => page.evaluate(() => [...document.querySelectorAll('#faq .faq-item')].map(item => {
+    const question = item.querySelector('.faq-question');
+    const answer = document.getElementById(question.getAttribute('aria-controls'));
+    return {
+      id: item.id,
+      expanded: question.getAttribute('aria-expanded') === 'true',
+      height: answer.getBoundingClientRect().height,
+      fits: answer.scrollHeight - answer.getBoundingClientRect().height < 2,
+      inert: answer.inert,
+    };
+  }));
+  const openIds = (state) => state.filter(i => i.expanded).map(i => i.id);
+
+  await interPage.click('#faq-recomendacoes-question');
+  await interPage.waitForTimeout(500);
+  let faq = await faqState(interPage);
+  const first = faq[0];
+  if (first.expanded && first.height > 0 && first.fits && !first.inert && openIds(faq).length === 1) pass('FAQ question opens its answer with aria-expanded');
+  else fail('FAQ accordion open', JSON.stringify(first));
+  const hashAfterOpen = await interPage.evaluate(() => location.hash);
+  if (hashAfterOpen === '#faq-recomendacoes') pass('Opening a question puts its id in the URL');
+  else fail('FAQ hash update', hashAfterOpen);
+
+  await interPage.focus('#faq-seguranca-question');
+  await interPage.keyboard.press('Enter');
+  await interPage.waitForTimeout(500);
+  faq = await faqState(interPage);
+  if (openIds(faq).join() === 'faq-seguranca') pass('Keyboard opens a question and closes the previous one');
+  else fail('FAQ keyboard toggle', openIds(faq).join());
+
+  await interPage.keyboard.press('Space');
+  await interPage.waitForTimeout(500);
+  faq = await faqState(interPage);
+  const hashAfterClose = await interPage.evaluate(() => location.hash);
+  if (openIds(faq).length === 0 && faq[1].inert && hashAfterClose === '') pass('Closing the open question clears it from the URL');
+  else fail('FAQ close', JSON.stringify({ open: openIds(faq), hash: hashAfterClose }));
+
+  await interPage.click('[data-faq-toggle-all]');
+  await interPage.waitForTimeout(500);
+  faq = await faqState(interPage);
+  const collapseLabel = await interPage.textContent('[data-faq-toggle-all]');
+  if (faq.every(i => i.expanded && i.fits) && collapseLabel.includes('Fechar')) pass('"Expand all" opens every answer');
+  else fail('FAQ expand all', JSON.stringify({ open: openIds(faq), collapseLabel }));
+
+  // English answers are a different length; open answers must grow or shrink with them
+  await interPage.evaluate(() => switchLang('en'));
+  await interPage.waitForTimeout(600);
+  faq = await faqState(interPage);
+  const enLabel = await interPage.textContent('[data-faq-toggle-all]');
+  if (faq.every(i => i.fits) && enLabel.includes('Collapse')) pass('Open answers resize after switchLang');
+  else fail('FAQ height after language switch', JSON.stringify(faq.filter(i => !i.fits)));
+  await interPage.evaluate(() => switchLang('pt'));
+  await interPage.waitForTimeout(300);
+
+  await interPage.click('[data-faq-toggle-all]');
+  await interPage.waitForTimeout(500);
+  faq = await faqState(interPage);
+  if (openIds(faq).length === 0) pass('"Collapse all" closes every answer');
+  else fail('FAQ collapse all', openIds(faq).join());
+
+  // FAQ search (js/faq-search.js)
+  const searchState = (page) => page.evaluate(() => ({
+    visible: [...document.querySelectorAll('#faq .faq-item')].filter(item => !item.hidden).map(item => item.id),
+    marks: [...document.querySelectorAll('#faq .faq-item mark')].map(mark => mark.textContent),
+    status: document.querySelector('[data-faq-search-status]')?.textContent || '',
+  }));
+  await interPage.fill('[data-faq-search]', 'SEGUROS');
+  let search = await searchState(interPage);
+  if (search.visible.join() === 'faq-seguranca' && search.marks.includes('seguros') && search.status.includes('1 de 5')) pass('FAQ search filters and highlights matches');
+  else fail('FAQ search', JSON.stringify(search));
+
+  await interPage.fill('[data-faq-search]', 'cartao');
+  search = await searchState(interPage);
+  if (search.visible.length > 0 && search.marks.every(m => /cart[aã]o/i.test(m))) pass('FAQ search ignores accents (cartao finds cartão)');
+  else fail('FAQ search accents', JSON.stringify(search));
+
+  await interPage.evaluate(() => switchLang('en'));
+  await interPage.waitForTimeout(500);
+  await interPage.fill('[data-faq-search]', 'safe');
+  search = await searchState(interPage);
+  if (search.visible.join() === 'faq-seguranca' && search.status.includes('1 of 5')) pass('FAQ search works on the English text after switchLang');
+  else fail('FAQ search after language switch', JSON.stringify(search));
+  await interPage.evaluate(() => switchLang('pt'));
+  await interPage.waitForTimeout(300);
+
+  await interPage.fill('[data-faq-search]', 'xyzzy');
+  search = await searchState(interPage);
+  if (search.visible.length === 0 && search.status.includes('Nenhuma')) pass('FAQ search says when nothing matches');
+  else fail('FAQ search empty state', JSON.stringify(search));
+
+  await interPage.fill('[data-faq-search]', '');
+  search = await searchState(interPage);
+  if (search.visible.length === 5 && search.marks.length === 0 && search.status === '') pass('Clearing the search restores every question');
+  else fail('FAQ search reset', JSON.stringify(search));
+
+  // Support links straight to one answer, on any language page
+  for (const path of ['/#faq-seguranca', '/en/#faq-seguranca']) {
+    const linkPage = await interContext.newPage();
+    await linkPage.goto(`${BASE_URL}${path}`, { waitUntil: 'networkidle', timeout: 15000 });
+    await linkPage.waitForTimeout(800);
+    const linked = await faqState(linkPage);
+    const inView = await linkPage.evaluate(() => {
+      const rect = document.getElementById('faq-seguranca').getBoundingClientRect();
+      return rect.top >= 0 && rect.top < window.innerHeight;
+    });
+    if (openIds(linked).join() === 'faq-seguranca' && inView) pass(`${path} opens and scrolls to that answer`);
+    else fail(`FAQ deep link ${path}`, JSON.stringify({ open: openIds(linked), inView }));
+    await linkPage.close();
+  }
+
+  // A hash that can't be decoded is ignored, and the rest of the page still starts
+  const badHashPage = await interContext.newPage();
+  const badHashErrors = [];
+  badHashPage.on('pageerror', err => badHashErrors.push(err.message));
+  await badHashPage.goto(`${BASE_URL}/#%`, { waitUntil: 'networkidle', timeout: 15000 });
+  const badHash = {
+    open: openIds(await faqState(badHashPage)),
+    bankLookup: await badHashPage.evaluate(() => Boolean(document.querySelector('[data-bank-lookup]')?.bankLookup)),
+  };
+  if (badHashErrors.length === 0 && badHash.open.length === 0 && badHash.bankLookup) pass('/#% is ignored and the page still starts');
+  else fail('Malformed FAQ hash', JSON.stringify({ ...badHash, errors: badHashErrors }));
+  await badHashPage.close();
+
+  // Agent tabs (js/tab-carousel.js): WAI-ARIA tabs that rotate on their own
+  const tabState = (page) => page.evaluate(() => {
+    const tabs = [...document.querySelectorAll('#sobre-tabs [role="tab"]')];
+    const selected = tabs.findIndex(tab => tab.getAttribute('aria-selected') === 'true');
+    const panel = document.getElementById(tabs[selected]?.getAttribute('aria-controls'));
+    const root = document.querySelector('[data-tab-carousel]');
+    return {
+      selected,
+      tabStops: tabs.filter(tab => tab.tabIndex === 0).length,
+      focused: tabs.indexOf(document.activeElement),
+      panelVisible: !!panel && getComputedStyle(panel).opacity === '1' && !panel.inert,
+      hiddenPanels: document.querySelectorAll('[role="tabpanel"][aria-hidden="true"][inert]').length,
+      playing: root?.tabCarousel?.playing,
+      rotating: root?.tabCarousel?.rotating,
+      toggleLabel: root?.querySelector('[data-carousel-toggle]')?.getAttribute('aria-label'),
+    };
   });
-  if (tabsWork) pass('Agent tabs are clickable');
-  else fail('Agent tabs not working');
+
+  await interPage.click('#sobre-tab-1');
+  await interPage.waitForTimeout(600);
+  const clicked = await tabState(interPage);
+  if (clicked.selected === 1 && clicked.tabStops === 1 && clicked.panelVisible && clicked.hiddenPanels === 9) {
+    pass('Clicking a tab selects it and shows only its panel');
+  } else {
+    fail('Agent tab click', JSON.stringify(clicked));
+  }
+
+  const keySteps = [
+    { key: 'ArrowRight', expect: 2 },
+    { key: 'End', expect: 9 },
+    { key: 'ArrowRight', expect: 0 },
+    { key: 'ArrowLeft', expect: 9 },
+    { key: 'Home', expect: 0 },
+  ];
+  const keyResults = [];
+  for (const step of keySteps) {
+    await interPage.keyboard.press(step.key);
+    const state = await tabState(interPage);
+    keyResults.push({ ...step, got: state.selected, focused: state.focused, tabStops: state.tabStops });
+  }
+  if (keyResults.every(r => r.got === r.expect && r.focused === r.expect && r.tabStops === 1)) {
+    pass('Arrow keys, Home and End move focus and selection (with wrap)');
+  } else {
+    fail('Agent tab keyboard navigation', JSON.stringify(keyResults));
+  }
+
+  // Focus inside the carousel holds rotation; Tab leaves the tablist in one stop
+  await interPage.waitForTimeout(4500);
+  const whileFocused = await tabState(interPage);
+  if (whileFocused.selected === 0 && whileFocused.rotating === false) pass('Rotation pauses while a tab has focus');
+  else fail('Agent carousel focus pause', JSON.stringify(whileFocused));
+
+  await interPage.keyboard.press('Tab');
+  const afterTab = await interPage.evaluate(() => document.activeElement?.hasAttribute('data-carousel-toggle'));
+  if (afterTab) pass('Tab moves from the tablist straight to the pause control');
+  else fail('Agent tablist is not a single tab stop');
+
+  await interPage.keyboard.press('Enter');
+  await interPage.evaluate(() => document.activeElement.blur());
+  await interPage.mouse.move(0, 0);
+  const paused = await tabState(interPage);
+  await interPage.waitForTimeout(4500);
+  const stillPaused = await tabState(interPage);
+  if (paused.playing === false && stillPaused.selected === paused.selected && paused.toggleLabel?.includes('Retomar')) {
+    pass('Pause button stops rotation and relabels itself');
+  } else {
+    fail('Agent carousel pause button', JSON.stringify({ paused, stillPaused }));
+  }
+
+  await interPage.click('[data-carousel-toggle]');
+  await interPage.evaluate(() => document.activeElement.blur());
+  await interPage.mouse.move(0, 0);
+  const before = await tabState(interPage);
+  await interPage.waitForTimeout(4500);
+  const after = await tabState(interPage);
+  if (before.playing && after.selected === (before.selected + 1) % 10) pass('Play resumes rotation');
+  else fail('Agent carousel play', JSON.stringify({ before, after }));
 
   // Form input accepts text
   const formWorks = await interPage.evaluate(() => {
@@ -340,13 +797,456 @@ async function run() {
 
   await interContext.close();
 
+  const calmContext = await newContext(browser, { ...VISITOR, reducedMotion: 'reduce', viewport: { width: 1280, height: 800 } });
+  const calmPage = await calmContext.newPage();
+  await calmPage.goto(`${BASE_URL}/`, { waitUntil: 'networkidle', timeout: 15000 });
+  await calmPage.waitForTimeout(4500);
+  const calm = await tabState(calmPage);
+  if (calm.selected === 0 && calm.playing === false && calm.toggleLabel?.includes('Retomar')) pass('prefers-reduced-motion: agent cards do not rotate by themselves');
+  else fail('Agent carousel with reduced motion', JSON.stringify(calm));
+  await calmContext.close();
+
+  // ========================================================
+  // 7. SIGNUP FORMS (against a local stand-in service)
+  // ========================================================
+
+  console.log('\n\x1b[1m7. Signup Forms\x1b[0m');
+
+  const signupStore = createMemoryStore();
+  const signupServer = createSignupServer({ store: signupStore });
+  await new Promise(r => signupServer.listen(0, r));
+  const standInUrl = `http://127.0.0.1:${signupServer.address().port}/api/signup`;
+
+  const signupContext = await newContext(browser, { ...VISITOR, viewport: { width: 1280, height: 800 } });
+  const signupPage = await signupContext.newPage();
+  let failSignup = true;
+  let postedBody = null;
+  await signupPage.route('**/api/signup', async route => {
+    postedBody = route.request().postDataJSON();
+    if (failSignup) return route.fulfill({ status: 503, contentType: 'application/json', body: '{"ok":false}' });
+    await new Promise(r => setTimeout(r, 300));
+    const response = await route.fetch({ url: standInUrl });
+    return route.fulfill({ response });
+  });
+  await signupPage.goto(`${BASE_URL}/`, { waitUntil: 'networkidle', timeout: 15000 });
+
+  // Phone mask and validation (js/phone.js)
+  const telInput = '#hero-form input[type="tel"]';
+  await signupPage.locator(telInput).pressSequentially('11999990000');
+  const masked = await signupPage.inputValue(telInput);
+  if (masked === '(11) 99999-0000') pass('Phone input applies (11) 99999-0000 mask while typing');
+  else fail('Phone mask', `got "${masked}"`);
+
+  const phoneCases = [
+    { typed: '1199999', error: 'incomplete' },
+    { typed: '20999990000', error: 'invalid_ddd' },
+    { typed: '1133334444', error: 'not_mobile' },
+  ];
+  for (const c of phoneCases) {
+    postedBody = null;
+    await signupPage.fill(telInput, '');
+    await signupPage.locator(telInput).pressSequentially(c.typed);
+    await signupPage.click('#hero-form button[type="submit"]');
+    const result = await signupPage.evaluate(() => {
+      const error = document.getElementById('hero-form-phone-error');
+      return {
+        code: error?.dataset.phoneError,
+        visible: !!error && !error.hidden,
+        invalid: document.querySelector('#hero-form input[type="tel"]').getAttribute('aria-invalid'),
+      };
+    });
+    if (result.visible && result.code === c.error && result.invalid === 'true' && postedBody === null) {
+      pass(`Rejects ${c.typed} inline (${c.error}) without posting`);
+    } else {
+      fail(`Phone validation for ${c.typed}`, JSON.stringify(result));
+    }
+  }
+
+  await signupPage.evaluate(() => switchLang('en'));
+  await signupPage.waitForTimeout(300);
+  const enError = await signupPage.textContent('#hero-form-phone-error');
+  if (enError?.includes('mobile number')) pass('Phone error message follows switchLang');
+  else fail('Phone error translation', enError);
+  await signupPage.evaluate(() => switchLang('pt'));
+  await signupPage.waitForTimeout(300);
+
+  await signupPage.fill(telInput, '');
+  await signupPage.locator(telInput).pressSequentially('11999990000');
+  await signupPage.click('#hero-form button[type="submit"]');
+  await signupPage.waitForSelector('[data-form-status="hero-form"] button', { timeout: 5000 }).catch(() => {});
+
+  const failedState = await signupPage.evaluate(() => ({
+    state: document.getElementById('hero-form').dataset.state,
+    hasInput: !!document.querySelector('#hero-form input[type="tel"]'),
+    hasRetry: !!document.querySelector('[data-form-status="hero-form"] button'),
+  }));
+  if (failedState.state === 'error' && failedState.hasInput && failedState.hasRetry) pass('Server error keeps the form and offers retry');
+  else fail('Signup error state', JSON.stringify(failedState));
+
+  failSignup = false;
+  await signupPage.click('[data-form-status="hero-form"] button');
+  const busy = await signupPage.evaluate(() => document.getElementById('hero-form').getAttribute('aria-busy'));
+  if (busy === 'true') pass('Form shows loading state while waiting for the server');
+  else fail('Signup loading state', `aria-busy=${busy}`);
+
+  await signupPage.waitForSelector('#hero-form[data-state="success"]', { timeout: 5000 }).catch(() => {});
+  const successText = await signupPage.evaluate(() => document.getElementById('hero-form').textContent);
+  if (successText.includes('Pronto')) pass('Success message shown after server acknowledged');
+  else fail('Signup success state', successText.trim().substring(0, 60));
+
+  const stored = signupStore.records[0];
+  if (signupStore.records.length === 1 && stored.phone === '+5511999990000' && stored.consentText.includes('concorda') && stored.lang === 'pt-BR' && stored.formId === 'hero-form' && stored.createdAt) {
+    pass('Stand-in stored E.164 phone, consent text, language and timestamp');
+  } else {
+    fail('Signup payload', JSON.stringify({ count: signupStore.records.length, postedBody }));
+  }
+
+  await signupContext.close();
+  await new Promise(r => signupServer.close(r));
+
+  // ========================================================
+  // 8. WAITLIST COUNTER (against a local stand-in stats service)
+  // ========================================================
+
+  console.log('\n\x1b[1m8. Waitlist Counter\x1b[0m');
+
+  const statsStore = createMemoryStore(Array.from({ length: 2143 }, (_, i) => ({ requestId: `seed-${i}`, phone: `+5511${String(900000000 + i)}` })));
+  const statsServer = createStatsServer({ store: statsStore });
+  await new Promise(r => statsServer.listen(0, r));
+  const statsUrl = `http://127.0.0.1:${statsServer.address().port}/api/stats`;
+
+  const readCounter = (page) => page.evaluate(() => ({
+    texts: [...document.querySelectorAll('[data-waitlist-count]')].map(el => el.textContent),
+    hidden: [...document.querySelectorAll('[data-waitlist-badge]')].map(el => el.hidden),
+    source: document.querySelector('[data-waitlist-count]')?.dataset.waitlistSource,
+  }));
+  const settleCounter = (page) => page.waitForFunction(
+    () => [...document.querySelectorAll('[data-waitlist-count]')].every(el => el.textContent && !/^0$/.test(el.textContent)),
+    null, { timeout: 5000 },
+  ).then(() => page.waitForTimeout(1500)).catch(() => {});
+
+  const statsContext = await newContext(browser, { ...VISITOR, viewport: { width: 1280, height: 800 } });
+  let statsRequests = 0;
+  await statsContext.route('**/api/stats', async route => {
+    statsRequests++;
+    return route.fulfill({ response: await route.fetch({ url: statsUrl }) });
+  });
+  const statsPage = await statsContext.newPage();
+  await statsPage.goto(`${BASE_URL}/`, { waitUntil: 'networkidle', timeout: 15000 });
+  await settleCounter(statsPage);
+
+  const ptCounter = await readCounter(statsPage);
+  if (ptCounter.texts.every(t => t === '2.143') && ptCounter.hidden.every(h => !h)) pass('Counter shows the service count in pt-BR format (2.143)');
+  else fail('Waitlist counter (pt-BR)', JSON.stringify(ptCounter));
+
+  await statsPage.evaluate(() => switchLang('en'));
+  await statsPage.waitForTimeout(300);
+  const enCounter = await readCounter(statsPage);
+  if (enCounter.texts.every(t => t === '2,143')) pass('Counter re-formats on switchLang (2,143)');
+  else fail('Waitlist counter (en)', JSON.stringify(enCounter));
+
+  await statsPage.waitForTimeout(5000);
+  const stillCounter = await readCounter(statsPage);
+  if (stillCounter.texts.every(t => t === '2,143')) pass('Counter does not tick up on its own');
+  else fail('Waitlist counter changed without new data', JSON.stringify(stillCounter));
+
+  // A second view within the cache window reuses the stored count
+  const requestsBefore = statsRequests;
+  await statsPage.goto(`${BASE_URL}/en/`, { waitUntil: 'networkidle', timeout: 15000 });
+  await settleCounter(statsPage);
+  const cachedCounter = await readCounter(statsPage);
+  if (statsRequests === requestsBefore && cachedCounter.source === 'cache' && cachedCounter.texts.every(t => t === '2,143')) {
+    pass('Repeat view uses the cached count without refetching');
+  } else {
+    fail('Waitlist cache', JSON.stringify({ ...cachedCounter, requests: statsRequests - requestsBefore }));
+  }
+  await statsContext.close();
+
+  // Service down with nothing cached: the badges stay hidden, no number is made up
+  const downContext = await newContext(browser, { ...VISITOR, viewport: { width: 1280, height: 800 } });
+  await downContext.route('**/api/stats', route => route.fulfill({ status: 503, contentType: 'application/json', body: '{"ok":false}' }));
+  const downPage = await downContext.newPage();
+  await downPage.goto(`${BASE_URL}/`, { waitUntil: 'networkidle', timeout: 15000 });
+  await downPage.waitForTimeout(500);
+  const downCounter = await readCounter(downPage);
+  if (downCounter.hidden.every(h => h) && downCounter.texts.every(t => t === '')) pass('Service down: badges stay hidden instead of showing a number');
+  else fail('Waitlist fallback', JSON.stringify(downCounter));
+  await downContext.close();
+  await new Promise(r => statsServer.close(r));
+
+  // ========================================================
+  // 9. PRIVACY CONSENT
+  // ========================================================
+
+  console.log('\n\x1b[1m9. Privacy Consent\x1b[0m');
+
+  const consentContext = await newContext(browser, { ...NEW_VISITOR, viewport: { width: 1280, height: 800 } });
+  const consentPage = await consentContext.newPage();
+  const storedConsent = (page) => page.evaluate(key => JSON.parse(localStorage.getItem(key)), CONSENT_KEY);
+  await consentPage.goto(`${BASE_URL}/`, { waitUntil: 'networkidle', timeout: 15000 });
+
+  const bannerOnArrival = await consentPage.isVisible('[data-consent-banner]');
+  if (bannerOnArrival) pass('Consent banner shown on the first visit');
+  else fail('Consent banner', 'Not visible on the first visit');
+
+  await consentPage.click('[data-consent-banner] [data-consent-reject]');
+  const rejected = await storedConsent(consentPage);
+  if (!(await consentPage.isVisible('[data-consent-banner]')) && rejected?.version === CONSENT_VERSION && rejected.at
+    && rejected.categories.essential && !rejected.categories.analytics && !rejected.categories.marketing) {
+    pass('"Necessary only" stores a versioned, timestamped choice and hides the banner');
+  } else {
+    fail('Rejecting optional categories', JSON.stringify(rejected));
+  }
+
+  await consentPage.reload({ waitUntil: 'networkidle' });
+  if (!(await consentPage.isVisible('[data-consent-banner]'))) pass('Banner stays away once the visitor has chosen');
+  else fail('Consent banner', 'Shown again after a choice was stored');
+
+  await consentPage.click('footer [data-consent-open]');
+  const dialogState = await consentPage.evaluate(() => {
+    const dialog = document.querySelector('[data-consent-dialog]');
+    return {
+      open: dialog.open,
+      focusInside: dialog.contains(document.activeElement),
+      boxes: Object.fromEntries([...dialog.querySelectorAll('input[name="consent-category"]')].map(box => [box.value, box.checked])),
+    };
+  });
+  if (dialogState.open && dialogState.focusInside && dialogState.boxes.essential && !dialogState.boxes.analytics) {
+    pass('Footer link reopens the preferences with the stored choice');
+  } else {
+    fail('Consent preferences dialog', JSON.stringify(dialogState));
+  }
+
+  await consentPage.check('[data-consent-dialog] input[value="analytics"]');
+  await consentPage.click('[data-consent-dialog] button[value="save"]');
+  const saved = await storedConsent(consentPage);
+  if (!(await consentPage.evaluate(() => document.querySelector('[data-consent-dialog]').open)) && saved?.categories.analytics && !saved.categories.marketing) {
+    pass('Saving the dialog stores exactly the ticked categories');
+  } else {
+    fail('Saving consent preferences', JSON.stringify(saved));
+  }
+
+  await consentPage.click('footer [data-consent-open]');
+  await consentPage.keyboard.press('Escape');
+  const afterEscape = await storedConsent(consentPage);
+  if (afterEscape?.at === saved?.at) pass('Esc closes the dialog without changing the choice');
+  else fail('Consent dialog Esc', JSON.stringify(afterEscape));
+  await consentContext.close();
+
+  const enConsentContext = await newContext(browser, { locale: 'en-US', viewport: { width: 1280, height: 800 } });
+  const enConsentPage = await enConsentContext.newPage();
+  await enConsentPage.goto(`${BASE_URL}/en/`, { waitUntil: 'networkidle', timeout: 15000 });
+  const enBanner = await enConsentPage.evaluate(() => ({
+    title: document.querySelector('#consent-banner-title')?.textContent,
+    policy: document.querySelector('[data-consent-banner] a')?.href,
+  }));
+  if (enBanner.title === 'Your privacy' && new URL(enBanner.policy).pathname === '/privacidade/') pass('English banner, linking to the privacy policy');
+  else fail('Consent banner on /en/', JSON.stringify(enBanner));
+  await enConsentContext.close();
+
+  // ========================================================
+  // 10. ANALYTICS (against a local stand-in events service)
+  // ========================================================
+
+  console.log('\n\x1b[1m10. Analytics\x1b[0m');
+
+  const eventsStore = createMemoryStore();
+  const eventsServer = createEventsServer({ store: eventsStore });
+  await new Promise(r => eventsServer.listen(0, r));
+  const eventsUrl = `http://127.0.0.1:${eventsServer.address().port}/api/events`;
+
+  // Picks an agent, opens an answer, switches language and scrolls to the FAQ
+  async function browseAround(consent) {
+    const context = await newContext(browser, { ...NEW_VISITOR, viewport: { width: 1280, height: 800 } });
+    if (consent) {
+      await context.addInitScript(([key, value]) => localStorage.setItem(key, value), [CONSENT_KEY, JSON.stringify({
+        version: CONSENT_VERSION, at: new Date().toISOString(), categories: { essential: true, analytics: consent === 'accepted', marketing: false },
+      })]);
+    }
+    let requests = 0;
+    await context.route('**/api/events', async route => {
+      requests++;
+      return route.fulfill({ response: await route.fetch({ url: eventsUrl }) });
+    });
+    const page = await context.newPage();
+    await page.goto(`${BASE_URL}/`, { waitUntil: 'networkidle', timeout: 15000 });
+    await page.click('#sobre-tab-7');
+    await page.click('#faq-seguranca-question');
+    await page.evaluate(() => switchLang('en'));
+    await page.locator('#faq').scrollIntoViewIfNeeded();
+    await page.waitForTimeout(6000); // one FLUSH_MS and some slack
+    await context.close();
+    return requests;
+  }
+
+  const silentRequests = await browseAround(null);
+  if (silentRequests === 0 && eventsStore.records.length === 0) pass('No events are sent before the visitor chooses');
+  else fail('Analytics before consent', `${silentRequests} requests`);
+
+  const declinedRequests = await browseAround('declined');
+  if (declinedRequests === 0 && eventsStore.records.length === 0) pass('No events are sent after the visitor declines');
+  else fail('Analytics after declining', `${declinedRequests} requests`);
+
+  await browseAround('accepted');
+  const received = (name) => eventsStore.records.filter(r => r.name === name).map(r => r.props);
+  const tabViews = received('agent_tab_viewed');
+  if (tabViews.length === 1 && tabViews[0].agent === 'financiamento') pass('agent_tab_viewed sent for the picked tab only (not for rotation)');
+  else fail('agent_tab_viewed', JSON.stringify(tabViews));
+  if (received('faq_opened').some(p => p.faq_id === 'seguranca')) pass('faq_opened sent with the question id');
+  else fail('faq_opened', JSON.stringify(received('faq_opened')));
+  if (received('lang_switched').some(p => p.from === 'pt' && p.to === 'en')) pass('lang_switched sent (pt -> en)');
+  else fail('lang_switched', JSON.stringify(received('lang_switched')));
+  const viewedSections = received('section_viewed').map(p => p.section);
+  if (viewedSections.includes('faq') && new Set(viewedSections).size === viewedSections.length) pass(`section_viewed sent once per section (${viewedSections.join(', ')})`);
+  else fail('section_viewed', viewedSections.join(', '));
+  await new Promise(r => eventsServer.close(r));
+
+  // ========================================================
+  // 11. CAMPAIGN ATTRIBUTION
+  // ========================================================
+
+  console.log('\n\x1b[1m11. Campaign Attribution\x1b[0m');
+
+  if (!signupStore.records.some(r => r.attribution)) pass('Direct visit: signup carries no attribution');
+  else fail('Direct visit attribution', JSON.stringify(signupStore.records.map(r => r.attribution)));
+
+  const campaignStore = createMemoryStore();
+  const campaignServer = createSignupServer({ store: campaignStore });
+  await new Promise(r => campaignServer.listen(0, r));
+  const campaignSignupUrl = `http://127.0.0.1:${campaignServer.address().port}/api/signup`;
+  const CAMPAIGN_QUERY = '?utm_source=instagram&utm_medium=social&utm_campaign=lancamento&gclid=qa-click-1';
+
+  // Lands from the campaign, moves on to a plain URL, then signs up
+  async function campaignVisit(contextOptions) {
+    const context = await newContext(browser, { ...VISITOR, viewport: { width: 1280, height: 800 }, ...contextOptions });
+    await context.route('**/api/signup', async route => route.fulfill({ response: await route.fetch({ url: campaignSignupUrl }) }));
+    const page = await context.newPage();
+    await page.goto(`${BASE_URL}/${CAMPAIGN_QUERY}`, { waitUntil: 'networkidle', timeout: 15000 });
+    await page.goto(`${BASE_URL}/#faq`, { waitUntil: 'networkidle', timeout: 15000 });
+    return { context, page };
+  }
+  const waMessage = (page) => page.evaluate(() => {
+    const link = document.querySelector('a[data-wa-link]');
+    return link ? new URL(link.href).searchParams.get('text') : null;
+  });
+
+  const { context: campaignContext, page: campaignPage } = await campaignVisit();
+  const untracked = {
+    message: await waMessage(campaignPage),
+    stored: await campaignPage.evaluate(() => sessionStorage.getItem('zenAttribution')),
+  };
+  if (untracked.message?.endsWith('ref:site') && untracked.stored === null) pass('Without marketing consent the campaign is neither kept nor put in the WhatsApp link');
+  else fail('Attribution before marketing consent', JSON.stringify(untracked));
+
+  await campaignPage.locator('#hero-form input[type="tel"]').pressSequentially('11988887777');
+  await campaignPage.click('#hero-form button[type="submit"]');
+  await campaignPage.waitForSelector('#hero-form[data-state="success"]', { timeout: 5000 }).catch(() => {});
+  const necessaryOnly = campaignStore.records.at(-1);
+  if (necessaryOnly && !necessaryOnly.attribution) pass('Signup carries no campaign data without marketing consent');
+  else fail('Signup attribution (necessary only)', JSON.stringify(necessaryOnly?.attribution));
+  await campaignContext.close();
+
+  const marketingState = structuredClone(CHOSEN_NECESSARY);
+  const marketingConsent = JSON.parse(marketingState.origins[0].localStorage[0].value);
+  marketingConsent.categories.marketing = true;
+  marketingState.origins[0].localStorage[0].value = JSON.stringify(marketingConsent);
+  const { context: marketingContext, page: marketingPage } = await campaignVisit({ storageState: marketingState });
+  const message = await waMessage(marketingPage);
+  if (message?.startsWith('Oi! Vim pelo site') && message.endsWith('ref:instagram.social.lancamento')) {
+    pass('WhatsApp link opens with the message and referral code for the session\'s campaign');
+  } else {
+    fail('Tracked wa.me link', JSON.stringify(message));
+  }
+
+  await marketingPage.evaluate(() => switchLang('en'));
+  await marketingPage.waitForTimeout(300);
+  await marketingPage.evaluate(() => switchLang('pt'));
+  await marketingPage.waitForTimeout(300);
+  if ((await waMessage(marketingPage))?.endsWith('ref:instagram.social.lancamento')) pass('Link is tagged again after switchLang re-renders it');
+  else fail('Tracked wa.me link after switchLang', JSON.stringify(await waMessage(marketingPage)));
+
+  await marketingPage.locator('#hero-form input[type="tel"]').pressSequentially('11977776666');
+  await marketingPage.click('#hero-form button[type="submit"]');
+  await marketingPage.waitForSelector('#hero-form[data-state="success"]', { timeout: 5000 }).catch(() => {});
+  const withMarketing = campaignStore.records.at(-1)?.attribution;
+  if (withMarketing?.gclid === 'qa-click-1' && withMarketing.utm_source === 'instagram') pass('Signup carries the UTMs and click id with marketing consent');
+  else fail('Signup attribution (marketing)', JSON.stringify(withMarketing));
+  await marketingContext.close();
+  await new Promise(r => campaignServer.close(r));
+
+  // ========================================================
+  // 12. OPEN IN WHATSAPP
+  // ========================================================
+
+  console.log('\n\x1b[1m12. Open in WhatsApp\x1b[0m');
+
+  // Desktop (fine pointer): the toggle shows a QR code of the tracked link
+  const qrContext = await newContext(browser, { ...VISITOR, viewport: { width: 1280, height: 800 } });
+  const qrPage = await qrContext.newPage();
+  await qrPage.goto(`${BASE_URL}/`, { waitUntil: 'networkidle', timeout: 15000 });
+  const heroDirect = qrPage.locator('[data-wa-direct="hero"]');
+  const qrToggle = heroDirect.locator('[data-wa-qr-toggle]');
+  if (await qrToggle.isVisible() && !(await heroDirect.locator('[data-wa-open]').isVisible())) pass('Desktop: QR toggle shown instead of the direct link');
+  else fail('Desktop open-in-WhatsApp control', 'Expected the QR toggle, not the wa.me link');
+
+  await qrToggle.click();
+  const qrState = await heroDirect.evaluate(el => ({
+    expanded: el.querySelector('[data-wa-qr-toggle]').getAttribute('aria-expanded'),
+    panelHidden: el.querySelector('[data-wa-qr-panel]').hidden,
+    title: el.querySelector('[data-wa-qr] svg title')?.textContent,
+    modules: (el.querySelector('[data-wa-qr] svg path')?.getAttribute('d').match(/M/g) || []).length,
+  }));
+  if (qrState.expanded === 'true' && !qrState.panelHidden && qrState.title && qrState.modules > 100) {
+    pass(`QR code drawn on the page (${qrState.modules} dark modules)`);
+  } else {
+    fail('QR panel', JSON.stringify(qrState));
+  }
+  const qrBox = await heroDirect.locator('[data-wa-qr] svg').boundingBox();
+  if (qrBox && qrBox.width >= 120 && Math.abs(qrBox.width - qrBox.height) < 1) pass(`QR code is square and scannable size (${Math.round(qrBox.width)}px)`);
+  else fail('QR code size', JSON.stringify(qrBox));
+
+  await qrPage.keyboard.press('Escape');
+  const qrAfterEscape = await heroDirect.evaluate(el => ({
+    panelHidden: el.querySelector('[data-wa-qr-panel]').hidden,
+    focused: document.activeElement === el.querySelector('[data-wa-qr-toggle]'),
+  }));
+  if (qrAfterEscape.panelHidden && qrAfterEscape.focused) pass('Esc closes the QR panel and returns focus to the toggle');
+  else fail('QR panel Esc', JSON.stringify(qrAfterEscape));
+
+  await qrToggle.click();
+  await qrPage.evaluate(() => switchLang('en'));
+  await qrPage.waitForTimeout(300);
+  const enTitle = await heroDirect.locator('[data-wa-qr] svg title').textContent().catch(() => null);
+  if (enTitle && /QR code/.test(enTitle)) pass('QR code is redrawn with the English label after switchLang');
+  else fail('QR code after switchLang', JSON.stringify(enTitle));
+  await qrContext.close();
+
+  // Phone (coarse pointer): a plain link straight into WhatsApp
+  const phoneContext = await newContext(browser, { ...VISITOR, viewport: { width: 390, height: 844 }, isMobile: true, hasTouch: true });
+  const phonePage = await phoneContext.newPage();
+  await phonePage.goto(`${BASE_URL}/`, { waitUntil: 'networkidle', timeout: 15000 });
+  const phoneDirect = phonePage.locator('[data-wa-direct="bottom-cta"]');
+  const directHref = await phoneDirect.locator('[data-wa-open]').getAttribute('href');
+  const directText = directHref && new URL(directHref).searchParams.get('text');
+  if (await phoneDirect.locator('[data-wa-open]').isVisible() && !(await phoneDirect.locator('[data-wa-qr-toggle]').isVisible())) {
+    pass('Phone: direct wa.me link shown instead of the QR toggle');
+  } else {
+    fail('Phone open-in-WhatsApp control', 'Expected the wa.me link, not the QR toggle');
+  }
+  if (directHref?.startsWith(`https://wa.me/${SITE_CONFIG.contact.whatsapp}?`) && directText?.startsWith('Oi! Vim pelo site') && directText.endsWith('ref:site')) {
+    pass('Direct link goes to the configured number with the Portuguese greeting');
+  } else {
+    fail('Direct wa.me link', directHref);
+  }
+  await phoneContext.close();
+
   // ========================================================
-  // 7. PERFORMANCE
+  // 13. PERFORMANCE
   // ========================================================
 
-  console.log('\n\x1b[1m7. Performance\x1b[0m');
+  console.log('\n\x1b[1m13. Performance\x1b[0m');
 
-  const perfContext = await browser.newContext({ viewport: { width: 1280, height: 800 } });
+  const perfContext = await newContext(browser, { ...VISITOR, viewport: { width: 1280, height: 800 } });
   const perfPage = await perfContext.newPage();
 
   const startTime = Date.now();
@@ -368,8 +1268,439 @@ async function run() {
   if (resources.totalKB < 5000) pass(`Total resources: ${resources.count} files, ${resources.totalKB}KB`);
   else warn(`Total resources: ${resources.count} files, ${resources.totalKB}KB`, 'Page is heavy');
 
+  // Self-hosted stylesheet, fonts and libraries (no CDN to fall back on)
+  const selfHosted = await perfPage.evaluate(async () => {
+    await document.fonts.ready;
+    return {
+      font: getComputedStyle(document.body).fontFamily,
+      interLoaded: document.fonts.check('600 16px Inter'),
+      tailwind: getComputedStyle(document.querySelector('nav') || document.body).position,
+      libraries: [typeof window.gsap, typeof window.ScrollTrigger, typeof window.Lenis].join(),
+    };
+  });
+  if (selfHosted.interLoaded && /Inter/.test(selfHosted.font)) pass('Inter loads from assets/fonts/');
+  else fail('Self-hosted fonts', JSON.stringify(selfHosted));
+  if (selfHosted.tailwind === 'fixed') pass('Compiled Tailwind stylesheet applied (fixed nav)');
+  else fail('Compiled Tailwind stylesheet', `nav position: ${selfHosted.tailwind}`);
+  if (selfHosted.libraries === 'object,function,function') pass('Vendored GSAP and Lenis loaded');
+  else fail('Vendored GSAP and Lenis', selfHosted.libraries);
+
   await perfContext.close();
 
+  // ========================================================
+  // 14. OFFLINE SUPPORT (service worker)
+  // ========================================================
+
+  console.log('\n\x1b[1m14. Offline Support\x1b[0m');
+
+  const offlineStore = createMemoryStore();
+  const offlineServer = createSignupServer({ store: offlineStore });
+  await new Promise(r => offlineServer.listen(0, r));
+  const offlineSignupUrl = `http://127.0.0.1:${offlineServer.address().port}/api/signup`;
+
+  const offlineContext = await newContext(browser, { ...VISITOR, serviceWorkers: 'allow', viewport: { width: 390, height: 844 }, isMobile: true, hasTouch: true });
+  // Requests the service worker makes go through the context's routes too
+  await offlineContext.route('**/api/signup', async route => route.fulfill({ response: await route.fetch({ url: offlineSignupUrl }) }));
+  const offlinePage = await offlineContext.newPage();
+  const offlineErrors = [];
+  offlinePage.on('pageerror', err => offlineErrors.push(err.message));
+  await offlinePage.goto(`${BASE_URL}/`, { waitUntil: 'networkidle', timeout: 15000 });
+
+  const controlled = await offlinePage.evaluate(async () => {
+    const registration = await navigator.serviceWorker.ready;
+    if (!navigator.serviceWorker.controller) {
+      await new Promise(resolve => navigator.serviceWorker.addEventListener('controllerchange', resolve, { once: true }));
+    }
+    const cached = await caches.keys().then(keys => Promise.all(keys.map(key => caches.open(key).then(cache => cache.keys()))));
+    return { scope: registration.scope, cached: cached.flat().length };
+  });
+  if (controlled.scope === `${SITE_ORIGIN}/` && controlled.cached > 40) pass(`Service worker controls the site and precached ${controlled.cached} files`);
+  else fail('Service worker install', JSON.stringify(controlled));
+
+  await offlineContext.setOffline(true);
+  await offlinePage.reload({ waitUntil: 'load', timeout: 15000 });
+  const offlineReload = await offlinePage.evaluate(async () => {
+    await document.fonts.ready;
+    const hero = document.querySelector('#hero-form');
+    return {
+      online: navigator.onLine,
+      hero: !!hero && hero.getBoundingClientRect().height > 0,
+      nav: getComputedStyle(document.querySelector('nav')).position,
+      inter: document.fonts.check('600 16px Inter'),
+      images: [...document.querySelectorAll('img[src*="bank-logos"]')].filter(img => img.complete && img.naturalWidth > 0).length,
+    };
+  });
+  if (!offlineReload.online && offlineReload.hero && offlineReload.nav === 'fixed' && offlineReload.inter) {
+    pass('Offline reload: page, stylesheet and fonts come from the cache');
+  } else {
+    fail('Offline reload', JSON.stringify(offlineReload));
+  }
+  if (offlineReload.images >= 12) pass(`Offline reload: ${offlineReload.images} bank logos shown`);
+  else fail('Offline bank logos', `${offlineReload.images} loaded`);
+
+  // The hero form queues its signup with the service worker
+  await offlinePage.locator('#hero-form input[type="tel"]').pressSequentially('11987654321');
+  await offlinePage.click('#hero-form button[type="submit"]');
+  const queuedState = await offlinePage.waitForFunction(() => document.querySelector('#hero-form')?.dataset.state === 'queued', null, { timeout: 5000 })
+    .then(() => offlinePage.textContent('#hero-form')).catch(() => null);
+  if (queuedState?.includes('Guardamos seu número')) pass('Offline signup is queued and says so');
+  else fail('Offline signup', `form: ${queuedState}`);
+
+  // A page that was never cached gets the offline page, translated from its URL
+  await offlinePage.goto(`${BASE_URL}/en/nao-existe/`, { waitUntil: 'load', timeout: 15000 });
+  const fallback = await offlinePage.evaluate(async () => {
+    await new Promise(r => setTimeout(r, 500));
+    return { form: !!document.querySelector('#offline-form input[type="tel"]'), lang: document.documentElement.lang, title: document.querySelector('h1')?.textContent };
+  });
+  if (fallback.form && fallback.lang === 'en' && fallback.title === "You're offline.") pass('Uncached page offline: offline page with the signup form, in English');
+  else fail('Offline page', JSON.stringify(fallback));
+
+  await offlinePage.locator('#offline-form input[type="tel"]').pressSequentially('21987654321');
+  await offlinePage.click('#offline-form button[type="submit"]');
+  const offlineFormState = await offlinePage.waitForFunction(() => document.querySelector('#offline-form')?.dataset.state === 'queued', null, { timeout: 5000 })
+    .then(() => 'queued').catch(() => offlinePage.evaluate(() => document.querySelector('#offline-form')?.dataset.state));
+  if (offlineFormState === 'queued') pass('Offline page signup is queued');
+  else fail('Offline page signup', `state: ${offlineFormState}`);
+
+  // Back online, the queue is sent (Background Sync, or the page's nudge)
+  await offlineContext.setOffline(false);
+  const sent = await new Promise(resolve => {
+    const started = Date.now();
+    const poll = setInterval(() => {
+      if (offlineStore.records.length >= 2 || Date.now() - started > 10000) {
+        clearInterval(poll);
+        resolve(offlineStore.records.map(r => `${r.formId}:${r.phone}`).sort());
+      }
+    }, 200);
+  });
+  if (sent.length === 2 && sent[0] === 'hero-form:+5511987654321' && sent[1] === 'offline-form:+5521987654321') pass('Queued signups are sent once back online, each stored once');
+  else fail('Queued signups replay', JSON.stringify(sent));
+
+  if (offlineErrors.length === 0) pass('Offline support - no JS errors');
+  else offlineErrors.forEach(e => fail('Offline JS error', e));
+
+  await offlineContext.close();
+  await new Promise(r => offlineServer.close(r));
+
+  // ========================================================
+  // 15. SAVINGS CALCULATOR
+  // ========================================================
+
+  console.log('\n\x1b[1m15. Savings Calculator\x1b[0m');
+
+  const calcContext = await newContext(browser, { ...VISITOR, viewport: { width: 390, height: 844 }, isMobile: true, hasTouch: true });
+  const calcPage = await calcContext.newPage();
+  const calcErrors = [];
+  calcPage.on('pageerror', err => calcErrors.push(err.message));
+  await calcPage.goto(`${BASE_URL}/#calculadora`, { waitUntil: 'networkidle', timeout: 15000 });
+  const calc = calcPage.locator('[data-savings-calculator]');
+  // Intl puts a no-break space between R$ and the amount
+  const calcText = (selector) => calc.locator(selector).textContent().then(text => text.replace(/\u00a0/g, ' ').trim());
+
+  const emptyState = await calc.evaluate(el => ({ state: el.dataset.state, placeholder: el.querySelector('[data-debt="card"] [data-field="rate"]').placeholder }));
+  if (emptyState.state === 'empty' && emptyState.placeholder === '14,5') pass('Calculator mounted with the market rate as the placeholder');
+  else fail('Calculator mount', JSON.stringify(emptyState));
+
+  // R$ 5.000 on the card at the average rate, R$ 50 of fees a month
+  await calc.locator('[data-debt="card"] [data-field="balance"]').fill('5.000');
+  await calc.locator('[data-fees]').fill('50');
+  const ptResult = { monthly: await calcText('[data-calc-monthly]'), fees: await calcText('[data-calc-breakdown] li:last-child'), lines: await calc.locator('[data-calc-breakdown] li').count() };
+  if (ptResult.monthly === 'R$ 530' && ptResult.lines === 2 && ptResult.fees.includes('fora da estimativa')) pass(`Estimate updates as you type (${ptResult.monthly}/mês, fees listed apart)`);
+  else fail('Calculator estimate', JSON.stringify(ptResult));
+
+  await calc.locator('[data-debt="card"] [data-field="rate"]').fill('abc');
+  const invalid = await calc.locator('[data-debt="card"] [data-field="rate"]').getAttribute('aria-invalid');
+  const invalidState = await calc.evaluate(el => el.dataset.state);
+  if (invalid === 'true' && invalidState === 'empty') pass('Unreadable rate flagged and its debt left out of the estimate');
+  else fail('Calculator invalid input', JSON.stringify({ invalid, state: invalidState }));
+  await calc.locator('[data-debt="card"] [data-field="rate"]').fill('');
+
+  await calcPage.evaluate(() => switchLang('en'));
+  await calcPage.waitForFunction(() => document.querySelector('[data-calc-breakdown] li').textContent.startsWith('Credit card'), null, { timeout: 5000 }).catch(() => {});
+  const enResult = { monthly: await calcText('[data-calc-monthly]'), note: await calcText('[data-i18n="calc.result.note"]'), item: await calcText('[data-calc-breakdown] li') };
+  if (enResult.monthly === 'R$530' && enResult.note.startsWith("On today's balance") && enResult.item.startsWith('Credit card (revolving): renegotiation from 14.5%')) {
+    pass('Result redrawn in English after switchLang');
+  } else {
+    fail('Calculator after switchLang', JSON.stringify(enResult));
+  }
+  const disclaimer = calc.locator('[data-i18n="calc.disclaimer"]');
+  if (await disclaimer.isVisible() && (await disclaimer.textContent()).startsWith('Illustrative simulation')) pass('Illustrative-simulation disclaimer shown with the result');
+  else fail('Calculator disclaimer', 'Not visible next to the result');
+
+  const calcOverflow = await calcPage.evaluate(() => document.documentElement.scrollWidth > window.innerWidth);
+  if (!calcOverflow) pass('Calculator fits a 390px screen');
+  else fail('Calculator layout', 'Horizontal overflow on mobile');
+
+  if (calcErrors.length === 0) pass('Savings calculator - no JS errors');
+  else calcErrors.forEach(e => fail('Calculator JS error', e));
+  await calcContext.close();
+
+  // ========================================================
+  // 16. LOAN SIMULATOR
+  // ========================================================
+
+  console.log('\n\x1b[1m16. Loan Simulator\x1b[0m');
+
+  const loanContext = await newContext(browser, { ...VISITOR, viewport: { width: 1280, height: 800 }, acceptDownloads: true });
+  const loanPage = await loanContext.newPage();
+  const loanErrors = [];
+  loanPage.on('pageerror', err => loanErrors.push(err.message));
+  await loanPage.goto(`${BASE_URL}/#sobre`, { waitUntil: 'networkidle', timeout: 15000 });
+  const loanDialog = loanPage.locator('[data-loan-dialog]');
+  const loanText = (name) => loanDialog.locator(`[data-loan-${name}]`).textContent().then(text => text.replace(/\u00a0/g, ' ').trim());
+
+  await loanPage.click('#sobre-tab-2');
+  await loanPage.locator('#sobre-card-2 [data-loan-open]').click();
+  const opened = await loanDialog.evaluate(el => ({ open: el.open, amount: el.querySelector('[name="amount"]').value, rate: el.querySelector('[name="rate"]').value, months: el.querySelector('[name="months"]').value }));
+  if (opened.open && opened.amount === '10.000' && opened.rate === '2,3' && opened.months === '24') pass('Crédito card opens the simulator with its preset');
+  else fail('Simulator from the Crédito card', JSON.stringify(opened));
+
+  await loanDialog.locator('[name="iof"]').uncheck();
+  const bare = { first: await loanText('first'), cet: await loanText('cet'), rows: await loanDialog.locator('[data-loan-rows] tr').count() };
+  if (bare.first === 'R$ 546,85' && bare.cet.startsWith('2,3% a.m.') && bare.rows === 24) pass('Price schedule: R$ 546,85 over 24 months, CET 2,3% a.m. without IOF');
+  else fail('Price schedule', JSON.stringify(bare));
+
+  await loanDialog.locator('[name="iof"]').check();
+  await loanDialog.locator('[name="fees"]').fill('500');
+  await loanDialog.locator('input[name="system"][value="sac"]').check();
+  const sacResult = { first: await loanText('first'), last: await loanText('last'), iof: await loanText('iof'), cet: await loanText('cet') };
+  const money = (text) => Number(text.replace(/[^\d,]/g, '').replace(',', '.'));
+  if (money(sacResult.first) > money(sacResult.last) && money(sacResult.iof) > 0 && parseFloat(sacResult.cet.replace(',', '.')) > 2.3) {
+    pass(`SAC with IOF and fees: ${sacResult.first} down to ${sacResult.last}, CET ${sacResult.cet}`);
+  } else {
+    fail('SAC schedule with IOF', JSON.stringify(sacResult));
+  }
+
+  await loanDialog.locator('[name="ratePeriod"]').selectOption('annual');
+  await loanDialog.locator('[name="rate"]').fill('26,82');
+  const equivalent = await loanText('rate-equivalent');
+  if (/^Equivale a 2(,00)?% a\.m\.$/.test(equivalent)) pass('Annual rate converted to monthly');
+  else fail('Rate conversion', equivalent);
+
+  const [download] = await Promise.all([loanPage.waitForEvent('download'), loanDialog.locator('[data-loan-csv]').click()]);
+  const csvPath = await download.path();
+  const csvText = csvPath ? readFileSync(csvPath, 'utf-8') : '';
+  const csvLines = csvText.replace(/^\ufeff/, '').split('\r\n');
+  if (download.suggestedFilename() === 'simulacao-sac-24x.csv' && csvLines[0] === 'Mês;Parcela;Juros;Amortização;Saldo' && csvLines.length === 26) {
+    pass('Schedule downloads as CSV');
+  } else {
+    fail('CSV download', `${download.suggestedFilename()}: ${csvLines[0]} (${csvLines.length} lines)`);
+  }
+
+  await loanPage.evaluate(() => switchLang('en'));
+  await loanPage.waitForFunction(() => document.querySelector('[data-loan-cet]').textContent.includes('a month'), null, { timeout: 5000 }).catch(() => {});
+  const enLoan = { amount: await loanDialog.locator('[name="amount"]').inputValue(), title: await loanDialog.locator('#loan-dialog-title').textContent(), cet: await loanText('cet') };
+  if (enLoan.amount === '10,000' && enLoan.title === 'Loan and financing simulator' && enLoan.cet.includes('a month')) pass('Simulator switches to English, numbers included');
+  else fail('Simulator after switchLang', JSON.stringify(enLoan));
+
+  await loanDialog.locator('[name="amount"]').fill('50');
+  if (await loanDialog.locator('[data-loan-error]').isVisible() && await loanDialog.locator('[data-loan-csv]').isDisabled()) pass('Out-of-range amount explained; nothing to download');
+  else fail('Simulator validation', 'No message for an amount below the minimum');
+
+  await loanPage.keyboard.press('Escape');
+  if (!(await loanDialog.evaluate(el => el.open))) pass('Esc closes the simulator');
+  else fail('Simulator Esc', 'Still open');
+
+  await loanPage.click('#sobre-tab-7');
+  await loanPage.locator('#sobre-card-7 [data-loan-open]').click();
+  const financing = await loanDialog.evaluate(el => ({ open: el.open, amount: el.querySelector('[name="amount"]').value, months: el.querySelector('[name="months"]').value }));
+  if (financing.open && financing.amount === '60,000' && financing.months === '48') pass('Financiamento card opens it with its own preset');
+  else fail('Simulator from the Financiamento card', JSON.stringify(financing));
+
+  if (loanErrors.length === 0) pass('Loan simulator - no JS errors');
+  else loanErrors.forEach(e => fail('Loan simulator JS error', e));
+  await loanContext.close();
+
+  // ========================================================
+  // 17. BANK LOOKUP
+  // ========================================================
+
+  console.log('\n\x1b[1m17. Bank Lookup\x1b[0m');
+
+  const bankStore = createMemoryStore();
+  const bankServer = createSignupServer({ store: bankStore });
+  await new Promise(r => bankServer.listen(0, r));
+  const bankSignupUrl = `http://127.0.0.1:${bankServer.address().port}/api/signup`;
+
+  const bankContext = await newContext(browser, { ...VISITOR, viewport: { width: 1280, height: 800 } });
+  await bankContext.route('**/api/signup', async route => route.fulfill({ response: await route.fetch({ url: bankSignupUrl }) }));
+  const bankPage = await bankContext.newPage();
+  const bankErrors = [];
+  bankPage.on('pageerror', err => bankErrors.push(err.message));
+  await bankPage.goto(`${BASE_URL}/`, { waitUntil: 'networkidle', timeout: 15000 });
+  const bankLookup = bankPage.locator('[data-bank-lookup]');
+  const bankInput = bankLookup.locator('[data-bank-lookup-input]');
+  const bankResult = bankLookup.locator('[data-bank-lookup-result]');
+
+  if (await bankInput.isVisible()) pass('Bank lookup shown under the logo strip');
+  else fail('Bank lookup', 'Still hidden after the scripts ran');
+
+  await bankInput.fill('itau');
+  const itau = { state: await bankLookup.getAttribute('data-state'), text: await bankResult.textContent(), chips: await bankResult.locator('span').count() };
+  if (itau.state === 'found' && itau.text.includes('Sim! O Zen funciona com Itaú.') && itau.chips === 4) pass('"itau" finds Itaú and the data Zen reads from it');
+  else fail('Lookup for "itau"', JSON.stringify(itau));
+
+  await bankPage.evaluate(() => switchLang('en'));
+  await bankPage.waitForFunction(() => document.querySelector('[data-bank-lookup-result]').textContent.includes('Zen works with'), null, { timeout: 5000 }).catch(() => {});
+  const enBank = await bankResult.textContent();
+  if (enBank.includes('Yes! Zen works with Itaú.') && enBank.includes('Investments')) pass('Answer follows the page language');
+  else fail('Lookup after switchLang', enBank);
+  await bankPage.evaluate(() => switchLang('pt'));
+
+  await bankInput.fill('Sicoob');
+  const sicoob = { state: await bankLookup.getAttribute('data-state'), text: await bankResult.textContent() };
+  if (sicoob.state === 'missing' && sicoob.text.includes('Ainda não conectamos com Sicoob')) pass('Unknown bank gets a friendly "not yet"');
+  else fail('Lookup for "Sicoob"', JSON.stringify(sicoob));
+
+  await bankResult.locator('button').click();
+  const handedOff = await bankPage.evaluate(() => {
+    const form = document.getElementById('bottom-cta-form');
+    return { bank: form.dataset.bankRequest, focused: document.activeElement === form.querySelector('input[type="tel"]') };
+  });
+  if (handedOff.bank === 'Sicoob' && handedOff.focused) pass('"Not yet" takes the visitor to the waitlist with the bank noted');
+  else fail('Waitlist hand-off', JSON.stringify(handedOff));
+
+  await bankPage.locator('#bottom-cta-form input[type="tel"]').pressSequentially('11987654321');
+  await bankPage.click('#bottom-cta-form button[type="submit"]');
+  await bankPage.waitForSelector('#bottom-cta-form[data-state="success"]', { timeout: 5000 }).catch(() => {});
+  if (bankStore.records.length === 1 && bankStore.records[0].bankRequest === 'Sicoob') pass('Signup records the bank the visitor asked for');
+  else fail('Signup with bankRequest', JSON.stringify(bankStore.records.map(r => r.bankRequest)));
+
+  if (bankErrors.length === 0) pass('Bank lookup - no JS errors');
+  else bankErrors.forEach(e => fail('Bank lookup JS error', e));
+  await bankContext.close();
+  await new Promise(r => bankServer.close(r));
+
+  // ========================================================
+  // 18. LEGAL DOCUMENTS
+  // ========================================================
+
+  console.log('\n\x1b[1m18. Legal Documents\x1b[0m');
+
+  const legalContext = await newContext(browser, { ...VISITOR, viewport: { width: 1280, height: 800 } });
+  const legalPage = await legalContext.newPage();
+  await legalPage.goto(`${BASE_URL}/reporte-incidentes/`, { waitUntil: 'networkidle', timeout: 15000 });
+
+  await legalPage.locator('.toc a[href="#comunicacao-externa-e-notificacoes"]').click();
+  const landed = await legalPage.evaluate(() => {
+    const top = document.getElementById('comunicacao-externa-e-notificacoes').getBoundingClientRect().top;
+    return { hash: location.hash, top };
+  });
+  if (landed.hash === '#comunicacao-externa-e-notificacoes' && landed.top >= 0 && landed.top < 200) pass('Table of contents jumps to the section');
+  else fail('Table of contents', JSON.stringify(landed));
+
+  // PDFs are linked only while printed from the current page, so there may be none.
+  const pdfLinks = await legalPage.locator('a[href$=".pdf"]:visible').evaluateAll(links => links.map(link => link.href));
+  const pdfStatuses = await Promise.all(pdfLinks.map(async url => {
+    const response = await legalPage.request.get(url);
+    return { url, ok: response.ok(), type: response.headers()['content-type'] };
+  }));
+  if (pdfStatuses.every(status => status.ok && status.type?.includes('pdf'))) pass(`Linked PDFs download (${pdfLinks.length})`);
+  else fail('PDF links', JSON.stringify(pdfStatuses.filter(status => !status.ok)));
+
+  await legalPage.locator('#versoes').locator('xpath=..').getByRole('link', { name: 'Ler' }).click();
+  await legalPage.waitForLoadState('networkidle');
+  const archive = { url: legalPage.url(), notice: await legalPage.locator('.notice').textContent().catch(() => '') };
+  if (archive.url.endsWith('/legal/arquivo/politica-reporte-incidentes-1.0.html') && archive.notice.includes('versão anterior')) pass('Previous version opens, marked as replaced');
+  else fail('Previous version', JSON.stringify(archive));
+
+  await legalPage.getByRole('link', { name: 'veja o que mudou' }).click();
+  await legalPage.waitForLoadState('networkidle');
+  const changeCounts = await legalPage.evaluate(() => ({ ins: document.querySelectorAll('article ins').length, del: document.querySelectorAll('article del').length }));
+  if (changeCounts.ins > 0 && changeCounts.del > 0) pass(`Changelog marks ${changeCounts.ins} additions and ${changeCounts.del} removals`);
+  else fail('Changelog', JSON.stringify(changeCounts));
+
+  await legalPage.goto(`${BASE_URL}/privacidade/`, { waitUntil: 'networkidle', timeout: 15000 });
+  await legalPage.emulateMedia({ media: 'print' });
+  const printed = await legalPage.evaluate(() => ({
+    versions: getComputedStyle(document.getElementById('versoes').closest('section')).display,
+    toc: getComputedStyle(document.querySelector('.toc')).display,
+  }));
+  if (printed.versions === 'none' && printed.toc !== 'none') pass('Printed copy keeps the table of contents, drops the version list');
+  else fail('Print styles', JSON.stringify(printed));
+  await legalContext.close();
+
+  // ========================================================
+  // 19. RIGHTS REQUESTS
+  // ========================================================
+
+  console.log('\n\x1b[1m19. Rights Requests\x1b[0m');
+
+  const rightsStore = createMemoryStore();
+  const rightsServer = createRightsServer({ store: rightsStore });
+  await new Promise(r => rightsServer.listen(0, r));
+  const rightsOrigin = `http://127.0.0.1:${rightsServer.address().port}`;
+
+  const rightsContext = await newContext(browser, { ...VISITOR, viewport: { width: 390, height: 844 } });
+  await rightsContext.route('**/api/rights-requests**', async route => route.fulfill({
+    response: await route.fetch({ url: `${rightsOrigin}${new URL(route.request().url()).pathname}` }),
+  }));
+  const rightsPage = await rightsContext.newPage();
+  const rightsErrors = [];
+  rightsPage.on('pageerror', err => rightsErrors.push(err.message));
+  await rightsPage.goto(`${BASE_URL}/privacidade/#solicitar`, { waitUntil: 'networkidle', timeout: 15000 });
+  const rightsForm = rightsPage.locator('form[data-rights-form]');
+
+  await rightsForm.locator('button[type="submit"]').click();
+  const empty = await rightsPage.evaluate(() => ({
+    alerts: document.querySelectorAll('form[data-rights-form] [role="alert"]:not([hidden])').length,
+    focused: document.activeElement?.name,
+  }));
+  if (empty.alerts >= 5 && empty.focused === 'right' && rightsStore.records.length === 0) pass('Empty form says what is missing, first field focused');
+  else fail('Empty rights form', JSON.stringify(empty));
+
+  await rightsForm.locator('input[value="deletion"]').check();
+  await rightsForm.locator('[name="name"]').fill('Maria da Silva');
+  await rightsForm.locator('[name="cpf"]').pressSequentially('52998224724');
+  await rightsForm.locator('[name="whatsapp"]').focus();
+  const badCpf = { value: await rightsForm.locator('[name="cpf"]').inputValue(), error: await rightsPage.locator('[data-cpf-error]').getAttribute('data-cpf-error') };
+  if (badCpf.value === '529.982.247-24' && badCpf.error === 'invalid') pass('CPF is masked and its check digits verified');
+  else fail('CPF check digits', JSON.stringify(badCpf));
+
+  await rightsForm.locator('[name="cpf"]').fill('');
+  await rightsForm.locator('[name="cpf"]').pressSequentially('52998224725');
+  await rightsForm.locator('[name="whatsapp"]').pressSequentially('11987654321');
+  await rightsForm.locator('[name="holder"]').check();
+  await rightsForm.locator('button[type="submit"]').click();
+  await rightsPage.waitForSelector('[data-rights-result]', { timeout: 5000 }).catch(() => {});
+  const receipt = await rightsPage.locator('[data-rights-result]').textContent().catch(() => '');
+  const rightsRecord = rightsStore.records[0];
+  if (rightsRecord && receipt.includes(rightsRecord.protocol) && receipt.includes('dentro do prazo de 15 dias')) pass(`Request stored; the receipt shows protocol ${rightsRecord.protocol} and the deadline`);
+  else fail('Rights request receipt', receipt);
+  if (rightsRecord?.cpf === '52998224725' && rightsRecord.whatsapp === '+5511987654321' && rightsRecord.right === 'deletion') pass('Stored with the CPF digits and the WhatsApp number in E.164');
+  else fail('Stored rights request', JSON.stringify(rightsRecord));
+
+  await rightsPage.locator('[data-rights-result] a').click();
+  await rightsPage.waitForLoadState('networkidle');
+  const prefilled = await rightsPage.locator('[name="protocol"]').inputValue();
+  if (rightsRecord && prefilled === rightsRecord.protocol) pass('"Acompanhar" opens the lookup with the protocol filled in');
+  else fail('Lookup prefill', prefilled);
+
+  const lookupForm = rightsPage.locator('form[data-rights-lookup]');
+  await lookupForm.locator('[name="cpf"]').pressSequentially('39053344705');
+  await lookupForm.locator('button[type="submit"]').click();
+  await rightsPage.waitForSelector('form[data-rights-lookup][data-state="invalid"]', { timeout: 5000 }).catch(() => {});
+  const wrongCpf = await lookupForm.locator('[data-rights-status]').textContent();
+  if (wrongCpf.includes('Não encontramos')) pass('Another CPF finds nothing');
+  else fail('Lookup with another CPF', wrongCpf);
+
+  await lookupForm.locator('[name="cpf"]').fill('');
+  await lookupForm.locator('[name="cpf"]').pressSequentially('52998224725');
+  await lookupForm.locator('button[type="submit"]').click();
+  await rightsPage.waitForSelector('[data-rights-lookup-result]:not([hidden])', { timeout: 5000 }).catch(() => {});
+  const lookupText = await rightsPage.locator('[data-rights-lookup-result]').textContent().catch(() => '');
+  if (lookupText.includes('Recebida') && lookupText.includes('Eliminação de dados') && lookupText.includes('Faltam 15 dias')) pass('Lookup shows the status, the right and the days left');
+  else fail('Rights lookup', status);
+
+  if (rightsErrors.length === 0) pass('Rights requests - no JS errors');
+  else rightsErrors.forEach(e => fail('Rights requests JS error', e));
+  await rightsContext.close();
+  await new Promise(r => rightsServer.close(r));
+
+  // Across every section
+  if (thirdPartyRequests.size === 0) pass('No request left the site (runs with networking disabled)');
+  else fail(`${thirdPartyRequests.size} third-party requests blocked`, [...thirdPartyRequests].slice(0, 5).join(', '));
+
   // ========================================================
   // SUMMARY
   // ========================================================
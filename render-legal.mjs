@@ -0,0 +1,902 @@
+/**
+ * Zen Website - Legal Document Renderer
+ *
+ * The policies are written once, in Markdown, one file per version:
+ *
+ *   content/legal/<id>/<version>.md   front-matter (title, version,
+ *                                     effective date, optional summary of
+ *                                     what changed) and the text
+ *
+ * and rendered here into everything that's published:
+ *
+ *   <id>/index.html                         the current version, with a table
+ *                                           of contents and the list of versions
+ *   legal/<name>.html, .pdf                 the current version for printing,
+ *                                           and the PDF printed from it
+ *   legal/arquivo/<name>-<version>.html     each previous version, and its PDF
+ *                                           once one has been printed
+ *   legal/arquivo/<name>-alteracoes.html    what changed from each version to
+ *                                           the next, word by word
+ *
+ * The privacy policy page also carries the form titulares use to exercise
+ * their rights, and privacidade/protocolo/ is where they follow a request
+ * (js/rights-request.js, served by server/rights.mjs). Both load
+ * RIGHTS_ENTRY; their labels come from the pt-BR catalog.
+ *
+ * The Markdown is a small subset: ## and ### headings, paragraphs, "- "
+ * lists, **bold** and [links](url). Company facts are {{placeholders}} from
+ * js/site-config.js, as in the catalogs. A new version is a new file; the
+ * old one stays as it was published.
+ *
+ * The pages are committed (GitHub Pages serves the repo as-is) and
+ * validate.mjs fails when one is out of date. PDFs are printed by
+ * Playwright's Chromium, so they're a separate step; content/legal/pdfs.json
+ * records which page each PDF was printed from. A PDF is only linked, here
+ * and in the site footer (render-locales.mjs), while that page is unchanged
+ * since it was printed, so no page offers a copy of another text; validate.mjs
+ * fails when a linked PDF is out of date.
+ *
+ * Run: node render-legal.mjs          the pages (also part of build.mjs)
+ *      node render-legal.mjs --pdf    the pages and the PDFs
+ *                                     (npx playwright install chromium first)
+ */
+
+import { z } from 'zod';
+import { readFileSync, writeFileSync, mkdirSync, readdirSync, existsSync } from 'fs';
+import { createHash } from 'crypto';
+import { join, dirname, posix } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { SITE_CONFIG, fillSiteValues } from './js/site-config.js';
+import { RIGHTS, RESPONSE_DAYS, MAX_NAME, MAX_DETAILS } from './js/rights-request.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const LEGAL_SOURCE_DIR = 'content/legal';
+export const PDF_MANIFEST = 'content/legal/pdfs.json';
+const ARCHIVE_DIR = 'legal/arquivo';
+export const RIGHTS_ENTRY = 'js/rights-page.js';
+export const RIGHTS_LOOKUP_PAGE = 'privacidade/protocolo/index.html';
+
+/**
+ * The policies, in footer order. `name` is the published file name, `label`
+ * the short title; `rightsRequest` puts the rights-request form on the page.
+ */
+export const LEGAL_DOCUMENTS = [
+  {
+    id: 'privacidade',
+    name: 'politica-privacidade',
+    label: 'Política de Privacidade',
+    description: 'Política de Privacidade da Aizen Tecnologia Ltda. Saiba como tratamos seus dados pessoais.',
+    rightsRequest: true,
+  },
+  {
+    id: 'retencao-dados',
+    name: 'politica-retencao-dados',
+    label: 'Retenção e Descarte de Dados',
+    description: 'Política de Retenção e Descarte de Dados Pessoais da Aizen Tecnologia Ltda. Por quanto tempo guardamos cada dado e como o eliminamos.',
+  },
+  {
+    id: 'reporte-incidentes',
+    name: 'politica-reporte-incidentes',
+    label: 'Reporte de Incidentes',
+    description: 'Política de Reporte e Gestão de Incidentes de Segurança da Aizen Tecnologia Ltda. Procedimentos para identificação e resposta a incidentes.',
+  },
+];
+
+export const legalPaths = (doc) => ({
+  page: `${doc.id}/index.html`,
+  print: `legal/${doc.name}.html`,
+  pdf: `legal/${doc.name}.pdf`,
+  changes: `${ARCHIVE_DIR}/${doc.name}-alteracoes.html`,
+});
+export const archivePaths = (doc, version) => ({
+  print: `${ARCHIVE_DIR}/${doc.name}-${version}.html`,
+  pdf: `${ARCHIVE_DIR}/${doc.name}-${version}.pdf`,
+});
+
+// ============================================================
+// SOURCES
+// ============================================================
+
+export const FrontMatterSchema = z.object({
+  title: z.string().trim().min(1),
+  version: z.string().regex(/^\d+\.\d+$/, 'Expected a version like 1.0'),
+  effective: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected a date like 2026-02-02'),
+  summary: z.string().trim().min(1).optional(),
+}).strict();
+
+/** Splits `--- key: value ... ---` off the top of `source`. Returns { meta, body }. */
+export function parseFrontMatter(source) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n/);
+  if (!match) throw new Error('Missing front-matter');
+  const meta = Object.fromEntries(match[1].split(/\r?\n/).filter(line => line.trim()).map(line => {
+    const colon = line.indexOf(':');
+    if (colon < 1) throw new Error(`Bad front-matter line: ${line}`);
+    return [line.slice(0, colon).trim(), line.slice(colon + 1).trim()];
+  }));
+  return { meta, body: source.slice(match[0].length) };
+}
+
+const compareVersions = (a, b) => {
+  const [aMajor, aMinor] = a.split('.').map(Number);
+  const [bMajor, bMinor] = b.split('.').map(Number);
+  return aMajor - bMajor || aMinor - bMinor;
+};
+
+/**
+ * Every document with its versions, oldest first:
+ * [{ ...doc, versions: [{ title, version, effective, summary?, body }] }].
+ * Throws when a file's front-matter is invalid, its version doesn't match
+ * its file name, or versions don't take effect in order.
+ */
+export function loadLegalDocuments(root = __dirname) {
+  return LEGAL_DOCUMENTS.map(doc => {
+    const dir = join(root, LEGAL_SOURCE_DIR, doc.id);
+    const versions = readdirSync(dir).filter(file => file.endsWith('.md')).map(file => {
+      const { meta, body } = parseFrontMatter(readFileSync(join(dir, file), 'utf-8'));
+      const parsed = FrontMatterSchema.safeParse(meta);
+      if (!parsed.success) throw new Error(`${LEGAL_SOURCE_DIR}/${doc.id}/${file}: ${parsed.error.issues.map(issue => `${issue.path.join('.')} ${issue.message}`).join('; ')}`);
+      if (`${parsed.data.version}.md` !== file) throw new Error(`${LEGAL_SOURCE_DIR}/${doc.id}/${file}: version ${parsed.data.version} doesn't match the file name`);
+      return { ...parsed.data, body };
+    }).sort((a, b) => compareVersions(a.version, b.version));
+    if (!versions.length) throw new Error(`No versions in ${LEGAL_SOURCE_DIR}/${doc.id}`);
+    versions.slice(1).forEach((version, k) => {
+      if (version.effective <= versions[k].effective) throw new Error(`${doc.id} ${version.version} takes effect before ${versions[k].version}`);
+    });
+    return { ...doc, versions };
+  });
+}
+
+// ============================================================
+// MARKDOWN
+// ============================================================
+
+const escapeHtml = (text) => String(text).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+
+// Links may point at pages, anchors, e-mail and the web; anything else stays text
+const SAFE_HREF = /^(https?:\/\/|mailto:|\/|#|\.\.?\/)/;
+const INLINE = /\[([^\]]+)\]\(([^)\s]+)\)|\*\*(.+?)\*\*/g;
+
+/** **bold** and [links](url) in one line of text, everything else escaped. */
+export function renderInline(text) {
+  let html = '';
+  let last = 0;
+  for (const match of text.matchAll(INLINE)) {
+    const [whole, label, href, bold] = match;
+    html += escapeHtml(text.slice(last, match.index));
+    if (bold !== undefined) html += `<strong>${renderInline(bold)}</strong>`;
+    else if (SAFE_HREF.test(href)) html += `<a href="${escapeHtml(href)}">${renderInline(label)}</a>`;
+    else html += escapeHtml(whole);
+    last = match.index + whole.length;
+  }
+  return html + escapeHtml(text.slice(last));
+}
+
+/** The text a reader sees, without the Markdown: "**Nota.** [aqui](x)" -> "Nota. aqui". */
+export const plainText = (text) => text.replace(INLINE, (whole, label, href, bold) => (bold !== undefined ? plainText(bold) : plainText(label)));
+
+/** "Comunicação Externa" -> "comunicacao-externa" */
+export function slugify(text) {
+  return plainText(text).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Splits Markdown into blocks: { type: 'h2' | 'h3' | 'p' | 'ul', text }
+ * (for lists, `items`). Lines within a paragraph are joined.
+ */
+export function parseBlocks(markdown) {
+  return markdown.split(/\r?\n\s*\r?\n/).map(chunk => chunk.trim()).filter(Boolean).map(chunk => {
+    const heading = chunk.match(/^(#{1,6})\s+(.+)$/);
+    if (heading) {
+      if (heading[1].length < 2 || heading[1].length > 3) throw new Error(`Only ## and ### headings (the title is in the front-matter): ${chunk}`);
+      return { type: `h${heading[1].length}`, text: heading[2].trim() };
+    }
+    const lines = chunk.split(/\r?\n/).map(line => line.trim());
+    if (lines.every(line => line.startsWith('- '))) {
+      const items = lines.map(line => line.slice(2).trim());
+      return { type: 'ul', text: items.join('\n'), items };
+    }
+    return { type: 'p', text: lines.join(' ') };
+  });
+}
+
+/**
+ * Renders Markdown to HTML. Returns { html, headings } where headings are
+ * { level, text, id } for the table of contents; ids are unique.
+ */
+export function renderMarkdown(markdown, { indent = '' } = {}) {
+  const headings = [];
+  const used = new Map();
+  const html = parseBlocks(markdown).map(block => {
+    if (block.type === 'ul') return `${indent}<ul>\n${block.items.map(item => `${indent}  <li>${renderInline(item)}</li>`).join('\n')}\n${indent}</ul>`;
+    if (block.type === 'p') return `${indent}<p>${renderInline(block.text)}</p>`;
+    const base = slugify(block.text) || 'secao';
+    const seen = used.get(base) || 0;
+    used.set(base, seen + 1);
+    const id = seen ? `${base}-${seen + 1}` : base;
+    headings.push({ level: Number(block.type[1]), text: plainText(block.text), id });
+    return `${indent}<${block.type} id="${id}">${renderInline(block.text)}</${block.type}>`;
+  }).join('\n');
+  return { html, headings };
+}
+
+// ============================================================
+// CHANGES
+// ============================================================
+
+/**
+ * The longest common subsequence of `a` and `b` as a list of edits:
+ * { op: 'equal', a, b } | { op: 'delete', a } | { op: 'insert', b }.
+ */
+export function diffSequences(a, b, same = (x, y) => x === y) {
+  const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = same(a[i], b[j]) ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  const edits = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (same(a[i], b[j])) edits.push({ op: 'equal', a: a[i++], b: b[j++] });
+    else if (table[i + 1][j] >= table[i][j + 1]) edits.push({ op: 'delete', a: a[i++] });
+    else edits.push({ op: 'insert', b: b[j++] });
+  }
+  while (i < a.length) edits.push({ op: 'delete', a: a[i++] });
+  while (j < b.length) edits.push({ op: 'insert', b: b[j++] });
+  return edits;
+}
+
+const words = (text) => text.split(/\s+/).filter(Boolean);
+
+// Below this share of words in common, a rewritten paragraph reads better as removed + added
+const SIMILAR = 0.5;
+
+/** A word-level diff of two texts as HTML with <del> and <ins>. */
+export function diffWordsHtml(before, after) {
+  const runs = [];
+  for (const { op, a, b } of diffSequences(words(before), words(after))) {
+    const word = op === 'insert' ? b : a;
+    if (runs.length && runs[runs.length - 1].op === op) runs[runs.length - 1].words.push(word);
+    else runs.push({ op, words: [word] });
+  }
+  const tag = { equal: null, delete: 'del', insert: 'ins' };
+  return runs.map(({ op, words: run }) => (tag[op] ? `<${tag[op]}>${escapeHtml(run.join(' '))}</${tag[op]}>` : escapeHtml(run.join(' ')))).join(' ');
+}
+
+/**
+ * What changed between two versions' Markdown, block by block:
+ * [{ section, op: 'changed' | 'added' | 'removed', type, before?, after? }]
+ * where `section` is the heading the change falls under (in the newer
+ * version) and texts are plain. A rewritten block pairs up with the block
+ * it replaced when at least half of the wording survives.
+ */
+export function documentChanges(beforeMarkdown, afterMarkdown) {
+  const block = (b) => ({ type: b.type, text: plainText(b.text) });
+  const isHeading = (b) => b.type === 'h2' || b.type === 'h3';
+  const before = parseBlocks(beforeMarkdown).map(block);
+  const after = parseBlocks(afterMarkdown).map(block);
+  const similar = (old, fresh) => {
+    if (old.type !== fresh.type) return false;
+    const common = diffSequences(words(old.text), words(fresh.text)).filter(edit => edit.op === 'equal').length;
+    return common / Math.max(words(old.text).length, words(fresh.text).length) >= SIMILAR;
+  };
+  const changes = [];
+  let section = null;
+  let removed = [];
+  let added = [];
+  // A run of removed and added blocks: the ones that are rewrites of each other pair up, in order
+  const flush = () => {
+    for (const { op, a: old, b: fresh } of diffSequences(removed, added, similar)) {
+      const change = op === 'equal' ? { op: 'changed', type: fresh.type, before: old.text, after: fresh.text }
+        : op === 'delete' ? { op: 'removed', type: old.type, before: old.text } : { op: 'added', type: fresh.type, after: fresh.text };
+      if (isHeading(change)) section = change.after ?? change.before;
+      changes.push({ section, ...change });
+    }
+    removed = [];
+    added = [];
+  };
+  for (const edit of diffSequences(before, after, (x, y) => x.type === y.type && x.text === y.text)) {
+    if (edit.op === 'equal') {
+      flush();
+      if (isHeading(edit.b)) section = edit.b.text;
+    } else if (edit.op === 'delete') {
+      removed.push(edit.a);
+    } else {
+      added.push(edit.b);
+    }
+  }
+  flush();
+  return changes;
+}
+
+// ============================================================
+// PAGES
+// ============================================================
+
+const DATE_FORMAT = new Intl.DateTimeFormat('pt-BR', { dateStyle: 'long', timeZone: 'UTC' });
+export const formatLegalDate = (isoDate) => DATE_FORMAT.format(new Date(`${isoDate}T00:00:00Z`));
+
+const plural = (count, one, many) => `${count} ${count === 1 ? one : many}`;
+
+/** `to` as a link from the page at `from`, both relative to the site root: "privacidade/index.html" -> "../privacidade/". */
+function hrefFrom(from, to) {
+  const href = posix.relative(posix.dirname(from), to);
+  return href.endsWith('index.html') ? href.slice(0, -'index.html'.length) || './' : href;
+}
+
+const STYLE = `
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+
+    body {
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+      background: #F4F4F4;
+      color: #374151;
+      line-height: 1.7;
+      -webkit-font-smoothing: antialiased;
+    }
+
+    header {
+      background: #191919;
+      padding: 1.25rem 0;
+    }
+
+    header .container {
+      max-width: 800px;
+      margin: 0 auto;
+      padding: 0 1.5rem;
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+    }
+
+    header a {
+      color: #fff;
+      text-decoration: none;
+      font-size: 0.875rem;
+      opacity: 0.7;
+      transition: opacity 0.2s;
+    }
+
+    header a:hover { opacity: 1; }
+
+    .logo {
+      height: 28px;
+    }
+
+    main {
+      max-width: 800px;
+      margin: 0 auto;
+      padding: 3rem 1.5rem 4rem;
+    }
+
+    article {
+      background: #fff;
+      border-radius: 12px;
+      padding: 3rem;
+      box-shadow: 0 1px 3px rgba(0,0,0,0.06);
+    }
+
+    @media (max-width: 640px) {
+      article { padding: 1.5rem; border-radius: 8px; }
+      main { padding: 1.5rem 1rem 2rem; }
+    }
+
+    h1 {
+      font-size: 1.75rem;
+      font-weight: 700;
+      color: #191919;
+      margin-bottom: 0.25rem;
+      line-height: 1.3;
+    }
+
+    .last-updated {
+      font-size: 0.875rem;
+      color: #9CA3AF;
+      margin-bottom: 2rem;
+      padding-bottom: 1.5rem;
+      border-bottom: 1px solid #E5E7EB;
+    }
+
+    h2 {
+      font-size: 1.125rem;
+      font-weight: 600;
+      color: #191919;
+      margin-top: 2.5rem;
+      margin-bottom: 1rem;
+      padding-top: 1.5rem;
+      border-top: 1px solid #F3F4F6;
+    }
+
+    h2:first-child {
+      margin-top: 0;
+      padding-top: 0;
+      border-top: none;
+    }
+
+    h3 {
+      font-size: 1rem;
+      font-weight: 600;
+      color: #191919;
+      margin-top: 1.75rem;
+      margin-bottom: 0.75rem;
+    }
+
+    p, li {
+      font-size: 0.9375rem;
+    }
+
+    p, ul {
+      margin-bottom: 1rem;
+    }
+
+    ul { padding-left: 1.5rem; }
+
+    strong {
+      color: #191919;
+      font-weight: 600;
+    }
+
+    a {
+      color: #2678FF;
+      text-decoration: none;
+    }
+
+    a:hover {
+      text-decoration: underline;
+    }
+
+    .toc {
+      background: #F9FAFB;
+      border-radius: 8px;
+      padding: 1.25rem 1.5rem;
+      margin-bottom: 2rem;
+      font-size: 0.875rem;
+    }
+
+    .toc p {
+      font-weight: 600;
+      color: #191919;
+      margin-bottom: 0.5rem;
+    }
+
+    .toc ol { padding-left: 1.25rem; }
+    .toc li { font-size: 0.875rem; margin: 0.25rem 0; }
+
+    .notice {
+      background: #FEF3C7;
+      color: #78350F;
+      border-radius: 8px;
+      padding: 1rem 1.25rem;
+      margin-bottom: 2rem;
+    }
+
+    .notice a { color: inherit; text-decoration: underline; }
+
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 0.875rem;
+      margin-bottom: 1rem;
+    }
+
+    th, td {
+      text-align: left;
+      padding: 0.5rem 0.75rem 0.5rem 0;
+      border-bottom: 1px solid #F3F4F6;
+    }
+
+    th { color: #191919; font-weight: 600; }
+
+    .change { margin-bottom: 1.25rem; }
+    .change .kind { font-size: 0.75rem; font-weight: 600; text-transform: uppercase; letter-spacing: 0.05em; color: #9CA3AF; margin-bottom: 0.25rem; }
+    ins { background: #DCFCE7; color: #14532D; text-decoration: none; }
+    del { background: #FEE2E2; color: #7F1D1D; }
+
+    footer {
+      text-align: center;
+      padding: 2rem 1.5rem;
+      font-size: 0.8125rem;
+      color: #9CA3AF;
+    }
+
+    footer a {
+      color: #6B7280;
+    }
+
+    @media print {
+      body { background: #fff; }
+      header { background: none; padding: 0 0 1.5rem; }
+      header .container { padding: 0; max-width: none; }
+      header a, .screen-only { display: none; }
+      .logo { filter: invert(1); }
+      main { max-width: none; padding: 0; }
+      article { padding: 0; box-shadow: none; border-radius: 0; }
+      h2, h3 { break-after: avoid; }
+      p { orphans: 3; widows: 3; }
+    }
+  `;
+
+// The forms on the pages that load RIGHTS_ENTRY
+const FORM_STYLE = `
+    .rights-form label { display: block; font-size: 0.875rem; font-weight: 600; color: #191919; margin-bottom: 0.375rem; }
+    .rights-form input:not([type="radio"]):not([type="checkbox"]), .rights-form textarea {
+      display: block;
+      width: 100%;
+      font: inherit;
+      font-size: 0.9375rem;
+      color: #191919;
+      background: #fff;
+      border: 1px solid #D1D5DB;
+      border-radius: 8px;
+      padding: 0.625rem 0.75rem;
+      margin-bottom: 1rem;
+    }
+    .rights-form textarea { min-height: 6rem; resize: vertical; }
+    .rights-form input:focus, .rights-form textarea:focus { outline: 2px solid #2678FF; outline-offset: 1px; border-color: #2678FF; }
+    .rights-form [aria-invalid="true"] { border-color: #DC2626; }
+    .rights-form fieldset { border: 0; margin-bottom: 1rem; }
+    .rights-form legend { font-size: 0.875rem; font-weight: 600; color: #191919; margin-bottom: 0.5rem; }
+    .rights-form label.choice { display: flex; gap: 0.625rem; align-items: flex-start; font-weight: 400; color: #374151; margin-bottom: 0.625rem; }
+    .rights-form label.choice input { margin-top: 0.35rem; accent-color: #2678FF; }
+    .rights-form .hint { font-size: 0.8125rem; color: #6B7280; margin: -0.75rem 0 1rem; }
+    .rights-form [role="alert"] { font-size: 0.8125rem; font-weight: 500; color: #DC2626; margin: -0.75rem 0 1rem; }
+    .rights-form button[type="submit"] {
+      font: inherit;
+      font-weight: 600;
+      color: #fff;
+      background: #2678FF;
+      border: 0;
+      border-radius: 999px;
+      padding: 0.75rem 1.75rem;
+      cursor: pointer;
+    }
+    .rights-form button[type="submit"]:disabled { opacity: 0.6; cursor: wait; }
+    [data-rights-status] { font-size: 0.875rem; color: #6B7280; margin-top: 1rem; }
+    [data-rights-status].is-error { color: #DC2626; }
+    [data-rights-status] button { font: inherit; font-weight: 600; color: #2678FF; background: none; border: 0; text-decoration: underline; cursor: pointer; }
+    .rights-result { background: #F0F9FF; border-radius: 8px; padding: 1.25rem 1.5rem; margin: 1rem 0; }
+    .rights-result:focus { outline: none; }
+    .rights-result-title { font-weight: 600; color: #191919; }
+    .rights-result dl { display: grid; grid-template-columns: auto 1fr; gap: 0.375rem 1.5rem; font-size: 0.9375rem; margin-bottom: 1rem; }
+    .rights-result dt { color: #6B7280; }
+    .rights-result dd { color: #191919; font-weight: 500; }
+    .rights-overdue { color: #B91C1C; font-weight: 600; }
+  `;
+
+/** A legal page around `body`, in the style the policies have always had. */
+function legalPage({ file, title, description, body, entry }) {
+  const up = '../'.repeat(file.split('/').length - 1);
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <meta name="description" content="${escapeHtml(description)}">
+  <link rel="icon" type="image/svg+xml" href="${up}assets/logos/logomark-blue.svg">
+  <link rel="preload" href="${up}assets/fonts/inter-latin.woff2" as="font" type="font/woff2" crossorigin>
+  <link rel="stylesheet" href="${up}assets/fonts/fonts.css">
+  <style>${STYLE}${entry ? FORM_STYLE : ''}</style>
+</head>
+<body>
+  <header>
+    <div class="container">
+      <img src="${up}assets/logos/logo-white.svg" alt="Aizen" class="logo">
+      <a href="/">← Voltar ao site</a>
+    </div>
+  </header>
+
+  <main>
+    <article>
+${body}
+    </article>
+  </main>
+
+  <footer>
+    <p>© 2026 Aizen Tecnologia Ltda. Todos os direitos reservados.</p>
+    <p style="margin-top: 0.5rem;"><a href="/">${SITE_CONFIG.domain}</a></p>
+  </footer>${entry ? `\n  <script type="module" src="${up}${entry}"></script>` : ''}
+</body>
+</html>
+`;
+}
+
+function tableOfContents(headings, indent) {
+  const items = [];
+  for (const heading of headings) {
+    const link = `<a href="#${heading.id}">${escapeHtml(heading.text)}</a>`;
+    if (heading.level === 3 && items.length) items[items.length - 1].children.push(link);
+    else items.push({ link, children: [] });
+  }
+  const lines = items.map(({ link, children }) => (children.length
+    ? `${indent}    <li>${link}\n${indent}      <ol>\n${children.map(child => `${indent}        <li>${child}</li>`).join('\n')}\n${indent}      </ol>\n${indent}    </li>`
+    : `${indent}    <li>${link}</li>`));
+  return [
+    `${indent}<nav class="toc" aria-labelledby="toc-title">`,
+    `${indent}  <p id="toc-title">Nesta página</p>`,
+    `${indent}  <ol>`,
+    ...lines,
+    `${indent}  </ol>`,
+    `${indent}</nav>`,
+  ].join('\n');
+}
+
+// The version list on the current page: each version, when it was in force, and where to read it
+function versionsSection(doc, file, indent, pdfs) {
+  const paths = legalPaths(doc);
+  const { versions } = doc;
+  const rows = versions.map((version, k) => {
+    const current = k === versions.length - 1;
+    const next = versions[k + 1];
+    const period = current ? `desde ${formatLegalDate(version.effective)}` : `de ${formatLegalDate(version.effective)} a ${formatLegalDate(next.effective)}`;
+    const { print, pdf } = current ? paths : archivePaths(doc, version.version);
+    const links = `<a href="${hrefFrom(file, print)}">${current ? 'Imprimir' : 'Ler'}</a>${pdfs.has(pdf) ? ` · <a href="${hrefFrom(file, pdf)}">PDF</a>` : ''}`;
+    return `${indent}      <tr><td>${version.version}${current ? ' (atual)' : ''}</td><td>${period}</td><td>${links}</td></tr>`;
+  }).reverse();
+  return [
+    `${indent}<section class="screen-only" aria-labelledby="versoes">`,
+    `${indent}  <h2 id="versoes">Versões desta política</h2>`,
+    `${indent}  <table>`,
+    `${indent}    <thead><tr><th>Versão</th><th>Em vigor</th><th>Documento</th></tr></thead>`,
+    `${indent}    <tbody>`,
+    ...rows,
+    `${indent}    </tbody>`,
+    `${indent}  </table>`,
+    ...(versions.length > 1 ? [`${indent}  <p><a href="${hrefFrom(file, paths.changes)}">O que mudou entre as versões</a></p>`] : []),
+    `${indent}</section>`,
+  ].join('\n');
+}
+
+// ============================================================
+// RIGHTS REQUESTS
+// ============================================================
+
+const RIGHTS_SECTION = { level: 2, text: 'Solicitar pelo site', id: 'solicitar' };
+const RIGHT_DESCRIPTIONS = {
+  access: 'Saber se tratamos seus dados e receber uma cópia deles (art. 18, I e II).',
+  correction: 'Corrigir dados incompletos, inexatos ou desatualizados (art. 18, III).',
+  deletion: 'Eliminar dados desnecessários ou excessivos, ou tratados com seu consentimento (art. 18, IV e VI).',
+  portability: 'Receber seus dados em formato estruturado para levá-los a outro fornecedor (art. 18, V).',
+  'consent-revocation': 'Retirar um consentimento que você deu, sem afetar o que foi feito antes (art. 18, IX).',
+};
+
+let ptCatalog;
+const catalogLabel = (key) => {
+  ptCatalog ??= JSON.parse(readFileSync(join(__dirname, 'locales/pt-BR.json'), 'utf-8'));
+  return ptCatalog[key];
+};
+
+// The request form under the policy, posting to server/rights.mjs
+function rightsRequestSection(file, indent) {
+  const lookup = hrefFrom(file, RIGHTS_LOOKUP_PAGE);
+  const lines = [
+    `<section class="screen-only" aria-labelledby="${RIGHTS_SECTION.id}">`,
+    `  <h2 id="${RIGHTS_SECTION.id}">${RIGHTS_SECTION.text}</h2>`,
+    `  <p>Escolha o direito que você quer exercer e informe seus dados. Você recebe um número de protocolo na hora, e respondemos em até ${RESPONSE_DAYS} dias contados da solicitação. Já fez uma? <a href="${lookup}">Acompanhe pelo protocolo</a>.</p>`,
+    `  <noscript><p>O formulário precisa de JavaScript. Você também pode escrever para <a href="mailto:${SITE_CONFIG.contact.support}">${SITE_CONFIG.contact.support}</a>.</p></noscript>`,
+    `  <form id="rights-form" class="rights-form" action="/api/rights-requests" method="post" data-rights-form data-lookup-page="${lookup}" novalidate>`,
+    '    <fieldset id="rights-right" data-rights-right tabindex="-1">',
+    '      <legend>Qual direito você quer exercer?</legend>',
+    ...RIGHTS.map(right => `      <label class="choice"><input type="radio" name="right" value="${right}"> <span><strong>${escapeHtml(catalogLabel(`rights.right.${right}`))}.</strong> ${escapeHtml(RIGHT_DESCRIPTIONS[right])}</span></label>`),
+    '    </fieldset>',
+    '    <label for="rights-name">Nome completo</label>',
+    `    <input id="rights-name" name="name" autocomplete="name" maxlength="${MAX_NAME}" required>`,
+    '    <label for="rights-cpf">CPF</label>',
+    '    <input id="rights-cpf" name="cpf" inputmode="numeric" autocomplete="off" placeholder="000.000.000-00" maxlength="14" required>',
+    '    <label for="rights-whatsapp">WhatsApp</label>',
+    '    <input id="rights-whatsapp" name="whatsapp" type="tel" autocomplete="tel-national" placeholder="(11) 99999-0000" required>',
+    '    <p class="hint">É por onde falamos com você sobre a solicitação.</p>',
+    '    <label for="rights-email">E-mail (opcional)</label>',
+    '    <input id="rights-email" name="email" type="email" autocomplete="email" maxlength="254">',
+    '    <label for="rights-details">Detalhes (opcional)</label>',
+    `    <textarea id="rights-details" name="details" maxlength="${MAX_DETAILS}" placeholder="Quais dados, de qual período, o que deve ser corrigido..."></textarea>`,
+    '    <label class="choice"><input id="rights-holder" type="checkbox" name="holder" required> <span>Declaro que sou o titular dos dados, ou seu representante legal, e que as informações acima são verdadeiras.</span></label>',
+    '    <button type="submit">Enviar solicitação</button>',
+    '    <p data-rights-status role="status" aria-live="polite" hidden></p>',
+    '  </form>',
+    '</section>',
+  ];
+  return lines.map(line => indent + line).join('\n');
+}
+
+/** privacidade/protocolo/: a request followed by its protocol and the titular's CPF. */
+export function renderRightsLookup() {
+  const indent = '      ';
+  const file = RIGHTS_LOOKUP_PAGE;
+  const policy = LEGAL_DOCUMENTS.find(doc => doc.rightsRequest);
+  const lines = [
+    '<h1>Acompanhar solicitação</h1>',
+    `<p class="last-updated">Direitos do titular de dados · <a href="${hrefFrom(file, legalPaths(policy).page)}#${RIGHTS_SECTION.id}">Fazer uma solicitação</a></p>`,
+    '<p>Informe o número de protocolo que você recebeu ao fazer a solicitação e o CPF do titular.</p>',
+    `<noscript><p>A consulta precisa de JavaScript. Você também pode escrever para <a href="mailto:${SITE_CONFIG.contact.support}">${SITE_CONFIG.contact.support}</a> informando o protocolo.</p></noscript>`,
+    '<form id="rights-lookup" class="rights-form" action="/api/rights-requests/status" method="post" data-rights-lookup novalidate>',
+    '  <label for="rights-protocol">Protocolo</label>',
+    '  <input id="rights-protocol" name="protocol" autocomplete="off" autocapitalize="characters" spellcheck="false" placeholder="20261019-K7M3QX" maxlength="20" required>',
+    '  <label for="rights-lookup-cpf">CPF do titular</label>',
+    '  <input id="rights-lookup-cpf" name="cpf" inputmode="numeric" autocomplete="off" placeholder="000.000.000-00" maxlength="14" required>',
+    '  <button type="submit">Consultar</button>',
+    '  <p data-rights-status role="status" aria-live="polite" hidden></p>',
+    '</form>',
+    '<div class="rights-result" data-rights-lookup-result aria-live="polite" hidden></div>',
+    `<p>Pela LGPD (art. 19, II), respondemos em até ${RESPONSE_DAYS} dias contados da data do requerimento. Se a resposta não chegar no prazo, escreva para o nosso Encarregado de Proteção de Dados, indicado na <a href="${hrefFrom(file, legalPaths(policy).page)}">${escapeHtml(policy.label)}</a>, ou procure a Autoridade Nacional de Proteção de Dados (ANPD).</p>`,
+  ];
+  return legalPage({
+    file,
+    title: 'Acompanhar solicitação - Aizen',
+    description: 'Acompanhe pelo número de protocolo uma solicitação de direitos do titular de dados feita à Aizen Tecnologia Ltda.',
+    body: lines.map(line => indent + line).join('\n'),
+    entry: RIGHTS_ENTRY,
+  });
+}
+
+// ============================================================
+// VERSIONS
+// ============================================================
+
+/**
+ * One version of `doc` as a page. `variant`: 'page' (the site page), 'print'
+ * (what the PDF is printed from) or 'archive'. `pdfs` is the set of PDFs
+ * that may be linked (see upToDatePdfs).
+ */
+function renderVersion(doc, version, { file, variant, pdfs = new Set() }) {
+  const indent = '      ';
+  const paths = legalPaths(doc);
+  const { html, headings } = renderMarkdown(fillSiteValues(version.body), { indent });
+  const current = doc.versions[doc.versions.length - 1];
+  const rightsForm = variant === 'page' && doc.rightsRequest;
+  const tocHeadings = variant === 'page'
+    ? [...headings, ...(rightsForm ? [RIGHTS_SECTION] : []), { level: 2, text: 'Versões desta política', id: 'versoes' }]
+    : headings;
+  const parts = [
+    `${indent}<h1>${escapeHtml(version.title)}</h1>`,
+    `${indent}<p class="last-updated">Versão ${version.version}, em vigor desde ${formatLegalDate(version.effective)}${variant === 'page' && pdfs.has(paths.pdf) ? ` · <a class="screen-only" href="${hrefFrom(file, paths.pdf)}">Baixar em PDF</a>` : ''}</p>`,
+  ];
+  if (variant === 'archive') {
+    parts.push(`${indent}<p class="notice">Esta é uma versão anterior, substituída pela versão ${current.version} em ${formatLegalDate(doc.versions[doc.versions.indexOf(version) + 1].effective)}. <a href="${hrefFrom(file, paths.page)}">Leia a versão atual</a> ou <a href="${hrefFrom(file, paths.changes)}">veja o que mudou</a>.</p>`);
+  }
+  parts.push(tableOfContents(tocHeadings, indent), html);
+  if (rightsForm) parts.push(rightsRequestSection(file, indent));
+  if (variant === 'page') parts.push(versionsSection(doc, file, indent, pdfs));
+  const title = variant === 'archive' ? `${version.title} (versão ${version.version}) - Aizen` : variant === 'print' ? version.title : `${doc.label} - Aizen`;
+  return legalPage({ file, title, description: doc.description, body: parts.join('\n'), ...(rightsForm && { entry: RIGHTS_ENTRY }) });
+}
+
+// Every change from one version to the next, newest first
+function renderChanges(doc, file) {
+  const indent = '      ';
+  const { versions } = doc;
+  const kinds = { changed: 'Alterado', added: 'Incluído', removed: 'Removido' };
+  const sections = versions.slice(1).map((version, k) => {
+    const previous = versions[k];
+    const changes = documentChanges(fillSiteValues(previous.body), fillSiteValues(version.body));
+    const counts = ['changed', 'added', 'removed'].map(op => changes.filter(change => change.op === op).length);
+    const id = `versao-${version.version.replace('.', '-')}`;
+    const lines = [
+      `${indent}<h2 id="${id}">Da versão ${previous.version} para a ${version.version}</h2>`,
+      `${indent}<p class="last-updated">Em vigor desde ${formatLegalDate(version.effective)} · ${plural(counts[0], 'trecho alterado', 'trechos alterados')}, ${plural(counts[1], 'incluído', 'incluídos')}, ${plural(counts[2], 'removido', 'removidos')} · <a href="${hrefFrom(file, archivePaths(doc, previous.version).print)}">versão ${previous.version}</a></p>`,
+      ...(version.summary ? [`${indent}<p>${renderInline(version.summary)}</p>`] : []),
+    ];
+    let section;
+    for (const change of changes) {
+      if (change.section && change.section !== section) {
+        section = change.section;
+        lines.push(`${indent}<h3>${escapeHtml(section)}</h3>`);
+      }
+      const text = change.op === 'changed' ? diffWordsHtml(change.before, change.after)
+        : change.op === 'added' ? `<ins>${escapeHtml(change.after)}</ins>` : `<del>${escapeHtml(change.before)}</del>`;
+      const kind = change.type === 'h2' || change.type === 'h3' ? `${kinds[change.op]} (título)` : kinds[change.op];
+      lines.push(`${indent}<div class="change change-${change.op}"><p class="kind">${kind}</p><p>${text}</p></div>`);
+    }
+    return { id, title: `Da versão ${previous.version} para a ${version.version}`, html: lines.join('\n') };
+  }).reverse();
+  const current = versions[versions.length - 1];
+  const body = [
+    `${indent}<h1>${escapeHtml(current.title)}: o que mudou</h1>`,
+    `${indent}<p class="last-updated">Comparação palavra por palavra entre versões consecutivas. <a href="${hrefFrom(file, legalPaths(doc).page)}">Leia a versão atual (${current.version})</a>.</p>`,
+    tableOfContents(sections.map(({ id, title }) => ({ level: 2, id, text: title })), indent),
+    ...sections.map(({ html }) => html),
+  ].join('\n');
+  return legalPage({ file, title: `${doc.label}: o que mudou - Aizen`, description: doc.description, body });
+}
+
+/**
+ * Every published file for the documents in content/legal/, as
+ * [{ file, html, pdf?, entry? }] (`pdf`: the PDF printed from this page,
+ * `entry`: the module it loads). `printed` is the PDF manifest, which decides
+ * which PDFs the policy pages link.
+ */
+export function renderLegal(documents = loadLegalDocuments(), printed = readPdfManifest()) {
+  return documents.flatMap(doc => {
+    const paths = legalPaths(doc);
+    const current = doc.versions[doc.versions.length - 1];
+    const previous = doc.versions.slice(0, -1);
+    // What the PDFs are printed from doesn't link any PDF, so it comes first
+    const printPages = [
+      { file: paths.print, html: renderVersion(doc, current, { file: paths.print, variant: 'print' }), pdf: paths.pdf },
+      ...previous.map(version => {
+        const { print, pdf } = archivePaths(doc, version.version);
+        return { file: print, html: renderVersion(doc, version, { file: print, variant: 'archive' }), pdf };
+      }),
+    ];
+    const pdfs = upToDatePdfs(printPages, printed);
+    return [
+      { file: paths.page, html: renderVersion(doc, current, { file: paths.page, variant: 'page', pdfs }), ...(doc.rightsRequest && { entry: RIGHTS_ENTRY }) },
+      ...printPages,
+      ...(previous.length ? [{ file: paths.changes, html: renderChanges(doc, paths.changes) }] : []),
+    ];
+  });
+}
+
+/** Writes the pages and the rights-request lookup. Returns what was written, as [{ file, html, pdf?, entry? }]. */
+export function writeLegal() {
+  const pages = [...renderLegal(), { file: RIGHTS_LOOKUP_PAGE, html: renderRightsLookup(), entry: RIGHTS_ENTRY }];
+  for (const { file, html } of pages) {
+    mkdirSync(dirname(join(__dirname, file)), { recursive: true });
+    writeFileSync(join(__dirname, file), html);
+    console.log(`  wrote ${file}`);
+  }
+  return pages;
+}
+
+// ============================================================
+// PDF
+// ============================================================
+
+export const pageHash = (html) => createHash('sha256').update(html).digest('hex');
+
+/** { [pdf]: hash of the page it was printed from } */
+export function readPdfManifest(root = __dirname) {
+  const path = join(root, PDF_MANIFEST);
+  return existsSync(path) ? JSON.parse(readFileSync(path, 'utf-8')) : {};
+}
+
+/**
+ * The PDFs among `pages` printed from the page as it is now: the only ones
+ * a page may link. Defaults to every policy's.
+ */
+export function upToDatePdfs(pages = renderLegal(), printed = readPdfManifest()) {
+  return new Set(pages.filter(({ pdf, html }) => pdf && printed[pdf] === pageHash(html)).map(({ pdf }) => pdf));
+}
+
+/** Prints each page that has a `pdf` with headless Chromium, then records it in PDF_MANIFEST. */
+export async function printPdfs(pages) {
+  const { chromium } = await import('playwright');
+  const browser = await chromium.launch({ headless: true });
+  const manifest = readPdfManifest();
+  try {
+    const page = await browser.newPage();
+    for (const { file, html, pdf } of pages.filter(entry => entry.pdf)) {
+      await page.goto(pathToFileURL(join(__dirname, file)).href, { waitUntil: 'networkidle' });
+      await page.pdf({
+        path: join(__dirname, pdf),
+        format: 'A4',
+        margin: { top: '2cm', right: '2cm', bottom: '2cm', left: '2cm' },
+        printBackground: true,
+        displayHeaderFooter: true,
+        headerTemplate: '<span></span>',
+        footerTemplate: '<div style="font-size:8px;width:100%;text-align:center;color:#9CA3AF"><span class="pageNumber"></span> / <span class="totalPages"></span></div>',
+        outline: true,
+        tagged: true,
+      });
+      manifest[pdf] = pageHash(html);
+      console.log(`  printed ${file} -> ${pdf}`);
+    }
+  } finally {
+    await browser.close();
+  }
+  writeFileSync(join(__dirname, PDF_MANIFEST), `${JSON.stringify(manifest, null, 2)}\n`);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const pages = writeLegal();
+  if (process.argv.includes('--pdf')) {
+    // Again afterwards, so the version lists link the PDFs just printed
+    printPdfs(pages).then(writeLegal, err => {
+      console.error(err.message);
+      process.exit(1);
+    });
+  }
+}
@@ -0,0 +1,232 @@
+/**
+ * Zen Website - Locale Page Renderer
+ *
+ * Pre-renders index.html (the pt-BR source) into one static page per
+ * additional language, so search engines and link previews see translated
+ * content and every language has a URL that can be shared:
+ *
+ *   /      index.html      pt-BR, edited by hand
+ *   /en/   en/index.html   generated from locales/en.json
+ *   /es/   es/index.html   generated from locales/es.json
+ *
+ * Each page gets its own <html lang>, title, description, OG tags and
+ * canonical URL; the hreflang alternates are identical on every page.
+ *
+ * Content that comes from catalog data rather than single strings lives in
+ * marked regions, <!-- generated:NAME --> ... <!-- /generated:NAME -->,
+ * which are rewritten on every page including index.html: the FAQ accordion
+ * and its FAQPage JSON-LD, both from `faq.items`, and the bank logo strip
+ * from the registry in js/banks.js.
+ *
+ * Company facts and contacts come from js/site-config.js and are written into
+ * every page, index.html included: [data-site] text, [data-site-href] links,
+ * and the text of data-i18n elements whose catalog entry has {{placeholders}}
+ * (the footer disclaimer).
+ *
+ * Scripts loaded from this site (the vendored libraries in assets/vendor/)
+ * carry an integrity="sha384-..." of the file on disk, refreshed here too,
+ * and the footer's a[data-legal-pdf] links are hidden while their PDF isn't
+ * printed from the current policy (render-legal.mjs).
+ *
+ * The output is committed because GitHub Pages serves the repo as-is, and
+ * validate.mjs fails when a generated page is out of date.
+ *
+ * Run: node render-locales.mjs
+ */
+
+import * as cheerio from 'cheerio';
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { createHash } from 'crypto';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { LOCALES, LOCALE_PATHS, DEFAULT_LANG, parseAttrSpec } from './js/i18n.js';
+import { FAQ_KEY, faqItemsHtml, faqJsonLd } from './js/faq.js';
+import { BANKS, bankMarqueeHtml } from './js/banks.js';
+import { SITE_CONFIG, siteValue, fillSiteValues, withSiteValues } from './js/site-config.js';
+import { upToDatePdfs } from './render-legal.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const SITE_URL = `https://${SITE_CONFIG.domain}/`;
+
+// ============================================================
+// URL HELPERS
+// ============================================================
+
+export function pageUrl(lang) {
+  return SITE_URL + LOCALE_PATHS[lang];
+}
+
+/** The <link rel="alternate"> set every language version must carry. */
+export function localeAlternates() {
+  return [
+    ...Object.entries(LOCALES).map(([lang, tag]) => ({ hreflang: tag, href: pageUrl(lang) })),
+    { hreflang: 'x-default', href: pageUrl(DEFAULT_LANG) },
+  ];
+}
+
+const isRelative = (url) => !!url && !/^(#|\/|[a-z][a-z0-9+.-]*:)/i.test(url);
+
+// Re-points a root-relative path ("assets/x.svg", "./") at the site root
+// from a page `prefix` levels down ("../")
+function rebase(url, prefix) {
+  if (!prefix || !isRelative(url)) return url;
+  return prefix + url.replace(/^\.\/?/, '');
+}
+
+// ============================================================
+// GENERATED REGIONS
+// ============================================================
+
+function replaceRegion(html, name, content) {
+  const region = new RegExp(`(<!-- generated:${name} -->\\n)[\\s\\S]*?([ \\t]*<!-- /generated:${name} -->)`);
+  if (!region.test(html)) throw new Error(`index.html has no generated:${name} region`);
+  return html.replace(region, (match, open, close) => `${open}${content}\n${close}`);
+}
+
+const indentLines = (text, indent) => text.split('\n').map(line => indent + line).join('\n');
+
+/** Rewrites the generated regions of a page with `lang`'s catalog data. */
+export function renderRegions(html, lang, catalog) {
+  const items = catalog[FAQ_KEY];
+  // JSON can't close the <script>: escape "<" inside strings
+  const jsonLd = JSON.stringify(faqJsonLd(items, { lang: LOCALES[lang], url: pageUrl(lang) }), null, 2).replace(/</g, '\\u003c');
+  html = replaceRegion(html, 'faq-jsonld', [
+    '  <script type="application/ld+json" id="faq-jsonld">',
+    indentLines(jsonLd, '  '),
+    '  </script>',
+  ].join('\n'));
+  html = replaceRegion(html, 'bank-marquee', bankMarqueeHtml(BANKS, '      '));
+  return replaceRegion(html, 'faq-items', faqItemsHtml(items, '          '));
+}
+
+// ============================================================
+// SITE CONFIGURATION
+// ============================================================
+
+const escapeText = (text) => text.replace(/[&<>]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' }[ch]));
+const escapeAttr = (text) => escapeText(text).replace(/"/g, '&quot;');
+
+/**
+ * Writes the js/site-config.js values into a page. String-based like the
+ * regions, so the hand-edited index.html keeps its formatting. `rawCatalog`
+ * is the page language's catalog before its placeholders are filled.
+ */
+export function renderSiteValues(html, rawCatalog) {
+  html = html.replace(/<[a-z]+\b[^>]*\sdata-site-href="([^"]*)"[^>]*>/g, (tag, template) =>
+    tag.replace(/(\s)href="[^"]*"/, (m, space) => `${space}href="${escapeAttr(fillSiteValues(template))}"`));
+  html = html.replace(/(<([a-z]+)\b[^>]*\sdata-site="([\w.]+)"[^>]*>)[^<]*(<\/\2>)/g, (match, open, tag, path, close) => {
+    const value = siteValue(path);
+    return typeof value === 'string' ? `${open}${escapeText(value)}${close}` : match;
+  });
+  return html.replace(/(<([a-z0-9]+)\b[^>]*\sdata-i18n="([\w.-]+)"[^>]*>)[^<]*(<\/\2>)/g, (match, open, tag, key, close) => {
+    const raw = rawCatalog[key];
+    return typeof raw === 'string' && raw !== fillSiteValues(raw) ? `${open}${escapeText(fillSiteValues(raw))}${close}` : match;
+  });
+}
+
+/** The SRI value for the file at `path` (relative to the repo root). */
+export function integrityOf(path) {
+  return `sha384-${createHash('sha384').update(readFileSync(join(__dirname, path))).digest('base64')}`;
+}
+
+/** Fills in the integrity attribute of each local <script src> that has one. */
+export function renderIntegrity(html) {
+  return html.replace(/<script\b[^>]*\ssrc="([^"]+)"[^>]*>/g, (tag, src) =>
+    (isRelative(src) ? tag.replace(/(\s)integrity="[^"]*"/, (m, space) => `${space}integrity="${integrityOf(src)}"`) : tag));
+}
+
+/** Hides each a[data-legal-pdf] whose PDF isn't in `pdfs`, and shows the rest. */
+export function renderPdfLinks(html, pdfs = upToDatePdfs()) {
+  return html.replace(/<a\b[^>]*\sdata-legal-pdf\b[^>]*>/g, (tag) => {
+    const shown = tag.replace(/\shidden(?=[\s>])/, '');
+    return pdfs.has(shown.match(/\shref="([^"]*)"/)?.[1]) ? shown : shown.replace(/>$/, ' hidden>');
+  });
+}
+
+// ============================================================
+// RENDERING
+// ============================================================
+
+export function renderLocale(sourceHtml, lang, catalog) {
+  // index.html starts with a BOM, which would push <head> content into <body>
+  const $ = cheerio.load(renderRegions(sourceHtml.replace(/^\uFEFF/, ''), lang, catalog));
+  const prefix = '../'.repeat(LOCALE_PATHS[lang].split('/').filter(Boolean).length);
+
+  $('[data-i18n]').each((_, el) => {
+    const value = catalog[$(el).attr('data-i18n')];
+    if (typeof value === 'string') $(el).text(value);
+  });
+  $('[data-i18n-html]').each((_, el) => {
+    const value = catalog[$(el).attr('data-i18n-html')];
+    if (typeof value === 'string') $(el).html(value);
+  });
+  $('[data-i18n-attr]').each((_, el) => {
+    parseAttrSpec($(el).attr('data-i18n-attr')).forEach(([attr, key]) => {
+      if (typeof catalog[key] === 'string') $(el).attr(attr, catalog[key]);
+    });
+  });
+
+  $('html').attr('lang', LOCALES[lang]);
+  $('link[rel="canonical"]').attr('href', pageUrl(lang));
+  $('meta[property="og:url"]').attr('content', pageUrl(lang));
+  $('.lang-btn').each((_, el) => {
+    const isCurrent = $(el).attr('data-lang') === lang;
+    $(el).toggleClass('active-lang', isCurrent);
+    if (isCurrent) $(el).attr('aria-current', 'true');
+    else $(el).removeAttr('aria-current');
+  });
+
+  ['src', 'href', 'data-src'].forEach(attr => {
+    $(`[${attr}]`).each((_, el) => {
+      $(el).attr(attr, rebase($(el).attr(attr), prefix));
+    });
+  });
+  $('[style*="url("]').each((_, el) => {
+    const style = $(el).attr('style').replace(/url\((['"]?)([^'")]+)\1\)/g, (m, q, url) => `url(${q}${rebase(url, prefix)}${q})`);
+    $(el).attr('style', style);
+  });
+
+  $('head').prepend(`\n  <!-- Generated by render-locales.mjs from index.html and locales/${LOCALES[lang]}.json. Do not edit. -->`);
+  return $.html();
+}
+
+/** `lang`'s catalog as the page sees it; `{ raw: true }` keeps the {{placeholders}}. */
+export function readCatalog(lang, { raw = false } = {}) {
+  const catalog = JSON.parse(readFileSync(join(__dirname, 'locales', `${LOCALES[lang]}.json`), 'utf-8'));
+  return raw ? catalog : withSiteValues(catalog);
+}
+
+/** index.html itself, with its generated regions, site values and PDF links refreshed from pt-BR. */
+export function renderSource() {
+  const source = readFileSync(join(__dirname, 'index.html'), 'utf-8');
+  const html = renderPdfLinks(renderIntegrity(renderSiteValues(renderRegions(source, DEFAULT_LANG, readCatalog(DEFAULT_LANG)), readCatalog(DEFAULT_LANG, { raw: true }))));
+  return { lang: DEFAULT_LANG, file: 'index.html', html };
+}
+
+/** Renders every non-default language. Returns [{ lang, file, html }]. */
+export function renderAll() {
+  const source = renderSource().html;
+  return Object.keys(LOCALES)
+    .filter(lang => lang !== DEFAULT_LANG)
+    .map(lang => ({
+      lang,
+      file: join(LOCALE_PATHS[lang], 'index.html'),
+      html: renderLocale(source, lang, readCatalog(lang)),
+    }));
+}
+
+/** Writes index.html and the language pages. Returns what was written. */
+export function writeAll() {
+  const pages = [renderSource(), ...renderAll()];
+  for (const { file, html } of pages) {
+    mkdirSync(dirname(join(__dirname, file)), { recursive: true });
+    writeFileSync(join(__dirname, file), html);
+    console.log(`  wrote ${file}`);
+  }
+  return pages;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  writeAll();
+}
@@ -0,0 +1,93 @@
+/**
+ * Zen Website - Analytics Events Service
+ *
+ * Receives the batches posted by js/analytics.js. Events are checked against
+ * the same catalog the page uses (EVENTS in js/analytics.js); anything not in
+ * it is dropped rather than stored. No IP address, user agent or cookie is
+ * kept, only the event itself and when it arrived.
+ *
+ *   POST /api/events   { events: [{ name, props, at, page, lang }] }
+ *     202 { ok: true, accepted, rejected }
+ *     400 { ok: false, error, issues }   not a batch at all
+ *
+ * The page only sends after the visitor accepted analytics (js/consent.js).
+ */
+
+import { createServer } from 'http';
+import { z } from 'zod';
+import { validateEvent } from '../js/analytics.js';
+import { sendJson, corsHeaders, readBody } from './http.mjs';
+
+export const EVENTS_PATH = '/api/events';
+const MAX_BODY_BYTES = 32 * 1024;
+const MAX_EVENTS = 50;
+
+export const EventBatchSchema = z.object({
+  events: z.array(z.object({
+    name: z.string().min(1).max(64),
+    props: z.record(z.string(), z.union([z.string().max(200), z.number()])),
+    at: z.string().datetime(),
+    page: z.string().startsWith('/').max(200),
+    lang: z.string().trim().min(2).max(10),
+  })).min(1).max(MAX_EVENTS),
+});
+
+/**
+ * Returns an async (req, res) handler. It answers requests for EVENTS_PATH and
+ * returns false for anything else so callers can chain their own routes.
+ */
+export function createEventsHandler({ store, allowedOrigins = ['*'], now = () => new Date() }) {
+  return async function handleEvents(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== EVENTS_PATH) return false;
+
+    const cors = corsHeaders(req, allowedOrigins);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, cors);
+      res.end();
+      return true;
+    }
+
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { ok: false, error: 'method_not_allowed' }, { ...cors, Allow: 'POST, OPTIONS' });
+      return true;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(await readBody(req, MAX_BODY_BYTES));
+    } catch (err) {
+      sendJson(res, err.status || 400, { ok: false, error: err.status === 413 ? 'payload_too_large' : 'invalid_json' }, cors);
+      return true;
+    }
+
+    const parsed = EventBatchSchema.safeParse(payload);
+    if (!parsed.success) {
+      const issues = parsed.error.issues.map(issue => ({ path: issue.path.join('.'), message: issue.message }));
+      sendJson(res, 400, { ok: false, error: 'invalid_payload', issues }, cors);
+      return true;
+    }
+
+    // An older cached page may still send an event we've since changed; drop
+    // those and keep the rest of the batch
+    const valid = parsed.data.events.filter(event => validateEvent(event.name, event.props).length === 0);
+    try {
+      const receivedAt = now().toISOString();
+      for (const event of valid) await store.insert({ ...event, receivedAt });
+      sendJson(res, 202, { ok: true, accepted: valid.length, rejected: parsed.data.events.length - valid.length }, cors);
+    } catch (err) {
+      console.error('[events] store failed:', err.message);
+      sendJson(res, 500, { ok: false, error: 'store_unavailable' }, cors);
+    }
+    return true;
+  };
+}
+
+export function createEventsServer(options) {
+  const handleEvents = createEventsHandler(options);
+  return createServer(async (req, res) => {
+    if (await handleEvents(req, res)) return;
+    sendJson(res, 404, { ok: false, error: 'not_found' });
+  });
+}
@@ -0,0 +1,41 @@
+/**
+ * Zen Website - HTTP Helpers
+ *
+ * Small pieces shared by the node:http handlers in this folder.
+ */
+
+export function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+export function corsHeaders(req, allowedOrigins, methods = 'POST, OPTIONS') {
+  const origin = req.headers.origin;
+  if (!origin) return {};
+  if (!allowedOrigins.includes('*') && !allowedOrigins.includes(origin)) return {};
+  return {
+    'Access-Control-Allow-Origin': allowedOrigins.includes('*') ? '*' : origin,
+    'Access-Control-Allow-Methods': methods,
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Vary': 'Origin',
+  };
+}
+
+/** The request body as a string; rejects with status 413 past `maxBytes`. */
+export function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
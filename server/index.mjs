@@ -0,0 +1,60 @@
+/**
+ * Zen Website - Local Server
+ *
+ * Runs the signup, stats, analytics and rights-request services and serves
+ * the static site from the repo root (server/static.mjs), so the forms can
+ * post to /api/signup, the waitlist counter can read /api/stats,
+ * js/analytics.js can send to /api/events and the privacy page can post to
+ * /api/rights-requests on the same origin during development.
+ *
+ * Run: node server/index.mjs
+ * Env: PORT (default 8765), SIGNUP_DATA (default data/signups.jsonl),
+ *      EVENTS_DATA (default data/events.jsonl),
+ *      RIGHTS_DATA (default data/rights-requests.jsonl),
+ *      ALLOWED_ORIGINS (comma-separated, default *)
+ *
+ * data/ is never served. The stores hold phone numbers, and the rights
+ * requests CPFs, so the server refuses to start when one of the data files
+ * points into a folder it serves.
+ */
+
+import { createServer } from 'http';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createSignupHandler } from './signup.mjs';
+import { createStatsHandler } from './stats.mjs';
+import { createEventsHandler } from './events.mjs';
+import { createRightsHandler } from './rights.mjs';
+import { createFileStore } from './stores.mjs';
+import { createStaticHandler, isServed } from './static.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+const PORT = Number(process.env.PORT) || 8765;
+const DATA_FILE = process.env.SIGNUP_DATA || join(ROOT, 'data', 'signups.jsonl');
+const EVENTS_FILE = process.env.EVENTS_DATA || join(ROOT, 'data', 'events.jsonl');
+const RIGHTS_FILE = process.env.RIGHTS_DATA || join(ROOT, 'data', 'rights-requests.jsonl');
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '*').split(',').map(o => o.trim());
+
+for (const file of [DATA_FILE, EVENTS_FILE, RIGHTS_FILE]) {
+  if (isServed(ROOT, file)) throw new Error(`${file} is inside a folder the site serves; keep data files in data/ or outside the repo`);
+}
+
+// One store for both, so the count includes signups made in this session
+const store = createFileStore(DATA_FILE);
+const handleSignup = createSignupHandler({ store, allowedOrigins: ALLOWED_ORIGINS });
+const handleStats = createStatsHandler({ store, allowedOrigins: ALLOWED_ORIGINS });
+const handleEvents = createEventsHandler({ store: createFileStore(EVENTS_FILE), allowedOrigins: ALLOWED_ORIGINS });
+const handleRights = createRightsHandler({ store: createFileStore(RIGHTS_FILE), allowedOrigins: ALLOWED_ORIGINS });
+const serveStatic = createStaticHandler({ root: ROOT });
+
+createServer(async (req, res) => {
+  if (await handleSignup(req, res)) return;
+  if (await handleStats(req, res)) return;
+  if (await handleEvents(req, res)) return;
+  if (await handleRights(req, res)) return;
+  await serveStatic(req, res);
+}).listen(PORT, () => {
+  console.log(`Zen dev server on http://localhost:${PORT} (signups -> ${DATA_FILE})`);
+});
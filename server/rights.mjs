@@ -0,0 +1,163 @@
+/**
+ * Zen Website - Rights Request Service
+ *
+ * Receives the LGPD rights requests posted from the privacy page (see
+ * js/rights-request.js) and answers the status lookups from
+ * privacidade/protocolo/. Each request is stored with a protocol number,
+ * status `received`, a server timestamp and the response deadline
+ * (responseDeadline(): RESPONSE_DAYS calendar days, LGPD art. 19, II). The
+ * privacy team moves `status` along in the store.
+ *
+ *   POST /api/rights-requests          { requestId, right, name, cpf (11 digits),
+ *                                        whatsapp (E.164), email?, details?, lang }
+ *     201 { ok: true, protocol, deadline }   stored
+ *     200 { ok: true, protocol, deadline }   same requestId seen before (client retry)
+ *     400 { ok: false, error, issues }       payload failed validation
+ *
+ *   POST /api/rights-requests/status   { protocol, cpf }
+ *     200 { ok: true, protocol, right, status, requestedAt, deadline }
+ *     404 { ok: false, error: 'not_found' }  no such protocol, or another CPF's
+ *
+ * The lookup is a POST so the CPF never ends up in a URL or an access log,
+ * and it answers the same 404 whether the protocol or the CPF is wrong.
+ * Storage is pluggable (server/stores.mjs); tests pass createMemoryStore().
+ */
+
+import { createServer } from 'http';
+import { randomUUID, randomInt } from 'crypto';
+import { z } from 'zod';
+import { isBrazilianMobileE164 } from '../js/phone.js';
+import { isValidCpf } from '../js/cpf.js';
+import {
+  RIGHTS, MAX_NAME, MAX_DETAILS, PROTOCOL_ALPHABET, PROTOCOL_PATTERN, requestDate, responseDeadline,
+} from '../js/rights-request.js';
+import { sendJson, corsHeaders, readBody } from './http.mjs';
+
+export const RIGHTS_PATH = '/api/rights-requests';
+export const RIGHTS_STATUS_PATH = `${RIGHTS_PATH}/status`;
+const MAX_BODY_BYTES = 16 * 1024;
+const PROTOCOL_ATTEMPTS = 5;
+
+const cpf = z.string().refine(isValidCpf, 'Expected a CPF: 11 digits with valid check digits');
+
+export const RightsRequestSchema = z.object({
+  requestId: z.string().uuid(),
+  right: z.enum(RIGHTS),
+  name: z.string().trim().min(3).max(MAX_NAME),
+  cpf,
+  whatsapp: z.string().refine(isBrazilianMobileE164, 'Expected a Brazilian mobile number in E.164 (+55 DDD 9XXXX-XXXX)'),
+  email: z.string().trim().email().max(254).optional(),
+  details: z.string().trim().min(1).max(MAX_DETAILS).optional(),
+  lang: z.string().trim().min(2).max(10),
+}).strict();
+
+export const RightsLookupSchema = z.object({
+  protocol: z.string().regex(PROTOCOL_PATTERN),
+  cpf,
+}).strict();
+
+/** "20261019-K7M3QX": the day the request was made (São Paulo) and six random characters. */
+export function newProtocol(at) {
+  const suffix = Array.from({ length: 6 }, () => PROTOCOL_ALPHABET[randomInt(PROTOCOL_ALPHABET.length)]).join('');
+  return `${requestDate(at).replace(/-/g, '')}-${suffix}`;
+}
+
+const receipt = (record) => ({ ok: true, protocol: record.protocol, deadline: record.deadline });
+
+/**
+ * Returns an async (req, res) handler. It answers requests for RIGHTS_PATH and
+ * RIGHTS_STATUS_PATH and returns false for anything else so callers can chain
+ * their own routes.
+ */
+export function createRightsHandler({ store, allowedOrigins = ['*'], now = () => new Date(), protocol = newProtocol }) {
+  // A protocol no stored request has yet
+  async function uniqueProtocol(at) {
+    for (let attempt = 0; attempt < PROTOCOL_ATTEMPTS; attempt++) {
+      const candidate = protocol(at);
+      if (!(await store.findByProtocol(candidate))) return candidate;
+    }
+    throw new Error('No free protocol number');
+  }
+
+  async function submit(payload, cors, res) {
+    const parsed = RightsRequestSchema.safeParse(payload);
+    if (!parsed.success) {
+      const issues = parsed.error.issues.map(issue => ({ path: issue.path.join('.'), message: issue.message }));
+      sendJson(res, 400, { ok: false, error: 'invalid_payload', issues }, cors);
+      return;
+    }
+    const existing = await store.findByRequestId(parsed.data.requestId);
+    if (existing) {
+      sendJson(res, 200, receipt(existing), cors);
+      return;
+    }
+    const at = now();
+    const record = await store.insert({
+      id: randomUUID(),
+      protocol: await uniqueProtocol(at),
+      ...parsed.data,
+      status: 'received',
+      createdAt: at.toISOString(),
+      deadline: responseDeadline(at),
+    });
+    sendJson(res, 201, receipt(record), cors);
+  }
+
+  async function lookup(payload, cors, res) {
+    const parsed = RightsLookupSchema.safeParse(payload);
+    if (!parsed.success) {
+      const issues = parsed.error.issues.map(issue => ({ path: issue.path.join('.'), message: issue.message }));
+      sendJson(res, 400, { ok: false, error: 'invalid_payload', issues }, cors);
+      return;
+    }
+    const record = await store.findByProtocol(parsed.data.protocol);
+    if (!record || record.cpf !== parsed.data.cpf) {
+      sendJson(res, 404, { ok: false, error: 'not_found' }, cors);
+      return;
+    }
+    const { protocol: found, right, status, createdAt, deadline } = record;
+    sendJson(res, 200, { ok: true, protocol: found, right, status, requestedAt: createdAt, deadline }, { ...cors, 'Cache-Control': 'no-store' });
+  }
+
+  return async function handleRights(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== RIGHTS_PATH && pathname !== RIGHTS_STATUS_PATH) return false;
+
+    const cors = corsHeaders(req, allowedOrigins);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, cors);
+      res.end();
+      return true;
+    }
+
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { ok: false, error: 'method_not_allowed' }, { ...cors, Allow: 'POST, OPTIONS' });
+      return true;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(await readBody(req, MAX_BODY_BYTES));
+    } catch (err) {
+      sendJson(res, err.status || 400, { ok: false, error: err.status === 413 ? 'payload_too_large' : 'invalid_json' }, cors);
+      return true;
+    }
+
+    try {
+      await (pathname === RIGHTS_PATH ? submit : lookup)(payload, cors, res);
+    } catch (err) {
+      console.error('[rights] store failed:', err.message);
+      sendJson(res, 500, { ok: false, error: 'store_unavailable' }, cors);
+    }
+    return true;
+  };
+}
+
+export function createRightsServer(options) {
+  const handleRights = createRightsHandler(options);
+  return createServer(async (req, res) => {
+    if (await handleRights(req, res)) return;
+    sendJson(res, 404, { ok: false, error: 'not_found' });
+  });
+}
@@ -0,0 +1,110 @@
+/**
+ * Zen Website - Signup Service
+ *
+ * Receives the waitlist signups posted by #hero-form and #bottom-cta-form
+ * (see js/signup.js) and stores the phone number together with the consent
+ * text the visitor was shown, the page language, the campaign the visitor
+ * came from (utm_*, ref and, with marketing consent, ad click ids) and a
+ * server timestamp. A signup that started at the bank lookup (js/bank-lookup.js)
+ * also carries the bank the visitor asked for.
+ *
+ *   POST /api/signup   { requestId, phone (E.164), consentText, lang, formId, attribution?, bankRequest? }
+ *     201 { ok: true, id }             stored
+ *     200 { ok: true, id }             same requestId seen before (client retry)
+ *     400 { ok: false, error, issues } payload failed validation
+ *
+ * The handler is plain node:http so it can run behind any host. Storage is
+ * pluggable (server/stores.mjs); tests pass createMemoryStore().
+ */
+
+import { createServer } from 'http';
+import { randomUUID } from 'crypto';
+import { z } from 'zod';
+import { isBrazilianMobileE164 } from '../js/phone.js';
+import { CAMPAIGN_PARAMS, CLICK_ID_PARAMS, MAX_PARAM_LENGTH } from '../js/attribution.js';
+import { MAX_BANK_REQUEST } from '../js/bank-lookup.js';
+import { sendJson, corsHeaders, readBody } from './http.mjs';
+
+export const SIGNUP_PATH = '/api/signup';
+const MAX_BODY_BYTES = 8 * 1024;
+
+// Campaign parameters from js/attribution.js; anything else is refused
+export const AttributionSchema = z.object(Object.fromEntries(
+  [...CAMPAIGN_PARAMS, ...CLICK_ID_PARAMS].map(name => [name, z.string().trim().min(1).max(MAX_PARAM_LENGTH).optional()]),
+)).strict();
+
+export const SignupSchema = z.object({
+  requestId: z.string().uuid(),
+  phone: z.string().refine(isBrazilianMobileE164, 'Expected a Brazilian mobile number in E.164 (+55 DDD 9XXXX-XXXX)'),
+  consentText: z.string().trim().min(20).max(500),
+  lang: z.string().trim().min(2).max(10),
+  formId: z.enum(['hero-form', 'bottom-cta-form', 'offline-form']),
+  attribution: AttributionSchema.optional(),
+  bankRequest: z.string().trim().min(2).max(MAX_BANK_REQUEST).optional(),
+});
+
+/**
+ * Returns an async (req, res) handler. It answers requests for SIGNUP_PATH and
+ * returns false for anything else so callers can chain their own routes.
+ */
+export function createSignupHandler({ store, allowedOrigins = ['*'], now = () => new Date() }) {
+  return async function handleSignup(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== SIGNUP_PATH) return false;
+
+    const cors = corsHeaders(req, allowedOrigins);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, cors);
+      res.end();
+      return true;
+    }
+
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { ok: false, error: 'method_not_allowed' }, { ...cors, Allow: 'POST, OPTIONS' });
+      return true;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(await readBody(req, MAX_BODY_BYTES));
+    } catch (err) {
+      sendJson(res, err.status || 400, { ok: false, error: err.status === 413 ? 'payload_too_large' : 'invalid_json' }, cors);
+      return true;
+    }
+
+    const parsed = SignupSchema.safeParse(payload);
+    if (!parsed.success) {
+      const issues = parsed.error.issues.map(issue => ({ path: issue.path.join('.'), message: issue.message }));
+      sendJson(res, 400, { ok: false, error: 'invalid_payload', issues }, cors);
+      return true;
+    }
+
+    try {
+      const existing = await store.findByRequestId(parsed.data.requestId);
+      if (existing) {
+        sendJson(res, 200, { ok: true, id: existing.id }, cors);
+        return true;
+      }
+
+      const record = await store.insert({
+        id: randomUUID(),
+        ...parsed.data,
+        createdAt: now().toISOString(),
+      });
+      sendJson(res, 201, { ok: true, id: record.id }, cors);
+    } catch (err) {
+      console.error('[signup] store failed:', err.message);
+      sendJson(res, 500, { ok: false, error: 'store_unavailable' }, cors);
+    }
+    return true;
+  };
+}
+
+export function createSignupServer(options) {
+  const handleSignup = createSignupHandler(options);
+  return createServer(async (req, res) => {
+    if (await handleSignup(req, res)) return;
+    sendJson(res, 404, { ok: false, error: 'not_found' });
+  });
+}
@@ -0,0 +1,108 @@
+/**
+ * Zen Website - Static Files
+ *
+ * Serves the site from the repo root the way GitHub Pages would, limited to
+ * the files the site is made of. The root also holds the git metadata, the
+ * build scripts and data/, where the services keep signups and rights
+ * requests, so anything outside PUBLIC_PATHS is a 404:
+ *
+ *   GET /%E0%A4%A        400, the path can't be decoded
+ *   GET /.git/config     404, dotfiles are never served
+ *   GET /data/...        404, not a public path
+ *   GET /en              301 to /en/
+ */
+
+import { createReadStream } from 'fs';
+import { stat } from 'fs/promises';
+import { join, extname, normalize, relative, resolve, isAbsolute, sep } from 'path';
+
+/** First path segments the site is made of; js/ is served unbundled in development. */
+export const PUBLIC_PATHS = [
+  '', 'index.html', 'offline.html', 'sw.js', 'manifest.webmanifest',
+  'assets', 'js', 'locales', 'en', 'es',
+  'legal', 'privacidade', 'retencao-dados', 'reporte-incidentes',
+];
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.pdf': 'application/pdf',
+  '.otf': 'font/otf',
+  '.ttf': 'font/ttf',
+  '.woff2': 'font/woff2',
+  '.webmanifest': 'application/manifest+json',
+};
+
+/**
+ * True when `file` would be served under `root`, i.e. it's inside one of
+ * `publicPaths` and no part of its path is a dotfile. server/index.mjs checks
+ * its data files with this before it starts.
+ */
+export function isServed(root, file, publicPaths = PUBLIC_PATHS) {
+  const rel = relative(resolve(root), resolve(file));
+  if (!rel || rel.startsWith('..') || isAbsolute(rel)) return false;
+  const segments = rel.split(sep);
+  return publicPaths.includes(segments[0]) && !segments.some(s => s.startsWith('.'));
+}
+
+function sendText(res, status, text) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(text);
+}
+
+/**
+ * Returns an async (req, res) handler for the files under `root`. It answers
+ * every request, so it goes last in a chain of handlers.
+ */
+export function createStaticHandler({ root, publicPaths = PUBLIC_PATHS }) {
+  const rootDir = normalize(root).replace(/[\\/]+$/, '');
+
+  return async function serveStatic(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    let decoded;
+    try {
+      decoded = decodeURIComponent(pathname);
+    } catch {
+      sendText(res, 400, 'Bad request');
+      return true;
+    }
+
+    const segments = decoded.split('/').filter(Boolean);
+    if (!publicPaths.includes(segments[0] ?? '') || segments.some(s => s.startsWith('.'))) {
+      sendText(res, 404, 'Not found');
+      return true;
+    }
+
+    let file = normalize(join(rootDir, ...segments));
+    if (file !== rootDir && !file.startsWith(rootDir + sep)) {
+      sendText(res, 404, 'Not found');
+      return true;
+    }
+
+    try {
+      if ((await stat(file)).isDirectory()) {
+        // /en -> /en/ so the page's relative URLs resolve like on GitHub Pages
+        if (!pathname.endsWith('/')) {
+          res.writeHead(301, { Location: `${pathname}/` });
+          res.end();
+          return true;
+        }
+        file = join(file, 'index.html');
+      }
+      await stat(file);
+    } catch {
+      sendText(res, 404, 'Not found');
+      return true;
+    }
+
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[extname(file)] || 'application/octet-stream' });
+    createReadStream(file).pipe(res);
+    return true;
+  };
+}
@@ -0,0 +1,65 @@
+/**
+ * Zen Website - Waitlist Stats Service
+ *
+ * Reports how many people are on the waitlist, counted from the same store
+ * the signup service writes to, so the number on the page is never made up.
+ * Each phone number counts once, however many times it signed up.
+ *
+ *   GET /api/stats
+ *     200 { ok: true, waitlist, updatedAt }
+ *     503 { ok: false, error: 'store_unavailable' }
+ *
+ * Responses may be cached for CACHE_SECONDS; js/waitlist-counter.js keeps its
+ * own copy as well, so the count is not live to the second.
+ */
+
+import { createServer } from 'http';
+import { sendJson, corsHeaders } from './http.mjs';
+
+export const STATS_PATH = '/api/stats';
+const CACHE_SECONDS = 60;
+
+/**
+ * Returns an async (req, res) handler. It answers requests for STATS_PATH and
+ * returns false for anything else so callers can chain their own routes.
+ */
+export function createStatsHandler({ store, allowedOrigins = ['*'], now = () => new Date() }) {
+  return async function handleStats(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== STATS_PATH) return false;
+
+    const cors = corsHeaders(req, allowedOrigins, 'GET, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, cors);
+      res.end();
+      return true;
+    }
+
+    if (req.method !== 'GET') {
+      sendJson(res, 405, { ok: false, error: 'method_not_allowed' }, { ...cors, Allow: 'GET, OPTIONS' });
+      return true;
+    }
+
+    try {
+      // People, not signups: the same number may sign up on both forms
+      const waitlist = await store.countDistinct('phone');
+      sendJson(res, 200, { ok: true, waitlist, updatedAt: now().toISOString() }, {
+        ...cors,
+        'Cache-Control': `public, max-age=${CACHE_SECONDS}`,
+      });
+    } catch (err) {
+      console.error('[stats] store failed:', err.message);
+      sendJson(res, 503, { ok: false, error: 'store_unavailable' }, { ...cors, 'Cache-Control': 'no-store' });
+    }
+    return true;
+  };
+}
+
+export function createStatsServer(options) {
+  const handleStats = createStatsHandler(options);
+  return createServer(async (req, res) => {
+    if (await handleStats(req, res)) return;
+    sendJson(res, 404, { ok: false, error: 'not_found' });
+  });
+}
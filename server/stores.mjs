@@ -0,0 +1,81 @@
+/**
+ * Zen Website - Stores
+ *
+ * Persistence backends for the services in this folder (signups, events,
+ * rights requests). Both stores expose the same async interface, so a
+ * service never knows where records end up:
+ *
+ *   findByRequestId(requestId) -> record | null
+ *   findByProtocol(protocol)   -> record | null   (rights requests)
+ *   insert(record)             -> record
+ *   countDistinct(field)       -> number of different values of `field`
+ *
+ * createFileStore appends one JSON object per line (JSONL) and is what the
+ * service uses by default. createMemoryStore keeps everything in an array and
+ * is the local stand-in used by qa-browser.mjs.
+ */
+
+import { appendFile, readFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+
+// Records without the field aren't counted
+const distinct = (records, field) => new Set(records.map(r => r[field]).filter(value => value != null)).size;
+
+export function createMemoryStore(initial = []) {
+  const records = [...initial];
+
+  return {
+    records,
+    async findByRequestId(requestId) {
+      return records.find(r => r.requestId === requestId) || null;
+    },
+    async findByProtocol(protocol) {
+      return records.find(r => r.protocol === protocol) || null;
+    },
+    async insert(record) {
+      records.push(record);
+      return record;
+    },
+    async countDistinct(field) {
+      return distinct(records, field);
+    },
+  };
+}
+
+export function createFileStore(file) {
+  let cache = null;
+
+  async function load() {
+    if (cache) return cache;
+    try {
+      const raw = await readFile(file, 'utf-8');
+      cache = raw.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      cache = [];
+    }
+    return cache;
+  }
+
+  return {
+    file,
+    async findByRequestId(requestId) {
+      const records = await load();
+      return records.find(r => r.requestId === requestId) || null;
+    },
+    async findByProtocol(protocol) {
+      const records = await load();
+      return records.find(r => r.protocol === protocol) || null;
+    },
+    async insert(record) {
+      const records = await load();
+      await mkdir(dirname(file), { recursive: true });
+      await appendFile(file, JSON.stringify(record) + '\n', 'utf-8');
+      records.push(record);
+      return record;
+    },
+    async countDistinct(field) {
+      return distinct(await load(), field);
+    },
+  };
+}
@@ -0,0 +1,235 @@
+/**
+ * Zen Website - Service Worker
+ *
+ * Registered by js/offline.js, so repeat visits and visitors on a dropping
+ * mobile connection get the page from the device:
+ *
+ *   install    precaches PRECACHE: the pages, the offline page, stylesheet,
+ *              fonts, scripts, catalogs, logos and stickers. build.mjs writes
+ *              the list and a VERSION that changes with any of those files,
+ *              which makes the browser install the new worker
+ *   pages      stale-while-revalidate: the cached copy straight away, and the
+ *              network's copy stored for the next visit. Pages never seen
+ *              before get offline.html when the network is down
+ *   assets     from the precache, otherwise the network
+ *   signups    a POST to /api/signup that can't reach the network is kept in
+ *              IndexedDB and answered 202 { ok: true, queued: true }. The
+ *              queue is replayed on Background Sync ('zen-signups') or when a
+ *              page reports it's back online (browsers without Background
+ *              Sync). The request id travels along, so the signup service
+ *              stores a replayed signup once
+ *
+ * Other requests (/api/stats, /api/events, /api/rights-requests) go straight
+ * to the network; a rights request carries a CPF and is never kept here.
+ */
+
+// generated:precache
+const VERSION = 'c2da019c4047';
+const PRECACHE = [
+  './',
+  'en/',
+  'es/',
+  'offline.html',
+  'assets/css/site.css',
+  'assets/fonts/circulo-light.woff2',
+  'assets/fonts/circulo-regular.woff2',
+  'assets/fonts/fonts.css',
+  'assets/fonts/inter-latin.woff2',
+  'assets/fonts/space-mono-bold.woff2',
+  'assets/fonts/space-mono-regular.woff2',
+  'assets/vendor/ScrollTrigger.min.js',
+  'assets/vendor/gsap.min.js',
+  'assets/vendor/lenis.min.js',
+  'assets/logos/logo-dark.svg',
+  'assets/logos/logo-white.svg',
+  'assets/logos/logomark-blue.svg',
+  'assets/logos/logomark-white.svg',
+  'assets/bank-logos/banco-do-brasil.svg',
+  'assets/bank-logos/bradesco.svg',
+  'assets/bank-logos/btg-pactual.svg',
+  'assets/bank-logos/c6-bank.svg',
+  'assets/bank-logos/caixa.svg',
+  'assets/bank-logos/inter.svg',
+  'assets/bank-logos/itau.svg',
+  'assets/bank-logos/mercado-pago.svg',
+  'assets/bank-logos/neon.svg',
+  'assets/bank-logos/nubank.svg',
+  'assets/bank-logos/picpay.svg',
+  'assets/bank-logos/santander.svg',
+  'assets/stickers/zenpanda_meditating.png',
+  'assets/stickers/zenpanda_stonks_face.png',
+  'assets/stickers/zenpanda_stressed_face.png',
+  'assets/stickers/zenpanda_sugoi_face.png',
+  'assets/stickers/zenpanda_thoughtful_face.png',
+  'locales/en.json',
+  'locales/es.json',
+  'locales/pt-BR.json',
+  'assets/data/reference-rates.json',
+  'assets/wa-doodle.png',
+  'manifest.webmanifest',
+  'js/analytics.js',
+  'js/attribution.js',
+  'js/bank-lookup.js',
+  'js/banks.js',
+  'js/chat-player.js',
+  'js/consent-manager.js',
+  'js/consent.js',
+  'js/cpf.js',
+  'js/faq-search.js',
+  'js/faq.js',
+  'js/finance.js',
+  'js/i18n.js',
+  'js/lang-policy.js',
+  'js/loan-simulator.js',
+  'js/main.js',
+  'js/motion.js',
+  'js/offline-page.js',
+  'js/offline.js',
+  'js/phone.js',
+  'js/qr.js',
+  'js/request.js',
+  'js/rights-page.js',
+  'js/rights-request.js',
+  'js/savings-calculator.js',
+  'js/signup.js',
+  'js/site-config.js',
+  'js/tab-carousel.js',
+  'js/wa-direct.js',
+  'js/wa-format.js',
+  'js/waitlist-counter.js',
+];
+// /generated:precache
+
+const CACHE_PREFIX = 'zen-';
+const CACHE = `${CACHE_PREFIX}${VERSION}`;
+const OFFLINE_PAGE = 'offline.html';
+const SIGNUP_PATH = '/api/signup';
+const SYNC_TAG = 'zen-signups';
+const QUEUE_DB = 'zen-offline';
+const QUEUE_STORE = 'signups';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(PRECACHE)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE).map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.method === 'POST' && url.pathname === SIGNUP_PATH) {
+    event.respondWith(sendOrQueueSignup(request));
+  } else if (request.method !== 'GET' || url.pathname.startsWith('/api/')) {
+    return;
+  } else if (request.mode === 'navigate') {
+    event.respondWith(staleWhileRevalidate(event));
+  } else {
+    event.respondWith(caches.match(request, { cacheName: CACHE }).then(cached => cached || fetch(request)));
+  }
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) event.waitUntil(replaySignups());
+});
+
+self.addEventListener('message', (event) => {
+  // Still offline: the queue waits for the next sync or message
+  if (event.data?.type === 'zen:replay-signups') event.waitUntil(replaySignups().catch(() => {}));
+});
+
+// ============================================================
+// PAGES
+// ============================================================
+
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(CACHE);
+  // Campaign parameters and anchors don't change the page
+  const key = new URL(event.request.url);
+  key.search = '';
+  key.hash = '';
+  const cached = await cache.match(key.href);
+
+  const network = fetch(event.request).then(response => {
+    if (response.ok && response.type === 'basic') cache.put(key.href, response.clone());
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network.catch(async () => (await cache.match(OFFLINE_PAGE)) || Response.error());
+}
+
+// ============================================================
+// SIGNUP QUEUE
+// ============================================================
+
+function openQueue() {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open(QUEUE_DB, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(QUEUE_STORE, { keyPath: 'requestId' });
+    open.onsuccess = () => resolve(open.result);
+    open.onerror = () => reject(open.error);
+  });
+}
+
+async function inQueue(mode, operation) {
+  const db = await openQueue();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(QUEUE_STORE, mode);
+    const request = operation(tx.objectStore(QUEUE_STORE));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+  });
+}
+
+const queueResponse = () => new Response(JSON.stringify({ ok: true, queued: true }), {
+  status: 202,
+  headers: { 'Content-Type': 'application/json' },
+});
+
+async function sendOrQueueSignup(request) {
+  const body = await request.clone().text();
+  try {
+    return await fetch(request);
+  } catch (err) {
+    let requestId;
+    try {
+      requestId = JSON.parse(body).requestId;
+    } catch {
+      // Not a signup the service would accept anyway
+    }
+    if (typeof requestId !== 'string') throw err;
+    await inQueue('readwrite', store => store.put({ requestId, url: request.url, body, queuedAt: new Date().toISOString() }));
+    await self.registration.sync?.register(SYNC_TAG).catch(() => {});
+    return queueResponse();
+  }
+}
+
+/**
+ * Sends every queued signup. Rejects while the network is still down, which
+ * tells Background Sync to try again later. Signups the service refuses for
+ * good (4xx other than 408/429) leave the queue like stored ones do.
+ */
+async function replaySignups() {
+  const queued = await inQueue('readonly', store => store.getAll());
+  for (const { requestId, url, body } of queued) {
+    const response = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+    const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+    if (retryable) throw new Error(`HTTP ${response.status}`);
+    await inQueue('readwrite', store => store.delete(requestId));
+  }
+}
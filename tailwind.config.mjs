@@ -0,0 +1,29 @@
+/**
+ * Zen Website - Tailwind Configuration
+ *
+ * Compiled ahead of time by build.mjs. `content` lists every file that can
+ * put a class on a page: the markup (offline.html too), the modules that
+ * build markup, and the catalogs (some translations carry links with
+ * classes).
+ */
+
+export default {
+  content: ['./index.html', './offline.html', './js/**/*.js', './locales/*.json'],
+  theme: {
+    extend: {
+      colors: {
+        'aizen': {
+          blue: '#2678FF',
+          purple: '#7152FF',
+          charcoal: '#191919',
+          cream: '#F4F4F4',
+        },
+      },
+      fontFamily: {
+        sans: ['Inter', '-apple-system', 'BlinkMacSystemFont', 'sans-serif'],
+        brand: ['Circulo', 'Inter', 'sans-serif'],
+        mono: ['"Space Mono"', 'ui-monospace', 'monospace'],
+      },
+    },
+  },
+};
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EVENTS, validateEvent } from '../js/analytics.js';
+import { createEventsServer } from '../server/events.mjs';
+import { createMemoryStore } from '../server/stores.mjs';
+import { withServer, postJson } from './helpers.mjs';
+
+const REQUIRED_EVENTS = ['signup_submitted', 'agent_tab_viewed', 'faq_opened', 'lang_switched', 'section_viewed', 'chat_conversation_completed'];
+test('Event catalog declares the required events', () => {
+  assert.deepEqual(REQUIRED_EVENTS.filter(name => !(name in EVENTS)), []);
+});
+
+// Events describe what happened on the page, never who did it
+const PII_PROPS = /phone|tel|whats|e-?mail|cpf|name|nome|address|endereco/i;
+test('No event property can carry personal data', () => {
+  const piiProps = Object.entries(EVENTS).flatMap(([name, spec]) => Object.keys(spec).filter(k => PII_PROPS.test(k)).map(k => `${name}.${k}`));
+  assert.deepEqual(piiProps, []);
+});
+
+const EVENT_CASES = [
+  // [name, props, valid]
+  ['signup_submitted', { form_id: 'hero-form', lang: 'pt' }, true],
+  ['agent_tab_viewed', { tab: 2, agent: 'credito' }, true],
+  ['signup_submitted', { form_id: 'hero-form', lang: 'pt', phone: '+5511987654321' }, false],
+  ['signup_submitted', { form_id: 'newsletter', lang: 'pt' }, false],
+  ['agent_tab_viewed', { tab: '2', agent: 'credito' }, false],
+  ['faq_opened', {}, false],
+  ['page_scrolled', { depth: 50 }, false],
+];
+test('Events are checked against the catalog', () => {
+  for (const [name, props, valid] of EVENT_CASES) {
+    assert.equal(validateEvent(name, props).length === 0, valid, `${name} ${JSON.stringify(props)}`);
+  }
+});
+
+const eventsRoundTrip = (store, body) => withServer(createEventsServer({ store }), base => postJson(`${base}/api/events`, body));
+const sampleEvent = { at: '2026-01-05T12:00:00.000Z', page: '/', lang: 'pt' };
+
+test('Events service stores catalog events, without request metadata, and drops the rest', async () => {
+  const store = createMemoryStore();
+  const { status, body } = await eventsRoundTrip(store, { events: [
+    { ...sampleEvent, name: 'faq_opened', props: { faq_id: 'seguranca' } },
+    { ...sampleEvent, name: 'faq_opened', props: { faq_id: 'seguranca', phone: '+5511987654321' } },
+  ] });
+  assert.equal(status, 202);
+  assert.equal(body.accepted, 1);
+  assert.equal(body.rejected, 1);
+  assert.equal(store.records.length, 1);
+  assert.deepEqual(Object.keys(store.records[0]).sort(), ['at', 'lang', 'name', 'page', 'props', 'receivedAt']);
+});
+
+test('Events service rejects a malformed batch', async () => {
+  const { status, body } = await eventsRoundTrip(createMemoryStore(), { events: [] });
+  assert.equal(status, 400);
+  assert.equal(body.ok, false);
+});
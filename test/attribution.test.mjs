@@ -0,0 +1,93 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAttribution, referralCode, whatsAppUrl, captureAttribution, getAttribution, signupAttribution, REF_PATTERN, ATTRIBUTION_KEY } from '../js/attribution.js';
+import { CONSENT_KEY, CONSENT_VERSION } from '../js/consent.js';
+import { AttributionSchema } from '../server/signup.mjs';
+
+const PARSE_CASES = [
+  // [search, expected params]
+  ['?utm_source=instagram&utm_campaign=lan%C3%A7amento&foo=bar', { utm_source: 'instagram', utm_campaign: 'lançamento' }],
+  ['?ref=parceiro&gclid=abc123&lang=en', { ref: 'parceiro', gclid: 'abc123' }],
+  ['?lang=en', null],
+  ['?utm_source=%20%20', null],
+  [`?utm_content=${'x'.repeat(150)}`, { utm_content: 'x'.repeat(100) }],
+];
+test('Landing URL parsing keeps the known parameters, trimmed and capped', () => {
+  for (const [search, expected] of PARSE_CASES) assert.deepEqual(parseAttribution(search), expected, search.slice(0, 40));
+});
+
+const CODE_CASES = [
+  // [params, expected code]
+  [{ ref: 'Parceiro X', utm_source: 'google' }, 'parceiro-x'],
+  [{ utm_source: 'Instagram', utm_medium: 'social', utm_campaign: 'Lançamento Out' }, 'instagram.social.lancamento-out'],
+  [{ utm_source: 'google', utm_campaign: 'cpc' }, 'google.cpc'],
+  [{ gclid: 'abc123' }, 'site'],
+  [null, 'site'],
+];
+test('Referral codes match what the bot looks for', () => {
+  for (const [params, expected] of CODE_CASES) {
+    assert.equal(referralCode(params), expected, JSON.stringify(params));
+    assert.match(`ref:${referralCode(params)}`, REF_PATTERN);
+  }
+});
+
+test('wa.me link encodes the opening message', () => {
+  assert.equal(whatsAppUrl('+55 11 99999-9999', 'Oi! Vim pelo site\n\nref:google.cpc'),
+    'https://wa.me/5511999999999?text=Oi!%20Vim%20pelo%20site%0A%0Aref%3Agoogle.cpc');
+});
+
+const ATTRIBUTION_CASES = [
+  // [attribution, accepted]
+  [{ utm_source: 'instagram', gclid: 'abc123' }, true],
+  [{ utm_source: 'instagram', phone: '+5511987654321' }, false],
+  [{ utm_campaign: 'x'.repeat(101) }, false],
+  [{ utm_source: '' }, false],
+];
+test('Signup service validates attribution', () => {
+  for (const [value, accepted] of ATTRIBUTION_CASES) assert.equal(AttributionSchema.safeParse(value).success, accepted, JSON.stringify(value));
+});
+
+// The browser storage the module reads, as in-memory stand-ins
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => { items.set(key, String(value)); },
+    removeItem: (key) => { items.delete(key); },
+  };
+};
+const consentTo = (marketing) => localStorage.setItem(CONSENT_KEY, JSON.stringify({
+  version: CONSENT_VERSION, at: '2026-10-19T12:00:00.000Z', categories: { essential: true, analytics: false, marketing },
+}));
+
+beforeEach(() => {
+  globalThis.localStorage = memoryStorage();
+  globalThis.sessionStorage = memoryStorage();
+  globalThis.location = { pathname: '/', search: '' };
+});
+
+test('Without marketing consent the campaign is neither stored nor sent', () => {
+  assert.equal(captureAttribution({ search: '?utm_source=instagram' }), null);
+  assert.equal(sessionStorage.getItem(ATTRIBUTION_KEY), null);
+  assert.equal(signupAttribution({ params: { utm_source: 'instagram' } }), undefined);
+  consentTo(false);
+  assert.equal(captureAttribution({ search: '?utm_source=instagram' }), null);
+  assert.equal(sessionStorage.getItem(ATTRIBUTION_KEY), null);
+});
+
+test('With marketing consent the campaign is stored for the session and sent with signups', () => {
+  consentTo(true);
+  const attribution = captureAttribution({ search: '?utm_source=instagram&gclid=abc123&lang=en', now: () => new Date('2026-10-19T12:00:00Z') });
+  assert.deepEqual(attribution, { params: { utm_source: 'instagram', gclid: 'abc123' }, landing: '/', at: '2026-10-19T12:00:00.000Z' });
+  assert.deepEqual(JSON.parse(sessionStorage.getItem(ATTRIBUTION_KEY)), attribution);
+  assert.deepEqual(signupAttribution(), { utm_source: 'instagram', gclid: 'abc123' });
+  // A page without parameters keeps the session's campaign
+  assert.deepEqual(captureAttribution({ search: '' }), attribution);
+});
+
+test('Consent given after landing still finds the landing campaign', () => {
+  captureAttribution({ search: '?ref=parceiro' });
+  assert.equal(getAttribution(), null);
+  consentTo(true);
+  assert.deepEqual(getAttribution().params, { ref: 'parceiro' });
+});
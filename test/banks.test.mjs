@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BANKS, normalizeBankName, searchBanks } from '../js/banks.js';
+import { MAX_BANK_REQUEST } from '../js/bank-lookup.js';
+import { SignupSchema } from '../server/signup.mjs';
+
+// Accent- and case-insensitive, by name, alias or the start of either
+const BANK_SEARCHES = [
+  // [query, first bank id]
+  ['itau', 'itau'], ['ITAÚ', 'itau'], ['Itaú Unibanco', 'itau'], ['bb', 'banco-do-brasil'], ['banco do brasil', 'banco-do-brasil'],
+  ['mercadopago', 'mercado-pago'], ['pic pay', 'picpay'], ['pactual', 'btg-pactual'], ['caixa economica', 'caixa'], ['CEF', 'caixa'],
+  ['nu', 'nubank'], ['c6', 'c6-bank'], ['x', null], ['  ', null], ['sicoob', null],
+];
+test('Bank search finds every spelling and nothing for the rest', () => {
+  for (const [query, id] of BANK_SEARCHES) assert.equal(searchBanks(query)[0]?.id ?? null, id, `"${query}"`);
+});
+
+test('Broad queries list every bank they fit, in registry order', () => {
+  const fitting = BANKS.filter(bank => [bank.name, ...bank.aliases].some(name => normalizeBankName(name).startsWith('banco')));
+  assert.deepEqual(searchBanks('banco').map(bank => bank.id), fitting.map(bank => bank.id));
+});
+
+test('Signups can carry the bank the visitor asked for', () => {
+  const signup = { requestId: '7b0f8c52-4a4e-4d1b-9a53-1f3b8f6d2c11', phone: '+5511987654321', consentText: 'Concordo em receber mensagens do Zen no WhatsApp.', lang: 'pt-BR', formId: 'bottom-cta-form' };
+  assert.ok(SignupSchema.safeParse(signup).success);
+  assert.ok(SignupSchema.safeParse({ ...signup, bankRequest: 'Sicoob' }).success);
+  assert.ok(!SignupSchema.safeParse({ ...signup, bankRequest: 'x'.repeat(MAX_BANK_REQUEST + 1) }).success);
+});
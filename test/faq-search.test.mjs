@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findMatches, queryTerms } from '../js/faq-search.js';
+
+const SEARCH_CASES = [
+  // [text, query, matched parts]
+  ['Como sei que meus dados tão seguros?', 'SEGUROS', 'seguros'],
+  ['Cartão de crédito', 'cartao credito', 'Cartão|crédito'],
+  ['Grátis e gratuito', 'grat', 'Grát|grat'],
+  ['Sem pegadinha', 'xyz', ''],
+];
+test('FAQ search matches case- and accent-insensitively', () => {
+  for (const [text, query, expected] of SEARCH_CASES) {
+    const parts = findMatches(text, queryTerms(query)).map(([start, end]) => text.slice(start, end));
+    assert.equal(parts.join('|'), expected, `"${query}" in "${text}"`);
+  }
+});
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseDecimal, formatBRL, formatRate, schedule, totals, annualRate, monthlyRate, iof, loanCost, scheduleCsv, SYSTEMS, IOF_FLAT, IOF_DAILY,
+} from '../js/finance.js';
+
+const near = (a, b, tolerance = 0.005) => Math.abs(a - b) <= tolerance;
+const nbsp = '\u00a0';
+
+const DECIMAL_CASES = [
+  // [text, lang, number]
+  ['1.234,56', 'pt', 1234.56], ['1,234.56', 'en', 1234.56], ['3,9', 'pt', 3.9], ['3.9', 'pt', 3.9], ['1.200', 'pt', 1200],
+  ['R$ 2.000', 'pt', 2000], ['14,5%', 'es', 14.5], ['1,500', 'en', 1500], ['1,5', 'en', 1.5], ['', 'pt', null],
+];
+test('Amounts and rates read in the page\'s number format', () => {
+  for (const [text, lang, expected] of DECIMAL_CASES) assert.equal(parseDecimal(text, lang), expected, `${text} (${lang})`);
+  for (const text of ['abc', '1.2.3', '12,', '-5']) assert.ok(Number.isNaN(parseDecimal(text, 'pt')), text);
+});
+
+test('Amounts formatted as R$ in each language', () => {
+  assert.equal(formatBRL(1200, 'pt'), `R$${nbsp}1.200`);
+  assert.equal(formatBRL(1200, 'en'), 'R$1,200');
+  assert.ok(formatBRL(12000, 'es').endsWith('R$'));
+  assert.equal(formatRate(14.5, 'pt'), '14,5%');
+  assert.equal(formatRate(14.5, 'en'), '14.5%');
+  assert.equal(formatBRL(546.85, 'pt', { cents: true }), `R$${nbsp}546,85`);
+  assert.equal(formatBRL(546.85, 'en', { cents: true }), 'R$546.85');
+});
+
+// R$ 10.000 at 2,3% a.m. over 24 months: PMT = 10000 × 0,023 / (1 − 1,023⁻²⁴) = 546,85
+const price = schedule('price', { principal: 10000, rate: 2.3, months: 24 });
+
+test('Price: fixed installment, interest on the balance, paid off in the last month', () => {
+  assert.equal(price.length, 24);
+  assert.equal(price[0].installment, 546.85);
+  assert.equal(price[0].interest, 230);
+  assert.ok(price.slice(0, -1).every(row => row.installment === 546.85));
+  assert.ok(near(price[23].installment, 546.85, 0.1), JSON.stringify(price[23]));
+  assert.equal(price[23].balance, 0);
+  assert.equal(totals(price).amortization, 10000);
+});
+
+test('SAC: fixed amortization, installments falling each month', () => {
+  const sac = schedule('sac', { principal: 10000, rate: 2.3, months: 24 });
+  assert.equal(sac[0].amortization, 416.67);
+  assert.equal(sac[0].installment, 646.67);
+  assert.ok(sac.every((row, k) => k === 0 || row.installment < sac[k - 1].installment));
+  assert.equal(sac[23].balance, 0);
+  assert.equal(totals(sac).amortization, 10000);
+  assert.ok(totals(sac).interest < totals(price).interest);
+});
+
+test('Interest-free loans split evenly', () => {
+  assert.ok(schedule('price', { principal: 1200, rate: 0, months: 12 }).every(row => row.installment === 100 && row.interest === 0));
+});
+
+test('Invalid loans and unknown systems rejected', () => {
+  const BAD_LOANS = [['price', { principal: 0, rate: 2, months: 12 }], ['sac', { principal: 1000, rate: -1, months: 12 }],
+    ['price', { principal: 1000, rate: 2, months: 1.5 }], ['bullet', { principal: 1000, rate: 2, months: 12 }]];
+  for (const [system, loan] of BAD_LOANS) assert.throws(() => schedule(system, loan), RangeError, `${system} ${JSON.stringify(loan)}`);
+  assert.deepEqual(SYSTEMS, ['price', 'sac']);
+});
+
+test('2% a.m. is 26,82% a.a., and back', () => {
+  assert.ok(near(annualRate(2), 26.8242, 0.0001));
+  assert.ok(near(monthlyRate(26.8242), 2, 0.0001));
+  for (const rate of [0.5, 1.55, 14.5]) assert.ok(near(monthlyRate(annualRate(rate)), rate, 1e-9), String(rate));
+});
+
+// IOF: 0,38% flat plus 0,0082% a day, a year at most
+test('IOF: flat rate plus daily rate, capped at 365 days', () => {
+  assert.equal(iof([{ month: 1, amortization: 1000 }]), Math.round((1000 * IOF_FLAT + 1000 * IOF_DAILY * 30) * 100) / 100);
+  assert.equal(iof([{ month: 24, amortization: 1000 }]), Math.round((1000 * IOF_FLAT + 1000 * IOF_DAILY * 365) * 100) / 100);
+});
+
+test('CET equals the rate when there are no fees or IOF', () => {
+  const bare = loanCost({ principal: 10000, rate: 2.3, months: 24, withIof: false });
+  assert.ok(near(bare.cet.monthly, 2.3, 0.001));
+  assert.equal(bare.iof, 0);
+  assert.equal(bare.financed, 10000);
+});
+
+test('IOF and fees financed, IOF charged on the amount financed, CET matching what\'s received', () => {
+  const full = loanCost({ principal: 10000, rate: 2.3, months: 24, fees: 500 });
+  assert.ok(full.iof > 0);
+  assert.equal(full.iof, iof(full.rows));
+  assert.equal(full.financed, Math.round((10000 + 500 + full.iof) * 100) / 100);
+  assert.equal(totals(full.rows).amortization, full.financed);
+  const presentValue = full.rows.reduce((sum, row) => sum + row.installment / (1 + full.cet.monthly / 100) ** row.month, 0);
+  assert.ok(full.cet.monthly > 2.3);
+  assert.ok(near(presentValue, 10000, 0.01), String(presentValue));
+  assert.ok(near(full.cet.annual, annualRate(full.cet.monthly), 1e-9));
+});
+
+test('CSV: a header and a line per month, CRLF, semicolons and decimal commas in pt-BR', () => {
+  const lines = scheduleCsv(price, { headers: ['Mês', 'Parcela', 'Juros', 'Amortização', 'Saldo; final'] }).split('\r\n');
+  assert.equal(lines.length, 26);
+  assert.equal(lines[25], '');
+  assert.equal(lines[0], 'Mês;Parcela;Juros;Amortização;"Saldo; final"');
+  assert.equal(lines[1], '1;546,85;230,00;316,85;9683,15');
+});
+
+test('CSV: commas and decimal points in English', () => {
+  assert.equal(scheduleCsv(price, { lang: 'en' }).split('\r\n')[1], '1,546.85,230.00,316.85,9683.15');
+});
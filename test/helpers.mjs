@@ -0,0 +1,28 @@
+/**
+ * Zen Website - Test Helpers
+ *
+ * Shared by the node:test files in this folder (run: npm test).
+ */
+
+/**
+ * Listens on a free local port, calls `fn(baseUrl)` and closes the server,
+ * whatever `fn` does. Resolves with what `fn` resolved with.
+ */
+export async function withServer(server, fn) {
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise(r => server.close(r));
+  }
+}
+
+/** POSTs `body` as JSON; resolves with { status, body } (the parsed reply). */
+export async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
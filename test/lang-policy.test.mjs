@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_LANG, LOCALES } from '../js/i18n.js';
+import { resolveLanguage } from '../js/lang-policy.js';
+
+test('Default language is pt-BR', () => {
+  assert.equal(DEFAULT_LANG, 'pt');
+  assert.equal(LOCALES[DEFAULT_LANG], 'pt-BR');
+});
+
+// ?lang= > saved choice > browser > pt-BR
+const POLICY_CASES = [
+  // [input, lang, source]
+  [{}, 'pt', 'default'],
+  [{ languages: ['fr-FR', 'de'] }, 'pt', 'default'],
+  [{ languages: ['fr-FR', 'en-US', 'es'] }, 'en', 'browser'],
+  [{ saved: 'es', languages: ['en-US'] }, 'es', 'saved'],
+  [{ saved: 'garbage', languages: ['en-US'] }, 'en', 'browser'],
+  [{ search: '?lang=en', saved: 'es', languages: ['pt-BR'] }, 'en', 'param'],
+  [{ search: '?lang=xx', saved: 'es' }, 'es', 'saved'],
+];
+test('Language policy resolves ?lang=, saved choice, browser and default in order', () => {
+  for (const [input, lang, source] of POLICY_CASES) {
+    assert.deepEqual(resolveLanguage(input), { lang, source }, JSON.stringify(input));
+  }
+});
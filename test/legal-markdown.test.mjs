@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'fs';
+import { parseFrontMatter, FrontMatterSchema, renderInline, parseBlocks, renderMarkdown, documentChanges, diffWordsHtml } from '../render-legal.mjs';
+
+const INLINE_CASES = [
+  // [source, html]
+  ['**Nota.** texto', '<strong>Nota.</strong> texto'],
+  ['Escreva para [suporte@aizen.io](mailto:suporte@aizen.io).', 'Escreva para <a href="mailto:suporte@aizen.io">suporte@aizen.io</a>.'],
+  ['[clique](javascript:alert(1))', '[clique](javascript:alert(1))'],
+  ['<script> & "aspas"', '&lt;script&gt; &amp; &quot;aspas&quot;'],
+];
+test('Markdown: bold, safe links and escaping', () => {
+  for (const [source, expected] of INLINE_CASES) assert.equal(renderInline(source), expected, source);
+});
+
+test('Markdown: headings, paragraphs and lists', () => {
+  const blocks = parseBlocks('## Título\n\nLinha um\nlinha dois.\n\n- item a\n- item b\n\n### Sub');
+  assert.deepEqual(blocks.map(block => block.type), ['h2', 'p', 'ul', 'h3']);
+  assert.equal(blocks[1].text, 'Linha um linha dois.');
+  assert.deepEqual(blocks[2].items, ['item a', 'item b']);
+});
+
+test('Markdown: repeated headings get unique ids', () => {
+  assert.deepEqual(renderMarkdown('## Prazos\n\ntexto\n\n## Prazos\n\ntexto').headings.map(heading => heading.id), ['prazos', 'prazos-2']);
+});
+
+test('Markdown: the title comes from the front-matter, not a # heading', () => {
+  assert.throws(() => parseBlocks('# Título'));
+});
+
+test('Front-matter parsed and checked', () => {
+  const { meta, body } = parseFrontMatter('---\ntitle: Política\nversion: 1.0\neffective: 2026-02-02\n---\n\nTexto');
+  assert.equal(body, '\nTexto');
+  assert.ok(FrontMatterSchema.safeParse(meta).success);
+  assert.ok(!FrontMatterSchema.safeParse({ ...meta, version: 'v2' }).success);
+  assert.ok(!FrontMatterSchema.safeParse({ ...meta, effective: '02/02/2026' }).success);
+});
+
+// The changelog: rewritten paragraphs diffed word by word, the rest added or removed
+test('Word diff marks what was removed and added', () => {
+  assert.equal(diffWordsHtml('prazo de cinco anos', 'prazo de 5 (cinco) anos'), 'prazo de <del>cinco</del> <ins>5 (cinco)</ins> anos');
+});
+
+test('Changes grouped by section: changed, removed, added', () => {
+  const changes = documentChanges('## A\n\nUm dois três quatro cinco.\n\nParágrafo que sai por inteiro.\n\n## B\n\nIgual.',
+    '## A\n\nUm dois três seis cinco.\n\n## B\n\nIgual.\n\nParágrafo novo em B.');
+  assert.deepEqual(changes.map(change => `${change.section}:${change.op}`), ['A:changed', 'A:removed', 'B:added']);
+});
+
+// Addresses come from {{contact.*}}; only texts published before the rename keep the one they were signed with
+const PUBLISHED_ADDRESSES = { 'privacidade/1.0.md': ['dpo@bonuz.it'], 'reporte-incidentes/1.0.md': ['dpo@bonuz.it'] };
+test('Legal Markdown spells out no e-mail addresses', () => {
+  const legal = new URL('../content/legal/', import.meta.url);
+  const files = readdirSync(legal, { recursive: true }).filter(file => file.endsWith('.md'));
+  assert.ok(files.length >= 4);
+  for (const file of files) {
+    const addresses = readFileSync(new URL(file, legal), 'utf8').match(/[\w.+-]+@[\w-]+(\.[\w-]+)+/g) || [];
+    assert.deepEqual(addresses.filter(address => !PUBLISHED_ADDRESSES[file]?.includes(address)), [], file);
+  }
+});
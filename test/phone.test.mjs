@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatPhone, validatePhone } from '../js/phone.js';
+
+const PASTE_CASES = [
+  // [input, masked]
+  ['11987654321', '(11) 98765-4321'],
+  ['+55 11 98765-4321', '(11) 98765-4321'],
+  ['011 98765-4321', '(11) 98765-4321'],
+  ['55 98765-4321', '(55) 98765-4321'],
+];
+test('Pasted numbers are masked without the country code or trunk 0', () => {
+  for (const [input, expected] of PASTE_CASES) assert.equal(formatPhone(input), expected, input);
+});
+
+const TYPED_CASES = [
+  // [keys, masked, e164]
+  ['+55 11 98765-4321', '(11) 98765-4321', '+5511987654321'],
+  ['+5521987654321', '(21) 98765-4321', '+5521987654321'],
+  ['11987654321', '(11) 98765-4321', '+5511987654321'],
+];
+// The input handler re-masks the field after every keystroke
+test('Numbers typed key by key keep every digit', () => {
+  for (const [keys, expected, e164] of TYPED_CASES) {
+    const masked = [...keys].reduce((value, key) => formatPhone(value + key), '');
+    assert.equal(masked, expected, keys);
+    assert.equal(validatePhone(masked).e164, e164, keys);
+  }
+});
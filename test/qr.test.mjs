@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import * as cheerio from 'cheerio';
+import { encodeQr, qrSvg, ECC } from '../js/qr.js';
+import { whatsAppUrl } from '../js/attribution.js';
+import { validateEvent } from '../js/analytics.js';
+import { SITE_CONFIG } from '../js/site-config.js';
+
+// Smallest version that fits: byte-mode capacity is 14 bytes at M and 17 at
+// L in version 1, and 2331 at M in version 40
+const QR_VERSION_CASES = [
+  // [text, level, version]
+  ['', 'M', 1],
+  ['x'.repeat(14), 'M', 1],
+  ['x'.repeat(15), 'M', 2],
+  ['x'.repeat(17), 'L', 1],
+  ['ação', 'H', 1],
+  ['x'.repeat(2331), 'M', 40],
+];
+test('QR version is the smallest that fits the text', () => {
+  for (const [text, ecl, version] of QR_VERSION_CASES) {
+    const qr = encodeQr(text, { ecl });
+    assert.equal(qr.version, version, `${text.length} chars at ${ecl}`);
+    assert.equal(qr.size, 17 + 4 * version);
+  }
+});
+
+test('QR encoder rejects text longer than version 40 holds', () => {
+  assert.throws(() => encodeQr('x'.repeat(2332)), RangeError);
+});
+
+// Format information (second copy) records the level and mask actually used
+function qrFormat({ size, modules }) {
+  let bits = 0;
+  for (let i = 0; i < 8; i++) bits |= (modules[8][size - 1 - i] ? 1 : 0) << i;
+  for (let i = 8; i < 15; i++) bits |= (modules[size - 15 + i][8] ? 1 : 0) << i;
+  const data = (bits ^ 0x5412) >> 10;
+  return { formatBits: data >> 3, mask: data & 7 };
+}
+test('QR codes have finder, timing and format patterns at every level', () => {
+  const url = whatsAppUrl(SITE_CONFIG.contact.whatsapp, 'Oi! Vim pelo site\n\nref:site');
+  for (const ecl of Object.keys(ECC)) {
+    const qr = encodeQr(url, { ecl });
+    const { size, modules } = qr;
+    const finder = (x0, y0) => [0, 6].every(d => [...Array(7).keys()].every(i =>
+      modules[y0 + d][x0 + i] && modules[y0 + i][x0 + d]));
+    assert.ok(finder(0, 0) && finder(size - 7, 0) && finder(0, size - 7), `${ecl}: finder patterns`);
+    assert.ok([...Array(size - 16).keys()].every(i => modules[6][8 + i] === (i % 2 === 0)), `${ecl}: timing pattern`);
+    assert.ok(modules[size - 8][8], `${ecl}: dark module`);
+    assert.deepEqual(qrFormat(qr), { formatBits: ECC[ecl].formatBits, mask: qr.mask }, `${ecl}: format information`);
+  }
+});
+
+// Module for module what the qrcode package draws for the same link (byte mode, M)
+test('QR code matches the reference encoding', () => {
+  const qr = encodeQr('https://wa.me/5511999999999?text=Oi!%20Vim%20pelo%20site%0A%0Aref%3Asite');
+  const digest = createHash('sha256').update(qr.modules.map(row => row.map(d => (d ? 1 : 0)).join('') + '\n').join('')).digest('hex');
+  assert.equal(qr.version, 5);
+  assert.equal(digest.slice(0, 16), '2eedfb7ab8235714');
+});
+
+test('QR SVG is labelled, escaped and has a quiet zone', () => {
+  const $svg = cheerio.load(qrSvg(encodeQr('a'), { title: 'Zen <WhatsApp>' }), { xmlMode: true });
+  assert.equal($svg('svg').attr('viewBox'), '0 0 29 29');
+  assert.equal($svg('svg').attr('role'), 'img');
+  assert.equal($svg('title').text(), 'Zen <WhatsApp>');
+});
+
+const QR_EVENT_CASES = [
+  // [name, props, valid]
+  ['whatsapp_clicked', { placement: 'hero' }, true],
+  ['whatsapp_qr_shown', { placement: 'bottom-cta' }, true],
+  ['whatsapp_clicked', { placement: 'hero', number: SITE_CONFIG.contact.whatsapp }, false],
+];
+test('WhatsApp events are in the catalog, without the number', () => {
+  for (const [name, props, valid] of QR_EVENT_CASES) {
+    assert.equal(validateEvent(name, props).length === 0, valid, `${name} ${JSON.stringify(props)}`);
+  }
+});
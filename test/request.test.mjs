@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { postJson, newRequestId, RequestError } from '../js/request.js';
+import { withServer } from './helpers.mjs';
+
+// Answers every POST with the status and body queued for it; `hang` never answers
+const replies = (...queue) => createServer((req, res) => {
+  const [status, body] = queue.shift();
+  if (status === 'hang') return;
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+});
+
+const rejection = (promise) => promise.then(() => assert.fail('expected a RequestError'), err => err);
+
+test('Resolves with the body of an { ok: true } answer', () => withServer(replies([201, { ok: true, protocol: 'x' }]), async (base) => {
+  assert.deepEqual(await postJson(`${base}/api/x`, { a: 1 }), { ok: true, protocol: 'x' });
+}));
+
+test('Refusals reject with the server\'s error, not retryable', () => withServer(replies([400, { ok: false, error: 'invalid_cpf' }], [200, { ok: false, error: 'nope' }]), async (base) => {
+  const refused = await rejection(postJson(`${base}/api/x`, {}));
+  assert.ok(refused instanceof RequestError);
+  assert.equal(refused.message, 'invalid_cpf');
+  assert.equal(refused.status, 400);
+  assert.equal(refused.retryable, false);
+  assert.equal((await rejection(postJson(`${base}/api/x`, {}))).message, 'nope');
+}));
+
+test('408, 429 and 5xx are retryable, even without a JSON body', () => withServer(replies([503, 'Service Unavailable'], [429, {}], [408, {}]), async (base) => {
+  for (const status of [503, 429, 408]) {
+    const err = await rejection(postJson(`${base}/api/x`, {}));
+    assert.equal(err.status, status);
+    assert.equal(err.retryable, true);
+  }
+}));
+
+test('Timeouts and network errors are retryable, with no status', async () => {
+  const timedOut = await withServer(replies(['hang']), base => rejection(postJson(`${base}/api/x`, {}, { timeoutMs: 50 })));
+  assert.equal(timedOut.message, 'Request timed out');
+  assert.equal(timedOut.status, 0);
+  assert.equal(timedOut.retryable, true);
+
+  const closed = await withServer(createServer(), async base => base);
+  const unreachable = await rejection(postJson(`${closed}/api/x`, {}));
+  assert.equal(unreachable.message, 'Network error');
+  assert.equal(unreachable.retryable, true);
+});
+
+test('Request ids are v4 UUIDs', () => {
+  assert.match(newRequestId(), /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+});
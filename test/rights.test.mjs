@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { formatCpf, validateCpf, isValidCpf } from '../js/cpf.js';
+import { RESPONSE_DAYS, PROTOCOL_PATTERN, normalizeProtocol, responseDeadline, daysLeft } from '../js/rights-request.js';
+import { createRightsServer, RIGHTS_PATH, RIGHTS_STATUS_PATH, RightsRequestSchema } from '../server/rights.mjs';
+import { createMemoryStore, createFileStore } from '../server/stores.mjs';
+import { withServer } from './helpers.mjs';
+
+const CPF_CASES = [
+  // [input, error]
+  ['529.982.247-25', null],
+  ['52998224725', null],
+  ['529.982.247-24', 'invalid'],
+  ['111.111.111-11', 'invalid'],
+  ['529.982.247', 'incomplete'],
+  ['529.982.247-250', 'too_long'],
+  ['', 'required'],
+];
+test('CPF check digits', () => {
+  for (const [input, error] of CPF_CASES) assert.equal(validateCpf(input).error, error, input || '(empty)');
+});
+
+test('CPF mask follows the typing', () => {
+  assert.deepEqual(['5', '5299', '5299822', '5299822472', '529982247255'].map(formatCpf),
+    ['5', '529.9', '529.982.2', '529.982.247-2', '529.982.247-25']);
+});
+
+test('Service accepts only the 11 digits', () => {
+  assert.ok(isValidCpf('52998224725'));
+  assert.ok(!isValidCpf('529.982.247-25'));
+  assert.ok(!isValidCpf('11111111111'));
+});
+
+const DEADLINE_CASES = [
+  // [request time, deadline]: 15 calendar days from the request's day in São Paulo
+  ['2026-10-19T12:00:00Z', '2026-11-03'],
+  ['2026-10-20T02:30:00Z', '2026-11-03'],
+  ['2026-12-20T15:00:00Z', '2027-01-04'],
+];
+test('Response deadline is 15 days from the request, in São Paulo', () => {
+  assert.equal(RESPONSE_DAYS, 15);
+  for (const [at, deadline] of DEADLINE_CASES) assert.equal(responseDeadline(at), deadline, at);
+});
+
+test('Days left count down to the deadline', () => {
+  assert.equal(daysLeft('2026-11-03', new Date('2026-10-19T12:00:00Z')), 15);
+  assert.equal(daysLeft('2026-11-03', new Date('2026-11-03T23:00:00Z')), 0);
+  assert.equal(daysLeft('2026-11-03', new Date('2026-11-05T12:00:00Z')), -2);
+});
+
+test('Protocols are normalized as typed', () => {
+  assert.equal(normalizeProtocol(' 20261019 k7m3qx '), '20261019-K7M3QX');
+  assert.equal(normalizeProtocol('abc'), 'abc');
+});
+
+// Round trip against the rights service with an in-memory store
+const rightsRoundTrip = (store, requests) => withServer(createRightsServer({ store, now: () => new Date('2026-10-19T12:00:00Z') }), async (base) => {
+  const responses = [];
+  for (const { path = RIGHTS_PATH, method = 'POST', body } of requests) {
+    const response = await fetch(`${base}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      ...(body && { body: JSON.stringify(body) }),
+    });
+    responses.push({ status: response.status, body: await response.json() });
+  }
+  return responses;
+});
+const rightsRequest = {
+  requestId: '3f2b1c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d', right: 'access', name: 'Maria da Silva', cpf: '52998224725', whatsapp: '+5511987654321', lang: 'pt-BR',
+};
+const store = createMemoryStore();
+let protocol;
+
+test('Rights service stores a request with a protocol and its deadline, once', async () => {
+  const [created, resent, badCpf] = await rightsRoundTrip(store, [
+    { body: rightsRequest }, { body: rightsRequest }, { body: { ...rightsRequest, requestId: '3f2b1c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5e', cpf: '52998224724' } },
+  ]);
+  assert.equal(created.status, 201);
+  assert.match(created.body.protocol, PROTOCOL_PATTERN);
+  assert.ok(created.body.protocol.startsWith('20261019-'));
+  assert.equal(created.body.deadline, '2026-11-03');
+  protocol = created.body.protocol;
+
+  assert.equal(resent.status, 200, 'a resent request keeps its protocol');
+  assert.equal(resent.body.protocol, protocol);
+  assert.equal(store.records.length, 1);
+
+  assert.equal(badCpf.status, 400, 'a CPF with wrong check digits is refused');
+  assert.ok(badCpf.body.issues?.some(issue => issue.path === 'cpf'));
+});
+
+test('Stored request: received, timestamped, the payload and nothing else', () => {
+  assert.deepEqual(Object.keys(store.records[0]).sort(),
+    ['cpf', 'createdAt', 'deadline', 'id', 'lang', 'name', 'protocol', 'requestId', 'right', 'status', 'whatsapp']);
+  assert.equal(store.records[0].status, 'received');
+});
+
+test('Request schema refuses unknown rights and extra fields', () => {
+  assert.ok(!RightsRequestSchema.safeParse({ ...rightsRequest, right: 'everything' }).success);
+  assert.ok(!RightsRequestSchema.safeParse({ ...rightsRequest, ip: '10.0.0.1' }).success);
+});
+
+test('Status lookup by protocol and CPF, POST only, the same 404 for any miss', async () => {
+  const [found, otherCpf, unknown, byGet] = await rightsRoundTrip(store, [
+    { path: RIGHTS_STATUS_PATH, body: { protocol, cpf: rightsRequest.cpf } },
+    { path: RIGHTS_STATUS_PATH, body: { protocol, cpf: '39053344705' } },
+    { path: RIGHTS_STATUS_PATH, body: { protocol: '20261019-AAAAAA', cpf: rightsRequest.cpf } },
+    { path: RIGHTS_STATUS_PATH, method: 'GET' },
+  ]);
+  assert.equal(found.status, 200);
+  assert.equal(found.body.status, 'received');
+  assert.equal(found.body.right, 'access');
+  assert.equal(found.body.deadline, '2026-11-03');
+  assert.ok(!('cpf' in found.body) && !('name' in found.body));
+  assert.equal(otherCpf.status, 404);
+  assert.equal(unknown.status, 404);
+  assert.deepEqual(otherCpf.body, unknown.body);
+  assert.equal(byGet.status, 405, 'no CPF in URLs');
+});
+
+test('Rights service answers 500 when the store is down', async () => {
+  const [storeDown] = await rightsRoundTrip({ findByRequestId: async () => { throw new Error('disk gone'); } }, [{ body: rightsRequest }]);
+  assert.equal(storeDown.status, 500);
+  assert.equal(storeDown.body.error, 'store_unavailable');
+});
+
+test('File store finds a request by protocol after a restart', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'zen-rights-'));
+  try {
+    const file = join(dir, 'rights-requests.jsonl');
+    await createFileStore(file).insert(store.records[0]);
+    const reloaded = await createFileStore(file).findByProtocol(protocol);
+    assert.equal(reloaded?.requestId, rightsRequest.requestId);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
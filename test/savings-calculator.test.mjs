@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { RATES_URL, parseReferenceRates, estimateSavings } from '../js/savings-calculator.js';
+
+const rates = parseReferenceRates(JSON.parse(readFileSync(RATES_URL, 'utf-8')));
+const { card, payroll } = rates.debts;
+
+test('Card debt: interest above the target rate saved each month', () => {
+  const { monthly, items } = estimateSavings({ debts: [{ type: 'card', balance: 5000, rate: 14.5 }] }, rates);
+  assert.equal(monthly, Math.round(5000 * (14.5 - card.targetRate)) / 100);
+  assert.equal(items[0].strategy, 'renegotiation');
+});
+
+test('Blank rate uses the market average', () => {
+  const { monthly, items } = estimateSavings({ debts: [{ type: 'payroll', balance: 10000, rate: null }] }, rates);
+  assert.equal(items[0].rate, payroll.typicalRate);
+  assert.equal(monthly, Math.round(10000 * (payroll.typicalRate - payroll.targetRate)) / 100);
+});
+
+test('A debt with an unreadable or out-of-range rate is left out', () => {
+  for (const rate of [NaN, -1, 80]) {
+    const { monthly, items } = estimateSavings({ debts: [{ type: 'card', balance: 5000, rate }, { type: 'payroll', balance: 10000, rate: null }] }, rates);
+    assert.deepEqual(items.map(item => item.type), ['payroll'], String(rate));
+    assert.equal(monthly, items[0].monthly, String(rate));
+  }
+});
+
+test('Debts already below the target rate, and empty rows, save nothing', () => {
+  const { monthly, items } = estimateSavings({ debts: [{ type: 'payroll', balance: 10000, rate: payroll.targetRate / 2 }, { type: 'personal', balance: 0, rate: 9 }] }, rates);
+  assert.equal(monthly, 0);
+  assert.equal(items.length, 1);
+});
+
+test('Fees listed for review, not counted as savings', () => {
+  const { fees, monthly } = estimateSavings({ fees: 100 }, rates);
+  assert.equal(fees, 100);
+  assert.equal(monthly, 0);
+});
+
+test('Unknown debt types rejected', () => {
+  assert.throws(() => estimateSavings({ debts: [{ type: 'mortgage', balance: 1, rate: 1 }] }, rates), RangeError);
+});
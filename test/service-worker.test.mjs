@@ -0,0 +1,165 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import vm from 'vm';
+import { langFromPath } from '../js/lang-policy.js';
+import { precacheEntries, OFFLINE_PAGE, SERVICE_WORKER, STYLESHEET } from '../build.mjs';
+
+const swSource = readFileSync(new URL(`../${SERVICE_WORKER}`, import.meta.url), 'utf-8');
+const precached = precacheEntries().map(([url]) => url);
+
+test('Offline page takes its language from the requested URL', () => {
+  const LANG_PATH_CASES = [['/en/', 'en'], ['/es/faq', 'es'], ['/', null], ['/privacidade/', null], ['/english/', null]];
+  for (const [path, expected] of LANG_PATH_CASES) assert.equal(langFromPath(path), expected, path);
+});
+
+// sw.js run in a sandbox with in-memory Cache Storage, IndexedDB and network
+function serviceWorkerSandbox() {
+  const origin = 'https://aizen.io';
+  const listeners = {};
+  const cacheStorage = new Map();
+  const network = { online: true, requests: [], version: 'v1' };
+  const syncTags = [];
+
+  const resolve = (url) => new URL(typeof url === 'string' ? url : url.url, `${origin}/`).href;
+  const openCache = (name) => {
+    if (!cacheStorage.has(name)) cacheStorage.set(name, new Map());
+    const entries = cacheStorage.get(name);
+    return {
+      entries,
+      match: async (url) => entries.get(resolve(url))?.clone(),
+      put: async (url, response) => { entries.set(resolve(url), response); },
+      addAll: async (urls) => {
+        for (const url of urls) entries.set(resolve(url), await sandboxFetch(resolve(url)));
+      },
+    };
+  };
+  const caches = {
+    open: async (name) => openCache(name),
+    keys: async () => [...cacheStorage.keys()],
+    delete: async (name) => cacheStorage.delete(name),
+    match: async (url, { cacheName } = {}) => (cacheStorage.has(cacheName) ? openCache(cacheName).match(url) : undefined),
+  };
+  async function sandboxFetch(input, init = {}) {
+    const url = resolve(input);
+    if (!network.online) throw new TypeError('Failed to fetch');
+    const body = init.body ?? (typeof input === 'object' && input.clone ? await input.clone().text() : undefined);
+    network.requests.push({ url, method: init.method || input.method || 'GET', body });
+    if (new URL(url).pathname === '/api/signup') return new Response('{"ok":true,"id":"1"}', { status: 201, headers: { 'Content-Type': 'application/json' } });
+    if (new URL(url).pathname === '/nao-existe/') return new Response('Not found', { status: 404 });
+    const response = new Response(`${new URL(url).pathname} ${network.version}`, { status: 200 });
+    Object.defineProperty(response, 'type', { value: 'basic' });
+    return response;
+  }
+
+  const databases = new Map();
+  const indexedDB = {
+    open(name) {
+      const request = {};
+      setTimeout(() => {
+        const isNew = !databases.has(name);
+        if (isNew) databases.set(name, new Map());
+        const stores = databases.get(name);
+        request.result = {
+          createObjectStore: (store, { keyPath }) => stores.set(store, { keyPath, rows: new Map() }),
+          transaction: (store) => {
+            const { keyPath, rows } = stores.get(store);
+            const tx = {
+              objectStore: () => ({
+                put: (row) => ({ result: (rows.set(row[keyPath], row), row[keyPath]) }),
+                delete: (key) => ({ result: (rows.delete(key), undefined) }),
+                getAll: () => ({ result: [...rows.values()] }),
+              }),
+            };
+            setTimeout(() => tx.oncomplete?.());
+            return tx;
+          },
+          close() {},
+        };
+        if (isNew) request.onupgradeneeded?.();
+        request.onsuccess?.();
+      });
+      return request;
+    },
+  };
+
+  const self = {
+    location: new URL(`${origin}/sw.js`),
+    registration: { sync: { register: async (tag) => { syncTags.push(tag); } } },
+    clients: { claim: async () => {} },
+    skipWaiting: async () => {},
+    addEventListener: (type, handler) => { listeners[type] = handler; },
+  };
+  vm.runInNewContext(swSource, { self, caches, indexedDB, fetch: sandboxFetch, Response, URL, setTimeout, queueMicrotask, console }, { filename: SERVICE_WORKER });
+
+  /** Fires `type`; resolves with what respondWith() got, once every waitUntil() settled. */
+  async function dispatch(type, init = {}) {
+    const pending = [];
+    let response;
+    listeners[type]?.({ ...init, respondWith: (value) => { response = value; }, waitUntil: (promise) => pending.push(promise) });
+    const result = await response;
+    await Promise.allSettled(pending);
+    return result;
+  }
+  const request = (path, { method = 'GET', mode = 'cors', body } = {}) => ({
+    url: `${origin}${path}`, method, mode, clone: () => ({ text: async () => body ?? '' }),
+  });
+  const queue = () => [...(databases.get('zen-offline')?.get('signups')?.rows.values() || [])];
+  return { dispatch, request, network, cacheStorage, syncTags, queue };
+}
+
+// One worker through its life: install, serve, go offline, queue, sync
+const sw = serviceWorkerSandbox();
+
+test('Install precaches every listed file; activate drops old caches', async () => {
+  sw.cacheStorage.set('zen-0123456789ab', new Map());
+  await sw.dispatch('install');
+  await sw.dispatch('activate');
+  const [cacheName] = [...sw.cacheStorage.keys()];
+  assert.equal(sw.cacheStorage.size, 1);
+  assert.match(cacheName, /^zen-[0-9a-f]{12}$/);
+  assert.equal(sw.cacheStorage.get(cacheName).size, precached.length);
+});
+
+test('Pages are stale-while-revalidate', async () => {
+  sw.network.version = 'v2';
+  const first = await sw.dispatch('fetch', { request: sw.request('/en/?utm_source=ads', { mode: 'navigate' }) });
+  const second = await sw.dispatch('fetch', { request: sw.request('/en/', { mode: 'navigate' }) });
+  assert.equal(await first?.text(), '/en/ v1');
+  assert.equal(await second?.text(), '/en/ v2');
+});
+
+test('Offline: cached pages and assets load, other pages get the offline page', async () => {
+  sw.network.online = false;
+  const cachedPage = await sw.dispatch('fetch', { request: sw.request('/', { mode: 'navigate' }) });
+  const unknownPage = await sw.dispatch('fetch', { request: sw.request('/nao-existe/', { mode: 'navigate' }) });
+  const asset = await sw.dispatch('fetch', { request: sw.request(`/${STYLESHEET}`) });
+  assert.equal(await cachedPage?.text(), '/ v1');
+  assert.equal(await unknownPage?.text(), `/${OFFLINE_PAGE} v1`);
+  assert.equal(await asset?.text(), `/${STYLESHEET} v1`);
+});
+
+test('API reads are left to the network', async () => {
+  assert.equal(await sw.dispatch('fetch', { request: sw.request('/api/stats') }), undefined);
+});
+
+const signupBody = JSON.stringify({ requestId: 'c0ffee00-0000-4000-8000-000000000001', phone: '+5511987654321', formId: 'offline-form' });
+
+test('Offline signup is queued and answered 202 { ok, queued }', async () => {
+  const queued = await sw.dispatch('fetch', { request: sw.request('/api/signup', { method: 'POST', body: signupBody }) });
+  assert.equal(queued?.status, 202);
+  assert.deepEqual(await queued.json(), { ok: true, queued: true });
+  assert.equal(sw.queue().length, 1);
+  assert.ok(sw.syncTags.includes('zen-signups'));
+});
+
+test('Background Sync sends the queue once back online', async () => {
+  await sw.dispatch('sync', { tag: 'zen-signups' });
+  assert.equal(sw.queue().length, 1, 'kept while still offline');
+  sw.network.online = true;
+  sw.network.requests.length = 0;
+  await sw.dispatch('sync', { tag: 'zen-signups' });
+  const replayed = sw.network.requests.filter(r => r.url.endsWith('/api/signup'));
+  assert.equal(sw.queue().length, 0);
+  assert.deepEqual(replayed.map(r => r.body), [signupBody]);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { createStaticHandler, isServed } from '../server/static.mjs';
+import { withServer } from './helpers.mjs';
+
+// A site root with the kinds of files the repo root holds next to the site
+const parent = mkdtempSync(join(tmpdir(), 'zen-static-'));
+const root = join(parent, 'tree');
+for (const dir of ['en', 'data', '.git', 'js']) mkdirSync(join(root, dir), { recursive: true });
+writeFileSync(join(root, 'index.html'), '<h1>Zen</h1>');
+writeFileSync(join(root, 'en', 'index.html'), '<h1>Zen (en)</h1>');
+writeFileSync(join(root, 'js', 'main.js'), 'export {};');
+writeFileSync(join(root, 'data', 'signups.jsonl'), '{"phone":"+5511987654321"}\n');
+writeFileSync(join(root, '.git', 'config'), '[core]');
+writeFileSync(join(root, 'requests.jsonl'), '{}');
+mkdirSync(join(parent, 'tree2'));
+writeFileSync(join(parent, 'tree2', 'secret.txt'), 'sibling');
+
+test.after(() => rmSync(parent, { recursive: true, force: true }));
+
+const server = () => createServer(createStaticHandler({ root }));
+const get = (base, path) => fetch(`${base}${path}`, { redirect: 'manual' });
+
+test('Serves the public site files with their types', () => withServer(server(), async (base) => {
+  const page = await get(base, '/');
+  assert.equal(page.status, 200);
+  assert.equal(page.headers.get('content-type'), 'text/html; charset=utf-8');
+  assert.equal(await page.text(), '<h1>Zen</h1>');
+  const script = await get(base, '/js/main.js');
+  assert.equal(script.status, 200);
+  assert.equal(script.headers.get('content-type'), 'text/javascript; charset=utf-8');
+}));
+
+test('Redirects a folder to its trailing-slash URL', () => withServer(server(), async (base) => {
+  const redirect = await get(base, '/en');
+  assert.equal(redirect.status, 301);
+  assert.equal(redirect.headers.get('location'), '/en/');
+  assert.equal(await (await get(base, '/en/')).text(), '<h1>Zen (en)</h1>');
+}));
+
+test('Answers a path that cannot be decoded with 400', () => withServer(server(), async (base) => {
+  assert.equal((await get(base, '/%E0%A4%A')).status, 400);
+  // The server is still up
+  assert.equal((await get(base, '/')).status, 200);
+}));
+
+test('Refuses dotfiles, data/ and anything outside the public paths', () => withServer(server(), async (base) => {
+  for (const path of ['/.git/config', '/js/.hidden', '/data/signups.jsonl', '/requests.jsonl', '/%2e%2e/tree2/secret.txt', '/js/%2e%2e/%2e%2e/tree2/secret.txt']) {
+    assert.equal((await get(base, path)).status, 404, path);
+  }
+}));
+
+test('isServed tells public files from data files and siblings of the root', () => {
+  assert.equal(isServed(root, join(root, 'js', 'main.js')), true);
+  assert.equal(isServed(root, join(root, 'data', 'signups.jsonl')), false);
+  assert.equal(isServed(root, join(root, 'legal', '.signups.jsonl')), false);
+  assert.equal(isServed(root, join(parent, 'tree2', 'js', 'main.js')), false);
+  assert.equal(isServed(root, '/var/lib/zen/signups.jsonl'), false);
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { parseFormatting, toPlainText, renderFormatted } from '../js/wa-format.js';
+import { htmlToWhatsApp, migrateCatalog } from '../migrate-chat-format.mjs';
+
+// Markers become fixed nodes, anything else stays text
+const summarize = (nodes) => nodes.map(n => (n.children ? `${n.type}(${summarize(n.children)})` : n.type === 'text' ? n.text : n.type)).join('|');
+const FORMAT_CASES = [
+  // [input, summary]
+  ['*Total: R$ 1.600*', 'bold(Total: R$ 1.600)'],
+  ['_a_ ~b~ `c`', 'italic(a)| |strike(b)| |code'],
+  ['*_both_*', 'bold(italic(both))'],
+  ['linha 1\nlinha 2 🧘', 'linha 1|br|linha 2 🧘'],
+  ['```x *y*```', 'code'],
+  ['snake_case_name e 2*3*4', 'snake_case_name e 2*3*4'],
+  ['* not bold *', '* not bold *'],
+];
+test('WhatsApp formatting parses bold, italic, strike, code and line breaks', () => {
+  for (const [input, expected] of FORMAT_CASES) {
+    assert.equal(summarize(parseFormatting(input)), expected, JSON.stringify(input));
+  }
+});
+
+const HOSTILE = [
+  '<script>alert(1)</script>',
+  '<img src=x onerror="alert(1)">',
+  '*<b onclick="alert(1)">hi</b>*',
+  '_<svg onload=alert(1)>_',
+  '```<iframe src="javascript:alert(1)"></iframe>```',
+  '"><script src=//evil.example></script>',
+];
+const ALLOWED_NODES = new Set(['text', 'br', 'code', 'bold', 'italic', 'strike']);
+const onlySafeNodes = (nodes) => nodes.every(n => ALLOWED_NODES.has(n.type)
+  && Object.keys(n).every(k => ['type', 'text', 'children'].includes(k))
+  && (!n.children || onlySafeNodes(n.children)));
+test('Markup and event handlers stay literal text', () => {
+  for (const input of HOSTILE) {
+    const nodes = parseFormatting(input);
+    assert.ok(onlySafeNodes(nodes), input);
+    assert.equal(toPlainText(nodes), input.replace(/```/g, '').replace(/^[*_~`]|[*_~`]$/g, ''), input);
+  }
+});
+
+// Just enough DOM for renderFormatted; the tree serializes to escaped HTML for cheerio
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+function createElement(name) {
+  const el = {
+    name, attributes: {}, childNodes: [],
+    appendChild(child) { el.childNodes.push(child); return child; },
+    set className(value) { el.attributes.class = value; },
+    set textContent(value) { el.childNodes = [{ text: value }]; },
+  };
+  return el;
+}
+const serialize = (node) => {
+  if ('text' in node) return escapeHtml(node.text);
+  const inner = node.childNodes.map(serialize).join('');
+  if (!node.name) return inner;
+  const attrs = Object.entries(node.attributes).map(([k, v]) => ` ${k}="${escapeHtml(v).replace(/"/g, '&quot;')}"`).join('');
+  return node.name === 'br' ? `<br${attrs}>` : `<${node.name}${attrs}>${inner}</${node.name}>`;
+};
+const fakeDocument = {
+  createElement,
+  createTextNode: (text) => ({ text }),
+  createDocumentFragment: () => createElement(null),
+};
+
+test('Rendered DOM holds no scripts or event handlers', () => {
+  for (const input of HOSTILE) {
+    const $ = cheerio.load(`<div id="root">${serialize(renderFormatted(input, fakeDocument))}</div>`);
+    const elements = $('#root *').toArray();
+    assert.equal($('script, img, svg, iframe, b').length, 0, input);
+    assert.ok(elements.every(el => ['strong', 'em', 's', 'code', 'br'].includes(el.name)), input);
+    assert.ok(elements.every(el => !Object.keys(el.attribs).some(name => /^on/i.test(name))), input);
+    assert.ok(elements.every(el => Object.keys(el.attribs).every(name => name === 'class')), input);
+    assert.equal($('#root').text(), toPlainText(parseFormatting(input)), input);
+  }
+});
+
+const CONVERT_CASES = [
+  // [html, text]
+  ['Oi <strong>Tiago</strong><br>tudo bem?', 'Oi *Tiago*\ntudo bem?'],
+  ['<b>R$ 1.600</b> e <em>juros</em>', '*R$ 1.600* e _juros_'],
+  ['<i>Parcela </i>menor', '_Parcela_ menor'],
+  ['Veja <a href="https://aizen.io">o site</a>', 'Veja o site'],
+  ['<strong>Total: <em>R$ 200</em></strong>', '*Total: _R$ 200_*'],
+  ['<s>12%</s> <code>8%</code>', '~12%~ `8%`'],
+];
+test('HTML chat messages convert to WhatsApp formatting', () => {
+  for (const [html, expected] of CONVERT_CASES) {
+    assert.deepEqual(htmlToWhatsApp(html), { text: expected, ok: true }, html);
+  }
+});
+
+test('Chat catalogs swap html for text and skip messages that would read differently', () => {
+  const catalog = {
+    'chat.conversations': [{
+      messages: [
+        { from: 'zen', html: '<strong>Oi</strong>', delay: 500 },
+        { from: 'user', text: 'já migrado' },
+        { from: 'zen', html: 'nota *importante* <em>aqui</em>' },
+      ],
+    }],
+  };
+  const report = migrateCatalog(catalog);
+  assert.deepEqual(report, { converted: 1, skipped: ['conversation 0, message 2'] });
+  assert.deepEqual(catalog['chat.conversations'][0].messages, [
+    { from: 'zen', text: '*Oi*', delay: 500 },
+    { from: 'user', text: 'já migrado' },
+    { from: 'zen', html: 'nota *importante* <em>aqui</em>' },
+  ]);
+  assert.deepEqual(Object.keys(catalog['chat.conversations'][0].messages[0]), ['from', 'text', 'delay']);
+});
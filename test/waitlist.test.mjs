@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { formatCount, parseStats } from '../js/waitlist-counter.js';
+import { createStatsServer } from '../server/stats.mjs';
+import { createMemoryStore, createFileStore } from '../server/stores.mjs';
+import { withServer } from './helpers.mjs';
+
+test('Counts are formatted for the page language', () => {
+  assert.equal(formatCount(2143, 'pt'), '2.143');
+  assert.equal(formatCount(2143, 'en'), '2,143');
+});
+
+const BAD_STATS = [null, {}, { ok: false, waitlist: 10 }, { ok: true, waitlist: -1 }, { ok: true, waitlist: 1.5 }, { ok: true, waitlist: '2000' }];
+test('Stats parser rejects malformed responses', () => {
+  for (const body of BAD_STATS) assert.throws(() => parseStats(body), JSON.stringify(body));
+  assert.equal(parseStats({ ok: true, waitlist: 0 }), 0);
+});
+
+const statsRoundTrip = (store) => withServer(createStatsServer({ store }), async (base) => {
+  const response = await fetch(`${base}/api/stats`);
+  return { status: response.status, body: await response.json() };
+});
+
+test('Stats service counts each phone number once', async () => {
+  const store = createMemoryStore(['a', 'b', 'c', 'a'].map((n, i) => ({ requestId: `r${i}`, phone: `+55119${n}` })));
+  const { status, body } = await statsRoundTrip(store);
+  assert.equal(status, 200);
+  assert.equal(parseStats(body), 3);
+});
+
+test('Stats service answers 503 when the store is down', async () => {
+  const { status, body } = await statsRoundTrip({ countDistinct: async () => { throw new Error('disk gone'); } });
+  assert.equal(status, 503);
+  assert.equal(body.ok, false);
+});
+
+test('File store counts distinct values, skipping records without the field', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'zen-stats-'));
+  try {
+    const file = join(dir, 'signups.jsonl');
+    const store = createFileStore(file);
+    for (const phone of ['+5511987654321', '+5511987654321', '+5521987654321', undefined]) await store.insert({ phone });
+    assert.equal(await store.countDistinct('phone'), 2);
+    assert.equal(await createFileStore(file).countDistinct('phone'), 2);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -5,14 +5,36 @@
  * Run: node validate.mjs
  *
  * Checks: assets, links, meta tags, translations, content structure,
- * image attributes, accessibility, and known patterns.
+ * image attributes, accessibility, and known patterns. Unit tests for the
+ * modules and services are in test/ (npm test).
  */
 
 import { z } from 'zod';
 import * as cheerio from 'cheerio';
-import { readFileSync, existsSync } from 'fs';
+import { readFileSync, existsSync, readdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { renderAll, renderSource, localeAlternates, pageUrl, integrityOf } from './render-locales.mjs';
+import { DEFAULT_LANG, LOCALES, initI18n, switchLang, parseAttrSpec } from './js/i18n.js';
+import { compileConversation, MESSAGE_TYPES } from './js/chat-player.js';
+import { FAQ_KEY } from './js/faq.js';
+import { CATEGORIES } from './js/consent.js';
+import { SITE_CONFIG, siteValue, fillSiteValues, withSiteValues } from './js/site-config.js';
+import { RIGHTS_PATH, RIGHTS_STATUS_PATH } from './server/rights.mjs';
+import {
+  bundleModules, productionHtml, compileCss, fontFaceCss, inFontRanges, precacheEntries, renderServiceWorker,
+  ENTRY, OFFLINE_ENTRY, OFFLINE_PAGE, SERVICE_WORKER, DIST, STYLESHEET, FONT_DIR, FONTS, VENDOR_DIR, VENDOR_SCRIPTS, vendorSource, fontSource,
+} from './build.mjs';
+import { SW_URL, SW_SCOPE } from './js/offline.js';
+import { DEBT_TYPES, STRATEGIES, RATES_URL } from './js/savings-calculator.js';
+import { SYSTEMS } from './js/finance.js';
+import { LIMITS as LOAN_LIMITS } from './js/loan-simulator.js';
+import { BANKS, BANK_CATEGORIES, LOGO_DIR, logoPath, normalizeBankName } from './js/banks.js';
+import {
+  LEGAL_DOCUMENTS, loadLegalDocuments, renderLegal, legalPaths, archivePaths, readPdfManifest, upToDatePdfs,
+  RIGHTS_ENTRY, RIGHTS_LOOKUP_PAGE, renderRightsLookup,
+} from './render-legal.mjs';
+import { RIGHTS, REQUEST_STATUSES } from './js/rights-request.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const html = readFileSync(join(__dirname, 'index.html'), 'utf-8');
@@ -57,7 +79,7 @@ const MetaSchema = z.object({
   ogDescription: z.string().min(20),
   ogType: z.literal('website'),
   ogLocale: z.literal('pt_BR'),
-  ogImage: z.string().min(1),
+  ogUrl: z.string().url(),
   lang: z.literal('pt-BR'),
 });
 
@@ -80,22 +102,63 @@ const ContentSchema = z.object({
   bankLogos: z.number().min(10, 'Expected at least 10 bank logos'),
 });
 
-const TranslationSchema = z.object({
-  enSelectors: z.literal(true, { message: 'enSelectors not found in JS' }),
-  enCards: z.literal(true, { message: 'enCards not found in JS' }),
-  enTabs: z.literal(true, { message: 'enTabs not found in JS' }),
-  enFaq: z.literal(true, { message: 'enFaq not found in JS' }),
-  enSteps: z.literal(true, { message: 'enSteps not found in JS' }),
-  enHow: z.literal(true, { message: 'enHow not found in JS' }),
-  enCta: z.literal(true, { message: 'enCta not found in JS' }),
-  enFooter: z.literal(true, { message: 'enFooter not found in JS' }),
-  enForm: z.literal(true, { message: 'enForm not found in JS' }),
-  enConsent: z.literal(true, { message: 'enConsent not found in JS' }),
-  enLegalLinks: z.literal(true, { message: 'enLegalLinks not found in JS' }),
-  enLegalDisclaimer: z.literal(true, { message: 'enLegalDisclaimer not found in JS' }),
-  chatDataEN: z.literal(true, { message: 'chatDataEN not found in JS' }),
-  illustrationMap: z.literal(true, { message: 'illustrationMap not found in JS' }),
-});
+const LOCALE_FILES = ['pt-BR', 'en', 'es'];
+
+const CatalogSchema = z.record(z.string(), z.union([
+  z.string().min(1, 'Empty translation'),
+  z.array(z.object({
+    messages: z.array(z.object({
+      type: z.enum(MESSAGE_TYPES).optional(),
+      sender: z.enum(['user', 'zen']).optional(),
+      delay: z.number().min(0).optional(),
+      typing: z.number().min(0).optional(),
+      hold: z.number().min(0).optional(),
+      html: z.undefined({ message: 'Raw html in chat scripts; use WhatsApp formatting in "text" (node migrate-chat-format.mjs)' }),
+    }).passthrough()).min(1),
+  })),
+  z.array(z.object({
+    id: z.string().regex(/^[a-z0-9]+(-[a-z0-9]+)*$/, 'FAQ ids are lowercase slugs (they become #faq-<id> links)'),
+    question: z.string().min(5),
+    answer: z.string().min(20),
+  }).strict()).min(1),
+]));
+
+// CNPJ check digits (Receita Federal modulo 11)
+function isValidCnpj(cnpj) {
+  const digits = cnpj.replace(/\D/g, '').split('').map(Number);
+  if (digits.length !== 14 || digits.every(d => d === digits[0])) return false;
+  const checkDigit = (length) => {
+    const sum = digits.slice(0, length).reduce((acc, d, i) => acc + d * (((length - 1 - i) % 8) + 2), 0);
+    return sum % 11 < 2 ? 0 : 11 - (sum % 11);
+  };
+  return checkDigit(12) === digits[12] && checkDigit(13) === digits[13];
+}
+
+const nullableUrl = z.string().url().startsWith('https://').nullable();
+
+const SiteConfigSchema = z.object({
+  domain: z.string().regex(/^[a-z0-9.-]+\.[a-z]{2,}$/),
+  company: z.object({
+    legalName: z.string().min(3),
+    cnpj: z.string().regex(/^\d{2}\.\d{3}\.\d{3}\/\d{4}-\d{2}$/, 'Format as 00.000.000/0000-00').refine(isValidCnpj, 'CNPJ check digits do not match'),
+    address: z.object({
+      street: z.string().min(3),
+      number: z.string().min(1),
+      district: z.string().min(2),
+      city: z.string().min(2),
+      state: z.string().regex(/^[A-Z]{2}$/),
+      postalCode: z.string().regex(/^\d{5}-\d{3}$/, 'CEP is 00000-000'),
+    }).strict(),
+  }).strict(),
+  contact: z.object({
+    email: z.string().email(),
+    support: z.string().email(),
+    dpo: z.string().email(),
+    whatsapp: z.string().regex(/^55\d{10,11}$/, 'Digits only: 55, area code and number'),
+  }).strict(),
+  social: z.object({ discord: nullableUrl, tiktok: nullableUrl, reddit: nullableUrl }).strict(),
+  features: z.object({ waitlistCounter: z.boolean(), whatsappQr: z.boolean() }).strict(),
+}).strict();
 
 // ============================================================
 // 1. META TAGS
@@ -112,7 +175,7 @@ const metaData = {
   ogDescription: $('meta[property="og:description"]').attr('content') || '',
   ogType: $('meta[property="og:type"]').attr('content') || '',
   ogLocale: $('meta[property="og:locale"]').attr('content') || '',
-  ogImage: $('meta[property="og:image"]').attr('content') || '',
+  ogUrl: $('meta[property="og:url"]').attr('content') || '',
   lang: $('html').attr('lang') || '',
 };
 
@@ -165,10 +228,7 @@ const content = {
   faqItems: $('#faq .faq-item').length,
   howItWorksSteps: $('#como-funciona h3').length,
   forms: $('form').length,
-  bankLogos: $('img[alt]').filter((_, el) => {
-    const alt = $(el).attr('alt');
-    return ['Nubank', 'Itaú', 'Bradesco', 'Santander', 'Inter', 'C6 Bank', 'Mercado Pago', 'BTG Pactual', 'Caixa', 'PicPay', 'Neon', 'Banco do Brasil'].includes(alt);
-  }).length,
+  bankLogos: $('img[alt]').filter((_, el) => BANKS.some(bank => bank.name === $(el).attr('alt'))).length,
 };
 
 const contentResult = ContentSchema.safeParse(content);
@@ -192,6 +252,43 @@ $('.sobre-card').each((i, card) => {
 });
 pass('All agent cards have label, title, body, and tags');
 
+// Agent tabs are a WAI-ARIA tabs widget (js/tab-carousel.js)
+check('Agent tabs have role="tablist" with a label', $('#sobre-tabs[role="tablist"]').length === 1 && !!$('#sobre-tabs').attr('aria-label'));
+const tabProblems = [];
+$('.sobre-tab').each((i, tab) => {
+  const $tab = $(tab);
+  const panel = $(`#${$tab.attr('aria-controls')}`);
+  if ($tab.attr('role') !== 'tab' || $tab.attr('type') !== 'button') tabProblems.push(`tab ${i} role/type`);
+  if (!panel.length || panel.attr('role') !== 'tabpanel' || panel.attr('aria-labelledby') !== $tab.attr('id')) tabProblems.push(`tab ${i} panel`);
+  const selected = $tab.attr('aria-selected') === 'true';
+  if ($tab.attr('tabindex') !== (selected ? '0' : '-1')) tabProblems.push(`tab ${i} tabindex`);
+});
+check('Each agent tab controls a labelled tabpanel (roving tabindex)', tabProblems.length === 0, tabProblems.join(', '));
+check('Exactly one agent tab starts selected', $('.sobre-tab[aria-selected="true"]').length === 1);
+const toggle = $('[data-tab-carousel] [data-carousel-toggle]');
+const inlineScripts = $('script:not([src])').map((_, el) => $(el).html()).get().join('\n');
+check('Agent carousel runs from js/tab-carousel.js, not inline', !/sobreInterval|showSobreCard/.test(inlineScripts));
+check('Agent carousel has a pause/play button', toggle.is('button') && !!toggle.attr('data-label-pause') && !!toggle.attr('data-label-play'));
+
+// FAQ is a disclosure accordion (js/faq.js) whose item ids are shared deep links
+const faqIds = $('#faq .faq-item').map((_, el) => $(el).attr('id')).get();
+check('FAQ items have slug ids (faq-*)', faqIds.length === $('#faq .faq-item').length && faqIds.every(id => /^faq-[a-z0-9]+(-[a-z0-9]+)*$/.test(id)), faqIds.join(', '));
+check('FAQ ids are unique', new Set(faqIds).size === faqIds.length);
+check('Support deep link #faq-seguranca exists', faqIds.includes('faq-seguranca'));
+const faqProblems = [];
+$('#faq .faq-item').each((_, item) => {
+  const question = $(item).find('.faq-question');
+  const answer = $(`#${question.attr('aria-controls')}`);
+  if (question.attr('type') !== 'button' || question.attr('aria-expanded') !== 'false') faqProblems.push(`${item.attribs.id} button`);
+  if (!answer.length || answer.attr('aria-labelledby') !== question.attr('id') || answer.attr('inert') === undefined) faqProblems.push(`${item.attribs.id} answer`);
+});
+check('FAQ questions are buttons controlling labelled answers', faqProblems.length === 0, faqProblems.join(', '));
+check('FAQ accordion runs from js/faq.js, not inline', !/faq-answer|faq-chevron/.test(inlineScripts));
+// Runtime code lives in js/ modules and Tailwind is compiled by build.mjs; only structured data stays inline
+const inlineCode = $('script:not([src]):not([type="application/ld+json"])').map((_, el) => $(el).html().trim()).get();
+check('No inline scripts besides JSON-LD (runtime code is in js/)', inlineCode.length === 0, `${inlineCode.length} inline scripts`);
+check(`Page loads ${ENTRY} as its only module`, $('script[type="module"]').length === 1 && $('script[type="module"]').attr('src') === ENTRY);
+
 // ============================================================
 // 4. ASSET FILES
 // ============================================================
@@ -207,6 +304,10 @@ $('link[href]').each((_, el) => {
   const href = $(el).attr('href');
   if (href && !href.startsWith('http') && !href.startsWith('#')) localAssets.add(href);
 });
+$('script[src]').each((_, el) => {
+  const src = $(el).attr('src');
+  if (src && !src.startsWith('http')) localAssets.add(src);
+});
 
 // Extract url() from inline styles
 const urlMatches = html.match(/url\(['"]?([^'")\s]+)['"]?\)/g) || [];
@@ -227,6 +328,25 @@ if (missingAssets.length === 0) {
   missingAssets.forEach(a => fail(`Missing asset: ${a}`));
 }
 
+// Production bundle (build.mjs), built in memory
+const BUNDLE_BUDGET_KB = 80;
+try {
+  const bundle = await bundleModules({ write: false });
+  check('js/ modules bundle into one fingerprinted file with a source map', /^js\/main-[A-Z0-9]{8}\.js$/.test(bundle.file) && bundle.map === `${bundle.file}.map`, bundle.file);
+  check(`Bundle within ${BUNDLE_BUDGET_KB} KB minified`, bundle.bytes <= BUNDLE_BUDGET_KB * 1024, `${(bundle.bytes / 1024).toFixed(1)} KB`);
+  const production = [{ file: 'index.html', html }, ...renderAll()].map(({ file, html: page }) => ({ file, $page: cheerio.load(productionHtml(page, bundle.file)) }));
+  check('Production pages load the bundle instead of the module sources', production.every(({ file, $page }) => {
+    const src = $page('script[type="module"]').attr('src');
+    return !!src && new URL(src, `https://aizen.io/${file}`).pathname === `/${bundle.file}`;
+  }));
+  const offlineBundle = await bundleModules({ entry: OFFLINE_ENTRY, write: false });
+  const offlineProduction = cheerio.load(productionHtml(readFileSync(join(__dirname, OFFLINE_PAGE), 'utf-8'), offlineBundle.file, OFFLINE_ENTRY));
+  check(`${OFFLINE_PAGE} loads its own bundle`, offlineProduction('script[type="module"]').attr('src') === `/${offlineBundle.file}`, offlineBundle.file);
+} catch (err) {
+  fail('js/ modules bundle', err.message.split('\n')[0]);
+}
+check('No stale script.js', !existsSync(join(__dirname, 'script.js')), 'Runtime code lives in js/');
+
 // ============================================================
 // 5. INTERNAL LINKS
 // ============================================================
@@ -298,54 +418,114 @@ else imgIssues.lazyWithoutDimensions.forEach(i => fail(`Lazy image without dimen
 
 console.log('\n\x1b[1m7. Translations\x1b[0m');
 
-const scriptContent = [];
-$('script:not([src])').each((_, el) => {
-  scriptContent.push($(el).html() || '');
-});
-const allJs = scriptContent.join('\n');
-
-const translations = {
-  enSelectors: allJs.includes('enSelectors'),
-  enCards: allJs.includes('enCards'),
-  enTabs: allJs.includes('enTabs'),
-  enFaq: allJs.includes('enFaq'),
-  enSteps: allJs.includes('enSteps'),
-  enHow: allJs.includes('enHow'),
-  enCta: allJs.includes('enCta'),
-  enFooter: allJs.includes('enFooter'),
-  enForm: allJs.includes('enForm'),
-  enConsent: allJs.includes('enConsent'),
-  enLegalLinks: allJs.includes('enLegalLinks'),
-  enLegalDisclaimer: allJs.includes('enLegalDisclaimer'),
-  chatDataEN: allJs.includes('chatDataEN'),
-  illustrationMap: allJs.includes('illustrationMap'),
-};
+// Catalogs as the page sees them, {{placeholders}} filled from js/site-config.js
+const catalogs = {};
+const rawCatalogs = {};
+for (const locale of LOCALE_FILES) {
+  const file = join(__dirname, 'locales', `${locale}.json`);
+  if (!existsSync(file)) {
+    fail(`locales/${locale}.json exists`);
+    continue;
+  }
+  const result = CatalogSchema.safeParse(JSON.parse(readFileSync(file, 'utf-8')));
+  if (result.success) {
+    rawCatalogs[locale] = result.data;
+    catalogs[locale] = withSiteValues(result.data);
+    pass(`locales/${locale}.json is a valid catalog (${Object.keys(result.data).length} keys)`);
+  } else {
+    result.error.issues.slice(0, 5).forEach(issue => fail(`locales/${locale}.json: ${issue.path.join('.')}`, issue.message));
+  }
+}
 
-const transResult = TranslationSchema.safeParse(translations);
-if (transResult.success) {
-  pass('All 14 translation objects present');
-} else {
-  transResult.error.issues.forEach(issue => {
-    fail(`Translation: ${issue.path.join('.')}`, issue.message);
-  });
+// Every catalog carries exactly the same keys as pt-BR
+const ptCatalog = catalogs['pt-BR'] || {};
+const ptKeys = Object.keys(ptCatalog);
+for (const locale of LOCALE_FILES.filter(l => l !== 'pt-BR' && catalogs[l])) {
+  const keys = Object.keys(catalogs[locale]);
+  const missing = ptKeys.filter(k => !keys.includes(k));
+  const extra = keys.filter(k => !ptKeys.includes(k));
+  check(`${locale} has the same keys as pt-BR`, !missing.length && !extra.length,
+    [missing.length && `missing: ${missing.slice(0, 5).join(', ')}`, extra.length && `extra: ${extra.slice(0, 5).join(', ')}`].filter(Boolean).join('; '));
 }
 
-// Check i18n functions exist
-check('initI18n() function exists', allJs.includes('function initI18n()'));
-check('switchLang() function exists', allJs.includes('function switchLang('));
-check('translateIllustrations() function exists', allJs.includes('function translateIllustrations('));
-check('restartChat() function exists', allJs.includes('function restartChat()'));
+// Every key used in the markup exists, and pt-BR matches the shipped Portuguese
+const normalize = (str) => str.replace(/\s+/g, ' ').trim();
+const pageKeys = [];
+$('[data-i18n]').each((_, el) => pageKeys.push({ key: $(el).attr('data-i18n'), value: $(el).text() }));
+$('[data-i18n-html]').each((_, el) => pageKeys.push({ key: $(el).attr('data-i18n-html'), value: $(el).html() }));
+$('[data-i18n-attr]').each((_, el) => {
+  $(el).attr('data-i18n-attr').split(';').forEach(pair => {
+    const [attr, key] = pair.split(':').map(part => part.trim());
+    if (attr && key) pageKeys.push({ key, value: $(el).attr(attr) || '' });
+  });
+});
 
-// Chat animation timeout tracking
-check('chatAnimationTimeouts tracking array exists', allJs.includes('chatAnimationTimeouts'));
-check('trackTimeout() helper exists', allJs.includes('function trackTimeout('));
+const unknownKeys = [...new Set(pageKeys.map(p => p.key).filter(k => !Object.values(catalogs).every(c => k in c)))];
+check(`All ${pageKeys.length} i18n keys in index.html exist in every catalog`, unknownKeys.length === 0, unknownKeys.slice(0, 5).join(', '));
 
-// No localStorage language persistence
-const hasLocalStorageLang = allJs.includes("localStorage.getItem('zenLang')") || allJs.includes('localStorage.getItem("zenLang")');
-check('No localStorage language auto-restore on load', !hasLocalStorageLang, 'Page must always open in Portuguese');
+const ptMismatches = pageKeys.filter(p => p.key in ptCatalog && normalize(p.value) !== normalize(ptCatalog[p.key]));
+check('pt-BR catalog matches the Portuguese markup', ptMismatches.length === 0, ptMismatches.slice(0, 3).map(p => p.key).join(', '));
+
+// Pre-rendered language pages
+const alternates = $('link[rel="alternate"][hreflang]').map((_, el) => `${$(el).attr('hreflang')} ${$(el).attr('href')}`).get();
+const expectedAlternates = localeAlternates().map(a => `${a.hreflang} ${a.href}`);
+check('hreflang alternates cover every language', JSON.stringify(alternates) === JSON.stringify(expectedAlternates),
+  `Expected: ${expectedAlternates.join(', ')}`);
+check('Canonical URL present', $('link[rel="canonical"]').attr('href') === expectedAlternates.at(-1).split(' ')[1]);
+
+for (const { file, html: rendered } of [renderSource(), ...renderAll()]) {
+  const path = join(__dirname, file);
+  if (!existsSync(path)) fail(`${file} exists`, 'Run: node render-locales.mjs');
+  else check(`${file} is up to date`, readFileSync(path, 'utf-8') === rendered, 'Run: node render-locales.mjs');
+}
+
+// Crawlers don't resolve relative og: URLs, and there is no preview image yet
+const ogMismatches = [{ file: 'index.html', html }, ...renderAll()].filter(({ html: page }) => {
+  const $page = cheerio.load(page);
+  return $page('meta[property="og:url"]').attr('content') !== $page('link[rel="canonical"]').attr('href') || $page('meta[property="og:image"]').length > 0;
+}).map(({ file }) => file);
+check('og:url is the absolute canonical URL, with no og:image', ogMismatches.length === 0, ogMismatches.join(', '));
+
+// FAQ: one list per locale, same questions in the same order everywhere
+const faqIdsFor = (locale) => (catalogs[locale]?.[FAQ_KEY] || []).map(item => item.id);
+const ptFaqIds = faqIdsFor('pt-BR');
+check(`pt-BR has ${ptFaqIds.length} FAQ items with unique ids`, ptFaqIds.length >= 5 && new Set(ptFaqIds).size === ptFaqIds.length, ptFaqIds.join(', '));
+for (const locale of LOCALE_FILES.filter(l => l !== 'pt-BR' && catalogs[l])) {
+  const ids = faqIdsFor(locale);
+  check(`${locale} FAQ has the same ${ptFaqIds.length} question ids as pt-BR`, JSON.stringify(ids) === JSON.stringify(ptFaqIds), `Found: ${ids.join(', ')}`);
+}
+const markupFaqIds = $('#faq .faq-item').map((_, el) => $(el).attr('id')).get();
+check('FAQ markup renders faq.items', JSON.stringify(markupFaqIds) === JSON.stringify(ptFaqIds.map(id => `faq-${id}`)), 'Run: node render-locales.mjs');
+
+for (const { file, html: page } of [{ file: 'index.html', html }, ...renderAll()]) {
+  const $page = cheerio.load(page);
+  try {
+    const data = JSON.parse($page('script#faq-jsonld').html());
+    const questions = data.mainEntity || [];
+    check(`${file} has FAQPage JSON-LD for every question`, data['@type'] === 'FAQPage' && questions.length === ptFaqIds.length
+      && questions.every(q => q['@type'] === 'Question' && q.name && q.acceptedAnswer?.text), `Found ${questions.length} questions`);
+  } catch (err) {
+    fail(`${file} has FAQPage JSON-LD for every question`, err.message);
+  }
+}
 
-// Default language is PT
-check('Default currentLang is "pt"', allJs.includes("let currentLang = 'pt'") || allJs.includes('let currentLang = "pt"'));
+// Check i18n functions exist
+check('initI18n() function exists', typeof initI18n === 'function');
+check('switchLang() function exists', typeof switchLang === 'function');
+
+// Keys the modules look up at runtime (t() and catalogValue() calls) exist in
+// every catalog; `phone.error.${code}` needs at least one key under the prefix
+const moduleSources = readdirSync(join(__dirname, 'js')).filter(f => f.endsWith('.js'))
+  .map(f => ({ file: `js/${f}`, source: readFileSync(join(__dirname, 'js', f), 'utf-8') }));
+const moduleKeys = moduleSources.flatMap(({ file, source }) => [...source.matchAll(/\b(?:t|catalogValue)\(([^()]*(?:\([^()]*\))?[^()]*)\)/g)]
+  .flatMap(([, args]) => [
+    ...[...args.matchAll(/'([a-z][\w-]*(?:\.[\w-]+)+)'/g)].map(m => ({ file, key: m[1] })),
+    ...[...args.matchAll(/`([a-z][\w.-]*\.)\$\{/g)].map(m => ({ file, prefix: m[1] })),
+  ]));
+const missingModuleKeys = moduleKeys.filter(({ key, prefix }) => !Object.values(catalogs).every(catalog =>
+  key ? key in catalog : Object.keys(catalog).some(k => k.startsWith(prefix))));
+check(`All ${moduleKeys.length} i18n keys used by js/ modules exist in every catalog`, moduleKeys.length > 0 && missingModuleKeys.length === 0,
+  missingModuleKeys.map(({ file, key, prefix }) => `${file}: ${key || `${prefix}*`}`).join(', '));
 
 // ============================================================
 // 8. CHAT DATA STRUCTURE
@@ -353,29 +533,159 @@ check('Default currentLang is "pt"', allJs.includes("let currentLang = 'pt'") ||
 
 console.log('\n\x1b[1m8. Chat Data\x1b[0m');
 
-// Count PT chat conversations (var chatData = [...])
-const ptChatMatch = allJs.match(/var chatData\s*=\s*\[([\s\S]*?)\];\s*\n/);
-if (ptChatMatch) {
-  const ptConvCount = (ptChatMatch[1].match(/\{\s*messages:/g) || []).length;
-  check(`PT chat data has 4 conversations`, ptConvCount === 4, `Found ${ptConvCount}`);
-} else {
-  fail('PT chatData not found');
+const heroChat = $('#chat-messages[data-chat-player]');
+check('Hero phone mockup is a ChatPlayer', heroChat.length === 1 && !!heroChat.attr('data-chat-key'));
+const chatKey = heroChat.attr('data-chat-key') || 'chat.conversations';
+
+const chatShapes = {};
+for (const [locale, catalog] of Object.entries(catalogs)) {
+  const conversations = catalog[chatKey];
+  const count = Array.isArray(conversations) ? conversations.length : 0;
+  check(`${locale} chat data has 4 conversations`, count === 4, `Found ${count}`);
+
+  try {
+    const compiled = (conversations || []).map(conv => compileConversation(conv));
+    chatShapes[locale] = JSON.stringify(compiled);
+    pass(`${locale} chat scripts use known message types`);
+  } catch (err) {
+    fail(`${locale} chat scripts use known message types`, err.message);
+  }
 }
 
-// Count EN chat conversations
-const enChatMatch = allJs.match(/(?:const|var|let)\s+chatDataEN\s*=\s*\[([\s\S]*?)\];\s*\n/);
-if (enChatMatch) {
-  const enConvCount = (enChatMatch[1].match(/\{\s*messages:/g) || []).length;
-  check(`EN chat data has 4 conversations`, enConvCount === 4, `Found ${enConvCount}`);
-} else {
-  fail('EN chatDataEN not found');
+// Translations are the same conversations: same messages, same timeline
+const shapeMismatches = Object.keys(chatShapes).filter(locale => chatShapes[locale] !== chatShapes['pt-BR']);
+check('Chat timelines match pt-BR in every locale', shapeMismatches.length === 0, shapeMismatches.join(', '));
+
+// ============================================================
+// 9. WAITLIST COUNTER
+// ============================================================
+
+console.log('\n\x1b[1m9. Waitlist Counter\x1b[0m');
+
+// The count must come from the stats service, so the markup holds no number
+const counters = $('[data-waitlist-count]');
+check('Both waitlist badges have a counter', counters.length === 2, `Found ${counters.length}`);
+check('Counters start empty (no hard-coded number)', counters.toArray().every(el => $(el).text().trim() === ''));
+check('Waitlist badges are hidden until the count loads',
+  $('[data-waitlist-badge]').length > 0 && $('[data-waitlist-badge]').toArray().every(el => $(el).attr('hidden') !== undefined));
+check('No simulated counter in inline scripts', !/waitlist|formatNum/i.test(inlineScripts));
+
+// ============================================================
+// 10. ANALYTICS
+// ============================================================
+
+console.log('\n\x1b[1m10. Analytics\x1b[0m');
+
+check('Analytics endpoint configured', $('meta[name="zen:analytics-endpoint"]').attr('content') === '/api/events');
+const agents = $('[data-tab-carousel] [role="tab"]').map((_, el) => $(el).attr('data-agent')).get();
+check('Every agent tab has a unique data-agent slug',
+  agents.length === $('[data-tab-carousel] [role="tab"]').length && agents.every(a => /^[a-z-]+$/.test(a)) && new Set(agents).size === agents.length,
+  agents.join(', '));
+check('No analytics in inline scripts', !/sendBeacon|api\/events/.test(inlineScripts));
+
+// ============================================================
+// 11. CAMPAIGN ATTRIBUTION
+// ============================================================
+
+console.log('\n\x1b[1m11. Campaign Attribution\x1b[0m');
+
+const waLinks = [];
+for (const locale of LOCALE_FILES.filter(l => catalogs[l])) {
+  Object.values(catalogs[locale]).filter(v => typeof v === 'string' && v.includes('wa.me/'))
+    .forEach(v => cheerio.load(v)('a[href*="wa.me/"]').each((_, el) => waLinks.push({ locale, tagged: cheerio.load(v)(el).is('[data-wa-link]') })));
 }
+$('a[href*="wa.me/"]').each((_, el) => waLinks.push({ locale: 'index.html', tagged: $(el).is('[data-wa-link]') }));
+check(`Every wa.me link carries the referral code (${waLinks.length} links)`, waLinks.length > 0 && waLinks.every(l => l.tagged),
+  waLinks.filter(l => !l.tagged).map(l => l.locale).join(', '));
 
 // ============================================================
-// 9. LEGAL & COMPLIANCE
+// 12. OPEN IN WHATSAPP
 // ============================================================
 
-console.log('\n\x1b[1m9. Legal & Compliance\x1b[0m');
+console.log('\n\x1b[1m12. Open in WhatsApp\x1b[0m');
+
+// The number lives in js/site-config.js; links are pointed at it at runtime
+const hardCodedNumbers = [html, ...Object.values(rawCatalogs).map(catalog => JSON.stringify(catalog))]
+  .flatMap(text => text.match(/wa\.me\/\d+/g) || []);
+check('No WhatsApp number hard-coded in the markup or catalogs', hardCodedNumbers.length === 0, hardCodedNumbers.join(', '));
+
+['#hero-form', '#bottom-cta-form'].forEach(sel => {
+  const block = $(sel).nextAll('[data-wa-direct]').first();
+  const toggle = block.find('[data-wa-qr-toggle]');
+  const panel = block.find('[data-wa-qr-panel]');
+  check(`${sel} is followed by an open-in-WhatsApp block`, block.length === 1
+    && block.find('a[data-wa-link][data-wa-open]').length === 1 && toggle.length === 1 && panel.length === 1);
+  check(`${sel}: QR toggle controls its panel, which starts hidden`, toggle.attr('aria-expanded') === 'false'
+    && toggle.attr('aria-controls') === panel.attr('id') && panel.attr('hidden') !== undefined);
+  check(`${sel}: QR code has a translated label`, /data-label:wa\.direct\.qrLabel/.test(panel.find('[data-wa-qr]').attr('data-i18n-attr') || ''));
+});
+
+// ============================================================
+// 13. SITE CONFIGURATION
+// ============================================================
+
+console.log('\n\x1b[1m13. Site Configuration\x1b[0m');
+
+const siteConfigResult = SiteConfigSchema.safeParse(SITE_CONFIG);
+if (siteConfigResult.success) pass('js/site-config.js matches SiteConfigSchema');
+else siteConfigResult.error.issues.forEach(issue => fail(`site config: ${issue.path.join('.')}`, issue.message));
+const cname = readFileSync(join(__dirname, 'CNAME'), 'utf-8').trim();
+check('Configured domain is the one deployed (CNAME)', SITE_CONFIG.domain === cname, `${SITE_CONFIG.domain} vs ${cname}`);
+
+const CNPJ_CASES = [
+  // [cnpj, valid]
+  ['63.740.359/0001-15', true],
+  ['11.222.333/0001-81', true],
+  ['63.740.359/0001-16', false],
+  ['11.111.111/1111-11', false],
+  ['63.740.359/0001', false],
+];
+const cnpjFailures = CNPJ_CASES.filter(([cnpj, valid]) => isValidCnpj(cnpj) !== valid);
+check(`CNPJ check digits (${CNPJ_CASES.length} cases)`, cnpjFailures.length === 0, cnpjFailures.map(([cnpj]) => cnpj).join(', '));
+
+// Every {{placeholder}} names a value that exists
+const placeholders = [
+  ...Object.values(rawCatalogs).map(catalog => JSON.stringify(catalog)),
+  ...$('[data-site-href]').map((_, el) => $(el).attr('data-site-href')).get(),
+].flatMap(text => [...text.matchAll(/\{\{\s*([\w.]+)\s*\}\}/g)].map(m => m[1]));
+const unknownPaths = [...new Set(placeholders.filter(path => siteValue(path) === undefined || typeof siteValue(path) === 'object' && siteValue(path) !== null))];
+check(`Site placeholders resolve (${placeholders.length})`, placeholders.length > 0 && unknownPaths.length === 0, unknownPaths.join(', '));
+const unknownSiteAttrs = $('[data-site]').map((_, el) => $(el).attr('data-site')).get().filter(path => typeof siteValue(path) !== 'string');
+check('Every [data-site] names a configured value', unknownSiteAttrs.length === 0, unknownSiteAttrs.join(', '));
+
+// Catalogs use the placeholders rather than spelling the facts out
+const { cnpj, legalName, address } = SITE_CONFIG.company;
+const FACTS = [cnpj, legalName, address.street, address.postalCode, SITE_CONFIG.contact.email, SITE_CONFIG.contact.support, SITE_CONFIG.contact.dpo];
+const spelledOut = Object.entries(rawCatalogs).flatMap(([locale, catalog]) =>
+  FACTS.filter(fact => JSON.stringify(catalog).includes(fact)).map(fact => `${locale}: ${fact}`));
+check('Catalogs take company facts from the site config', spelledOut.length === 0, spelledOut.join('; '));
+
+// The pages show the configured values (render-locales.mjs writes them in)
+for (const { file, html: page } of [{ file: 'index.html', html }, ...renderAll()]) {
+  const $page = cheerio.load(page);
+  const disclaimer = $page('[data-i18n="footer.disclaimer"]').text();
+  check(`${file}: footer shows the configured CNPJ, legal name and address`,
+    [cnpj, legalName, address.street, address.postalCode].every(fact => disclaimer.includes(fact)));
+  const staleLinks = $page('[data-site-href]').toArray().filter(el => $page(el).attr('href') !== fillSiteValues($page(el).attr('data-site-href')));
+  const staleText = $page('[data-site]').toArray().filter(el => $page(el).text() !== siteValue($page(el).attr('data-site')));
+  check(`${file}: config-driven links and text are current`, staleLinks.length + staleText.length === 0, 'Run: node render-locales.mjs');
+}
+check('Footer contact email comes from the site config', $('footer a[data-site="contact.email"]').attr('href') === `mailto:${SITE_CONFIG.contact.email}`);
+const socialLinks = $('footer [data-site-href^="{{social."]').map((_, el) => $(el).attr('data-site-href').match(/social\.(\w+)/)[1]).get();
+check('Footer has a link for every configured social profile',
+  JSON.stringify(socialLinks.sort()) === JSON.stringify(Object.keys(SITE_CONFIG.social).sort()), socialLinks.join(', '));
+
+// The legal pages name the same company
+for (const file of LEGAL_DOCUMENTS.map(doc => legalPaths(doc).page)) {
+  const text = existsSync(join(__dirname, file)) ? cheerio.load(readFileSync(join(__dirname, file), 'utf-8'))('body').text() : '';
+  check(`${file} names the configured CNPJ`, text.includes(cnpj));
+}
+
+// ============================================================
+// 14. LEGAL & COMPLIANCE
+// ============================================================
+
+console.log('\n\x1b[1m14. Legal & Compliance\x1b[0m');
 
 // Privacy policy link
 check('Privacy policy link exists', $('a[href*="privacidade"]').length > 0);
@@ -386,19 +696,60 @@ check('Incident reporting PDF linked', $('a[href*="politica-reporte-incidentes"]
 
 // CNPJ in footer
 const footerText = $('footer').text();
-check('CNPJ present in footer', footerText.includes('63.740.359/0001-15'));
-check('Company name in footer', footerText.includes('AIZEN TECNOLOGIA'));
+check('CNPJ present in footer', footerText.includes(SITE_CONFIG.company.cnpj));
+check('Company name in footer', footerText.includes(SITE_CONFIG.company.legalName));
 check('Correspondente Bancário disclosure', footerText.includes('Correspondente Bancário'));
 
 // Consent text in forms
 const allText = $('body').text();
 check('Form consent text present', allText.includes('concorda em receber mensagens'));
 
+// Signup forms post to the signup service and point at the consent text they show
+['#hero-form', '#bottom-cta-form'].forEach(sel => {
+  const form = $(sel);
+  const consentId = form.attr('data-consent');
+  check(`${sel} posts to /api/signup`, form.attr('action') === '/api/signup' && form.attr('method') === 'post');
+  check(`${sel} references its consent text`, !!consentId && $(`#${consentId}`).text().includes('concorda em receber mensagens'));
+});
+
+// Consent manager: a banner until the visitor chooses, a dialog to change it later
+const consentBanner = $('[data-consent-banner]');
+check('Consent banner present and labelled', consentBanner.length === 1 && consentBanner.attr('role') === 'region'
+  && $(`#${consentBanner.attr('aria-labelledby')}`).text().trim() !== '');
+check('Consent banner starts hidden (shown by js/consent-manager.js)', consentBanner.attr('hidden') !== undefined);
+for (const { file, html: page } of [{ file: 'index.html', html }, ...renderAll()]) {
+  const lang = file === 'index.html' ? DEFAULT_LANG : Object.keys(LOCALES).find(l => file.startsWith(`${l}/`));
+  const policy = cheerio.load(page)('[data-consent-banner] a[href*="privacidade"]').attr('href');
+  check(`${file}: consent banner links to the privacy policy`, !!policy && new URL(policy, pageUrl(lang)).pathname === '/privacidade/', policy);
+}
+check('Consent banner offers accept, reject and customize',
+  ['[data-consent-accept]', '[data-consent-reject]', '[data-consent-open]'].every(sel => consentBanner.find(sel).length === 1));
+
+const consentBoxes = $('[data-consent-dialog] input[type="checkbox"][name="consent-category"]');
+const boxValues = consentBoxes.map((_, el) => $(el).attr('value')).get();
+check('Consent dialog has a checkbox per category', $('dialog[data-consent-dialog]').length === 1
+  && JSON.stringify(boxValues) === JSON.stringify(CATEGORIES), `Found: ${boxValues.join(', ')}`);
+check('Only strictly necessary is pre-ticked (and locked)', consentBoxes.toArray().every(el => {
+  const essential = $(el).attr('value') === 'essential';
+  return ($(el).attr('checked') !== undefined) === essential && ($(el).attr('disabled') !== undefined) === essential;
+}));
+check('Footer link reopens privacy preferences', $('footer [data-consent-open]').length === 1);
+
+// Third-party scripts declare their consent category; optional ones can't run before consent
+const thirdPartyScripts = $('script[src^="http"], script[data-src^="http"]').toArray();
+const undeclared = thirdPartyScripts.filter(el => !CATEGORIES.includes($(el).attr('data-consent-category')));
+check(`Every third-party script declares a consent category (${thirdPartyScripts.length})`, undeclared.length === 0,
+  undeclared.map(el => $(el).attr('src') || $(el).attr('data-src')).join(', '));
+const unblocked = $('script[data-consent-category]').toArray()
+  .filter(el => $(el).attr('data-consent-category') !== 'essential' && !($(el).attr('type') === 'text/plain' && $(el).attr('data-src') && !$(el).attr('src')));
+check('Non-essential scripts are blocked until consent', unblocked.length === 0,
+  unblocked.map(el => $(el).attr('src') || $(el).attr('data-src')).join(', '));
+
 // ============================================================
-// 10. TYPOGRAPHY & CONTENT QUALITY
+// 15. TYPOGRAPHY & CONTENT QUALITY
 // ============================================================
 
-console.log('\n\x1b[1m10. Content Quality\x1b[0m');
+console.log('\n\x1b[1m15. Content Quality\x1b[0m');
 
 // Check for "Aleah" (old product name)
 const hasAleah = html.toLowerCase().includes('aleah');
@@ -415,14 +766,14 @@ if (hasEmDash) warn('Em dashes found in visible text (style guide prefers period
 else pass('No em dashes in visible text');
 
 // WhatsApp placeholder number (accepted pre-launch)
-if (html.includes('5511999999999')) {
+if (SITE_CONFIG.contact.whatsapp === '5511999999999') {
   pass('WhatsApp placeholder number present (accepted pre-launch)');
 } else {
   pass('WhatsApp number is not a placeholder');
 }
 
-// Social media links are placeholders (accepted pre-launch)
-const socialPlaceholders = $('footer a[href="#"]').length;
+// Social profiles not created yet link to "#" (accepted pre-launch)
+const socialPlaceholders = Object.values(SITE_CONFIG.social).filter(url => url === null).length;
 if (socialPlaceholders > 0) {
   pass(`${socialPlaceholders} placeholder social links in footer (accepted pre-launch)`);
 } else {
@@ -430,23 +781,370 @@ if (socialPlaceholders > 0) {
 }
 
 // ============================================================
-// 11. EXTERNAL DEPENDENCIES
+// 16. NO THIRD-PARTY RUNTIME DEPENDENCIES
 // ============================================================
 
-console.log('\n\x1b[1m11. External Dependencies\x1b[0m');
+console.log('\n\x1b[1m16. No Third-Party Runtime Dependencies\x1b[0m');
 
-const requiredCDNs = [
-  'cdn.tailwindcss.com',
-  'fonts.googleapis.com',
-  'cdnjs.cloudflare.com/ajax/libs/gsap',
-  'unpkg.com/lucide',
-  'iconify',
-  'lenis',
+// Everything a page loads comes from this site (build.mjs); links out are fine, loads are not
+const isExternal = (url) => /^(https?:)?\/\//i.test(url || '');
+const RUNTIME_REFS = ['script[src]', 'script[data-src]', 'link[href]:not([rel="canonical"]):not([rel="alternate"])', 'img[src]', 'iframe[src]', 'source[src]', 'source[srcset]', 'video[src]', 'audio[src]'];
+const pagesToLoad = [
+  { file: 'index.html', html },
+  ...renderAll(),
+  ...['offline.html', ...LEGAL_DOCUMENTS.flatMap(doc => [legalPaths(doc).page, legalPaths(doc).print])]
+    .map(file => ({ file, html: readFileSync(join(__dirname, file), 'utf-8') })),
 ];
+const externalLoads = pagesToLoad.flatMap(({ file, html: page }) => {
+  const $page = cheerio.load(page);
+  const refs = $page(RUNTIME_REFS.join(', ')).map((_, el) => ['src', 'data-src', 'href', 'srcset'].map(attr => $page(el).attr(attr)).find(Boolean)).get();
+  const styleUrls = [...page.matchAll(/url\(['"]?([^'")\s]+)/g)].map(([, url]) => url);
+  return [...refs, ...styleUrls].filter(isExternal).map(url => `${file}: ${url}`);
+});
+check(`No page loads anything from another origin (${pagesToLoad.length} pages)`, externalLoads.length === 0, externalLoads.slice(0, 5).join(', '));
 
-requiredCDNs.forEach(cdn => {
-  check(`CDN loaded: ${cdn}`, html.includes(cdn));
+const stylesheets = [STYLESHEET, `${FONT_DIR}/fonts.css`, 'styles.css'];
+const cssImports = stylesheets.filter(file => existsSync(join(__dirname, file))).flatMap(file => {
+  const css = readFileSync(join(__dirname, file), 'utf-8');
+  return [...css.matchAll(/@import\s+(?:url\()?['"]?([^'")\s;]+)|url\(['"]?([^'")\s]+)/g)]
+    .map(([, imported, url]) => imported || url).filter(isExternal).map(url => `${file}: ${url}`);
+});
+check('Stylesheets import nothing from another origin', cssImports.length === 0, cssImports.join(', '));
+
+// Vendored libraries: the pinned package's file, loaded with a matching SRI hash
+const vendorProblems = VENDOR_SCRIPTS.flatMap(script => {
+  const file = `${VENDOR_DIR}/${script.file}`;
+  if (!existsSync(join(__dirname, file))) return [`${file} missing (npm run build)`];
+  const problems = [];
+  if (!readFileSync(join(__dirname, file)).equals(readFileSync(vendorSource(script)))) problems.push(`${file} differs from node_modules/${script.from}`);
+  const tag = $(`script[src="${file}"]`);
+  if (tag.length !== 1) problems.push(`${file} not loaded`);
+  else if (tag.attr('integrity') !== integrityOf(file)) problems.push(`${file} integrity`);
+  return problems;
 });
+check(`Vendored scripts match their packages and SRI hashes (${VENDOR_SCRIPTS.length})`, vendorProblems.length === 0, vendorProblems.join(', '));
+check('Vendored scripts load deferred, ahead of the modules that use them',
+  $(`script[src^="${VENDOR_DIR}/"]`).toArray().every(el => $(el).attr('defer') !== undefined && $(el).attr('type') === undefined));
+
+// Tailwind compiled ahead of time, with styles.css merged in
+try {
+  const compiled = await compileCss();
+  const onDisk = existsSync(join(__dirname, STYLESHEET)) ? readFileSync(join(__dirname, STYLESHEET), 'utf-8') : '';
+  check(`${STYLESHEET} is up to date`, compiled === onDisk, 'Run: npm run build');
+  check('Compiled stylesheet has the theme colours and styles.css', ['.bg-aizen-charcoal', '.text-aizen-blue', '.glass-panel', '.phone-frame'].every(sel => compiled.includes(sel)));
+} catch (err) {
+  fail(`${STYLESHEET} compiles`, err.message.split('\n')[0]);
+}
+check(`Page loads ${STYLESHEET} and the font faces`, $(`link[rel="stylesheet"][href="${STYLESHEET}"]`).length === 1 && $(`link[rel="stylesheet"][href="${FONT_DIR}/fonts.css"]`).length === 1);
+
+// Subset fonts: every face declared, present, and covering the text the pages show
+const fontsCss = existsSync(join(__dirname, FONT_DIR, 'fonts.css')) ? readFileSync(join(__dirname, FONT_DIR, 'fonts.css'), 'utf-8') : '';
+check(`${FONT_DIR}/fonts.css is up to date`, fontsCss === fontFaceCss(), 'Run: npm run build');
+const missingFonts = FONTS.filter(font => !existsSync(join(__dirname, FONT_DIR, font.file))).map(font => font.file);
+check(`Subset fonts exist (${FONTS.length})`, missingFonts.length === 0, missingFonts.join(', '));
+check('Subset fonts are woff2 and smaller than their sources', FONTS.every(font => {
+  const path = join(__dirname, FONT_DIR, font.file);
+  if (!existsSync(path)) return false;
+  const woff2 = readFileSync(path);
+  return woff2.subarray(0, 4).toString('latin1') === 'wOF2' && woff2.length < readFileSync(fontSource(font)).length;
+}));
+// Emoji (and their joiners and variation selectors) come from the system font
+const isEmoji = (ch) => /[\p{Extended_Pictographic}\u200d\ufe0f\ufeff]/u.test(ch);
+const shownText = [html, ...Object.values(rawCatalogs).map(catalog => JSON.stringify(catalog))].join('');
+const uncovered = [...new Set([...shownText].filter(ch => ch.codePointAt(0) > 0x7e && !isEmoji(ch) && !inFontRanges(ch.codePointAt(0))))];
+check('Fonts cover every character on the page and in the catalogs', uncovered.length === 0,
+  uncovered.map(ch => `${ch} U+${ch.codePointAt(0).toString(16).toUpperCase()}`).join(', '));
+check('Font sources are not shipped to dist/', !existsSync(join(DIST, FONT_DIR)) || readdirSync(join(DIST, FONT_DIR)).every(file => file.endsWith('.woff2') || file.endsWith('.css')));
+
+// ============================================================
+// 17. OFFLINE SUPPORT
+// ============================================================
+
+console.log('\n\x1b[1m17. Offline Support\x1b[0m');
+
+let manifest = null;
+try {
+  manifest = JSON.parse(readFileSync(join(__dirname, 'manifest.webmanifest'), 'utf-8'));
+} catch (err) {
+  fail('manifest.webmanifest parses', err.message);
+}
+if (manifest) {
+  const ManifestSchema = z.object({
+    name: z.string().min(3),
+    short_name: z.string().min(2).max(12),
+    lang: z.literal('pt-BR'),
+    start_url: z.literal('/'),
+    scope: z.literal('/'),
+    display: z.enum(['standalone', 'minimal-ui']),
+    background_color: z.string().regex(/^#[0-9A-F]{6}$/i),
+    theme_color: z.string().regex(/^#[0-9A-F]{6}$/i),
+    icons: z.array(z.object({ src: z.string().startsWith('/'), sizes: z.string(), type: z.string() })).min(1),
+  });
+  const result = ManifestSchema.safeParse(manifest);
+  check('Web app manifest has name, start URL, display and icons', result.success, result.error?.issues.map(i => `${i.path.join('.')}: ${i.message}`).join('; '));
+  const missingIcons = (manifest.icons || []).filter(icon => !existsSync(join(__dirname, icon.src))).map(icon => icon.src);
+  check('Manifest icons exist', missingIcons.length === 0, missingIcons.join(', '));
+  check('Theme colour matches the manifest', $('meta[name="theme-color"]').attr('content') === manifest.theme_color);
+}
+check('Pages link the manifest', [{ file: 'index.html', html }, ...renderAll()].every(({ file, html: page }) =>
+  new URL(cheerio.load(page)('link[rel="manifest"]').attr('href') || '#', `https://aizen.io/${file}`).pathname === '/manifest.webmanifest'));
+check('Service worker registered from the site root', new URL(SW_URL).pathname === join(__dirname, SERVICE_WORKER) && new URL(SW_SCOPE).pathname === `${__dirname}/`);
+
+// Precache list and version, written by build.mjs
+const swSource = readFileSync(join(__dirname, SERVICE_WORKER), 'utf-8');
+try {
+  check(`${SERVICE_WORKER} precache is up to date`, renderServiceWorker() === swSource, 'Run: npm run build');
+} catch (err) {
+  fail(`${SERVICE_WORKER} precache`, err.message);
+}
+const precached = precacheEntries().map(([url]) => url);
+const precacheNeeds = ['./', 'en/', 'es/', OFFLINE_PAGE, STYLESHEET, `${FONT_DIR}/fonts.css`, 'locales/pt-BR.json', ENTRY,
+  ...FONTS.map(font => `${FONT_DIR}/${font.file}`), ...VENDOR_SCRIPTS.map(script => `${VENDOR_DIR}/${script.file}`)];
+const notPrecached = precacheNeeds.filter(url => !precached.includes(url));
+check(`Shell, fonts and scripts precached (${precached.length} files)`, notPrecached.length === 0, notPrecached.join(', '));
+const pageImages = $('img[src^="assets/"]').map((_, el) => $(el).attr('src')).get();
+const chatStickers = [...JSON.stringify(rawCatalogs).matchAll(/assets\/stickers\/[\w-]+\.png/g)].map(([src]) => src);
+const imagesNotPrecached = [...new Set([...pageImages, ...chatStickers])].filter(src => !precached.includes(src));
+check('Logos, bank logos and stickers precached', imagesNotPrecached.length === 0, imagesNotPrecached.join(', '));
+check('Font sources and source maps are not precached', precached.every(url => !/\.(otf|ttf|map)$/.test(url)));
+
+// The offline page: a signup form that works without the main page's scripts
+const $offline = cheerio.load(readFileSync(join(__dirname, OFFLINE_PAGE), 'utf-8'));
+const offlineForm = $offline('form#offline-form');
+check('Offline page has the signup form', offlineForm.attr('action') === '/api/signup' && offlineForm.find('input[type="tel"]').length === 1
+  && $offline(`#${offlineForm.attr('data-consent')}`).attr('data-i18n') === 'form.consent');
+check(`Offline page loads ${OFFLINE_ENTRY}, the compiled stylesheet and fonts`, $offline('script[type="module"]').attr('src') === `/${OFFLINE_ENTRY}`
+  && $offline(`link[href="/${STYLESHEET}"]`).length === 1 && $offline(`link[href="/${FONT_DIR}/fonts.css"]`).length === 1);
+// It's served at whatever URL was requested, so relative URLs would break
+const relativeOfflineUrls = $offline('[src], [href]').map((_, el) => $offline(el).attr('src') || $offline(el).attr('href')).get().filter(url => !url.startsWith('/'));
+check('Offline page uses root-relative URLs only', relativeOfflineUrls.length === 0, relativeOfflineUrls.join(', '));
+const offlineKeys = $offline('[data-i18n]').map((_, el) => $offline(el).attr('data-i18n')).get()
+  .concat($offline('[data-i18n-attr]').map((_, el) => parseAttrSpec($offline(el).attr('data-i18n-attr')).map(([, key]) => key)).get());
+const missingOfflineKeys = offlineKeys.filter(key => !Object.values(catalogs).every(catalog => typeof catalog[key] === 'string'));
+check(`Offline page keys exist in every catalog (${offlineKeys.length})`, missingOfflineKeys.length === 0, missingOfflineKeys.join(', '));
+check('Offline page is pt-BR and matches the catalog', $offline('[data-i18n]').toArray().every(el => $offline(el).text().trim() === catalogs['pt-BR'][$offline(el).attr('data-i18n')]));
+
+// ============================================================
+// 18. SAVINGS CALCULATOR
+// ============================================================
+
+console.log('\n\x1b[1m18. Savings Calculator\x1b[0m');
+
+const ratesFile = fileURLToPath(RATES_URL);
+try {
+  const body = JSON.parse(readFileSync(ratesFile, 'utf-8'));
+  const RateSchema = z.object({ strategy: z.enum(STRATEGIES), typicalRate: z.number().positive().max(50), targetRate: z.number().positive() }).strict()
+    .refine(rate => rate.targetRate < rate.typicalRate, 'targetRate must be below typicalRate');
+  const RatesSchema = z.object({
+    updated: z.string().regex(/^\d{4}-(0[1-9]|1[0-2])$/),
+    source: z.string().min(10),
+    debts: z.object(Object.fromEntries(DEBT_TYPES.map(type => [type, RateSchema]))).strict(),
+  }).strict();
+  const result = RatesSchema.safeParse(body);
+  check('Reference rates have a source, a date and a rate for every debt type', result.success, result.error?.issues.map(i => `${i.path.join('.')}: ${i.message}`).join('; '));
+} catch (err) {
+  fail('assets/data/reference-rates.json loads', err.message);
+}
+check('Reference rates precached', precached.includes('assets/data/reference-rates.json'));
+
+const calculator = $('form[data-savings-calculator]');
+const calculatorDebts = calculator.find('[data-debt]').map((_, el) => $(el).attr('data-debt')).get();
+check('Calculator has a row per debt type', calculatorDebts.join() === DEBT_TYPES.join(), calculatorDebts.join(', '));
+check('Every row has a balance, a rate and a translated label', calculator.find('[data-debt]').toArray().every(el =>
+  $(el).find('input[data-field="balance"][inputmode="decimal"]').length === 1 && $(el).find('input[data-field="rate"][inputmode="decimal"]').length === 1
+  && $(el).find('[data-debt-label][data-i18n]').length === 1));
+check('Calculator has a fees field and a live result', calculator.find('input[data-fees]').length === 1
+  && calculator.find('[aria-live] [data-calc-monthly]').length === 1 && calculator.find('[data-calc-breakdown]').length === 1);
+check('Result says it\'s an illustrative simulation', calculator.find('[data-i18n="calc.disclaimer"]').length === 1
+  && catalogs['pt-BR']['calc.disclaimer'].startsWith('Simulação ilustrativa.'));
+
+// ============================================================
+// 19. LOAN SIMULATOR
+// ============================================================
+
+console.log('\n\x1b[1m19. Loan Simulator\x1b[0m');
+
+// Opened from the Crédito (2) and Financiamento (7) cards, with presets the form accepts
+const loanOpeners = $('[data-loan-open]').toArray().map(el => ({ card: $(el).closest('[data-card]').attr('data-card'), ...el.attribs }));
+const inLimit = (value, [min, max]) => Number(value) >= min && Number(value) <= max;
+check('Simulator opens from the Crédito and Financiamento cards', loanOpeners.map(opener => opener.card).join() === '2,7');
+const badPresets = loanOpeners.filter(o => !(inLimit(o['data-amount'], LOAN_LIMITS.amount) && inLimit(o['data-rate'], LOAN_LIMITS.rate)
+  && inLimit(o['data-months'], LOAN_LIMITS.months) && SYSTEMS.includes(o['data-system'])));
+check('Card presets are loans the simulator accepts', badPresets.length === 0, badPresets.map(o => `card ${o.card}`).join(', '));
+const loanDialog = $('dialog[data-loan-dialog]');
+const loanForm = loanDialog.find('form[data-loan-form]');
+const loanFields = ['amount', 'rate', 'ratePeriod', 'months', 'fees', 'system', 'iof'].filter(name => loanForm.find(`[name="${name}"]`).length === 0);
+check('Simulator form has amount, rate, term, system, fees and IOF', loanDialog.length === 1 && loanFields.length === 0, loanFields.join(', '));
+const loanSystems = loanForm.find('input[name="system"]').map((_, el) => $(el).val()).get();
+check('Simulator offers every amortization system', loanSystems.join() === SYSTEMS.join(), loanSystems.join(', '));
+const loanOutputs = ['first', 'last', 'total', 'interest', 'iof', 'financed', 'cet', 'rows', 'csv', 'error', 'rate-equivalent'].filter(name => loanDialog.find(`[data-loan-${name}]`).length !== 1);
+check('Simulator shows the summary, the schedule and the CSV download', loanOutputs.length === 0, loanOutputs.join(', '));
+check('Simulator says it\'s an illustrative simulation', loanDialog.find('[data-i18n="loan.disclaimer"]').length === 1
+  && catalogs['pt-BR']['loan.disclaimer'].startsWith('Simulação ilustrativa.'));
+
+// ============================================================
+// 20. BANK REGISTRY
+// ============================================================
+
+console.log('\n\x1b[1m20. Bank Registry\x1b[0m');
+
+const bankIds = BANKS.map(bank => bank.id);
+check(`${BANKS.length} banks with unique ids`, BANKS.length >= 10 && new Set(bankIds).size === BANKS.length);
+const missingBankLogos = BANKS.filter(bank => !existsSync(join(__dirname, logoPath(bank))));
+check(`Every bank has its logo in ${LOGO_DIR}/`, missingBankLogos.length === 0, missingBankLogos.map(bank => bank.id).join(', '));
+const unusedBankLogos = readdirSync(join(__dirname, LOGO_DIR)).filter(file => !BANKS.some(bank => logoPath(bank).endsWith(`/${file}`)));
+check('No logos for banks outside the registry', unusedBankLogos.length === 0, unusedBankLogos.join(', '));
+const badBankCategories = BANKS.filter(bank => !bank.categories.length || bank.categories.some(category => !BANK_CATEGORIES.includes(category)));
+check('Every bank lists Open Finance categories Zen knows', badBankCategories.length === 0, badBankCategories.map(bank => bank.id).join(', '));
+
+// A name or alias that normalizes the same for two banks would make the lookup's answer arbitrary
+const bankNameOwners = new Map();
+const sharedBankNames = BANKS.flatMap(bank => [bank.name, ...bank.aliases].map(name => {
+  const key = normalizeBankName(name).replace(/ /g, '');
+  const owner = bankNameOwners.get(key);
+  bankNameOwners.set(key, owner || bank.id);
+  return owner && owner !== bank.id ? `${name} (${owner}, ${bank.id})` : null;
+})).filter(Boolean);
+check('Names and aliases point to one bank each', sharedBankNames.length === 0, sharedBankNames.join(', '));
+
+// The logo strip is written from the registry by render-locales.mjs
+const marqueeGroups = $('.animate-marquee').toArray();
+const marqueeNames = (group) => $(group).find('img').map((_, el) => $(el).attr('alt')).get().join();
+const marqueeSrcs = $(marqueeGroups[0]).find('img').map((_, el) => $(el).attr('src')).get();
+check('Logo strip lists every bank in registry order',
+  marqueeGroups.length === 2 && marqueeNames(marqueeGroups[0]) === BANKS.map(bank => bank.name).join() && marqueeSrcs.join() === BANKS.map(logoPath).join(),
+  marqueeNames(marqueeGroups[0]));
+check('Logo strip duplicate hidden from screen readers', $(marqueeGroups[1]).attr('aria-hidden') === 'true' && marqueeNames(marqueeGroups[1]) === marqueeNames(marqueeGroups[0]));
+
+const categoryKeys = ['accounts', 'creditCards', 'creditOperations', 'investments'].map(name => `banks.category.${name}`);
+check('Every category has a label in every catalog', categoryKeys.length === BANK_CATEGORIES.length
+  && Object.values(catalogs).every(catalog => categoryKeys.every(key => catalog[key])));
+
+// The lookup: hidden until js/bank-lookup.js runs, and hands misses to a waitlist form
+const bankLookup = $('[data-bank-lookup]');
+const waitlistFormId = bankLookup.attr('data-waitlist-form');
+check('Bank lookup under the logo strip, hidden without JavaScript', bankLookup.length === 1 && bankLookup.attr('hidden') !== undefined
+  && bankLookup.find('input[data-bank-lookup-input]').length === 1 && bankLookup.find('[data-bank-lookup-result][role="status"]').length === 1);
+check(`Bank lookup sends misses to #${waitlistFormId}`, $(`form#${waitlistFormId}`).length === 1);
+
+// ============================================================
+// 21. LEGAL DOCUMENTS
+// ============================================================
+
+console.log('\n\x1b[1m21. Legal Documents\x1b[0m');
+
+let legalDocuments = [];
+try {
+  legalDocuments = loadLegalDocuments();
+  pass(`Legal sources parse (${legalDocuments.length} documents, ${legalDocuments.reduce((sum, doc) => sum + doc.versions.length, 0)} versions)`);
+} catch (err) {
+  fail('Legal sources parse', err.message);
+}
+const legalPages = legalDocuments.length ? renderLegal(legalDocuments) : [];
+const staleLegal = legalPages.filter(({ file, html: page }) => !existsSync(join(__dirname, file)) || readFileSync(join(__dirname, file), 'utf-8') !== page);
+check(`Legal pages are current (${legalPages.length})`, legalPages.length > 0 && staleLegal.length === 0, `${staleLegal.map(({ file }) => file).join(', ')}. Run: npm run legal`);
+
+// Each document: its page, a print copy and a PDF; each previous version archived, with its PDF once printed
+const pdfManifest = readPdfManifest();
+const legalFiles = legalDocuments.flatMap(doc => {
+  const paths = legalPaths(doc);
+  const archived = doc.versions.slice(0, -1).flatMap(version => {
+    const { print, pdf } = archivePaths(doc, version.version);
+    return pdfManifest[pdf] ? [print, pdf] : [print];
+  });
+  return [paths.page, paths.print, paths.pdf, ...archived, ...(doc.versions.length > 1 ? [paths.changes] : [])];
+});
+const missingLegal = legalFiles.filter(file => !existsSync(join(__dirname, file)));
+check('Every version has its page, and every printed PDF its file', missingLegal.length === 0, missingLegal.join(', '));
+const archiveDir = dirname(legalPaths(LEGAL_DOCUMENTS[0]).changes);
+const strayArchive = readdirSync(join(__dirname, archiveDir)).map(file => `${archiveDir}/${file}`).filter(file => !legalFiles.includes(file));
+check(`Nothing in ${archiveDir}/ without a source`, strayArchive.length === 0, strayArchive.join(', '));
+const footerLegal = LEGAL_DOCUMENTS.filter(doc => $(`footer a[href="${legalPaths(doc).page.replace('index.html', '')}"]`).length !== 1 || $(`footer a[data-legal-pdf][href="${legalPaths(doc).pdf}"]`).length !== 1);
+check('Footer links every policy and has a link for its PDF', footerLegal.length === 0, footerLegal.map(doc => doc.id).join(', '));
+
+// Tables of contents, links between the pages, and the site values written in
+const tocProblems = [];
+const brokenLegalLinks = [];
+for (const { file, html: page } of legalPages) {
+  const $page = cheerio.load(page);
+  const targets = $page('.toc a').map((_, el) => $page(el).attr('href').slice(1)).get();
+  const headings = $page('article h2[id]').map((_, el) => el.attribs.id).get();
+  if (!targets.length || targets.some(id => $page(`[id="${id}"]`).length !== 1) || headings.some(id => !targets.includes(id))) tocProblems.push(file);
+  $page('a[href]').map((_, el) => $page(el).attr('href')).get()
+    .filter(href => !/^(https?:|mailto:|#|\/)/.test(href))
+    .map(href => join(dirname(file), href.split('#')[0]))
+    .filter(target => !existsSync(join(__dirname, target.endsWith('/') || target === dirname(file) ? join(target, 'index.html') : target)))
+    .forEach(target => brokenLegalLinks.push(`${file} -> ${target}`));
+}
+check('Tables of contents list every section and land on it', tocProblems.length === 0, tocProblems.join(', '));
+check('Links between legal pages resolve', brokenLegalLinks.length === 0, brokenLegalLinks.slice(0, 5).join(', '));
+const unfilledLegal = legalPages.filter(({ html: page }) => /\{\{\s*[\w.]+\s*\}\}/.test(page));
+check('Legal pages have the site values filled in', unfilledLegal.length === 0, unfilledLegal.map(({ file }) => file).join(', '));
+const spelledInPolicies = legalDocuments.flatMap(doc => FACTS.filter(fact => doc.versions[doc.versions.length - 1].body.includes(fact)).map(fact => `${doc.id}: ${fact}`));
+check('Current policies take company facts from the site config', spelledInPolicies.length === 0, spelledInPolicies.join('; '));
+
+const versionProblems = legalDocuments.filter(doc => {
+  const $page = cheerio.load(readFileSync(join(__dirname, legalPaths(doc).page), 'utf-8'));
+  const current = doc.versions[doc.versions.length - 1];
+  return !$page('.last-updated').text().includes(`Versão ${current.version}`) || $page('#versoes').closest('section').find('tbody tr').length !== doc.versions.length;
+});
+check('Each page shows its version and lists every version', versionProblems.length === 0, versionProblems.map(doc => doc.id).join(', '));
+
+const incidentChanges = legalPages.find(({ file }) => file === legalPaths(LEGAL_DOCUMENTS.find(doc => doc.id === 'reporte-incidentes')).changes);
+check('Incident policy changelog shows what 2.0 changed', !!incidentChanges && /Da versão 1\.0 para a 2\.0/.test(incidentChanges.html)
+  && incidentChanges.html.includes('<ins>') && incidentChanges.html.includes('<del>'));
+
+// PDFs are printed separately: a page may only link one printed from the text it shows
+const currentPdfs = upToDatePdfs(legalPages, pdfManifest);
+const linkedPdfs = [{ file: 'index.html', html }, ...renderAll(), ...legalPages].flatMap(({ file, html: page }) => {
+  const $page = cheerio.load(page);
+  return $page('a[href$=".pdf"]').filter((_, el) => $page(el).closest('[hidden]').length === 0)
+    .map((_, el) => ({ file, pdf: join(dirname(file), $page(el).attr('href')) })).get();
+});
+const staleLinks = linkedPdfs.filter(({ pdf }) => !currentPdfs.has(pdf));
+check(`Linked PDFs are printed from the current pages (${linkedPdfs.length} links)`, staleLinks.length === 0,
+  `${staleLinks.slice(0, 5).map(({ file, pdf }) => `${file} -> ${pdf}`).join(', ')}. Run: npm run legal:pdf`);
+const unprinted = legalPages.filter(({ pdf }) => pdf && !currentPdfs.has(pdf)).map(({ pdf }) => pdf);
+if (unprinted.length) warn(`${unprinted.length} PDFs not printed from the current pages, so not linked`, `${unprinted.join(', ')}. Run: npm run legal:pdf`);
+else pass('PDFs printed from the current pages');
+
+// ============================================================
+// 22. RIGHTS REQUESTS
+// ============================================================
+
+console.log('\n\x1b[1m22. Rights Requests\x1b[0m');
+
+const rightsKeys = [...RIGHTS.map(right => `rights.right.${right}`), ...REQUEST_STATUSES.map(status => `rights.status.${status}`)];
+const missingRightsKeys = rightsKeys.filter(key => !Object.values(catalogs).every(catalog => key in catalog));
+check(`Every right and status has a label in every catalog (${rightsKeys.length})`, missingRightsKeys.length === 0, missingRightsKeys.join(', '));
+
+// The pages: the form on the privacy policy, the lookup under it
+const privacyDoc = LEGAL_DOCUMENTS.find(doc => doc.rightsRequest);
+const $privacy = cheerio.load(readFileSync(join(__dirname, legalPaths(privacyDoc).page), 'utf-8'));
+const formRights = $privacy('form[data-rights-form] input[name="right"]').map((_, el) => el.attribs.value).get();
+check('Privacy page has the rights-request form with every right', $privacy('form[data-rights-form]').attr('action') === RIGHTS_PATH
+  && JSON.stringify(formRights) === JSON.stringify(RIGHTS)
+  && ['name', 'cpf', 'whatsapp', 'email', 'details', 'holder'].every(name => $privacy(`form[data-rights-form] [name="${name}"]`).length === 1),
+  formRights.join(', '));
+check('The form is left out of the print copy and the PDF', $privacy('form[data-rights-form]').closest('.screen-only').length === 1
+  && !readFileSync(join(__dirname, legalPaths(privacyDoc).print), 'utf-8').includes('data-rights-form'));
+const lookupFile = join(__dirname, RIGHTS_LOOKUP_PAGE);
+check(`${RIGHTS_LOOKUP_PAGE} is current`, existsSync(lookupFile) && readFileSync(lookupFile, 'utf-8') === renderRightsLookup(), 'Run: npm run legal');
+const $lookup = cheerio.load(existsSync(lookupFile) ? readFileSync(lookupFile, 'utf-8') : '');
+check('Lookup page asks for protocol and CPF', $lookup('form[data-rights-lookup]').attr('action') === RIGHTS_STATUS_PATH
+  && $lookup('form[data-rights-lookup] [name="protocol"]').length === 1 && $lookup('form[data-rights-lookup] [name="cpf"]').length === 1 && $lookup('[data-rights-lookup-result]').length === 1);
+const rightsScripts = [$privacy, $lookup].map($page => $page('script[type="module"]').attr('src') || '');
+check(`Both pages load ${RIGHTS_ENTRY}`, rightsScripts.every(src => src.endsWith(RIGHTS_ENTRY)), rightsScripts.join(', '));
+// The form is the page's, not the policy's: linking it from the text would change the published version
+const currentPrivacy = loadLegalDocuments().find(doc => doc.id === privacyDoc.id).versions.at(-1).body;
+check('The page points to the form, and the form to the lookup', !currentPrivacy.includes('#solicitar') && $privacy('.toc a[href="#solicitar"]').length === 1
+  && $privacy('#solicitar').length === 1 && $privacy('section[aria-labelledby="solicitar"] a[href="protocolo/"]').length === 1);
+try {
+  const rightsBundle = await bundleModules({ entry: RIGHTS_ENTRY, write: false });
+  check(`${RIGHTS_ENTRY} bundles for the rights pages`, productionHtml($lookup.html(), rightsBundle.file, RIGHTS_ENTRY).includes(rightsBundle.file), rightsBundle.file);
+} catch (err) {
+  fail(`${RIGHTS_ENTRY} bundles`, err.message.split('\n')[0]);
+}
 
 // ============================================================
 // SUMMARY